@@ -6,6 +6,13 @@
  *   node import-to-kanban.js                    # 导入所有审计模块
  *   node import-to-kanban.js --severity=critical # 只导入 CRITICAL
  *   node import-to-kanban.js --dry-run          # 预览不执行
+ *   node import-to-kanban.js --backend=local    # 写入仓库内 .kanban/board.json
+ *
+ * 存储后端由 kanban-cli 选择 (KANBAN_BACKEND=local|http)；未指定时
+ * CodeKanban 服务不可达会写入本地看板，之后用 `kanban sync --push` 推送。
+ *
+ * 每次运行都会新建任务；需要重复同步时用 `pi audit sync-kanban`
+ * （按问题 ID 更新已有任务，并随归档关闭任务）。
  */
 
 import { execSync } from 'child_process';
@@ -19,6 +26,7 @@ const AUDIT_STATUS = process.env.HOME + '/.claude/skills/project-index/scripts/a
 const args = process.argv.slice(2);
 const dryRun = args.includes('--dry-run');
 const severityFilter = args.find(a => a.startsWith('--severity='))?.split('=')[1];
+const backend = args.find(a => a.startsWith('--backend='))?.split('=')[1];
 
 // 优先级映射
 const SEVERITY_TO_PRIORITY = {
@@ -83,7 +91,7 @@ async function main() {
       try {
         execSync(
           `node "${KANBAN_CLI}" add "${title}" --priority=${mod.priority} --tags=${tags} --description="${desc}"`,
-          { encoding: 'utf-8', stdio: 'pipe' }
+          { encoding: 'utf-8', stdio: 'pipe', env: backend ? { ...process.env, KANBAN_BACKEND: backend } : process.env }
         );
       } catch (err) {
         console.error(`    ❌ 创建失败: ${err.message}`);
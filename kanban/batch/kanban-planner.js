@@ -2,6 +2,14 @@
 /**
  * Kanban 批量处理 - 依赖分析和执行计划生成
  *
+ * 依赖来自任务的 blockedBy 字段 (`kanban link <id> --blocks <id>`)。描述里的
+ * 旧写法 "blocked by [id]" 仍会识别，但会提示改用 link；指向不存在任务的
+ * 依赖会报出来而不是忽略。有环时列出环并退出 1。
+ *
+ * 关键路径按估时 (estimate，缺省 --default-estimate) 计算每个任务的最早开始、
+ * 最早完成和松弛时间；波次调度同时受 --max 和可用 worktree 数限制，绑定同一
+ * worktree 的任务不会排在同一波。
+ *
  * Usage:
  *   node kanban-planner.js [options]
  *
@@ -10,19 +18,25 @@
  *   --priority=<n>    只处理特定优先级 (0-3)
  *   --dry-run         只生成计划，不输出执行命令
  *   --max=<n>         最大并行数 (默认 3)
- *   --json            输出 JSON 格式
+ *   --worktrees=<n>   可用 worktree 总数 (默认同 --max；进行中任务占用的不计入)
+ *   --default-estimate=<n>  未设置估时的任务按 n 计 (默认 1)
+ *   --format=<f>      输出格式 markdown/json/mermaid (默认 markdown)
+ *   --json            同 --format=json
  *   --detect          检测当前目录对应的项目
  *   --base-url=<url>  API 基础 URL (默认 http://127.0.0.1:3007)
+ *   --backend=<b>     存储后端 local/http (默认 KANBAN_BACKEND，见 kanban-store.js)
  */
 
+import { openStore } from "../kanban-store.js";
+
 // ============================================================
 // 配置
 // ============================================================
 
 const DEFAULT_MAX_PARALLEL = 3;
-const DEFAULT_BASE_URL = "http://127.0.0.1:3007";
+const DEFAULT_ESTIMATE = 1;
 
-// 依赖解析正则
+// 旧版描述内依赖写法 (兼容)
 const DEP_PATTERNS = [
   /blocked\s+by[:\s]+\[([a-zA-Z0-9]+)\]/gi,
   /depends\s+on[:\s]+\[([a-zA-Z0-9]+)\]/gi,
@@ -30,57 +44,22 @@ const DEP_PATTERNS = [
   /requires[:\s]+\[([a-zA-Z0-9]+)\]/gi,
 ];
 
-// ============================================================
-// HTTP 客户端
-// ============================================================
-
-async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-  return response.json();
-}
-
-// ============================================================
-// 项目检测
-// ============================================================
-
-async function detectProject(baseUrl) {
-  const cwd = process.cwd();
-  const projects = await fetchJson(`${baseUrl}/api/v1/projects`);
-
-  for (const project of projects.items || []) {
-    if (project.path === cwd || cwd.startsWith(project.path + "/")) {
-      return project;
-    }
-  }
-
-  return null;
-}
-
-async function getProjectById(baseUrl, projectId) {
-  const data = await fetchJson(`${baseUrl}/api/v1/projects/${projectId}`);
-  return data.item || data;
-}
-
 // ============================================================
 // 任务获取
 // ============================================================
 
-async function fetchTasks(baseUrl, projectId, priorityFilter) {
-  const data = await fetchJson(`${baseUrl}/api/v1/projects/${projectId}/tasks`);
-  let tasks = data.items || [];
+async function fetchTasks(store, projectId, priorityFilter) {
+  const all = await store.listTasks(projectId);
 
-  // 只获取 todo 状态的任务
-  tasks = tasks.filter((t) => t.status === "todo");
+  // 只规划 todo 状态的任务，其余任务用于校验依赖
+  let tasks = all.filter((t) => t.status === "todo");
 
   // 优先级过滤
   if (priorityFilter !== null && priorityFilter !== undefined) {
     tasks = tasks.filter((t) => t.priority === priorityFilter);
   }
 
-  return tasks;
+  return { tasks, all };
 }
 
 // ============================================================
@@ -103,20 +82,57 @@ function parseDependencies(taskDescription) {
   return Array.from(deps);
 }
 
+function resolveId(ref, allTasks) {
+  const exact = allTasks.find((t) => t.id === ref);
+  if (exact) return exact;
+  const matches = allTasks.filter((t) => t.id.startsWith(ref));
+  return matches.length === 1 ? matches[0] : null;
+}
+
 // ============================================================
 // 依赖图构建
 // ============================================================
 
-function buildDependencyGraph(tasks) {
+/**
+ * 节点: { task, deps (计划内前置), external (未完成的计划外前置), estimate, priority, dependents }
+ * 已完成的前置视为已满足；不存在的前置记入 warnings
+ */
+function buildDependencyGraph(tasks, allTasks, defaultEstimate) {
   const graph = new Map();
-  const taskIds = new Set(tasks.map((t) => t.id));
+  const planned = new Set(tasks.map((t) => t.id));
+  const warnings = [];
+  const short = (id) => id.slice(0, 8);
 
   for (const task of tasks) {
-    const deps = parseDependencies(task.description).filter((d) => taskIds.has(d));
+    const refs = new Set(task.blockedBy || []);
+    for (const ref of parseDependencies(task.description)) {
+      const dep = resolveId(ref, allTasks);
+      if (dep && refs.has(dep.id)) continue;
+      refs.add(dep ? dep.id : ref);
+      if (dep) {
+        warnings.push(`${short(task.id)}: dependency [${ref}] only in description; run \`kanban link ${ref} --blocks ${short(task.id)}\``);
+      }
+    }
+
+    const deps = [];
+    const external = [];
+    for (const ref of refs) {
+      const dep = resolveId(ref, allTasks);
+      if (!dep) {
+        warnings.push(`${short(task.id)}: blocked by unknown task ${ref} (ignored)`);
+      } else if (planned.has(dep.id)) {
+        deps.push(dep.id);
+      } else if (dep.status !== "done") {
+        external.push({ id: dep.id, title: dep.title, status: dep.status });
+        warnings.push(`${short(task.id)}: waits on ${short(dep.id)} (${dep.status}), which is not in this plan`);
+      }
+    }
 
     graph.set(task.id, {
       task,
       deps,
+      external,
+      estimate: typeof task.estimate === "number" ? task.estimate : defaultEstimate,
       priority: task.priority,
       dependents: [],
     });
@@ -125,50 +141,129 @@ function buildDependencyGraph(tasks) {
   // 填充 dependents
   for (const [id, node] of graph) {
     for (const dep of node.deps) {
-      const depNode = graph.get(dep);
-      if (depNode) {
-        depNode.dependents.push(id);
-      }
+      graph.get(dep).dependents.push(id);
     }
   }
 
-  return graph;
+  return { graph, warnings };
 }
 
 // ============================================================
-// 拓扑排序 + 分层
+// 环检测
 // ============================================================
 
-function topologicalSort(graph) {
-  const waves = [];
-  const completed = new Set();
-  const remaining = new Set(graph.keys());
-
-  while (remaining.size > 0) {
-    const ready = [];
-    for (const id of remaining) {
-      const node = graph.get(id);
-      const allDepsCompleted = node.deps.every((d) => completed.has(d));
-      if (allDepsCompleted) {
-        ready.push(id);
+function findCycles(graph) {
+  const cycles = [];
+  const state = new Map(); // 1 = 在栈上, 2 = 已完成
+  const stack = [];
+
+  function visit(id) {
+    state.set(id, 1);
+    stack.push(id);
+    for (const dep of graph.get(id).deps) {
+      if (state.get(dep) === 1) {
+        cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+      } else if (!state.has(dep)) {
+        visit(dep);
       }
     }
+    stack.pop();
+    state.set(id, 2);
+  }
 
-    if (ready.length === 0) {
-      console.error("Circular dependency detected! Remaining tasks:", Array.from(remaining));
-      break;
+  for (const id of graph.keys()) {
+    if (!state.has(id)) visit(id);
+  }
+  return cycles;
+}
+
+// ============================================================
+// 关键路径 (CPM)
+// ============================================================
+
+/**
+ * 不限并行时每个任务的最早开始/完成、最晚开始和松弛时间；
+ * 松弛为 0 的任务构成关键路径
+ */
+function computeCriticalPath(graph) {
+  // 拓扑序 (调用前已确认无环)
+  const order = [];
+  const indegree = new Map([...graph].map(([id, node]) => [id, node.deps.length]));
+  const queue = [...graph.keys()].filter((id) => indegree.get(id) === 0);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    for (const next of graph.get(id).dependents) {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
     }
+  }
 
-    // 按优先级排序
-    ready.sort((a, b) => {
-      const pa = graph.get(a).priority;
-      const pb = graph.get(b).priority;
-      return pa - pb;
-    });
+  const timing = new Map();
+  for (const id of order) {
+    const node = graph.get(id);
+    const earliestStart = Math.max(0, ...node.deps.map((d) => timing.get(d).earliestFinish));
+    timing.set(id, { earliestStart, earliestFinish: earliestStart + node.estimate });
+  }
 
-    waves.push(ready);
+  const length = Math.max(0, ...[...timing.values()].map((t) => t.earliestFinish));
+  for (const id of [...order].reverse()) {
+    const node = graph.get(id);
+    const latestFinish = Math.min(length, ...node.dependents.map((d) => timing.get(d).latestStart));
+    const t = timing.get(id);
+    t.latestStart = latestFinish - node.estimate;
+    t.slack = t.latestStart - t.earliestStart;
+  }
+
+  // 从最早开始为 0 的关键任务沿关键后继走到终点
+  const critical = (id) => timing.get(id).slack === 0;
+  const path = [];
+  let current = order.find((id) => critical(id) && timing.get(id).earliestStart === 0);
+  while (current) {
+    path.push(current);
+    const finish = timing.get(current).earliestFinish;
+    current = graph.get(current).dependents.find((d) => critical(d) && timing.get(d).earliestStart === finish);
+  }
 
+  return { timing, length, path };
+}
+
+// ============================================================
+// 波次调度
+// ============================================================
+
+/**
+ * 每波最多 capacity 个任务 (前置全部在之前的波次完成)；松弛小的先排，
+ * 其次按优先级、估时长的优先。绑定同一 worktree 的任务不进同一波。
+ */
+function scheduleWaves(graph, timing, capacity) {
+  const waves = [];
+  const completed = new Set();
+  const remaining = new Set(graph.keys());
+
+  while (remaining.size > 0) {
+    const ready = [...remaining].filter((id) => graph.get(id).deps.every((d) => completed.has(d)));
+    if (ready.length === 0) break;
+
+    ready.sort((a, b) =>
+      timing.get(a).slack - timing.get(b).slack
+      || graph.get(a).priority - graph.get(b).priority
+      || graph.get(b).estimate - graph.get(a).estimate
+      || a.localeCompare(b)
+    );
+
+    const wave = [];
+    const worktrees = new Set();
     for (const id of ready) {
+      if (wave.length >= capacity) break;
+      const worktreeId = graph.get(id).task.worktreeId;
+      if (worktreeId && worktrees.has(worktreeId)) continue;
+      if (worktreeId) worktrees.add(worktreeId);
+      wave.push(id);
+    }
+
+    waves.push(wave);
+    for (const id of wave) {
       completed.add(id);
       remaining.delete(id);
     }
@@ -181,7 +276,7 @@ function topologicalSort(graph) {
 // 执行计划生成
 // ============================================================
 
-function generatePlan(project, graph, waves, maxParallel) {
+function generatePlan(project, graph, waves, cpm, options) {
   const plan = {
     project: {
       id: project.id,
@@ -191,31 +286,51 @@ function generatePlan(project, graph, waves, maxParallel) {
     summary: {
       totalTasks: graph.size,
       totalWaves: waves.length,
-      maxParallel,
+      maxParallel: options.maxParallel,
+      capacity: options.capacity,
+      busyWorktrees: options.busyWorktrees,
+      criticalPathLength: cpm.length,
+      scheduledLength: 0,
     },
+    criticalPath: cpm.path,
+    warnings: options.warnings,
     waves: [],
   };
 
+  let start = 0;
   for (let i = 0; i < waves.length; i++) {
     const taskIds = waves[i];
     const waveTasks = taskIds.map((id) => {
       const node = graph.get(id);
+      const t = cpm.timing.get(id);
       return {
         id,
         title: node.task.title,
         priority: node.priority,
+        estimate: node.estimate,
         deps: node.deps,
+        external: node.external,
+        worktreeId: node.task.worktreeId || null,
+        earliestStart: t.earliestStart,
+        earliestFinish: t.earliestFinish,
+        slack: t.slack,
+        critical: t.slack === 0,
         description: node.task.description,
       };
     });
+    const duration = Math.max(0, ...waveTasks.map((t) => t.estimate));
 
     plan.waves.push({
       level: i,
+      start,
+      duration,
       tasks: waveTasks,
       parallel: taskIds.length > 1,
-      maxParallel: Math.min(taskIds.length, maxParallel),
+      maxParallel: Math.min(taskIds.length, options.capacity),
     });
+    start += duration;
   }
+  plan.summary.scheduledLength = start;
 
   return plan;
 }
@@ -232,17 +347,31 @@ function formatPlanAsMarkdown(plan) {
   lines.push(`**路径**: ${plan.project.path}\n`);
   lines.push(`- 总任务: ${plan.summary.totalTasks}`);
   lines.push(`- 执行波次: ${plan.summary.totalWaves}`);
-  lines.push(`- 最大并行: ${plan.summary.maxParallel}\n`);
+  lines.push(`- 最大并行: ${plan.summary.maxParallel} (可用 worktree 限制后: ${plan.summary.capacity})`);
+  lines.push(`- 关键路径长度: ${plan.summary.criticalPathLength} (按波次执行: ${plan.summary.scheduledLength})\n`);
+
+  if (plan.criticalPath.length > 0) {
+    const titles = plan.criticalPath.map((id) => plan.waves.flatMap((w) => w.tasks).find((t) => t.id === id).title);
+    lines.push(`**关键路径**: ${titles.join(" → ")}\n`);
+  }
+
+  if (plan.warnings.length > 0) {
+    lines.push("**警告**:");
+    for (const warning of plan.warnings) lines.push(`- ${warning}`);
+    lines.push("");
+  }
 
   for (const wave of plan.waves) {
     const parallelNote = wave.parallel ? `(并行, 最多 ${wave.maxParallel} 个)` : "(顺序)";
-    lines.push(`## Wave ${wave.level} ${parallelNote}\n`);
+    lines.push(`## Wave ${wave.level} ${parallelNote} — 开始 ${wave.start}, 时长 ${wave.duration}\n`);
 
     for (const task of wave.tasks) {
-      const depsNote = task.deps.length > 0 ? ` [deps: ${task.deps.join(", ")}]` : "";
+      const depsNote = task.deps.length > 0 ? ` [deps: ${task.deps.map((d) => d.slice(0, 8)).join(", ")}]` : "";
       const priorityNote = `(P${task.priority})`;
-      lines.push(`- [ ] **${task.title}** ${priorityNote}${depsNote}`);
+      const criticalNote = task.critical ? " ⚠ 关键" : "";
+      lines.push(`- [ ] **${task.title}** ${priorityNote}${depsNote}${criticalNote}`);
       lines.push(`  - ID: \`${task.id}\``);
+      lines.push(`  - 估时 ${task.estimate}, 最早开始 ${task.earliestStart}, 松弛 ${task.slack}`);
     }
 
     lines.push("");
@@ -251,7 +380,37 @@ function formatPlanAsMarkdown(plan) {
   return lines.join("\n");
 }
 
-function formatExecutionCommands(plan, baseUrl) {
+function formatPlanAsMermaid(plan) {
+  const lines = ["flowchart LR"];
+  const label = (text) => String(text).replace(/["\n]/g, " ").slice(0, 60);
+
+  for (const wave of plan.waves) {
+    lines.push(`  subgraph wave${wave.level}["Wave ${wave.level} (start ${wave.start})"]`);
+    for (const task of wave.tasks) {
+      lines.push(`    ${task.id}["${label(task.title)}<br/>P${task.priority} · est ${task.estimate} · slack ${task.slack}"]`);
+    }
+    lines.push("  end");
+  }
+
+  for (const wave of plan.waves) {
+    for (const task of wave.tasks) {
+      for (const dep of task.deps) {
+        const critical = task.critical && plan.waves.some((w) => w.tasks.some((t) => t.id === dep && t.critical));
+        lines.push(`  ${dep} ${critical ? "==>" : "-->"} ${task.id}`);
+      }
+    }
+  }
+
+  const critical = plan.waves.flatMap((w) => w.tasks).filter((t) => t.critical).map((t) => t.id);
+  if (critical.length > 0) {
+    lines.push("  classDef critical stroke:#d00,stroke-width:2px");
+    lines.push(`  class ${critical.join(",")} critical`);
+  }
+
+  return lines.join("\n");
+}
+
+function formatExecutionCommands(plan, store) {
   const lines = [];
 
   lines.push("# 执行命令\n");
@@ -283,9 +442,13 @@ function formatExecutionCommands(plan, baseUrl) {
   lines.push("## 状态更新命令\n");
   lines.push("```bash");
   lines.push("# 标记任务为完成");
-  lines.push(`curl -X PUT ${baseUrl}/api/v1/tasks/{TASK_ID}/update \\`);
-  lines.push('  -H "Content-Type: application/json" \\');
-  lines.push("  -d '{\"status\": \"done\"}'");
+  if (store.backend === "local") {
+    lines.push(`KANBAN_BACKEND=local node ~/.claude/skills/kanban/kanban-cli.js done {TASK_ID}`);
+  } else {
+    lines.push(`curl -X POST ${store.location}/api/v1/tasks/{TASK_ID}/move \\`);
+    lines.push('  -H "Content-Type: application/json" \\');
+    lines.push("  -d '{\"status\": \"done\"}'");
+  }
   lines.push("```");
 
   return lines.join("\n");
@@ -301,9 +464,12 @@ function parseArgs(args) {
     priority: null,
     dryRun: false,
     maxParallel: DEFAULT_MAX_PARALLEL,
-    json: false,
+    worktrees: null,
+    defaultEstimate: DEFAULT_ESTIMATE,
+    format: "markdown",
     detect: false,
-    baseUrl: DEFAULT_BASE_URL,
+    baseUrl: undefined,
+    backend: undefined,
   };
 
   for (const arg of args) {
@@ -315,12 +481,21 @@ function parseArgs(args) {
       options.dryRun = true;
     } else if (arg.startsWith("--max=")) {
       options.maxParallel = parseInt(arg.slice(6), 10) || DEFAULT_MAX_PARALLEL;
+    } else if (arg.startsWith("--worktrees=")) {
+      options.worktrees = parseInt(arg.slice(12), 10);
+    } else if (arg.startsWith("--default-estimate=")) {
+      const estimate = Number(arg.slice(19));
+      options.defaultEstimate = estimate >= 0 ? estimate : DEFAULT_ESTIMATE;
+    } else if (arg.startsWith("--format=")) {
+      options.format = arg.slice(9);
     } else if (arg === "--json") {
-      options.json = true;
+      options.format = "json";
     } else if (arg === "--detect") {
       options.detect = true;
     } else if (arg.startsWith("--base-url=")) {
       options.baseUrl = arg.slice(11);
+    } else if (arg.startsWith("--backend=")) {
+      options.backend = arg.slice(10);
     }
   }
 
@@ -329,21 +504,21 @@ function parseArgs(args) {
 
 async function main() {
   const options = parseArgs(process.argv.slice(2));
+  const store = await openStore({ backend: options.backend, baseUrl: options.baseUrl });
 
   // 检测项目
   let project;
   if (options.projectId) {
-    project = await getProjectById(options.baseUrl, options.projectId);
+    project = await store.getProject(options.projectId);
   } else {
     console.error("Detecting project from current directory...");
-    project = await detectProject(options.baseUrl);
+    project = await store.detectProject(process.cwd());
   }
 
   if (!project) {
     console.error("No project found. Use --project=<id> to specify.");
     console.error("\nAvailable projects:");
-    const projects = await fetchJson(`${options.baseUrl}/api/v1/projects`);
-    for (const p of projects.items || []) {
+    for (const p of await store.listProjects()) {
       console.error(`  ${p.id}: ${p.name} (${p.path})`);
     }
     process.exit(1);
@@ -357,7 +532,12 @@ async function main() {
   console.error(`Project: ${project.name} (${project.id})`);
   console.error(`Fetching tasks${options.priority !== null ? ` with priority: P${options.priority}` : ""}...`);
 
-  const tasks = await fetchTasks(options.baseUrl, project.id, options.priority);
+  if (!["markdown", "json", "mermaid"].includes(options.format)) {
+    console.error(`Unknown format: ${options.format} (expected markdown, json or mermaid)`);
+    process.exit(1);
+  }
+
+  const { tasks, all } = await fetchTasks(store, project.id, options.priority);
 
   if (tasks.length === 0) {
     console.error("No todo tasks found.");
@@ -366,17 +546,52 @@ async function main() {
 
   console.error(`Found ${tasks.length} todo tasks.`);
 
-  const graph = buildDependencyGraph(tasks);
-  const waves = topologicalSort(graph);
-  const plan = generatePlan(project, graph, waves, options.maxParallel);
+  const { graph, warnings } = buildDependencyGraph(tasks, all, options.defaultEstimate);
+
+  const cycles = findCycles(graph);
+  if (cycles.length > 0) {
+    const name = (id) => `${graph.get(id).task.title} (${id.slice(0, 8)})`;
+    if (options.format === "json") {
+      console.log(JSON.stringify({ project: { id: project.id, name: project.name }, cycles }, null, 2));
+    }
+    console.error("Circular dependencies detected (→ = blocks):");
+    for (const cycle of cycles) {
+      console.error(`  ${[...cycle].reverse().map(name).join(" → ")}`);
+    }
+    console.error("Break a cycle with `kanban unlink <id> --blocks <id>`.");
+    process.exit(1);
+  }
+
+  // 进行中任务绑定的 worktree 不可用
+  const busyWorktrees = new Set(all.filter((t) => t.status === "in_progress" && t.worktreeId).map((t) => t.worktreeId)).size;
+  const worktrees = options.worktrees ?? options.maxParallel;
+  const capacity = Math.min(options.maxParallel, worktrees - busyWorktrees);
+  if (capacity < 1) {
+    warnings.push(`No free worktree (${worktrees} total, ${busyWorktrees} busy); planning one task at a time`);
+  }
+
+  const cpm = computeCriticalPath(graph);
+  const waves = scheduleWaves(graph, cpm.timing, Math.max(1, capacity));
+  const plan = generatePlan(project, graph, waves, cpm, {
+    maxParallel: options.maxParallel,
+    capacity: Math.max(1, capacity),
+    busyWorktrees,
+    warnings,
+  });
+
+  if (options.format !== "markdown") {
+    for (const warning of warnings) console.error(`Warning: ${warning}`);
+  }
 
-  if (options.json) {
+  if (options.format === "json") {
     console.log(JSON.stringify(plan, null, 2));
+  } else if (options.format === "mermaid") {
+    console.log(formatPlanAsMermaid(plan));
   } else {
     console.log(formatPlanAsMarkdown(plan));
     if (!options.dryRun) {
       console.log("\n---\n");
-      console.log(formatExecutionCommands(plan, options.baseUrl));
+      console.log(formatExecutionCommands(plan, store));
     }
   }
 }
@@ -13,18 +13,22 @@
  *   done <id>        标记任务完成
  *   start <id>       开始任务 (in_progress)
  *   move <id>        移动任务 (改状态/优先级/worktree)
+ *   link <id> --blocks <id>    添加依赖 (后者等待前者完成)
+ *   unlink <id> --blocks <id>  移除依赖
  *   delete <id>      删除任务
  *   show <id>        显示任务详情
  *   projects         列出所有项目
  *   worktree <id>    为任务创建 worktree
  *   import <file>    从 JSON 文件批量导入任务
  *   export           导出 AI 友好的任务上下文
+ *   sync             本地看板与 CodeKanban 服务双向同步
  *
  * Options (add/edit):
  *   --priority=<n>       优先级 (0=P0紧急, 1=P1高, 2=P2中, 3=P3低)
  *   --description=<text> 任务描述 (支持 \n 换行)
  *   --tags=<t1,t2>       标签 (逗号分隔)
  *   --due=<date>         截止日期 (ISO 8601, 如 2025-01-20)
+ *   --estimate=<n>       估时 (任意单位，kanban-planner 关键路径使用)
  *
  * Options (move):
  *   --status=<s>         状态 (todo/in_progress/done/blocked)
@@ -36,82 +40,36 @@
  *   --status=<s>     过滤状态
  *   --priority=<n>   过滤优先级
  *
+ * Options (sync):
+ *   --push               只推送本地改动到服务
+ *   --pull               只拉取服务上的改动
+ *   --prefer=<side>      两侧都改过的任务保留哪一侧 (local/remote)
+ *
  * Global Options:
  *   --project=<id>   指定项目 ID
  *   --json           JSON 输出
  *   --verbose, -v    显示完整详情
  *   --base-url=<url> API 基础 URL
+ *   --backend=<b>    存储后端 local/http (默认 KANBAN_BACKEND；未设置时
+ *                    使用 http，服务不可达则回退到 .kanban/board.json)
  */
 
-const BASE_URL = process.env.KANBAN_URL || "http://127.0.0.1:3007";
-const API = `${BASE_URL}/api/v1`;
-
-// ============================================================
-// HTTP 客户端
-// ============================================================
-
-async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-  return response.json();
-}
-
-async function postJson(url, data) {
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(data),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HTTP ${response.status}: ${text}`);
-  }
-  return response.json();
-}
-
-async function putJson(url, data) {
-  const response = await fetch(url, {
-    method: "PUT",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(data),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`HTTP ${response.status}: ${text}`);
-  }
-  return response.json();
-}
+import path from "path";
+import { openStore, openLocalStore, createHttpStore, syncBoards, wouldCycle } from "./kanban-store.js";
 
-async function deleteRequest(url) {
-  const response = await fetch(url, { method: "DELETE" });
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-  return response.json();
-}
+// 由 main() 按 KANBAN_BACKEND / --backend 打开 (见 kanban-store.js)
+let store;
 
 // ============================================================
 // 项目操作
 // ============================================================
 
 async function detectProject() {
-  const cwd = process.cwd();
-  const data = await fetchJson(`${API}/projects`);
-
-  for (const project of data.items || []) {
-    if (project.path === cwd || cwd.startsWith(project.path + "/")) {
-      return project;
-    }
-  }
-
-  return null;
+  return store.detectProject(process.cwd());
 }
 
 async function listProjects() {
-  const data = await fetchJson(`${API}/projects`);
-  return data.items || [];
+  return store.listProjects();
 }
 
 // ============================================================
@@ -119,8 +77,7 @@ async function listProjects() {
 // ============================================================
 
 async function listTasks(projectId, options = {}) {
-  const data = await fetchJson(`${API}/projects/${projectId}/tasks`);
-  let tasks = data.items || [];
+  let tasks = await store.listTasks(projectId);
 
   if (options.status) {
     tasks = tasks.filter((t) => t.status === options.status);
@@ -134,27 +91,27 @@ async function listTasks(projectId, options = {}) {
 }
 
 async function createTask(projectId, title, options = {}) {
-  return postJson(`${API}/projects/${projectId}/tasks/create`, {
+  return store.createTask(projectId, {
     title,
-    description: options.description || "",
-    status: "todo",
-    priority: options.priority ?? 2,
-    tags: options.tags || [],
-    dueDate: options.dueDate || null,
-    worktreeId: options.worktreeId || null,
+    description: options.description,
+    priority: options.priority,
+    tags: options.tags,
+    dueDate: options.dueDate,
+    estimate: options.estimate,
+    worktreeId: options.worktreeId,
   });
 }
 
 async function updateTask(taskId, updates) {
-  return postJson(`${API}/tasks/${taskId}/update`, updates);
+  return store.updateTask(taskId, updates);
 }
 
 async function moveTask(taskId, moveData) {
-  return postJson(`${API}/tasks/${taskId}/move`, moveData);
+  return store.moveTask(taskId, moveData);
 }
 
 async function deleteTask(taskId) {
-  return postJson(`${API}/tasks/${taskId}/delete`, {});
+  return store.deleteTask(taskId);
 }
 
 async function resolveTaskId(shortId, projectId) {
@@ -162,8 +119,7 @@ async function resolveTaskId(shortId, projectId) {
   if (shortId.length >= 16) return shortId;
 
   // 否则从项目任务列表中前缀匹配
-  const data = await fetchJson(`${API}/projects/${projectId}/tasks`);
-  const tasks = data.items || [];
+  const tasks = await store.listTasks(projectId);
   const matches = tasks.filter(t => t.id.startsWith(shortId));
 
   if (matches.length === 0) {
@@ -176,8 +132,7 @@ async function resolveTaskId(shortId, projectId) {
 }
 
 async function getTask(taskId) {
-  const data = await fetchJson(`${API}/tasks/${taskId}`);
-  return data.item || data;
+  return store.getTask(taskId);
 }
 
 // ============================================================
@@ -185,15 +140,11 @@ async function getTask(taskId) {
 // ============================================================
 
 async function createWorktree(projectId, branchName) {
-  return postJson(`${API}/projects/${projectId}/worktrees/create`, {
-    branchName,
-  });
+  return store.createWorktree(projectId, branchName);
 }
 
 async function bindWorktree(taskId, worktreeId) {
-  return putJson(`${API}/tasks/${taskId}/bind-worktree`, {
-    worktreeId,
-  });
+  return store.bindWorktree(taskId, worktreeId);
 }
 
 // ============================================================
@@ -220,6 +171,9 @@ function formatTask(task, verbose = false) {
     if (task.tags?.length > 0) {
       parts.push(`   Tags: ${task.tags.join(', ')}`);
     }
+    if (task.blockedBy?.length > 0) {
+      parts.push(`   Blocked by: ${task.blockedBy.map((id) => id.slice(0, 8)).join(', ')}`);
+    }
     return parts.join('\n');
   }
 
@@ -235,6 +189,9 @@ function formatProjectStatus(project, tasks) {
   lines.push(`\n📁 ${project.name}`);
   lines.push(`   Path: ${project.path}`);
   lines.push(`   Branch: ${project.defaultBranch}`);
+  if (store.backend === "local") {
+    lines.push(`   Board: ${path.relative(process.cwd(), store.location) || store.location} (local)`);
+  }
   lines.push(`\n📊 Tasks: ${todo} todo, ${inProgress} in progress, ${done} done`);
 
   if (inProgress > 0) {
@@ -406,9 +363,10 @@ async function cmdEdit(shortId, options) {
   if (options.priority !== undefined) updates.priority = options.priority;
   if (options.tags !== undefined) updates.tags = options.tags;
   if (options.dueDate !== undefined) updates.dueDate = options.dueDate || null;
+  if (options.estimate !== undefined) updates.estimate = options.estimate;
 
   if (Object.keys(updates).length === 0) {
-    console.error("Usage: kanban edit <id> [new title] --description=<text> --priority=<n> --tags=<t1,t2> --due=<date>");
+    console.error("Usage: kanban edit <id> [new title] --description=<text> --priority=<n> --tags=<t1,t2> --due=<date> --estimate=<n>");
     process.exit(1);
   }
 
@@ -450,9 +408,59 @@ async function cmdShow(shortId, options) {
     if (task.tags?.length > 0) {
       console.log(`\nTags: ${task.tags.join(", ")}`);
     }
+    if (task.estimate !== null && task.estimate !== undefined) {
+      console.log(`Estimate: ${task.estimate}`);
+    }
+    if (task.blockedBy?.length > 0) {
+      const tasks = await store.listTasks(project.id);
+      console.log(`\nBlocked by:`);
+      for (const id of task.blockedBy) {
+        const blocker = tasks.find((t) => t.id === id);
+        console.log(`  ${blocker ? formatTask(blocker) : `? (${id}, not found)`}`);
+      }
+    }
   }
 }
 
+async function cmdLink(shortId, options, unlink = false) {
+  const project = await detectProject();
+  if (!project) {
+    console.error("No project found for current directory");
+    process.exit(1);
+  }
+  const tasks = await store.listTasks(project.id);
+  const blockerId = await resolveTaskId(shortId, project.id);
+  const blockedId = await resolveTaskId(options.blocks, project.id);
+  const blocked = tasks.find((t) => t.id === blockedId);
+  if (!tasks.some((t) => t.id === blockerId) || !blocked) {
+    throw new Error("Both tasks must belong to the current project");
+  }
+  const blockedBy = blocked.blockedBy || [];
+
+  if (unlink) {
+    if (!blockedBy.includes(blockerId)) {
+      console.log(`${blockedId.slice(0, 8)} is not blocked by ${blockerId.slice(0, 8)}`);
+      return;
+    }
+    await updateTask(blockedId, { blockedBy: blockedBy.filter((id) => id !== blockerId) });
+    console.log(`Unlinked: ${blockerId.slice(0, 8)} no longer blocks ${blockedId.slice(0, 8)}`);
+    return;
+  }
+
+  if (blockerId === blockedId) {
+    throw new Error("A task cannot block itself");
+  }
+  if (blockedBy.includes(blockerId)) {
+    console.log(`Already linked: ${blockerId.slice(0, 8)} blocks ${blockedId.slice(0, 8)}`);
+    return;
+  }
+  if (wouldCycle(tasks, blockerId, blockedId)) {
+    throw new Error(`Link would create a cycle: ${blockedId.slice(0, 8)} already (transitively) blocks ${blockerId.slice(0, 8)}`);
+  }
+  await updateTask(blockedId, { blockedBy: [...blockedBy, blockerId] });
+  console.log(`Linked: ${blockerId.slice(0, 8)} blocks ${blockedId.slice(0, 8)} (${blocked.title})`);
+}
+
 async function cmdProjects(options) {
   const projects = await listProjects();
 
@@ -509,6 +517,7 @@ async function cmdImport(filePath) {
       priority: task.priority ?? 2,
       description: task.description || "",
       tags: task.tags || [],
+      estimate: task.estimate,
     });
     console.log(`  Created: ${task.title}`);
   }
@@ -671,6 +680,41 @@ async function cmdBatchUpdate(filePath) {
   console.log(`\nDone! Updated: ${updated}, Skipped: ${skipped}`);
 }
 
+async function cmdSync(options) {
+  const local = openLocalStore();
+  const remote = createHttpStore(options.baseUrl);
+  if (!(await remote.reachable())) {
+    console.error(`CodeKanban not reachable at ${remote.location}`);
+    process.exit(1);
+  }
+
+  // 默认双向；--push / --pull 只做一个方向
+  const push = options.push || !options.pull;
+  const pull = options.pull || !options.push;
+  const stats = await syncBoards(local, remote, {
+    projectId: options.projectId,
+    push,
+    pull,
+    prefer: options.prefer,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(stats, null, 2));
+    return;
+  }
+
+  const count = (s) => `${s.created} created, ${s.updated} updated, ${s.deleted} deleted${s.links ? `, ${s.links} dependency lists` : ""}`;
+  console.log(`Synced ${stats.project.name}: ${path.relative(process.cwd(), local.location)} <-> ${remote.location}`);
+  if (push) console.log(`  Pushed: ${count(stats.pushed)}`);
+  if (pull) console.log(`  Pulled: ${count(stats.pulled)}`);
+  if (stats.conflicts.length > 0) {
+    console.log(`  Conflicts (changed on both sides): ${stats.conflicts.length}`);
+    for (const c of stats.conflicts) {
+      console.log(`    ${c.id.slice(0, 8)} ${c.title}${c.field ? ` (${c.field})` : ""} → kept ${c.kept}`);
+    }
+  }
+}
+
 // ============================================================
 // Main
 // ============================================================
@@ -684,6 +728,9 @@ function parseArgs(args) {
     description: undefined,
     tags: undefined,
     dueDate: undefined,
+    estimate: undefined,
+    // link options
+    blocks: undefined,
     // move options
     status: undefined,
     worktreeId: undefined,
@@ -693,6 +740,12 @@ function parseArgs(args) {
     json: false,
     verbose: false,
     format: "context",
+    backend: undefined,
+    baseUrl: undefined,
+    // sync options
+    push: false,
+    pull: false,
+    prefer: undefined,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -709,6 +762,12 @@ function parseArgs(args) {
       options.tags = arg.slice(7).split(",").map(t => t.trim()).filter(Boolean);
     } else if (arg.startsWith("--due=")) {
       options.dueDate = arg.slice(6);
+    } else if (arg.startsWith("--estimate=")) {
+      options.estimate = arg.slice(11) === "" ? null : Number(arg.slice(11));
+    } else if (arg.startsWith("--blocks=")) {
+      options.blocks = arg.slice(9);
+    } else if (arg === "--blocks" && i + 1 < args.length) {
+      options.blocks = args[++i];
     } else if (arg.startsWith("--worktree=")) {
       options.worktreeId = arg.slice(11);
     } else if (arg.startsWith("--order=")) {
@@ -717,6 +776,16 @@ function parseArgs(args) {
       options.projectId = arg.slice(10);
     } else if (arg.startsWith("--format=")) {
       options.format = arg.slice(9);
+    } else if (arg.startsWith("--backend=")) {
+      options.backend = arg.slice(10);
+    } else if (arg.startsWith("--base-url=")) {
+      options.baseUrl = arg.slice(11);
+    } else if (arg === "--push") {
+      options.push = true;
+    } else if (arg === "--pull") {
+      options.pull = true;
+    } else if (arg.startsWith("--prefer=")) {
+      options.prefer = arg.slice(9);
     } else if (arg === "--json") {
       options.json = true;
       options.format = "json";
@@ -738,6 +807,17 @@ async function main() {
   const options = parseArgs(process.argv.slice(2));
 
   try {
+    if (options.command === "sync") {
+      if (options.prefer && !["local", "remote"].includes(options.prefer)) {
+        console.error("Usage: kanban sync [--push|--pull] [--prefer=local|remote]");
+        process.exit(1);
+      }
+      await cmdSync(options);
+      return;
+    }
+
+    store = await openStore({ backend: options.backend, baseUrl: options.baseUrl });
+
     switch (options.command) {
       case null:
       case "status":
@@ -791,6 +871,15 @@ async function main() {
         await cmdEdit(options.args[0], { ...options, args: options.args.slice(1) });
         break;
 
+      case "link":
+      case "unlink":
+        if (options.args.length === 0 || !options.blocks) {
+          console.error(`Usage: kanban ${options.command} <task-id> --blocks <task-id>`);
+          process.exit(1);
+        }
+        await cmdLink(options.args[0], options, options.command === "unlink");
+        break;
+
       case "delete":
       case "rm":
         if (options.args.length === 0) {
@@ -845,7 +934,7 @@ async function main() {
 
       default:
         console.error(`Unknown command: ${options.command}`);
-        console.error("\nCommands: list, add, done, start, delete, show, projects, worktree, import, update, export");
+        console.error("\nCommands: list, add, done, start, move, edit, link, unlink, delete, show, projects, worktree, import, update, export, sync");
         process.exit(1);
     }
   } catch (err) {
@@ -0,0 +1,708 @@
+/**
+ * Kanban 存储抽象 - CodeKanban HTTP 服务 / 仓库内本地看板文件
+ *
+ * 两个后端实现同一组操作 (项目、任务、状态移动、优先级、标签、依赖、估时、
+ * Worktree 绑定):
+ *   http   CodeKanban API (KANBAN_URL, 默认 http://127.0.0.1:3007)
+ *   local  <仓库根>/.kanban/board.json (KANBAN_FILE 可覆盖)，可随仓库提交
+ *
+ * KANBAN_BACKEND=local|http 指定后端；未设置时使用 http，服务不可达则
+ * 回退到本地看板并在 stderr 提示，任务不会因服务未启动而丢失。
+ * `kanban sync` (syncBoards) 在两者之间推送/拉取。
+ *
+ * pi-cli/lib/kanban/store.js (pi module analyze、pi audit sync-kanban) 直接使用本模块。
+ */
+
+import { execFileSync } from "child_process";
+import { createHash, randomBytes } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+export const DEFAULT_BASE_URL = "http://127.0.0.1:3007";
+export const BOARD_VERSION = 1;
+export const STATUSES = ["todo", "in_progress", "done", "blocked"];
+
+// 同步比较的字段 (Worktree ID 各后端独立，不同步；依赖单独换算 ID 后同步)
+const SYNC_FIELDS = ["title", "description", "status", "priority", "tags", "dueDate", "estimate"];
+const TASK_FIELDS = [...SYNC_FIELDS, "blockedBy"];
+
+// CodeKanban 没有依赖和估时字段，HTTP 后端把它们存为描述末尾的注释行
+const META_PATTERN = /\n*<!-- kanban-meta: (\{.*\}) -->\s*$/;
+
+const PROBE_TIMEOUT_MS = 1500;
+const ID_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+// ============================================================
+// 后端选择
+// ============================================================
+
+/**
+ * KANBAN_URL 兼容带或不带 /api/v1 后缀两种写法
+ */
+export function apiUrl(baseUrl = process.env.KANBAN_URL || DEFAULT_BASE_URL) {
+  return `${baseUrl.replace(/\/+$/, "").replace(/\/api\/v1$/, "")}/api/v1`;
+}
+
+/**
+ * 打开看板存储
+ * @param {{backend?: string, baseUrl?: string, cwd?: string, quiet?: boolean}} options
+ */
+export async function openStore(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const backend = options.backend || process.env.KANBAN_BACKEND || "";
+
+  if (backend === "local") return openLocalStore(cwd);
+  if (backend === "http") return createHttpStore(options.baseUrl);
+  if (backend) {
+    throw new Error(`Unknown KANBAN_BACKEND: ${backend} (expected local or http)`);
+  }
+
+  const http = createHttpStore(options.baseUrl);
+  if (await http.reachable()) return http;
+
+  const local = openLocalStore(cwd);
+  if (!options.quiet) {
+    console.error(`Kanban: ${http.location} not reachable, using local board ${path.relative(cwd, local.location) || local.location}`);
+    console.error("  Run `kanban sync --push` once the service is back.");
+  }
+  return local;
+}
+
+/**
+ * 当前仓库的本地看板
+ */
+export function openLocalStore(cwd = process.cwd()) {
+  return createLocalStore(boardFile(cwd), gitRoot(cwd) || cwd);
+}
+
+/**
+ * 本地看板文件: KANBAN_FILE，否则 <git 根目录或 cwd>/.kanban/board.json
+ */
+export function boardFile(cwd = process.cwd()) {
+  if (process.env.KANBAN_FILE) return path.resolve(cwd, process.env.KANBAN_FILE);
+  return path.join(gitRoot(cwd) || cwd, ".kanban", "board.json");
+}
+
+function gitRoot(cwd) {
+  try {
+    return execFileSync("git", ["rev-parse", "--show-toplevel"], {
+      cwd,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+function matchProject(projects, cwd) {
+  for (const project of projects) {
+    if (project.path === cwd || cwd.startsWith(project.path + "/") || cwd.startsWith(project.path + path.sep)) {
+      return project;
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// 任务字段
+// ============================================================
+
+/**
+ * 拆出描述末尾的 kanban-meta 注释 → { description, blockedBy, estimate }
+ */
+export function splitMeta(text) {
+  const match = (text || "").match(META_PATTERN);
+  let meta = {};
+  if (match) {
+    try {
+      meta = JSON.parse(match[1]);
+    } catch {
+      // 注释损坏时当作普通描述
+    }
+  }
+  return {
+    description: match ? text.slice(0, match.index) : text || "",
+    blockedBy: Array.isArray(meta.blockedBy) ? meta.blockedBy : [],
+    estimate: typeof meta.estimate === "number" ? meta.estimate : null,
+  };
+}
+
+export function joinMeta(description, { blockedBy, estimate }) {
+  const meta = {};
+  if (blockedBy?.length > 0) meta.blockedBy = blockedBy;
+  if (estimate !== null && estimate !== undefined) meta.estimate = estimate;
+  if (Object.keys(meta).length === 0) return description || "";
+  return `${description || ""}\n\n<!-- kanban-meta: ${JSON.stringify(meta)} -->`;
+}
+
+function fromRemote(task) {
+  return task && { ...task, ...splitMeta(task.description) };
+}
+
+/**
+ * 加上 blocker → blocked 这条边后是否成环 (blocked 已经直接或间接阻塞 blocker)
+ */
+export function wouldCycle(tasks, blockerId, blockedId) {
+  const blockedBy = new Map(tasks.map((t) => [t.id, t.blockedBy || []]));
+  const stack = [blockerId];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === blockedId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(blockedBy.get(id) || []));
+  }
+  return false;
+}
+
+// ============================================================
+// HTTP 后端
+// ============================================================
+
+async function request(url, method = "GET", data) {
+  const init = { method };
+  if (data !== undefined) {
+    init.headers = { "Content-Type": "application/json" };
+    init.body = JSON.stringify(data);
+  }
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    throw new Error(`HTTP ${response.status}: ${text || response.statusText}`);
+  }
+  return response.json();
+}
+
+const unwrap = (data) => data?.item || data;
+
+export function createHttpStore(baseUrl) {
+  const API = apiUrl(baseUrl);
+
+  return {
+    backend: "http",
+    location: API.replace(/\/api\/v1$/, ""),
+
+    async reachable() {
+      try {
+        await fetch(`${API}/projects`, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async listProjects() {
+      const data = await request(`${API}/projects`);
+      return data.items || [];
+    },
+
+    async getProject(projectId) {
+      return unwrap(await request(`${API}/projects/${projectId}`));
+    },
+
+    async detectProject(cwd = process.cwd()) {
+      return matchProject(await this.listProjects(), cwd);
+    },
+
+    async listTasks(projectId) {
+      const data = await request(`${API}/projects/${projectId}/tasks`);
+      return (data.items || []).map(fromRemote);
+    },
+
+    async getTask(taskId) {
+      return fromRemote(unwrap(await request(`${API}/tasks/${taskId}`)));
+    },
+
+    async createTask(projectId, task) {
+      return fromRemote(unwrap(await request(`${API}/projects/${projectId}/tasks/create`, "POST", {
+        title: task.title,
+        description: joinMeta(task.description, task),
+        status: "todo",
+        priority: task.priority ?? 2,
+        tags: task.tags || [],
+        dueDate: task.dueDate || null,
+        worktreeId: task.worktreeId || null,
+      })));
+    },
+
+    async updateTask(taskId, updates) {
+      const { blockedBy, estimate, ...fields } = updates;
+      if (fields.description !== undefined || blockedBy !== undefined || estimate !== undefined) {
+        const current = await this.getTask(taskId);
+        fields.description = joinMeta(fields.description ?? current.description, {
+          blockedBy: blockedBy ?? current.blockedBy,
+          estimate: estimate !== undefined ? estimate : current.estimate,
+        });
+      }
+      return fromRemote(unwrap(await request(`${API}/tasks/${taskId}/update`, "POST", fields)));
+    },
+
+    async moveTask(taskId, moveData) {
+      return fromRemote(unwrap(await request(`${API}/tasks/${taskId}/move`, "POST", moveData)));
+    },
+
+    async deleteTask(taskId) {
+      await request(`${API}/tasks/${taskId}/delete`, "POST", {});
+    },
+
+    async createWorktree(projectId, branchName) {
+      return unwrap(await request(`${API}/projects/${projectId}/worktrees/create`, "POST", { branchName }));
+    },
+
+    async bindWorktree(taskId, worktreeId) {
+      return fromRemote(unwrap(await request(`${API}/tasks/${taskId}/bind-worktree`, "PUT", { worktreeId })));
+    },
+  };
+}
+
+// ============================================================
+// 本地后端
+// ============================================================
+
+export function newId(length = 16, bytes = randomBytes(length)) {
+  let id = "";
+  for (const b of bytes) id += ID_ALPHABET[b % ID_ALPHABET.length];
+  return id;
+}
+
+function currentBranch(cwd) {
+  try {
+    return execFileSync("git", ["symbolic-ref", "--short", "HEAD"], {
+      cwd,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return "main";
+  }
+}
+
+function checkPriority(priority) {
+  if (!Number.isInteger(priority) || priority < 0 || priority > 3) {
+    throw new Error(`Invalid priority: ${priority} (expected 0-3)`);
+  }
+}
+
+function checkEstimate(estimate) {
+  if (estimate !== null && !(typeof estimate === "number" && estimate >= 0)) {
+    throw new Error(`Invalid estimate: ${estimate} (expected a number >= 0)`);
+  }
+}
+
+function checkStatus(status) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status} (expected ${STATUSES.join("/")})`);
+  }
+}
+
+/**
+ * 看板文件格式:
+ *   { version, projects: [{id, name, path, defaultBranch, remoteId?}],
+ *     tasks: [{id, projectId, title, description, status, priority, tags, dueDate,
+ *              blockedBy, estimate, worktreeId, orderIndex, createdAt, updatedAt,
+ *              remoteId?, syncHash?, syncDeps?}],
+ *     worktrees: [{id, projectId, branchName, path}],
+ *     deleted: [{remoteId, projectId, deletedAt}] }
+ * 项目 path 相对看板所在仓库保存，换机器 clone 后仍然匹配。
+ */
+export function createLocalStore(file, root = path.dirname(path.dirname(file))) {
+  // 同一进程内的写操作排队，避免并发的读-改-写互相覆盖
+  let queue = Promise.resolve();
+
+  async function load() {
+    let board;
+    try {
+      board = JSON.parse(await fs.readFile(file, "utf-8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw new Error(`Cannot read ${file}: ${err.message}`);
+      board = {};
+    }
+    board.version = board.version || BOARD_VERSION;
+    board.projects = (board.projects || []).map((p) => ({ ...p, path: path.resolve(root, p.path || ".") }));
+    board.tasks = board.tasks || [];
+    board.worktrees = board.worktrees || [];
+    board.deleted = board.deleted || [];
+    if (board.projects.length === 0) {
+      // 仓库本身即默认项目，首次写入时落盘 (ID 由目录名派生，落盘前各次读取一致)
+      const seed = createHash("sha256").update(`kanban-project:${path.basename(root)}`).digest();
+      board.projects.push({ id: newId(16, seed.subarray(0, 16)), name: path.basename(root), path: root, defaultBranch: currentBranch(root) });
+    }
+    return board;
+  }
+
+  async function save(board) {
+    const data = {
+      ...board,
+      projects: board.projects.map((p) => ({ ...p, path: path.relative(root, p.path).split(path.sep).join("/") || "." })),
+    };
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2) + "\n");
+    await fs.rename(tmp, file);
+  }
+
+  function mutate(fn) {
+    const run = queue.then(async () => {
+      const board = await load();
+      const result = await fn(board);
+      await save(board);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function findTask(board, taskId) {
+    const task = board.tasks.find((t) => t.id === taskId);
+    if (!task) throw new Error(`Task not found: ${taskId}`);
+    return task;
+  }
+
+  function findProject(board, projectId) {
+    const project = board.projects.find((p) => p.id === projectId);
+    if (!project) throw new Error(`Project not found: ${projectId}`);
+    return project;
+  }
+
+  return {
+    backend: "local",
+    location: file,
+    load,
+    save,
+    mutate,
+
+    async reachable() {
+      return true;
+    },
+
+    async listProjects() {
+      return (await load()).projects;
+    },
+
+    async getProject(projectId) {
+      return findProject(await load(), projectId);
+    },
+
+    async detectProject(cwd = process.cwd()) {
+      return matchProject((await load()).projects, cwd);
+    },
+
+    async listTasks(projectId) {
+      return (await load()).tasks.filter((t) => t.projectId === projectId);
+    },
+
+    async getTask(taskId) {
+      return findTask(await load(), taskId);
+    },
+
+    createTask(projectId, task) {
+      return mutate((board) => {
+        findProject(board, projectId);
+        const priority = task.priority ?? 2;
+        checkPriority(priority);
+        checkEstimate(task.estimate ?? null);
+        const now = new Date().toISOString();
+        const orderIndex = board.tasks.filter((t) => t.projectId === projectId && t.status === "todo").length;
+        const created = {
+          id: newId(),
+          projectId,
+          title: task.title,
+          description: task.description || "",
+          status: "todo",
+          priority,
+          tags: task.tags || [],
+          dueDate: task.dueDate || null,
+          blockedBy: task.blockedBy || [],
+          estimate: task.estimate ?? null,
+          worktreeId: task.worktreeId || null,
+          orderIndex,
+          createdAt: now,
+          updatedAt: now,
+        };
+        board.tasks.push(created);
+        return created;
+      });
+    },
+
+    updateTask(taskId, updates) {
+      return mutate((board) => {
+        const task = findTask(board, taskId);
+        if (updates.priority !== undefined) checkPriority(updates.priority);
+        if (updates.status !== undefined) checkStatus(updates.status);
+        if (updates.estimate !== undefined) checkEstimate(updates.estimate);
+        for (const key of TASK_FIELDS) {
+          if (updates[key] !== undefined) task[key] = updates[key];
+        }
+        task.updatedAt = new Date().toISOString();
+        return task;
+      });
+    },
+
+    moveTask(taskId, moveData) {
+      return mutate((board) => {
+        const task = findTask(board, taskId);
+        if (moveData.status !== undefined) {
+          checkStatus(moveData.status);
+          task.status = moveData.status;
+        }
+        if (moveData.orderIndex !== undefined) task.orderIndex = moveData.orderIndex;
+        if (moveData.worktreeId !== undefined) task.worktreeId = moveData.worktreeId || null;
+        task.updatedAt = new Date().toISOString();
+        return task;
+      });
+    },
+
+    deleteTask(taskId) {
+      return mutate((board) => {
+        const task = findTask(board, taskId);
+        board.tasks = board.tasks.filter((t) => t !== task);
+        for (const t of board.tasks) {
+          if (t.blockedBy?.includes(taskId)) t.blockedBy = t.blockedBy.filter((id) => id !== taskId);
+        }
+        // 已同步过的任务留下墓碑，sync --push 时删除远端
+        if (task.remoteId) {
+          board.deleted.push({ remoteId: task.remoteId, projectId: task.projectId, deletedAt: new Date().toISOString() });
+        }
+      });
+    },
+
+    createWorktree(projectId, branchName) {
+      return mutate((board) => {
+        const project = findProject(board, projectId);
+        const worktreePath = path.join(
+          path.dirname(project.path),
+          `${path.basename(project.path)}-worktrees`,
+          branchName.replace(/[\\/]/g, "-")
+        );
+        execFileSync("git", ["worktree", "add", "-b", branchName, worktreePath], {
+          cwd: project.path,
+          stdio: ["ignore", "ignore", "pipe"],
+        });
+        const worktree = { id: newId(), projectId, branchName, path: worktreePath };
+        board.worktrees.push(worktree);
+        return worktree;
+      });
+    },
+
+    bindWorktree(taskId, worktreeId) {
+      return mutate((board) => {
+        const task = findTask(board, taskId);
+        if (worktreeId && !board.worktrees.some((w) => w.id === worktreeId)) {
+          throw new Error(`Worktree not found: ${worktreeId}`);
+        }
+        task.worktreeId = worktreeId || null;
+        task.updatedAt = new Date().toISOString();
+        return task;
+      });
+    },
+  };
+}
+
+// ============================================================
+// 同步
+// ============================================================
+
+function syncHash(task) {
+  const fields = {};
+  for (const key of SYNC_FIELDS) {
+    fields[key] = key === "tags" ? [...(task.tags || [])].sort() : task[key] ?? null;
+  }
+  if (!fields.description) fields.description = "";
+  return JSON.stringify(fields);
+}
+
+function pickFields(task) {
+  const fields = {};
+  for (const key of SYNC_FIELDS) fields[key] = key === "tags" ? task.tags || [] : task[key] ?? null;
+  fields.description = fields.description || "";
+  return fields;
+}
+
+async function pushTask(remote, remoteId, task, remoteTask) {
+  const { status, ...updates } = pickFields(task);
+  await remote.updateTask(remoteId, updates);
+  if (!remoteTask || remoteTask.status !== status) {
+    await remote.moveTask(remoteId, { status });
+  }
+}
+
+/**
+ * 依赖同步: 本地 blockedBy 存本地 ID，远端存远端 ID，经 remoteId 换算后三方比较
+ * (syncDeps 为上次同步时的远端 ID 列表)
+ */
+async function syncDependencies(board, project, remote, remoteTasks, { push, pull, prefer, stats }) {
+  const synced = board.tasks.filter((t) => t.projectId === project.id && t.remoteId);
+  const toRemote = new Map(synced.map((t) => [t.id, t.remoteId]));
+  const toLocal = new Map(synced.map((t) => [t.remoteId, t.id]));
+  const remoteDeps = new Map(remoteTasks.map((t) => [t.id, t.blockedBy || []]));
+  const key = (ids) => JSON.stringify([...new Set(ids)].sort());
+
+  for (const task of synced) {
+    const localKey = key((task.blockedBy || []).map((id) => toRemote.get(id)).filter(Boolean));
+    const remoteKey = key((remoteDeps.get(task.remoteId) || []).filter((id) => toLocal.has(id)));
+    if (localKey === remoteKey) {
+      task.syncDeps = localKey;
+      continue;
+    }
+
+    const base = task.syncDeps ?? key([]);
+    let direction = localKey !== base && remoteKey === base ? "push" : localKey === base && remoteKey !== base ? "pull" : null;
+    if (!direction) {
+      direction = prefer === "local" ? "push" : "pull";
+      if ((direction === "push" && !push) || (direction === "pull" && !pull)) continue;
+      stats.conflicts.push({ id: task.id, title: task.title, field: "blockedBy", kept: prefer });
+    }
+
+    if (direction === "push" && push) {
+      await remote.updateTask(task.remoteId, { blockedBy: JSON.parse(localKey) });
+      task.syncDeps = localKey;
+      stats.pushed.links++;
+    } else if (direction === "pull" && pull) {
+      // 指向尚未推送的本地任务的依赖保留
+      const unsynced = (task.blockedBy || []).filter((id) => !toRemote.has(id));
+      task.blockedBy = [...JSON.parse(remoteKey).map((id) => toLocal.get(id)), ...unsynced];
+      task.syncDeps = remoteKey;
+      stats.pulled.links++;
+    }
+  }
+}
+
+/**
+ * 本地看板与 HTTP 看板之间双向同步当前项目
+ *
+ * 每个本地任务记录远端 ID (remoteId) 和上次同步时的字段快照 (syncHash)。
+ * 只有一侧变化的任务按变化方向复制；两侧都改过的任务是冲突，按 prefer
+ * 取舍 (默认: --push 保留本地，--pull 与双向保留远端)。本地删除的已同步
+ * 任务在 push 时删除远端；远端删除且本地未改的任务在 pull 时删除本地。
+ * 依赖 (blockedBy) 在任务对应好之后换算成对方的 ID，按同样规则同步。
+ *
+ * @param {ReturnType<typeof createLocalStore>} local
+ * @param {ReturnType<typeof createHttpStore>} remote
+ * @param {{cwd?: string, projectId?: string, push?: boolean, pull?: boolean, prefer?: "local"|"remote"}} options
+ */
+export async function syncBoards(local, remote, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const push = options.push !== false;
+  const pull = options.pull !== false;
+  const prefer = options.prefer || (push && !pull ? "local" : "remote");
+
+  const remoteProject = options.projectId
+    ? await remote.getProject(options.projectId)
+    : await remote.detectProject(cwd);
+  if (!remoteProject) {
+    throw new Error(`No CodeKanban project for ${cwd} (create one in CodeKanban or pass --project=<id>)`);
+  }
+  const remoteTasks = await remote.listTasks(remoteProject.id);
+
+  const board = await local.load();
+  let project = board.projects.find((p) => p.remoteId === remoteProject.id) || matchProject(board.projects, cwd);
+  if (!project) {
+    project = { id: newId(), name: remoteProject.name, path: cwd, defaultBranch: remoteProject.defaultBranch };
+    board.projects.push(project);
+  }
+  project.remoteId = remoteProject.id;
+
+  const stats = {
+    project: { local: project.id, remote: remoteProject.id, name: remoteProject.name },
+    pushed: { created: 0, updated: 0, deleted: 0, links: 0 },
+    pulled: { created: 0, updated: 0, deleted: 0, links: 0 },
+    conflicts: [],
+  };
+
+  const byRemoteId = new Map(board.tasks.filter((t) => t.projectId === project.id && t.remoteId).map((t) => [t.remoteId, t]));
+  const tombstones = new Set(board.deleted.filter((d) => d.projectId === project.id).map((d) => d.remoteId));
+  const now = () => new Date().toISOString();
+
+  for (const remoteTask of remoteTasks) {
+    const task = byRemoteId.get(remoteTask.id);
+    byRemoteId.delete(remoteTask.id);
+
+    if (!task) {
+      if (tombstones.has(remoteTask.id)) {
+        if (push) {
+          await remote.deleteTask(remoteTask.id);
+          stats.pushed.deleted++;
+          board.deleted = board.deleted.filter((d) => d.remoteId !== remoteTask.id);
+        }
+      } else if (pull) {
+        const id = board.tasks.some((t) => t.id === remoteTask.id) ? newId() : remoteTask.id;
+        board.tasks.push({
+          id,
+          projectId: project.id,
+          ...pickFields(remoteTask),
+          blockedBy: [],
+          worktreeId: null,
+          orderIndex: remoteTask.orderIndex ?? 0,
+          createdAt: remoteTask.createdAt || now(),
+          updatedAt: now(),
+          remoteId: remoteTask.id,
+          syncHash: syncHash(remoteTask),
+        });
+        stats.pulled.created++;
+      }
+      continue;
+    }
+
+    const localHash = syncHash(task);
+    const remoteHash = syncHash(remoteTask);
+    const localChanged = localHash !== task.syncHash;
+    const remoteChanged = remoteHash !== task.syncHash;
+    if (localHash === remoteHash) {
+      task.syncHash = localHash;
+      continue;
+    }
+
+    let direction = localChanged && !remoteChanged ? "push" : !localChanged && remoteChanged ? "pull" : null;
+    if (!direction) {
+      direction = prefer === "local" ? "push" : "pull";
+      if ((direction === "push" && !push) || (direction === "pull" && !pull)) continue;
+      stats.conflicts.push({ id: task.id, title: task.title, kept: prefer });
+    }
+
+    if (direction === "push" && push) {
+      await pushTask(remote, remoteTask.id, task, remoteTask);
+      task.syncHash = localHash;
+      stats.pushed.updated++;
+    } else if (direction === "pull" && pull) {
+      Object.assign(task, pickFields(remoteTask), { updatedAt: now(), syncHash: remoteHash });
+      stats.pulled.updated++;
+    }
+  }
+
+  // 远端已删除的任务
+  for (const task of byRemoteId.values()) {
+    const localChanged = syncHash(task) !== task.syncHash;
+    if (!localChanged && pull) {
+      board.tasks = board.tasks.filter((t) => t !== task);
+      stats.pulled.deleted++;
+    } else if (localChanged && push) {
+      const created = await remote.createTask(remoteProject.id, { ...task, blockedBy: [] });
+      await pushTask(remote, created.id, task, created);
+      Object.assign(task, { remoteId: created.id, syncHash: syncHash(task) });
+      stats.pushed.created++;
+    }
+  }
+
+  // 从未同步过的本地任务
+  if (push) {
+    for (const task of board.tasks.filter((t) => t.projectId === project.id && !t.remoteId)) {
+      const created = await remote.createTask(remoteProject.id, { ...task, blockedBy: [] });
+      if (task.status !== "todo") await remote.moveTask(created.id, { status: task.status });
+      Object.assign(task, { remoteId: created.id, syncHash: syncHash(task) });
+      stats.pushed.created++;
+    }
+  }
+
+  await syncDependencies(board, project, remote, remoteTasks, { push, pull, prefer, stats });
+
+  // 远端已不存在的任务的墓碑
+  if (push) {
+    const remoteIds = new Set(remoteTasks.map((t) => t.id));
+    board.deleted = board.deleted.filter((d) => d.projectId !== project.id || remoteIds.has(d.remoteId));
+  }
+
+  await local.save(board);
+  return stats;
+}
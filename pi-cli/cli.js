@@ -6,11 +6,16 @@
  * Usage:
  *   pi init                    # Initialize .pi-config.json
  *   pi deps build|impact|propagate|query
- *   pi test map|run|plan|fix|affected|prioritize|generate|analyze|status|result
+ *   pi test map|run|plan|fix|affected|prioritize|generate|analyze|status|result|flaky
  *   pi doc generate|check
- *   pi update [--only deps|test|doc] [--force]
+ *   pi update [--only deps|test|doc] [--force] [--llm]
  *   pi update --bg [--interval 60000]
- *   pi audit scan|fix|status|archive
+ *   pi audit scan|fix|status|archive|rules|baseline|sync-kanban
+ *   pi task list|start|cancel|types|schedule|tick|log
+ *   pi prompt list|show|diff
+ *   pi cache stats|prune       # LLM response cache
+ *   pi fixes list|review|apply|discard   # Fixes made with --isolate=worktree
+ *   pi hook install --git      # pre-commit / pre-push git hooks
  *   pi ui                      # Start dashboard
  */
 
@@ -31,7 +36,7 @@ const COMMANDS = {
   },
   test: {
     desc: 'Test operations',
-    subs: ['map', 'run', 'plan', 'fix', 'affected', 'prioritize', 'generate', 'analyze', 'status', 'result'],
+    subs: ['map', 'run', 'plan', 'fix', 'affected', 'prioritize', 'generate', 'analyze', 'status', 'result', 'flaky'],
     usage: 'pi test <subcommand> [options]'
   },
   doc: {
@@ -41,8 +46,8 @@ const COMMANDS = {
   },
   audit: {
     desc: 'Code audit',
-    subs: ['scan', 'fix', 'status', 'archive'],
-    usage: 'pi audit <scan|fix|status|archive> [options]'
+    subs: ['scan', 'fix', 'status', 'archive', 'rules', 'baseline', 'sync-kanban'],
+    usage: 'pi audit <scan|fix|status|archive|rules|baseline|sync-kanban> [options]'
   },
   module: {
     desc: 'Module analysis',
@@ -50,15 +55,30 @@ const COMMANDS = {
     usage: 'pi module analyze [options]'
   },
   hook: {
-    desc: 'Claude Code hooks',
-    subs: ['init', 'install', 'uninstall', 'list', 'status'],
-    usage: 'pi hook <subcommand> [name] [--global]'
+    desc: 'Claude Code and git hooks',
+    subs: ['init', 'install', 'uninstall', 'list', 'status', 'run'],
+    usage: 'pi hook <subcommand> [name] [--global] [--git]'
   },
   task: {
     desc: 'Task management',
-    subs: ['list', 'start', 'cancel', 'types'],
+    subs: ['list', 'start', 'cancel', 'types', 'schedule', 'tick', 'log'],
     usage: 'pi task <subcommand> [options]'
   },
+  prompt: {
+    desc: 'LLM prompt templates',
+    subs: ['list', 'show', 'diff'],
+    usage: 'pi prompt <list|show|diff> [name] [version]'
+  },
+  cache: {
+    desc: 'LLM response cache',
+    subs: ['stats', 'prune'],
+    usage: 'pi cache <stats|prune> [--all] [--ttl=<hours>] [--max-size=<MB>]'
+  },
+  fixes: {
+    desc: 'Review fixes made with --isolate=worktree',
+    subs: ['list', 'review', 'apply', 'discard'],
+    usage: 'pi fixes <list|review|apply|discard> [id...] [--all] [--merge]'
+  },
   stale: {
     desc: 'Stale notifications',
     subs: ['notify', 'status'],
@@ -66,7 +86,7 @@ const COMMANDS = {
   },
   update: {
     desc: 'Incremental cache/doc updates',
-    usage: 'pi update [--only deps|test|doc] [--force] [--bg] [--interval <ms>]'
+    usage: 'pi update [--only deps|test|doc] [--force] [--llm] [--bg] [--interval <ms>]'
   },
   ui: {
     desc: 'Start web dashboard',
@@ -94,16 +114,35 @@ Options:
   --version, -v   Show version
   --json          Output as JSON
   --verbose       Verbose output
+  --no-cache      Always call the LLM (skip the response cache)
 
 Examples:
   pi init                    # Create .pi-config.json
   pi deps build              # Build dependency graph
   pi update                  # Update deps/test/doc caches if stale
   pi update --bg             # Start background updater (polling)
-  pi test plan               # Generate test fix plan
+  pi update --only doc --llm # LLM review of stale CLAUDE.md: touch or rewrite
+  pi test plan               # Fix plan, failures clustered by root cause
   pi test result             # Show cached test result summary
+  pi test result --import=junit.xml   # Ingest JUnit XML from any runner
+  pi test run --retry-failed=2        # Rerun failures; passes on retry are flaky
+  pi test flaky              # Tests flipping pass/fail on the same code
+  pi test map --coverage=coverage/v8  # Per-test coverage (lcov, coverage-final.json, V8 dir)
   pi test fix --concurrency=20
+  pi test fix --attempts=3   # Keep a fix only if affected tests improve; retry reverted ones
+  pi test fix --patch-mode=diff       # LLM returns edits (diff or SEARCH/REPLACE), not whole files
+  pi test fix --isolate=worktree      # Fix in a temporary worktree; review with pi fixes
+  pi fixes review <id> && pi fixes apply <id>
   pi audit scan --severity=error
+  pi task start test-fix --with-deps --priority=high -- --dry-run
+  pi task schedule add audit-scan --cron="0 3 * * *"
+  pi audit scan --new-only   # Only findings not in the baseline
+  pi audit sync-kanban       # One Kanban task per AUDIT.md issue; done tasks archive their issue
+  pi prompt show test-fix-llm > .project-index/prompts/test-fix-llm.md   # Override a prompt
+  pi prompt diff test-fix-llm         # Built-in vs project override
+  pi module analyze --stale --no-cache   # Resend prompts even if cached
+  pi cache prune --max-size=50        # Drop expired, then least recently used entries
+  pi hook install --git      # Audit/stale docs on commit, affected tests on push (chains existing hooks)
   pi ui --port=3008
 `);
 }
@@ -115,7 +154,9 @@ async function main() {
     version: false,
     v: false,
     json: false,
-    verbose: false
+    verbose: false,
+    'no-cache': false,
+    git: false
   });
 
   if (args.version || args.v) {
@@ -186,6 +227,15 @@ async function main() {
       case 'task':
         await handleTask(subcommand, args, { root, config, staleConfig });
         break;
+      case 'prompt':
+        await handlePrompt(subcommand, args, { root, config, staleConfig });
+        break;
+      case 'cache':
+        await handleCache(subcommand, args, { root, config, staleConfig });
+        break;
+      case 'fixes':
+        await handleFixes(subcommand, args, { root, config, staleConfig });
+        break;
       case 'stale':
         await handleStale(subcommand, args, { root, config, staleConfig });
         break;
@@ -269,11 +319,20 @@ async function handleTest(sub, args, ctx) {
       await mod.analyzeTestStatus(ctx, args);
       break;
     case 'result':
-      await mod.getResultSummary(ctx, args);
+      if (args.import) {
+        await mod.importResults(ctx, args);
+      } else if (args.export) {
+        await mod.exportResults(ctx, args);
+      } else {
+        await mod.getResultSummary(ctx, args);
+      }
+      break;
+    case 'flaky':
+      await mod.showFlaky(ctx, args);
       break;
     default:
       console.error(`Unknown test subcommand: ${sub}`);
-      console.error('Available: map, run, plan, fix, affected, prioritize, generate, analyze, status, result');
+      console.error('Available: map, run, plan, fix, affected, prioritize, generate, analyze, status, result, flaky');
       process.exitCode = 1;
   }
 }
@@ -329,9 +388,18 @@ async function handleAudit(sub, args, ctx) {
     case 'archive':
       await mod.archive(ctx, args);
       break;
+    case 'rules':
+      await mod.listRules(ctx, args);
+      break;
+    case 'baseline':
+      await mod.baseline(ctx, args);
+      break;
+    case 'sync-kanban':
+      await mod.syncKanban(ctx, args);
+      break;
     default:
       console.error(`Unknown audit subcommand: ${sub}`);
-      console.error('Available: scan, fix, status, archive');
+      console.error('Available: scan, fix, status, archive, rules, baseline, sync-kanban');
       process.exitCode = 1;
   }
 }
@@ -384,9 +452,12 @@ async function handleHook(sub, args, ctx) {
     case 'status':
       await hooks.status(ctx, args);
       break;
+    case 'run':
+      await hooks.runGitHook(ctx, args);
+      break;
     default:
       console.error(`Unknown hook subcommand: ${sub}`);
-      console.error('Available: init, install, uninstall, list, status');
+      console.error('Available: init, install, uninstall, list, status, run');
       process.exitCode = 1;
   }
 }
@@ -399,6 +470,30 @@ async function handleTask(sub, args, ctx) {
   await taskHandler(sub, args, ctx);
 }
 
+/**
+ * Handle prompt subcommands
+ */
+async function handlePrompt(sub, args, ctx) {
+  const { handlePrompt: promptHandler } = await import('./lib/prompt/index.js');
+  await promptHandler(sub, args, ctx);
+}
+
+/**
+ * Handle cache subcommands
+ */
+async function handleCache(sub, args, ctx) {
+  const { handleCache: cacheHandler } = await import('./lib/cache/index.js');
+  await cacheHandler(sub, args, ctx);
+}
+
+/**
+ * Handle fixes subcommands
+ */
+async function handleFixes(sub, args, ctx) {
+  const { handleFixes: fixesHandler } = await import('./lib/fixes/index.js');
+  await fixesHandler(sub, args, ctx);
+}
+
 /**
  * Handle stale subcommands
  */
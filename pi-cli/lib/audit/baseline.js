@@ -0,0 +1,229 @@
+/**
+ * Audit baseline
+ * Snapshots current findings by fingerprint so later scans can report only
+ * new ones (`--new-only`) or those on lines changed since a ref (`--since`)
+ * or staged for commit (`--staged`).
+ */
+
+import path from 'path';
+import { readJsonSafe, runCommand, writeJsonSafe } from '../shared.js';
+import { getCachePath, loadStaleConfig } from '../context.js';
+import { parseDiffHunks } from '../deps/symbols.js';
+import { collectIssues } from './scan.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+/** @typedef {import('../types.js').AuditIssue} AuditIssue */
+
+export const BASELINE_VERSION = 1;
+
+/**
+ * @typedef {object} BaselineEntry
+ * @property {string} fingerprint
+ * @property {string} rule
+ * @property {string} severity
+ * @property {string} file
+ * @property {number} line - Line at snapshot time (informational only)
+ * @property {string} [snippet]
+ */
+
+/**
+ * @typedef {object} AuditBaseline
+ * @property {number} version
+ * @property {string} created - ISO timestamp
+ * @property {string|null} ref - Git HEAD at snapshot time
+ * @property {number} count
+ * @property {BaselineEntry[]} findings
+ */
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {string|null} [override] - Absolute path from `--baseline`
+ * @returns {string}
+ */
+export function baselinePath(ctx, override) {
+  return override || getCachePath(ctx.config, ctx.root, '.audit-baseline.json');
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<AuditBaseline|null>}
+ */
+export async function loadBaseline(filePath) {
+  const data = await readJsonSafe(filePath);
+  if (!data || !Array.isArray(data.findings)) return null;
+  return data;
+}
+
+/**
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {Promise<string|null>} stdout, or null when git fails
+ */
+async function gitOutput(cwd, args) {
+  const res = await runCommand('git', args, { cwd });
+  return res.code === 0 ? String(res.stdout || '') : null;
+}
+
+/**
+ * Lines changed in the working tree since `ref`, per project-relative file.
+ * Untracked files count as fully changed (`null`).
+ *
+ * @param {string} root
+ * @param {string} ref
+ * @returns {Promise<Map<string, import('../deps/symbols.js').LineRange[]|null>>}
+ */
+export async function changedLinesSince(root, ref) {
+  const diffText = await gitOutput(root, ['diff', '-U0', '--no-color', '--no-renames', '--no-ext-diff', '--relative', ref]);
+  if (diffText === null) {
+    throw new Error(`git diff against '${ref}' failed (not a git repository or unknown ref)`);
+  }
+
+  /** @type {Map<string, import('../deps/symbols.js').LineRange[]|null>} */
+  const changed = new Map();
+  for (const hunks of parseDiffHunks(diffText)) {
+    if (!hunks.file) continue; // deleted
+    changed.set(hunks.file, hunks.oldFile ? hunks.newRanges : null);
+  }
+
+  const untracked = await gitOutput(root, ['ls-files', '--others', '--exclude-standard']);
+  for (const file of (untracked || '').split('\n').map(s => s.trim()).filter(Boolean)) {
+    changed.set(file, null);
+  }
+
+  return changed;
+}
+
+/**
+ * Lines staged for commit (index vs HEAD), per project-relative file.
+ * Added files count as fully changed (`null`); unstaged and untracked
+ * edits are not part of the commit and are left out.
+ *
+ * @param {string} root
+ * @returns {Promise<Map<string, import('../deps/symbols.js').LineRange[]|null>>}
+ */
+export async function changedLinesStaged(root) {
+  const diffText = await gitOutput(root, ['diff', '--cached', '-U0', '--no-color', '--no-renames', '--no-ext-diff', '--relative']);
+  if (diffText === null) {
+    throw new Error('git diff --cached failed (not a git repository)');
+  }
+
+  /** @type {Map<string, import('../deps/symbols.js').LineRange[]|null>} */
+  const changed = new Map();
+  for (const hunks of parseDiffHunks(diffText)) {
+    if (!hunks.file) continue; // deleted
+    changed.set(hunks.file, hunks.oldFile ? hunks.newRanges : null);
+  }
+  return changed;
+}
+
+/**
+ * Reduce findings to the new ones.
+ * With both `newOnly` and `since`, a finding is new when it is missing from
+ * the baseline OR sits on a changed line. `staged` counts staged lines as
+ * changed and also drops every finding outside the staged files, so edits
+ * left out of the commit never fail it.
+ *
+ * @template {AuditIssue} T
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {T[]} issues - Fingerprinted findings
+ * @param {{newOnly?: boolean, since?: string|null, staged?: boolean, baselinePath?: string|null}} options
+ * @returns {Promise<{issues: T[], summary: {newOnly: boolean, since: string|null, staged: boolean, baseline: string|null, baselineRef: string|null, total: number, new: number, existing: number}}>}
+ */
+export async function filterNewIssues(ctx, issues, options) {
+  const { root } = ctx;
+  const tests = [];
+  let file = null;
+  let baselineRef = null;
+
+  if (options.newOnly) {
+    file = baselinePath(ctx, options.baselinePath);
+    const baseline = await loadBaseline(file);
+    if (!baseline) {
+      throw new Error(`No audit baseline at ${path.relative(root, file) || file}. Run "pi audit baseline" first.`);
+    }
+    baselineRef = baseline.ref || null;
+    const known = new Set(baseline.findings.map(f => f.fingerprint));
+    tests.push(issue => !known.has(issue.fingerprint));
+  }
+
+  if (options.since) {
+    const changed = await changedLinesSince(root, options.since);
+    tests.push(issue => {
+      if (!changed.has(issue.file)) return false;
+      const ranges = changed.get(issue.file);
+      return !ranges || ranges.some(r => issue.line >= r.start && issue.line <= r.end);
+    });
+  }
+
+  /** @type {Map<string, import('../deps/symbols.js').LineRange[]|null>|null} */
+  let staged = null;
+  if (options.staged) {
+    staged = await changedLinesStaged(root);
+    const changed = staged;
+    tests.push(issue => {
+      if (!changed.has(issue.file)) return false;
+      const ranges = changed.get(issue.file);
+      return !ranges || ranges.some(r => issue.line >= r.start && issue.line <= r.end);
+    });
+  }
+
+  const kept = issues.filter(issue => (!staged || staged.has(issue.file)) && tests.some(test => test(issue)));
+  return {
+    issues: kept,
+    summary: {
+      newOnly: Boolean(options.newOnly),
+      since: options.since || null,
+      staged: Boolean(options.staged),
+      baseline: file ? path.relative(root, file) || file : null,
+      baselineRef,
+      total: issues.length,
+      new: kept.length,
+      existing: issues.length - kept.length
+    }
+  };
+}
+
+/**
+ * Snapshot current findings as the audit baseline
+ * Records all severities by default so any later `--severity` can be compared.
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+export async function baseline(ctx, args) {
+  const { root, config } = ctx;
+  const staleConfig = ctx.staleConfig || await loadStaleConfig(root, config);
+  const { issues } = await collectIssues(ctx, { staleConfig, severity: args.severity || 'info' });
+
+  const head = await gitOutput(root, ['rev-parse', 'HEAD']);
+  /** @type {AuditBaseline} */
+  const data = {
+    version: BASELINE_VERSION,
+    created: new Date().toISOString(),
+    ref: head ? head.trim() : null,
+    count: issues.length,
+    findings: issues.map(issue => ({
+      fingerprint: issue.fingerprint,
+      rule: issue.rule,
+      severity: issue.severity,
+      file: issue.file,
+      line: issue.line,
+      ...(issue.snippet ? { snippet: issue.snippet } : {})
+    }))
+  };
+
+  const file = baselinePath(ctx, args.baseline ? path.resolve(root, String(args.baseline)) : null);
+  await writeJsonSafe(file, data);
+
+  if (args.json) {
+    console.log(JSON.stringify({ baseline: path.relative(root, file) || file, ref: data.ref, count: data.count }, null, 2));
+    return data;
+  }
+
+  const bySeverity = { error: 0, warning: 0, info: 0 };
+  for (const issue of issues) bySeverity[issue.severity] = (bySeverity[issue.severity] || 0) + 1;
+  console.log(`Audit baseline: ${data.count} findings saved to ${path.relative(root, file) || file}`);
+  console.log(`  error: ${bySeverity.error}, warning: ${bySeverity.warning}, info: ${bySeverity.info}`);
+  if (data.ref) console.log(`  ref: ${data.ref.slice(0, 12)}`);
+  return data;
+}
@@ -0,0 +1,84 @@
+/**
+ * Built-in audit rules
+ * Regex rules run per line; AST rules run on the token stream of JS/TS files.
+ */
+
+/** @typedef {import('./rules.js').AuditRule} AuditRule */
+/** @typedef {import('./rules.js').AstRuleContext} AstRuleContext */
+
+const JS_LANGS = ['javascript', 'typescript'];
+
+/** @type {AuditRule[]} */
+export const BUILTIN_RULES = [
+  // Regex rules
+  { id: 'no-eval', type: 'regex', languages: [...JS_LANGS, 'python'], pattern: /\beval\s*\(/, severity: 'error', message: 'Avoid eval() - security risk' },
+  { id: 'no-console', type: 'regex', languages: JS_LANGS, pattern: /\bconsole\.(log|debug|info)\s*\(/, severity: 'warning', message: 'Remove console statements in production' },
+  { id: 'no-debugger', type: 'regex', languages: JS_LANGS, pattern: /\bdebugger\b/, severity: 'error', message: 'Remove debugger statements' },
+  { id: 'no-alert', type: 'regex', languages: JS_LANGS, pattern: /\balert\s*\(/, severity: 'warning', message: 'Avoid alert() in production' },
+  { id: 'no-var', type: 'regex', languages: JS_LANGS, pattern: /\bvar\s+\w/, severity: 'info', message: 'Use const/let instead of var' },
+  { id: 'todo-fixme', type: 'regex', languages: [...JS_LANGS, 'python'], pattern: /\b(TODO|FIXME|HACK|XXX)\b/, severity: 'info', message: 'Unresolved TODO/FIXME' },
+  { id: 'no-secret', type: 'regex', languages: JS_LANGS, pattern: /(password|secret|api_key|apikey)\s*[=:]\s*['"][^'"]+['"]/i, severity: 'error', message: 'Possible hardcoded secret' },
+  { id: 'no-any', type: 'regex', languages: ['typescript'], pattern: /:\s*any\b/, severity: 'warning', message: 'Avoid using any type' },
+  { id: 'no-ts-ignore', type: 'regex', languages: ['typescript'], pattern: /@ts-ignore/, severity: 'warning', message: 'Avoid @ts-ignore' },
+  { id: 'no-exec', type: 'regex', languages: ['python'], pattern: /\bexec\s*\(/, severity: 'error', message: 'Avoid exec() - security risk' },
+  { id: 'no-print', type: 'regex', languages: ['python'], pattern: /\bprint\s*\(/, severity: 'info', message: 'Consider using logging instead of print' },
+
+  // AST rules
+  {
+    id: 'no-empty-catch',
+    type: 'ast',
+    languages: JS_LANGS,
+    severity: 'warning',
+    message: 'Empty catch block swallows errors',
+    defaultOptions: { allowComments: true },
+    check(context) {
+      const { tokens } = context;
+      for (let i = 0; i < tokens.length; i++) {
+        const tok = tokens[i];
+        if (tok.type !== 'name' || tok.value !== 'catch') continue;
+        if (tokens[i - 1]?.value === '.') continue; // promise.catch(...)
+
+        let open = i + 1;
+        if (tokens[open]?.value === '(') open = context.matchBracket(open) + 1;
+        if (tokens[open]?.value !== '{' || tokens[open + 1]?.value !== '}') continue;
+
+        const close = tokens[open + 1];
+        if (context.options.allowComments && context.hasComment(tokens[open].line, close.line)) continue;
+        context.report({ line: tok.line });
+      }
+    }
+  },
+  {
+    id: 'require-await',
+    type: 'ast',
+    languages: JS_LANGS,
+    severity: 'info',
+    message: 'Async function has no await',
+    check(context) {
+      const fns = context.functions();
+      for (const fn of fns) {
+        if (!fn.async || fn.generator) continue;
+
+        // Nested functions have their own await scope
+        const nested = fns.filter(f => f !== fn && f.bodyOpen > fn.bodyOpen && f.bodyClose < fn.bodyClose);
+        let hasAwait = false;
+        for (let k = fn.bodyOpen + 1; k < fn.bodyClose && !hasAwait; k++) {
+          const inner = nested.find(f => k > f.bodyOpen && k < f.bodyClose);
+          if (inner) {
+            k = inner.bodyClose;
+            continue;
+          }
+          const tok = context.tokens[k];
+          hasAwait = tok.type === 'name' && tok.value === 'await' && context.tokens[k - 1]?.value !== '.';
+        }
+
+        if (!hasAwait) {
+          context.report({
+            line: fn.line,
+            message: fn.name ? `Async function '${fn.name}' has no await` : undefined
+          });
+        }
+      }
+    }
+  }
+];
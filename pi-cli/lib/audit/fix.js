@@ -7,6 +7,9 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { getDirectoryRule, matchesIgnoreInclude, readJsonSafe, writeJsonSafe } from '../shared.js';
 import { getCachePath, loadStaleConfig } from '../context.js';
+import { resolvePatchMode, patchInstructions, applyPatchResponse, formatRejections } from '../llm/patch.js';
+import { renderPrompt } from '../prompt/templates.js';
+import { createIsolation } from '../fixes/worktree.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 
@@ -113,8 +116,18 @@ async function findAuditMdFiles(dir) {
 
 /**
  * Generate fix for an issue using LLM
+ *
+ * Default contract: JSON with oldCode/newCode changes. With a patch format
+ * the model answers with SEARCH/REPLACE blocks or a unified diff instead.
+ *
+ * @param {any} issue
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {Function} llmRunner
+ * @param {import('../llm/patch.js').PatchFormat|null} [patchMode]
+ * @returns {Promise<{success: boolean, fix: any, error?: string, prompt?: string}>} prompt: template used (name@version)
  */
-async function generateFix(issue, cwd, llmRunner) {
+async function generateFix(issue, ctx, llmRunner, patchMode = null) {
+  const { root: cwd, config } = ctx;
   const staleConfig = issue.__staleConfig || null;
   const directoryRule = issue.__directoryRule || null;
 
@@ -132,66 +145,75 @@ async function generateFix(issue, cwd, llmRunner) {
   const endLine = Math.min(lines.length, issue.line + 10);
   const context = lines.slice(startLine, endLine).join('\n');
 
-  const prompt = `Fix this audit issue:
-
-File: ${issue.file}
-Line: ${issue.line}
-Severity: ${issue.severity}
-Type: ${issue.type}
-Title: ${issue.title}
-Description: ${issue.description}
-Suggestion: ${issue.suggestion}
+  const securityRules = staleConfig?.security?.[String(issue.severity || '').toLowerCase()];
 
-${directoryRule ? `Directory Rule: ${directoryRule.path}
+  const rendered = await renderPrompt('audit-fix', {
+    custom: String(config?.llm?.auditPrompt || '').trim(),
+    issue,
+    directoryRule: directoryRule ? `Directory Rule: ${directoryRule.path}
 Directory Priority: ${directoryRule.rule?.priority || 'n/a'}
 Directory Focus:
 ${Array.isArray(directoryRule.rule?.focus) && directoryRule.rule.focus.length > 0 ? directoryRule.rule.focus.map(f => `- ${f}`).join('\n') : '- (none)'}
-` : ''}
-
-${staleConfig?.security ? `Security Policy Notes:
-${Array.isArray(staleConfig.security[String(issue.severity || '').toLowerCase()]) ? staleConfig.security[String(issue.severity || '').toLowerCase()].map(r => `- ${r}`).join('\n') : '- (no rules for this severity)'}
+` : '',
+    securityNotes: staleConfig?.security ? `Security Policy Notes:
+${Array.isArray(securityRules) ? securityRules.map(r => `- ${r}`).join('\n') : '- (no rules for this severity)'}
 ${Array.isArray(staleConfig.security.browserSpecific) && staleConfig.security.browserSpecific.length > 0 ? `\nBrowser-specific checks:\n${staleConfig.security.browserSpecific.map(r => `- ${r}`).join('\n')}` : ''}
 ${Number.isFinite(staleConfig.security.maxCyclomatic) ? `\nMax cyclomatic complexity: ${staleConfig.security.maxCyclomatic}` : ''}
-` : ''}
-
-Context (lines ${startLine + 1}-${endLine}):
-\`\`\`javascript
-${context}
-\`\`\`
-
-Provide the fix. Output JSON:
-{
-  "analysis": "Brief explanation",
-  "canFix": true/false,
-  "changes": [
-    {
-      "lineStart": number,
-      "lineEnd": number,
-      "oldCode": "exact text to replace",
-      "newCode": "replacement text"
-    }
-  ]
-}`;
+` : '',
+    startLine: startLine + 1,
+    endLine,
+    context,
+    patchInstructions: patchMode ? patchInstructions(patchMode, [issue.file]) : ''
+  }, { root: cwd, config });
+  const prompt = rendered.prompt;
 
   try {
     const result = await llmRunner(prompt, cwd, 90000);
+    if (result.success && patchMode) {
+      const cannot = String(result.output).match(/CANNOT_FIX:\s*(.+)/);
+      return cannot
+        ? { success: true, fix: { canFix: false, analysis: cannot[1].trim() }, prompt: rendered.ref }
+        : { success: true, fix: { canFix: true, analysis: '', patch: String(result.output) }, prompt: rendered.ref };
+    }
     if (result.success) {
       const json = JSON.parse(result.output);
-      return { success: true, fix: json };
+      return { success: true, fix: json, prompt: rendered.ref };
     }
   } catch (e) {
     console.warn(`LLM fix generation failed: ${e.message}`);
   }
 
-  return { success: false, fix: null };
+  return { success: false, fix: null, prompt: rendered.ref };
 }
 
 /**
  * Apply fix to a file
+ *
+ * A patch (--patch-mode) is applied all or nothing; rejected edits leave the
+ * file unchanged and come back as `report`.
+ *
+ * @param {any} fix
+ * @param {string} filePath
+ * @param {string} [file] - Project-relative path the patch names
+ * @returns {Promise<{applied: boolean, report?: string}>}
  */
-async function applyFix(fix, filePath) {
+async function applyFix(fix, filePath, file = filePath) {
+  if (fix.canFix && fix.patch) {
+    try {
+      const content = await fs.readFile(filePath, 'utf-8');
+      const patched = applyPatchResponse(fix.patch, [{ file, content }]).files.get(file);
+      if (!patched) return { applied: false, report: `No edits for ${file} in LLM response` };
+      if (patched.content === null) return { applied: false, report: formatRejections(file, patched) };
+      await fs.writeFile(filePath, patched.content);
+      return { applied: true };
+    } catch (e) {
+      console.error(`Failed to apply fix: ${e.message}`);
+      return { applied: false };
+    }
+  }
+
   if (!fix.canFix || !fix.changes || fix.changes.length === 0) {
-    return false;
+    return { applied: false };
   }
 
   try {
@@ -206,17 +228,20 @@ async function applyFix(fix, filePath) {
     }
 
     await fs.writeFile(filePath, content);
-    return true;
+    return { applied: true };
   } catch (e) {
     console.error(`Failed to apply fix: ${e.message}`);
-    return false;
+    return { applied: false };
   }
 }
 
 /**
  * Archive fixed issue to AUDIT_HISTORY.md
+ * @param {any} issue
+ * @param {string} modulePath
+ * @param {string} [prompt] - Template that produced the fix (name@version)
  */
-async function archiveIssue(issue, modulePath) {
+async function archiveIssue(issue, modulePath, prompt) {
   const historyFile = path.join(modulePath, 'AUDIT_HISTORY.md');
 
   const entry = `
@@ -225,7 +250,7 @@ async function archiveIssue(issue, modulePath) {
 - **File**: ${issue.file}:${issue.line}
 - **Type**: ${issue.type}
 - **Resolution**: Auto-fixed by audit-fix
-- **Description**: ${issue.description}
+${prompt ? `- **Prompt**: ${prompt}\n` : ''}- **Description**: ${issue.description}
 `;
 
   try {
@@ -260,6 +285,11 @@ async function removeFromAudit(auditFile, issue) {
 
 /**
  * Fix audit issues
+ *
+ * --isolate=worktree runs each batch (--isolate-scope=task: each issue) in a
+ * temporary git worktree and leaves the result on a branch for `pi fixes`
+ * instead of editing the working tree.
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  */
@@ -275,6 +305,17 @@ export async function fix(ctx, args) {
   const moduleFilter = args.module;
   const concurrency = parseInt(args.concurrency) || 3;
 
+  let patchMode;
+  let isolation;
+  try {
+    patchMode = resolvePatchMode(args['patch-mode']);
+    isolation = dryRun ? null : createIsolation(ctx, 'audit-fix', args);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+
   const stateDir = getCachePath(config, root, '');
   const tasksFile = path.join(stateDir, '.audit-fix-tasks.json');
   const resultFile = path.join(stateDir, '.audit-fix-result.json');
@@ -286,8 +327,12 @@ export async function fix(ctx, args) {
     fixed: 0,
     skipped: 0,
     failed: 0,
-    bySeverity: { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0 }
+    bySeverity: { LOW: 0, MEDIUM: 0, HIGH: 0, CRITICAL: 0 },
+    /** @type {Array<{file: string, title: string, report: string}>} */
+    rejected: []
   };
+  /** @type {Set<string>} Templates used (name@version) */
+  const prompts = new Set();
 
   // Find AUDIT.md files
   const auditFilesAll = await findAuditMdFiles(root);
@@ -344,11 +389,30 @@ export async function fix(ctx, args) {
   }));
   await writeJsonSafe(tasksFile, { tasks, startedAt: new Date().toISOString() });
 
-  // Check for LLM runner
-  let llmRunner = null;
+  // Check for LLM runner; runnerFor(issueId, inputs) records the issue's tokens in `meter`
+  // and caches responses by prompt and the issue's file (unless --no-cache)
+  let runnerFor = null;
+  let meter = null;
   try {
-    const { runCodeagent } = await import('../llm/batch.js');
-    llmRunner = runCodeagent;
+    const { runCodeagent, runPrompt, createMeter } = await import('../llm/batch.js');
+    const { FIXTURE_PROVIDERS, resolveProvider } = await import('../llm/fixtures.js');
+    const { OPENAI_PROVIDERS } = await import('../llm/openai.js');
+    const { estimateUsage } = await import('../llm/usage.js');
+    const { openCache } = await import('../llm/cache.js');
+    const provider = resolveProvider(config);
+    const useCache = !args['no-cache'];
+    meter = createMeter(config, 'audit-fix');
+    // replay/record and HTTP endpoints go through the provider layer; otherwise codeagent-wrapper as before
+    runnerFor = FIXTURE_PROVIDERS.has(provider) || OPENAI_PROVIDERS.has(provider)
+      ? (taskId, inputs) => (prompt, cwd, timeout) => runPrompt(prompt, config, { workdir: cwd, root, timeout, taskType: 'audit-fix', meter, taskId, inputs, cache: useCache }).then(
+        output => ({ success: Boolean(output), output: String(output || '').trim(), error: output ? null : 'empty output' }),
+        err => ({ success: false, output: '', error: err.message })
+      )
+      : (taskId, inputs) => async (prompt, cwd, timeout) => {
+        const result = await runCodeagent(prompt, cwd, timeout, { cache: openCache(config, { root, cache: useCache }), inputs, taskType: 'audit-fix' });
+        if (!result.cached) meter.add(taskId, estimateUsage(prompt, result.output));
+        return result;
+      };
   } catch {
     console.log('LLM runner not available. Manual fixes required.');
     return;
@@ -373,53 +437,88 @@ export async function fix(ctx, args) {
       return (a.line || 0) - (b.line || 0);
     });
 
-  for (let i = 0; i < fixableIssues.length; i += concurrency) {
-    const batch = fixableIssues.slice(i, i + concurrency);
+  /**
+   * Fix one issue under runCtx.root (the project root, or a fix worktree)
+   * @param {any} issue
+   * @param {{root: string, config: ProjectConfig}} runCtx
+   * @returns {Promise<{issue: any, success: boolean, dryRun?: boolean}>}
+   */
+  const fixIssue = async (issue, runCtx) => {
+    stats.bySeverity[issue.severity]++;
+
+    if (meter.exceeded()) {
+      console.log(`Skipped (token budget exceeded): [${issue.severity}] ${issue.title}`);
+      meter.skipped++;
+      stats.skipped++;
+      return { issue, success: false };
+    }
 
-    const results = await Promise.all(
-      batch.map(async (issue) => {
-        stats.bySeverity[issue.severity]++;
+    console.log(`Processing: [${issue.severity}] ${issue.title}`);
 
-        console.log(`Processing: [${issue.severity}] ${issue.title}`);
+    const fileRel = String(issue.file || '').replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
+    const dirRule = getDirectoryRule(fileRel, directoryRules);
+    const inRun = (/** @type {string} */ p) => path.join(runCtx.root, path.relative(root, p));
 
-        const fileRel = String(issue.file || '').replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
-        const dirRule = getDirectoryRule(fileRel, directoryRules);
+    const issueForFix = {
+      ...issue,
+      __staleConfig: staleConfig,
+      __directoryRule: dirRule
+    };
 
-        const issueForFix = {
-          ...issue,
-          __staleConfig: staleConfig,
-          __directoryRule: dirRule
-        };
+    const { success, fix: fixData, prompt } = await generateFix(issueForFix, runCtx, runnerFor(`${fileRel}:${issue.line || 0}`, [fileRel]), patchMode);
+    if (prompt) prompts.add(prompt);
 
-        const { success, fix: fixData } = await generateFix(issueForFix, root, llmRunner);
+    if (!success || !fixData?.canFix) {
+      console.log(`  Cannot auto-fix: ${fixData?.analysis || 'LLM failed'}`);
+      stats.skipped++;
+      return { issue, success: false };
+    }
 
-        if (!success || !fixData?.canFix) {
-          console.log(`  Cannot auto-fix: ${fixData?.analysis || 'LLM failed'}`);
-          stats.skipped++;
-          return { issue, success: false };
-        }
+    if (dryRun) {
+      console.log(fixData.patch
+        ? `  [dry-run] Would apply a patch to ${issue.file}`
+        : `  [dry-run] Would fix with ${fixData.changes?.length || 0} changes`);
+      return { issue, success: true, dryRun: true };
+    }
 
-        if (dryRun) {
-          console.log(`  [dry-run] Would fix with ${fixData.changes?.length || 0} changes`);
-          return { issue, success: true, dryRun: true };
-        }
+    const filePath = path.join(runCtx.root, issue.file);
+    const { applied, report } = await applyFix(fixData, filePath, fileRel);
+
+    if (applied) {
+      console.log(`  Fixed!`);
+      await archiveIssue(issue, inRun(issue.modulePath), prompt);
+      await removeFromAudit(inRun(issue.auditFile), issue);
+      stats.fixed++;
+      return { issue, success: true };
+    } else {
+      console.log(report ? report.replace(/^/gm, '  ') : `  Failed to apply fix`);
+      if (report) stats.rejected.push({ file: fileRel, title: issue.title, report });
+      stats.failed++;
+      return { issue, success: false };
+    }
+  };
 
-        const filePath = path.join(root, issue.file);
-        const applied = await applyFix(fixData, filePath);
-
-        if (applied) {
-          console.log(`  Fixed!`);
-          await archiveIssue(issue, issue.modulePath);
-          await removeFromAudit(issue.auditFile, issue);
-          stats.fixed++;
-          return { issue, success: true };
-        } else {
-          console.log(`  Failed to apply fix`);
-          stats.failed++;
-          return { issue, success: false };
-        }
-      })
-    );
+  /** @param {Array<{issue: any, success: boolean}>} results */
+  const describe = (results) => {
+    const fixed = results.filter(r => r.success);
+    return fixed.length === 1
+      ? { title: `audit fix: [${fixed[0].issue.severity}] ${fixed[0].issue.title}`, summary: fixed[0].issue.file }
+      : { title: `audit fix: ${fixed.length} issue(s)`, summary: fixed.map(r => `[${r.issue.severity}] ${r.issue.title} (${r.issue.file})`).join('\n') };
+  };
+
+  for (let i = 0; i < fixableIssues.length; i += concurrency) {
+    const batch = fixableIssues.slice(i, i + concurrency);
+
+    let results;
+    if (!isolation) {
+      results = await Promise.all(batch.map(issue => fixIssue(issue, { root, config })));
+    } else if (isolation.scope === 'task') {
+      results = await Promise.all(batch.map(async (issue) =>
+        (await isolation.run(wctx => fixIssue(issue, wctx).then(r => [r]), describe)).result[0]
+      ));
+    } else {
+      results = (await isolation.run(wctx => Promise.all(batch.map(issue => fixIssue(issue, wctx))), describe)).result;
+    }
 
     // Update task statuses
     for (const result of results) {
@@ -431,10 +530,15 @@ export async function fix(ctx, args) {
     await writeJsonSafe(tasksFile, { tasks, startedAt: new Date().toISOString() });
   }
 
+  const usage = await meter.save();
+
   // Final result
   const result = {
     success: stats.fixed > 0 || stats.totalIssues === 0,
     ...stats,
+    usage: { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, estimated: usage.estimated, cost: usage.cost, skipped: usage.skipped },
+    prompts: [...prompts],
+    ...(isolation ? { fixes: isolation.fixes.map(f => f.id) } : {}),
     completedAt: new Date().toISOString()
   };
 
@@ -447,4 +551,8 @@ export async function fix(ctx, args) {
   console.log(`Fixed: ${stats.fixed}`);
   console.log(`Skipped: ${stats.skipped}`);
   console.log(`Failed: ${stats.failed}`);
+  if (stats.rejected.length > 0) {
+    console.log(`Patches rejected: ${stats.rejected.length} (see ${path.relative(root, resultFile)})`);
+  }
+  isolation?.report();
 }
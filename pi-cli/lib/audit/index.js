@@ -6,8 +6,13 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { runCommand, truncate } from '../shared.js';
 
-export { scan } from './scan.js';
+export { scan, listRules, collectIssues } from './scan.js';
+export { baseline, loadBaseline, filterNewIssues, changedLinesSince, changedLinesStaged } from './baseline.js';
+export { loadRules, resolveRuleSetting, runRules, parseSuppressions } from './rules.js';
 export { fix, parseAuditFile, inferIssueType } from './fix.js';
+export { syncKanban } from './kanban-sync.js';
+
+import { syncKanban } from './kanban-sync.js';
 
 /**
  * Show audit status across module AUDIT.md files.
@@ -153,6 +158,7 @@ export async function status(ctx, args) {
  * - Adds archive timestamp and git commit hash (when available)
  * - Rewrites AUDIT.md to keep only unresolved issues
  * - Supports `--dry-run` to preview without modifying files
+ * - `--kanban` then runs sync-kanban, closing the tasks of archived issues
  *
  * @param {{root: string, config: import('../types.js').ProjectConfig}} ctx
  * @param {Record<string, any>} args
@@ -163,45 +169,23 @@ export async function archive(ctx, args) {
   const moduleFilter = typeof args.module === 'string' && args.module.trim() ? args.module.trim() : null;
 
   const auditFiles = await findAuditMdFiles(root);
-
-  const now = new Date();
-  const timestamp = now.toISOString();
-  const date = timestamp.split('T')[0];
-  const commitHash = await getGitCommitHash(root);
+  const stamp = await archiveStamp(root);
 
   let totalArchived = 0;
   let touchedFiles = 0;
 
   for (const auditPath of auditFiles) {
-    const moduleDir = path.dirname(auditPath);
-    const moduleRel = path.relative(root, moduleDir).replace(/\\/g, '/') || '.';
+    const moduleRel = path.relative(root, path.dirname(auditPath)).replace(/\\/g, '/') || '.';
 
     if (moduleFilter && !matchesModuleFilter(moduleRel, moduleFilter)) continue;
 
-    let content = '';
-    try {
-      content = await fs.readFile(auditPath, 'utf-8');
-    } catch {
-      continue;
-    }
-
-    const { archivedIssues, updatedContent, format } = archiveFromAuditContent(content);
-
-    if (archivedIssues.length === 0) continue;
+    const result = await archiveAuditFile(root, auditPath, { dryRun, stamp });
+    if (!result) continue;
+    const { archivedIssues, format } = result;
 
     totalArchived += archivedIssues.length;
     touchedFiles++;
 
-    const historyPath = path.join(moduleDir, 'AUDIT_HISTORY.md');
-    const historyPatch = buildHistorySection({
-      date,
-      timestamp,
-      commitHash,
-      moduleName: path.basename(moduleDir),
-      modulePath: moduleRel,
-      issues: archivedIssues
-    });
-
     if (dryRun) {
       console.log(`[dry-run] ${moduleRel}: would archive ${archivedIssues.length} issue(s) (${format})`);
       for (const issue of archivedIssues.slice(0, 20)) {
@@ -213,12 +197,6 @@ export async function archive(ctx, args) {
       continue;
     }
 
-    // Write history (prepend after header delimiter when possible)
-    await appendHistory(historyPath, historyPatch, moduleDir);
-
-    // Write updated AUDIT.md
-    await fs.writeFile(auditPath, updatedContent);
-
     console.log(`${moduleRel}: archived ${archivedIssues.length} issue(s)`);
   }
 
@@ -227,6 +205,79 @@ export async function archive(ctx, args) {
   } else {
     console.log(`\nTotal: archived ${totalArchived} issue(s) across ${touchedFiles} module(s).`);
   }
+
+  if (args.kanban && !dryRun && totalArchived > 0) {
+    // Close the Kanban tasks of the archived issues
+    console.log('');
+    await syncKanban(ctx, { module: moduleFilter || undefined });
+  }
+}
+
+/**
+ * @param {string} root
+ * @returns {Promise<{date: string, timestamp: string, commitHash: string|null}>}
+ */
+export async function archiveStamp(root) {
+  const timestamp = new Date().toISOString();
+  return { date: timestamp.split('T')[0], timestamp, commitHash: await getGitCommitHash(root) };
+}
+
+/**
+ * Move the fixed issues of one AUDIT.md into its AUDIT_HISTORY.md
+ * @param {string} root
+ * @param {string} auditPath
+ * @param {{dryRun?: boolean, stamp: {date: string, timestamp: string, commitHash: string|null}}} options
+ * @returns {Promise<{archivedIssues: ParsedIssue[], format: string}|null>} null when nothing to archive
+ */
+export async function archiveAuditFile(root, auditPath, { dryRun = false, stamp }) {
+  const moduleDir = path.dirname(auditPath);
+  const moduleRel = path.relative(root, moduleDir).replace(/\\/g, '/') || '.';
+
+  let content = '';
+  try {
+    content = await fs.readFile(auditPath, 'utf-8');
+  } catch {
+    return null;
+  }
+
+  const { archivedIssues, updatedContent, format } = archiveFromAuditContent(content);
+  if (archivedIssues.length === 0) return null;
+  if (dryRun) return { archivedIssues, format };
+
+  const historyPatch = buildHistorySection({
+    ...stamp,
+    moduleName: path.basename(moduleDir),
+    modulePath: moduleRel,
+    issues: archivedIssues
+  });
+
+  // Write history (prepend after header delimiter when possible)
+  await appendHistory(path.join(moduleDir, 'AUDIT_HISTORY.md'), historyPatch, moduleDir);
+
+  // Write updated AUDIT.md
+  await fs.writeFile(auditPath, updatedContent);
+
+  return { archivedIssues, format };
+}
+
+/**
+ * Issues of every AUDIT.md under root, open and marked fixed
+ * @param {string} root
+ * @param {string|null} [moduleFilter]
+ * @returns {Promise<Array<{module: string, auditPath: string, issues: Array<{title: string, content: string, severity: 'critical'|'error'|'warning'|'info', fixed: boolean}>}>>}
+ */
+export async function collectAuditMdIssues(root, moduleFilter = null) {
+  const modules = [];
+  for (const auditPath of await findAuditMdFiles(root)) {
+    const module = path.relative(root, path.dirname(auditPath)).replace(/\\/g, '/') || '.';
+    if (moduleFilter && !matchesModuleFilter(module, moduleFilter)) continue;
+    try {
+      modules.push({ module, auditPath, issues: parseAuditIssues(await fs.readFile(auditPath, 'utf-8')) });
+    } catch {
+      // Unreadable: skip
+    }
+  }
+  return modules;
 }
 
 /**
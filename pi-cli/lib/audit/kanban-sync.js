@@ -0,0 +1,392 @@
+/**
+ * pi audit sync-kanban: one Kanban task per AUDIT.md issue
+ *
+ * Every issue gets a stable ID, written into AUDIT.md the first time the
+ * issue is seen (`<!-- audit-id: AUD-… -->` below its heading, or at the end
+ * of a checklist line) and carried by the task as an `audit-id/<id>` tag. New
+ * IDs hash module path, normalized title and body; an ID whose task is done or
+ * that another issue already holds gets a "-2", "-3" suffix instead, so a
+ * reported-again issue never inherits a closed task and removing one issue
+ * never changes another's ID. Running the sync again updates that task
+ * instead of creating another one, so unlike audit-fix/import-to-kanban.js it
+ * can be run after every audit.
+ *
+ * - Open issue, no task: created with priority from severity
+ *   (critical P0, error P1, warning P2, info P3)
+ * - Open issue, task done: the issue is marked [FIXED] and archived to
+ *   AUDIT_HISTORY.md
+ * - Issue marked [FIXED], archived or otherwise gone from AUDIT.md: task moved
+ *   to done
+ *
+ * Title, description, priority and tags follow AUDIT.md; only the status
+ * travels the other way. Tasks without an audit-id tag are never touched.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { openKanban } from '../kanban/store.js';
+import { truncate } from '../shared.js';
+import { collectAuditMdIssues, archiveAuditFile, archiveStamp } from './index.js';
+
+export const SEVERITY_PRIORITY = { critical: 0, error: 1, warning: 2, info: 3 };
+
+const ID_TAG = 'audit-id/';
+const ID_MARKER = /<!--\s*audit-id:\s*(AUD-[\w-]+)\s*-->/;
+const FOOTER_PATTERN = /\*由 pi audit sync-kanban 同步 \(audit-id: ([\w-]+), module: ([^)]*)\)\*\s*$/;
+
+/**
+ * @typedef {object} AuditIssue
+ * @property {string|null} id - From the AUDIT.md marker, or assigned by assignIssueIds
+ * @property {boolean} marked - ID already written in AUDIT.md
+ * @property {string} module
+ * @property {string} auditPath
+ * @property {string} title
+ * @property {string} content
+ * @property {'critical'|'error'|'warning'|'info'} severity
+ * @property {boolean} fixed
+ */
+
+/**
+ * Title without [FIXED]/severity tags, numbering, markdown emphasis and case
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeIssueTitle(title) {
+  return String(title || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/^\d+\.\s*/, '')
+    .replace(/\[(fixed|critical|error|warning|info|high|medium|low)\]\s*/ig, '')
+    .replace(/[*`_]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * ID for an issue that has none in AUDIT.md yet
+ * @param {string} module - Module path relative to the project root
+ * @param {string} title
+ * @param {string} [content] - Issue body
+ * @returns {string}
+ */
+export function auditIssueId(module, title, content = '') {
+  const body = String(content || '').replace(/<!--[\s\S]*?-->/g, '').replace(/\s+/g, ' ').trim();
+  const hash = createHash('sha256').update(`${module}\n${normalizeIssueTitle(title)}\n${body}`).digest('hex').slice(0, 8);
+  return `AUD-${hash}`;
+}
+
+/**
+ * @param {{tags?: string[]}} task
+ * @returns {string|null}
+ */
+export function taskAuditId(task) {
+  const tag = (task.tags || []).find(t => t.startsWith(ID_TAG));
+  return tag ? tag.slice(ID_TAG.length) : null;
+}
+
+/**
+ * Mark the issue holding this ID fixed: "### [FIXED] ..." for heading blocks,
+ * "- [x] ..." for checklists
+ * @param {string} content - AUDIT.md
+ * @param {string} id
+ * @returns {string|null} null when the issue was not found
+ */
+export function markIssueFixed(content, id) {
+  const lines = content.split('\n');
+  const at = lines.findIndex(l => ID_MARKER.exec(l)?.[1] === id);
+  if (at === -1) return null;
+
+  const checklist = /^(\s*-\s*\[) (\].*)$/.exec(lines[at]);
+  if (checklist) {
+    lines[at] = `${checklist[1]}x${checklist[2]}`;
+    return lines.join('\n');
+  }
+  for (let i = at; i >= 0; i--) {
+    const m = /^(###\s+(?:\d+\.\s+)?)(.+)$/.exec(lines[i]);
+    if (!m) continue;
+    if (!/\[FIXED\]/i.test(m[2])) lines[i] = `${m[1]}[FIXED] ${m[2]}`;
+    return lines.join('\n');
+  }
+  return null;
+}
+
+/**
+ * Write the IDs of unmarked issues into AUDIT.md
+ * @param {string} content - AUDIT.md
+ * @param {AuditIssue[]} issues - Issues of this file, in file order, all with IDs
+ * @returns {string}
+ */
+export function insertIssueIds(content, issues) {
+  const lines = content.split('\n');
+  const cr = content.includes('\r\n') ? '\r' : '';
+  let cursor = 0;
+
+  for (const issue of issues) {
+    const wanted = normalizeIssueTitle(issue.title);
+    let at = -1;
+    for (let i = cursor; i < lines.length && at === -1; i++) {
+      const m = /^###\s+(.+)$/.exec(lines[i]) || /^\s*-\s*(?:\[[ xX]\]\s*)?(.+)$/.exec(lines[i]);
+      if (m && normalizeIssueTitle(m[1]) === wanted) at = i;
+    }
+    if (at === -1) continue;
+    cursor = at + 1;
+    if (issue.marked) continue;
+
+    const marker = `<!-- audit-id: ${issue.id} -->`;
+    if (lines[at].startsWith('###')) {
+      lines.splice(at + 1, 0, marker + cr);
+      cursor++;
+    } else {
+      lines[at] = `${lines[at].replace(/\s+$/, '')} ${marker}${cr}`;
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * AUDIT.md issues with their stable IDs
+ * @param {string} root
+ * @param {string|null} [moduleFilter]
+ * @returns {Promise<AuditIssue[]>}
+ */
+export async function loadAuditIssues(root, moduleFilter = null) {
+  /** @type {AuditIssue[]} */
+  const result = [];
+  for (const { module, auditPath, issues } of await collectAuditMdIssues(root, moduleFilter)) {
+    for (const issue of issues) {
+      if (!normalizeIssueTitle(issue.title)) continue;
+      const id = ID_MARKER.exec(`${issue.title}\n${issue.content}`)?.[1] || null;
+      result.push({
+        ...issue,
+        title: issue.title.replace(ID_MARKER, '').trim(),
+        content: issue.content.replace(ID_MARKER, '').trim(),
+        id,
+        marked: Boolean(id),
+        module,
+        auditPath
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Give unmarked issues an ID: auditIssueId, or with the first "-N" suffix that
+ * no other issue holds and whose task (if any) is not done. An open task with
+ * the same content hash is adopted, e.g. after a rescan rewrote AUDIT.md.
+ * @param {AuditIssue[]} issues
+ * @param {Map<string, Array<{status?: string}>>} tasksById
+ * @returns {AuditIssue[]} The issues that got a new ID
+ */
+export function assignIssueIds(issues, tasksById) {
+  const held = new Set(issues.filter(i => i.id).map(i => i.id));
+  const assigned = [];
+  for (const issue of issues) {
+    if (issue.id) continue;
+    const base = auditIssueId(issue.module, issue.title, issue.content);
+    let id = base;
+    for (let n = 2; held.has(id) || tasksById.get(id)?.[0].status === 'done'; n++) id = `${base}-${n}`;
+    issue.id = id;
+    held.add(id);
+    assigned.push(issue);
+  }
+  return assigned;
+}
+
+/**
+ * Task fields for an issue
+ * @param {AuditIssue} issue
+ * @returns {{title: string, description: string, priority: number, tags: string[]}}
+ */
+export function issueToTask(issue) {
+  const title = issue.title.replace(/\[(critical|error|warning|info|high|medium|low)\]\s*/ig, '').trim();
+  return {
+    title: `[AUDIT/${issue.severity.toUpperCase()}] ${issue.module}: ${truncate(title, 100)}`,
+    description: `## 问题描述
+${issue.content.trim() || title}
+
+## 位置
+- **模块**: ${issue.module}
+- **审计文件**: ${path.posix.join(issue.module, 'AUDIT.md')}
+
+---
+*由 pi audit sync-kanban 同步 (audit-id: ${issue.id}, module: ${issue.module})*`,
+    priority: SEVERITY_PRIORITY[issue.severity] ?? 2,
+    tags: ['audit', issue.severity, `${ID_TAG}${issue.id}`]
+  };
+}
+
+/**
+ * Sync AUDIT.md issues with Kanban tasks (see module doc)
+ *
+ * Options: --module=<path> limits the modules, --dry-run only reports,
+ * --json prints the result as JSON.
+ *
+ * @param {{root: string, config?: import('../types.js').ProjectConfig}} ctx
+ * @param {Record<string, any>} args
+ */
+export async function syncKanban(ctx, args) {
+  const { root } = ctx;
+  const dryRun = Boolean(args['dry-run']);
+  const moduleFilter = typeof args.module === 'string' && args.module.trim() ? args.module.trim() : null;
+
+  let kanban;
+  let project;
+  try {
+    kanban = await openKanban(root, { quiet: Boolean(args.json) });
+    project = await kanban.detectProject(root);
+  } catch (e) {
+    console.error(`Kanban unavailable: ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!project) {
+    console.error(`No Kanban project for ${root} (${kanban.location})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = { created: [], updated: [], unchanged: 0, closed: [], archived: [], duplicates: [], errors: [], marked: 0 };
+
+  /** @type {Map<string, import('../kanban/store.js').KanbanTask[]>} */
+  const tasksById = new Map();
+  for (const task of await kanban.listTasks(project.id)) {
+    const id = taskAuditId(task);
+    if (!id) continue;
+    if (!tasksById.has(id)) tasksById.set(id, []);
+    tasksById.get(id).push(task);
+  }
+  for (const [id, tasks] of tasksById) {
+    if (tasks.length > 1) result.duplicates.push({ id, tasks: tasks.map(t => t.id) });
+  }
+
+  let issues = await loadAuditIssues(root, moduleFilter);
+  const newIds = assignIssueIds(issues, tasksById);
+  result.marked = newIds.length;
+  if (!dryRun) {
+    for (const auditPath of new Set(newIds.map(i => i.auditPath))) {
+      const content = await fs.readFile(auditPath, 'utf-8');
+      await fs.writeFile(auditPath, insertIssueIds(content, issues.filter(i => i.auditPath === auditPath)));
+    }
+  }
+
+  // Done in Kanban, open in AUDIT.md (only issues whose ID was already written): mark fixed and archive
+  const toArchive = issues.filter(i => i.marked && !i.fixed && tasksById.get(i.id)?.[0].status === 'done');
+  /** @type {Map<string, AuditIssue[]>} */
+  const byFile = new Map();
+  for (const issue of toArchive) {
+    if (!byFile.has(issue.auditPath)) byFile.set(issue.auditPath, []);
+    byFile.get(issue.auditPath).push(issue);
+  }
+  if (byFile.size > 0) {
+    const stamp = await archiveStamp(root);
+    for (const [auditPath, fileIssues] of byFile) {
+      let content = await fs.readFile(auditPath, 'utf-8');
+      const marked = [];
+      for (const issue of fileIssues) {
+        const next = markIssueFixed(content, issue.id);
+        if (next === null) {
+          result.errors.push({ id: issue.id, error: `issue not found in ${path.relative(root, auditPath)}` });
+          continue;
+        }
+        content = next;
+        marked.push(issue);
+      }
+      if (marked.length === 0) continue;
+      if (!dryRun) {
+        await fs.writeFile(auditPath, content);
+        await archiveAuditFile(root, auditPath, { stamp });
+      }
+      result.archived.push(...marked.map(i => ({ id: i.id, module: i.module, title: i.title })));
+    }
+    if (!dryRun) {
+      issues = await loadAuditIssues(root, moduleFilter);
+      assignIssueIds(issues, tasksById);
+    }
+  }
+  const archivedIds = new Set(result.archived.map(i => i.id));
+
+  /** @type {Set<string>} */
+  const openIds = new Set();
+  for (const issue of issues) {
+    if (archivedIds.has(issue.id)) continue;
+    const task = tasksById.get(issue.id)?.[0];
+
+    if (issue.fixed) {
+      if (task && task.status !== 'done') await close(task, issue.id, 'fixed');
+      continue;
+    }
+    openIds.add(issue.id);
+
+    const fields = issueToTask(issue);
+    try {
+      if (!task) {
+        const created = dryRun ? null : await kanban.createTask(project.id, fields);
+        result.created.push({ id: issue.id, taskId: created?.id || null, title: fields.title });
+      } else if (task.title !== fields.title || task.description !== fields.description
+        || task.priority !== fields.priority || !sameTags(task.tags, fields.tags)) {
+        if (!dryRun) await kanban.updateTask(task.id, fields);
+        result.updated.push({ id: issue.id, taskId: task.id, title: fields.title });
+      } else {
+        result.unchanged++;
+      }
+    } catch (e) {
+      result.errors.push({ id: issue.id, error: e.message });
+    }
+  }
+
+  // Tasks whose issue was archived, fixed by `pi audit fix` or dropped from AUDIT.md
+  const allIds = moduleFilter
+    ? new Set((await loadAuditIssues(root)).map(i => i.id || auditIssueId(i.module, i.title, i.content)))
+    : null;
+  for (const [id, tasks] of tasksById) {
+    const task = tasks[0];
+    if (task.status === 'done' || openIds.has(id) || archivedIds.has(id)) continue;
+    if (issues.some(i => i.id === id)) continue;
+    if (moduleFilter) {
+      const module = FOOTER_PATTERN.exec(task.description || '')?.[2];
+      if (allIds.has(id) || module === undefined || !module.toLowerCase().includes(moduleFilter.toLowerCase())) continue;
+    }
+    await close(task, id, 'resolved');
+  }
+
+  /**
+   * @param {import('../kanban/store.js').KanbanTask} task
+   * @param {string} id
+   * @param {'fixed'|'resolved'} reason
+   */
+  async function close(task, id, reason) {
+    try {
+      if (!dryRun) await kanban.moveTask(task.id, { status: 'done' });
+      result.closed.push({ id, taskId: task.id, title: task.title, reason });
+    } catch (e) {
+      result.errors.push({ id, error: e.message });
+    }
+  }
+
+  if (result.errors.length > 0) process.exitCode = 1;
+
+  if (args.json) {
+    console.log(JSON.stringify({ project: project.id, backend: kanban.backend, dryRun, ...result }, null, 2));
+    return;
+  }
+
+  const prefix = dryRun ? '[dry-run] ' : '';
+  console.log(`${prefix}Kanban project: ${project.name} (${project.id}) [${kanban.backend}: ${kanban.location}]`);
+  for (const c of result.created) console.log(`  + ${c.id}  ${truncate(c.title, 90)}`);
+  for (const u of result.updated) console.log(`  ~ ${u.id}  ${truncate(u.title, 90)}`);
+  for (const c of result.closed) console.log(`  ✓ ${c.id}  ${truncate(c.title, 90)} (${c.reason})`);
+  for (const a of result.archived) console.log(`  ⇢ ${a.id}  ${a.module}: ${truncate(a.title, 80)} (task done, archived)`);
+  for (const d of result.duplicates) console.log(`  ! ${d.id}  ${d.tasks.length} tasks (${d.tasks.join(', ')}), only the first is synced`);
+  for (const e of result.errors) console.error(`  ✗ ${e.id}  ${e.error}`);
+  console.log(`\n${prefix}Created ${result.created.length}, updated ${result.updated.length}, unchanged ${result.unchanged}, closed ${result.closed.length}, archived ${result.archived.length}, IDs written ${result.marked}.`);
+}
+
+/**
+ * @param {string[]|undefined} a
+ * @param {string[]} b
+ */
+function sameTags(a, b) {
+  return JSON.stringify([...(a || [])].sort()) === JSON.stringify([...b].sort());
+}
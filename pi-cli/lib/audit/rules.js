@@ -0,0 +1,454 @@
+/**
+ * Audit rule engine
+ * Loads built-in, project (.pi-rules/) and npm plugin rules, resolves per-rule
+ * severity/options (global + directoryRules) and runs them over a file.
+ *
+ * Rule module format (`.pi-rules/*.js` or an npm package):
+ *   export default { id, type: 'regex', pattern, severity, message, languages }
+ *   export default { id, type: 'ast', check(context) { context.report({ line }) } }
+ *   export const rules = [rule, ...]   // several rules per module
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { getDirectoryRule } from '../shared.js';
+import { tokenize } from '../deps/parser.js';
+import { BUILTIN_RULES } from './builtin-rules.js';
+
+/** @typedef {import('../deps/parser.js').Token} Token */
+
+/**
+ * @typedef {object} AuditRule
+ * @property {string} id - Rule identifier (used in config and suppressions)
+ * @property {'regex'|'ast'} type - Line regex or token/AST based
+ * @property {string[]} [languages] - Project languages the rule applies to (default: javascript, typescript)
+ * @property {'error'|'warning'|'info'} severity - Default severity
+ * @property {string} message - Default message
+ * @property {RegExp|string} [pattern] - Regex rules: tested against each line
+ * @property {(context: AstRuleContext) => void} [check] - AST rules: report issues via context.report()
+ * @property {Record<string, any>} [defaultOptions] - Options merged under configured options
+ * @property {string} [source] - Where the rule was loaded from ('builtin', file path or package)
+ */
+
+/**
+ * @typedef {object} FunctionInfo
+ * @property {string|null} name
+ * @property {boolean} async
+ * @property {boolean} generator
+ * @property {number} line - Line of the function head
+ * @property {number} bodyOpen - Token index of `{`
+ * @property {number} bodyClose - Token index of the matching `}`
+ */
+
+/**
+ * @typedef {object} AstRuleContext
+ * @property {string} file - Project-relative path
+ * @property {string} content - File content
+ * @property {string[]} lines - Content split by line
+ * @property {Token[]} tokens - Tokens (comments excluded)
+ * @property {Record<string, any>} options - Resolved rule options
+ * @property {(index: number) => number} matchBracket - Index of the bracket closing tokens[index] (-1 if none)
+ * @property {() => FunctionInfo[]} functions - Function/method/arrow bodies in the file
+ * @property {(fromLine: number, toLine: number) => boolean} hasComment - Whether lines in range contain a comment
+ * @property {(issue: {line: number, message?: string, snippet?: string}) => void} report
+ */
+
+/**
+ * @typedef {object} RuleSetting
+ * @property {'error'|'warning'|'info'|'off'} severity
+ * @property {Record<string, any>} options
+ */
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const RULE_FILE_EXTS = new Set(['.js', '.mjs', '.cjs']);
+const SUPPRESS_RE = /(?:\/\/|#|\/\*)\s*pi-disable-next-line\b([^*\n]*)/;
+
+/**
+ * Validate and normalize a rule definition.
+ * @param {any} raw
+ * @param {string} source
+ * @returns {AuditRule|null}
+ */
+function normalizeRule(raw, source) {
+  if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !raw.id) {
+    console.warn(`Warning: ignoring rule without id (${source})`);
+    return null;
+  }
+
+  const type = raw.type || (typeof raw.check === 'function' ? 'ast' : 'regex');
+  if (type === 'ast' && typeof raw.check !== 'function') {
+    console.warn(`Warning: AST rule "${raw.id}" has no check() (${source})`);
+    return null;
+  }
+
+  let pattern = raw.pattern;
+  if (type === 'regex') {
+    if (typeof pattern === 'string') pattern = new RegExp(pattern);
+    if (!(pattern instanceof RegExp)) {
+      console.warn(`Warning: regex rule "${raw.id}" has no pattern (${source})`);
+      return null;
+    }
+    // Global/sticky flags make test() stateful across lines
+    if (pattern.global || pattern.sticky) pattern = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  }
+
+  return {
+    ...raw,
+    type,
+    pattern,
+    languages: Array.isArray(raw.languages) && raw.languages.length > 0 ? raw.languages : ['javascript', 'typescript'],
+    severity: SEVERITIES.includes(raw.severity) ? raw.severity : 'warning',
+    message: String(raw.message || raw.id),
+    defaultOptions: raw.defaultOptions && typeof raw.defaultOptions === 'object' ? raw.defaultOptions : {},
+    source
+  };
+}
+
+/**
+ * Extract rule definitions from an imported module.
+ * @param {any} mod
+ * @returns {any[]}
+ */
+function rulesFromModule(mod) {
+  const exported = mod?.rules ?? mod?.default?.rules ?? mod?.default ?? null;
+  if (!exported) return [];
+  if (Array.isArray(exported)) return exported;
+  if (typeof exported.id === 'string') return [exported];
+  // { ruleId: definition } map
+  return Object.entries(exported).map(([id, rule]) => ({ id, ...rule }));
+}
+
+/**
+ * Load rules from `.pi-rules/` in the project root.
+ * @param {string} root
+ * @returns {Promise<AuditRule[]>}
+ */
+async function loadProjectRules(root) {
+  const dir = path.join(root, '.pi-rules');
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  /** @type {AuditRule[]} */
+  const out = [];
+  const files = entries
+    .filter(e => e.isFile() && RULE_FILE_EXTS.has(path.extname(e.name)))
+    .map(e => e.name)
+    .sort();
+
+  for (const name of files) {
+    const source = `.pi-rules/${name}`;
+    try {
+      const mod = await import(pathToFileURL(path.join(dir, name)).href);
+      for (const raw of rulesFromModule(mod)) {
+        const rule = normalizeRule(raw, source);
+        if (rule) out.push(rule);
+      }
+    } catch (err) {
+      console.warn(`Warning: failed to load ${source}: ${err.message}`);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Load rules from npm packages listed in `audit.plugins`.
+ * @param {string} root
+ * @param {string[]} plugins
+ * @returns {Promise<AuditRule[]>}
+ */
+async function loadPluginRules(root, plugins) {
+  const require = createRequire(path.join(root, 'package.json'));
+  /** @type {AuditRule[]} */
+  const out = [];
+
+  for (const name of plugins) {
+    try {
+      const resolved = require.resolve(name);
+      const mod = await import(pathToFileURL(resolved).href);
+      for (const raw of rulesFromModule(mod)) {
+        const rule = normalizeRule(raw, name);
+        if (rule) out.push(rule);
+      }
+    } catch (err) {
+      console.warn(`Warning: failed to load rule plugin "${name}": ${String(err.message).split('\n')[0]}`);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Load all rules. Later sources replace earlier rules with the same id:
+ * built-in < npm plugins < `.pi-rules/`.
+ *
+ * @param {string} root
+ * @param {any} staleConfig
+ * @returns {Promise<AuditRule[]>}
+ */
+export async function loadRules(root, staleConfig) {
+  const plugins = Array.isArray(staleConfig?.audit?.plugins) ? staleConfig.audit.plugins.filter(p => typeof p === 'string') : [];
+
+  /** @type {Map<string, AuditRule>} */
+  const byId = new Map();
+  for (const raw of BUILTIN_RULES) {
+    const rule = normalizeRule(raw, 'builtin');
+    if (rule) byId.set(rule.id, rule);
+  }
+  for (const rule of await loadPluginRules(root, plugins)) byId.set(rule.id, rule);
+  for (const rule of await loadProjectRules(root)) byId.set(rule.id, rule);
+
+  return [...byId.values()];
+}
+
+/**
+ * Rule languages active for a project language.
+ * @param {string} language
+ * @returns {string[]}
+ */
+export function activeLanguages(language) {
+  if (language === 'typescript') return ['javascript', 'typescript'];
+  if (language === 'javascript' || language === 'python') return [language];
+  // Other languages: keep the historical JavaScript rule set
+  return ['javascript'];
+}
+
+/**
+ * Parse one rule setting: "off" | "error" | ["warning", {opts}] | {severity, options}.
+ * @param {any} value
+ * @returns {{severity?: string, options?: Record<string, any>}|null}
+ */
+function parseSetting(value) {
+  if (value === undefined || value === null) return null;
+  if (value === false) return { severity: 'off' };
+  if (typeof value === 'string') return { severity: value };
+  if (Array.isArray(value)) return { severity: value[0], options: value[1] };
+  if (typeof value === 'object') return { severity: value.severity, options: value.options };
+  return null;
+}
+
+/**
+ * Resolve effective severity/options of a rule for a file:
+ * rule defaults < `audit.rules` < `directoryRules[dir].rules` (longest match).
+ *
+ * @param {AuditRule} rule
+ * @param {string} file - Project-relative path
+ * @param {any} staleConfig
+ * @returns {RuleSetting}
+ */
+export function resolveRuleSetting(rule, file, staleConfig) {
+  /** @type {RuleSetting} */
+  const setting = { severity: rule.severity, options: { ...rule.defaultOptions } };
+
+  const layers = [
+    staleConfig?.audit?.rules?.[rule.id],
+    getDirectoryRule(file, staleConfig?.directoryRules)?.rule?.rules?.[rule.id]
+  ];
+
+  for (const layer of layers) {
+    const parsed = parseSetting(layer);
+    if (!parsed) continue;
+    if (parsed.severity === 'off' || SEVERITIES.includes(String(parsed.severity))) {
+      setting.severity = /** @type {RuleSetting['severity']} */ (parsed.severity);
+    }
+    if (parsed.options && typeof parsed.options === 'object') {
+      setting.options = { ...setting.options, ...parsed.options };
+    }
+  }
+
+  return setting;
+}
+
+/**
+ * Collect `pi-disable-next-line [rule, ...]` suppressions.
+ * @param {string[]} lines
+ * @returns {Map<number, Set<string>|null>} 1-based line → suppressed rule ids (null = all rules)
+ */
+export function parseSuppressions(lines) {
+  /** @type {Map<number, Set<string>|null>} */
+  const out = new Map();
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(SUPPRESS_RE);
+    if (!m) continue;
+    const ids = m[1].replace(/--.*$/, '').split(/[\s,]+/).filter(Boolean);
+    out.set(i + 2, ids.length > 0 ? new Set(ids) : null);
+  }
+  return out;
+}
+
+/**
+ * Find the index of the bracket closing tokens[index].
+ * @param {Token[]} tokens
+ * @param {number} index
+ * @returns {number}
+ */
+function matchBracket(tokens, index) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const open = tokens[index]?.value;
+  const close = pairs[open];
+  if (!close || tokens[index].type !== 'punct') return -1;
+
+  let depth = 0;
+  for (let k = index; k < tokens.length; k++) {
+    const tok = tokens[k];
+    if (tok.type !== 'punct') continue;
+    if (tok.value === open || (open === '{' && tok.value === '${')) depth++;
+    else if (tok.value === close && --depth === 0) return k;
+  }
+  return -1;
+}
+
+/**
+ * Find function bodies: declarations/expressions, arrows with block bodies
+ * and (async) methods.
+ *
+ * @param {Token[]} tokens
+ * @returns {FunctionInfo[]}
+ */
+function findFunctions(tokens) {
+  /** @type {FunctionInfo[]} */
+  const out = [];
+  /** @type {Set<number>} */
+  const seen = new Set();
+  const isP = (/** @type {Token|undefined} */ t, /** @type {string} */ v) => t?.type === 'punct' && t.value === v;
+  const isN = (/** @type {Token|undefined} */ t) => t?.type === 'name';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const isAsync = isN(tok) && tok.value === 'async' && !isP(tokens[i - 1], '.');
+    let k = isAsync ? i + 1 : i;
+    const head = tokens[k];
+    let name = null;
+    let generator = false;
+
+    if (isN(head) && head.value === 'function') {
+      k++;
+      if (isP(tokens[k], '*')) {
+        generator = true;
+        k++;
+      }
+      if (isN(tokens[k])) name = tokens[k++].value;
+      if (!isP(tokens[k], '(')) continue;
+      k = matchBracket(tokens, k) + 1;
+    } else if (isAsync && isP(head, '(')) {
+      // async (a, b) => {}
+      k = matchBracket(tokens, k) + 1;
+      if (!(isP(tokens[k], '=') && isP(tokens[k + 1], '>'))) continue;
+      k += 2;
+    } else if (isAsync && isN(head) && isP(tokens[k + 1], '=') && isP(tokens[k + 2], '>')) {
+      // async x => {}
+      k += 3;
+    } else if (isAsync && (isN(head) || isP(head, '*'))) {
+      // async method() {} / async *gen() {}
+      if (isP(head, '*')) {
+        generator = true;
+        k++;
+      }
+      if (!isN(tokens[k]) || !isP(tokens[k + 1], '(')) continue;
+      name = tokens[k].value;
+      k = matchBracket(tokens, k + 1) + 1;
+    } else if (!isAsync && isP(tok, '=') && isP(tokens[i + 1], '>')) {
+      // Non-async arrow: only needed as a nested scope boundary
+      k = i + 2;
+    } else {
+      continue;
+    }
+
+    if (k <= 0) continue;
+    // Return type annotation: `): Promise<void> {`
+    if (isP(tokens[k], ':')) {
+      let depth = 0;
+      while (k < tokens.length && !(depth === 0 && isP(tokens[k], '{'))) {
+        if (isP(tokens[k], '<') || isP(tokens[k], '(')) depth++;
+        else if (isP(tokens[k], '>') || isP(tokens[k], ')')) depth--;
+        k++;
+      }
+    }
+    if (!isP(tokens[k], '{')) continue;
+
+    // `async function` / `async () =>` are found at `async` first
+    if (seen.has(k)) continue;
+    const bodyClose = matchBracket(tokens, k);
+    if (bodyClose === -1) continue;
+    seen.add(k);
+    out.push({ name, async: isAsync, generator, line: tok.line, bodyOpen: k, bodyClose });
+  }
+
+  return out;
+}
+
+/**
+ * Run rules over one file.
+ *
+ * @param {{file: string, content: string, rules: AuditRule[], staleConfig: any, minSeverity?: number}} input
+ * @returns {Array<{line: number, severity: string, rule: string, message: string, snippet: string}>}
+ */
+export function runRules({ file, content, rules, staleConfig, minSeverity = 2 }) {
+  const lines = content.split('\n');
+  const suppressions = parseSuppressions(lines);
+  /** @type {Array<{line: number, severity: string, rule: string, message: string, snippet: string}>} */
+  const issues = [];
+
+  const isSuppressed = (/** @type {string} */ id, /** @type {number} */ line) => {
+    if (!suppressions.has(line)) return false;
+    const ids = suppressions.get(line);
+    return ids === null || Boolean(ids?.has(id));
+  };
+
+  /** @type {Token[]|null} */
+  let tokens = null;
+  /** @type {FunctionInfo[]|null} */
+  let functions = null;
+
+  for (const rule of rules) {
+    const setting = resolveRuleSetting(rule, file, staleConfig);
+    if (setting.severity === 'off') continue;
+    if (SEVERITIES.indexOf(setting.severity) > minSeverity) continue;
+
+    const push = (/** @type {number} */ line, /** @type {string|undefined} */ message, /** @type {string|undefined} */ snippet) => {
+      if (isSuppressed(rule.id, line)) return;
+      issues.push({
+        line,
+        severity: setting.severity,
+        rule: rule.id,
+        message: message || rule.message,
+        snippet: (snippet ?? String(lines[line - 1] || '')).trim().slice(0, 80)
+      });
+    };
+
+    if (rule.type === 'regex') {
+      const pattern = /** @type {RegExp} */ (rule.pattern);
+      for (let i = 0; i < lines.length; i++) {
+        if (pattern.test(lines[i])) push(i + 1);
+      }
+      continue;
+    }
+
+    try {
+      if (!tokens) tokens = tokenize(content);
+      const toks = tokens;
+      rule.check?.({
+        file,
+        content,
+        lines,
+        tokens: toks,
+        options: setting.options,
+        matchBracket: (index) => matchBracket(toks, index),
+        functions: () => functions || (functions = findFunctions(toks)),
+        hasComment: (fromLine, toLine) => lines.slice(fromLine - 1, toLine).some(l => /\/\/|\/\*/.test(l)),
+        report: (issue) => push(Number(issue?.line) || 1, issue?.message, issue?.snippet)
+      });
+    } catch (err) {
+      console.warn(`Warning: rule "${rule.id}" failed on ${file}: ${err.message}`);
+    }
+  }
+
+  return issues;
+}
@@ -7,57 +7,37 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { getDirectoryRule, matchesIgnoreInclude, matchesPattern, readJsonSafe, writeJsonSafe } from '../shared.js';
 import { getCachePath, loadStaleConfig } from '../context.js';
+import { loadRules, activeLanguages, resolveRuleSetting, runRules } from './rules.js';
+import { buildSarif, emitSarif, withFingerprints } from '../sarif.js';
+import { filterNewIssues } from './baseline.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 /** @typedef {import('../types.js').AuditIssue} AuditIssue */
 
-/**
- * Rule definitions by language
- */
-const RULES = {
-  javascript: [
-    { id: 'no-eval', pattern: /\beval\s*\(/, severity: 'error', message: 'Avoid eval() - security risk' },
-    { id: 'no-console', pattern: /\bconsole\.(log|debug|info)\s*\(/, severity: 'warning', message: 'Remove console statements in production' },
-    { id: 'no-debugger', pattern: /\bdebugger\b/, severity: 'error', message: 'Remove debugger statements' },
-    { id: 'no-alert', pattern: /\balert\s*\(/, severity: 'warning', message: 'Avoid alert() in production' },
-    { id: 'no-var', pattern: /\bvar\s+\w/, severity: 'info', message: 'Use const/let instead of var' },
-    { id: 'todo-fixme', pattern: /\b(TODO|FIXME|HACK|XXX)\b/, severity: 'info', message: 'Unresolved TODO/FIXME' },
-    { id: 'no-secret', pattern: /(password|secret|api_key|apikey)\s*[=:]\s*['"][^'"]+['"]/i, severity: 'error', message: 'Possible hardcoded secret' }
-  ],
-  typescript: [
-    { id: 'no-any', pattern: /:\s*any\b/, severity: 'warning', message: 'Avoid using any type' },
-    { id: 'no-ts-ignore', pattern: /@ts-ignore/, severity: 'warning', message: 'Avoid @ts-ignore' }
-  ],
-  python: [
-    { id: 'no-eval', pattern: /\beval\s*\(/, severity: 'error', message: 'Avoid eval() - security risk' },
-    { id: 'no-exec', pattern: /\bexec\s*\(/, severity: 'error', message: 'Avoid exec() - security risk' },
-    { id: 'no-print', pattern: /\bprint\s*\(/, severity: 'info', message: 'Consider using logging instead of print' },
-    { id: 'todo-fixme', pattern: /\b(TODO|FIXME|HACK|XXX)\b/, severity: 'info', message: 'Unresolved TODO/FIXME' }
-  ]
-};
+/** Severity order (lower = more severe) */
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
 
 /**
- * Scan code for issues
+ * Run the active rules over all source files.
+ * Issues are sorted by severity, then directory priority, and fingerprinted.
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
- * @param {object} args
+ * @param {{staleConfig: any, severity?: string}} options
+ * @returns {Promise<{issues: Array<AuditIssue & Record<string, any>>, rules: import('./rules.js').AuditRule[]}>}
  */
-export async function scan(ctx, args) {
+export async function collectIssues(ctx, options) {
   const { root, config } = ctx;
-  const staleConfig = ctx.staleConfig || await loadStaleConfig(root, config);
+  const { staleConfig } = options;
   const ignore = staleConfig?.ignore || [];
   const include = staleConfig?.include || [];
   const directoryRules = staleConfig?.directoryRules || {};
-  const securityPolicy = staleConfig?.security || {};
-
-  const severity = args.severity || 'warning'; // error, warning, info
-  const severityOrder = { error: 0, warning: 1, info: 2 };
-  const minSeverity = severityOrder[severity] ?? 1;
-  const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+  const minSeverity = SEVERITY_ORDER[options.severity || 'warning'] ?? 1;
 
   // Get rules for language
-  const langRules = RULES[config.language] || RULES.javascript;
-  const tsRules = config.language === 'typescript' ? RULES.typescript : [];
-  const allRules = [...langRules, ...tsRules];
+  const languages = activeLanguages(config.language);
+  const allRules = (await loadRules(root, staleConfig))
+    .filter(rule => rule.languages.some(lang => languages.includes(lang)));
 
   // Scan files
   const issues = [];
@@ -81,54 +61,89 @@ export async function scan(ctx, args) {
       const rulePriority = dirRule?.rule?.priority ? String(dirRule.rule.priority) : null;
       const ruleFocus = Array.isArray(dirRule?.rule?.focus) ? dirRule.rule.focus : null;
 
-      const lines = content.split('\n');
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-
-        for (const rule of allRules) {
-          if (severityOrder[rule.severity] > minSeverity) continue;
-
-          if (rule.pattern.test(line)) {
-            issues.push({
-              file: projectRel,
-              line: i + 1,
-              severity: rule.severity,
-              rule: rule.id,
-              message: rule.message,
-              snippet: line.trim().slice(0, 80),
-              directoryRule: dirRule?.path || null,
-              priority: rulePriority,
-              focus: ruleFocus
-            });
-          }
-        }
+      const found = runRules({ file: projectRel, content, rules: allRules, staleConfig, minSeverity });
+      for (const issue of found) {
+        issues.push({
+          file: projectRel,
+          ...issue,
+          directoryRule: dirRule?.path || null,
+          priority: rulePriority,
+          focus: ruleFocus
+        });
       }
     }
   }
 
   // Sort by severity, then directory priority
   issues.sort((a, b) => {
-    const sevCmp = severityOrder[a.severity] - severityOrder[b.severity];
+    const sevCmp = SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity];
     if (sevCmp !== 0) return sevCmp;
-    const priA = priorityOrder[String(a.priority || '').toLowerCase()] ?? 99;
-    const priB = priorityOrder[String(b.priority || '').toLowerCase()] ?? 99;
+    const priA = PRIORITY_ORDER[String(a.priority || '').toLowerCase()] ?? 99;
+    const priB = PRIORITY_ORDER[String(b.priority || '').toLowerCase()] ?? 99;
     if (priA !== priB) return priA - priB;
     if (a.file !== b.file) return String(a.file).localeCompare(String(b.file));
     return (a.line || 0) - (b.line || 0);
   });
 
-  // Save results
+  // Stable ids for baselines, SARIF and review tooling
+  return { issues: withFingerprints(issues), rules: allRules };
+}
+
+/**
+ * Scan code for issues
+ *
+ * Rules come from the rule engine (built-in, `.pi-rules/`, `audit.plugins`);
+ * severity/options per rule from `audit.rules` and `directoryRules[dir].rules`.
+ *
+ * Diff-only mode: `--new-only` reports findings missing from the baseline
+ * (`pi audit baseline`), `--since=<ref>` findings on lines changed since the
+ * ref (both: either condition); `--staged` counts lines staged for commit as
+ * changed and keeps only findings in staged files. Only then does the exit
+ * code fail, and only on new findings.
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+export async function scan(ctx, args) {
+  const { root, config } = ctx;
+  const staleConfig = ctx.staleConfig || await loadStaleConfig(root, config);
+  const ignore = staleConfig?.ignore || [];
+  const include = staleConfig?.include || [];
+  const directoryRules = staleConfig?.directoryRules || {};
+  const securityPolicy = staleConfig?.security || {};
+
+  const { issues: allIssues, rules: allRules } = await collectIssues(ctx, { staleConfig, severity: args.severity });
+
+  /** @type {Awaited<ReturnType<typeof filterNewIssues>>|null} */
+  let diff = null;
+  if (args['new-only'] || args.since || args.staged) {
+    try {
+      diff = await filterNewIssues(ctx, allIssues, {
+        newOnly: Boolean(args['new-only']),
+        since: args.since ? String(args.since) : null,
+        staged: Boolean(args.staged),
+        baselinePath: args.baseline ? path.resolve(root, String(args.baseline)) : null
+      });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  const issues = diff ? diff.issues : allIssues;
+
+  // Save results (always the full finding set)
   const cachePath = getCachePath(config, root, '.audit-result.json');
   await writeJsonSafe(cachePath, {
     timestamp: new Date().toISOString(),
-    issues,
+    issues: allIssues,
     stats: {
-      total: issues.length,
-      errors: issues.filter(i => i.severity === 'error').length,
-      warnings: issues.filter(i => i.severity === 'warning').length,
-      info: issues.filter(i => i.severity === 'info').length
+      total: allIssues.length,
+      errors: allIssues.filter(i => i.severity === 'error').length,
+      warnings: allIssues.filter(i => i.severity === 'warning').length,
+      info: allIssues.filter(i => i.severity === 'info').length
     },
+    ...(diff ? { diff: diff.summary } : {}),
     policy: {
       ignore,
       include,
@@ -137,34 +152,117 @@ export async function scan(ctx, args) {
     }
   });
 
-  if (args.json) {
-    console.log(JSON.stringify({ issues, stats: { total: issues.length } }, null, 2));
+  if (args.format === 'sarif') {
+    const sarif = await buildSarif({
+      root,
+      category: 'pi-audit',
+      rules: allRules.map(rule => ({
+        id: rule.id,
+        description: rule.message,
+        severity: rule.severity,
+        tags: [rule.type],
+        properties: { source: rule.source }
+      })),
+      findings: issues.map(issue => ({
+        ruleId: issue.rule,
+        severity: issue.severity,
+        message: issue.message,
+        file: issue.file,
+        line: issue.line,
+        snippet: issue.snippet,
+        fingerprint: issue.fingerprint,
+        ...(diff ? { baselineState: 'new' } : {}),
+        ...(issue.directoryRule ? { properties: { directoryRule: issue.directoryRule, priority: issue.priority } } : {})
+      }))
+    });
+    await emitSarif(sarif, { root, output: args.output });
+  } else if (args.json) {
+    console.log(JSON.stringify({
+      issues,
+      stats: { total: issues.length, ...(diff ? { new: issues.length, existing: allIssues.length - issues.length } : {}) },
+      ...(diff ? { diff: diff.summary } : {})
+    }, null, 2));
+  } else if (diff) {
+    const existing = allIssues.length - issues.length;
+    console.log(`Audit found ${issues.length} new issues (${existing} existing hidden${diff.summary.since ? `, since ${diff.summary.since}` : ''}${diff.summary.staged ? ', staged' : ''}):\n`);
+    printGrouped(issues);
   } else {
     console.log(`Audit found ${issues.length} issues:\n`);
+    printGrouped(issues);
+  }
 
-    const grouped = {};
-    for (const issue of issues) {
-      if (!grouped[issue.severity]) grouped[issue.severity] = [];
-      grouped[issue.severity].push(issue);
-    }
+  // Diff-only mode gates on new findings only
+  if (diff && issues.length > 0) process.exitCode = 1;
 
-    for (const sev of ['error', 'warning', 'info']) {
-      const items = grouped[sev] || [];
-      if (items.length === 0) continue;
+  return issues;
+}
 
-      console.log(`${sev.toUpperCase()} (${items.length}):`);
-      for (const item of items.slice(0, 10)) {
-        console.log(`  ${item.file}:${item.line} - ${item.message}`);
-      }
-      if (items.length > 10) {
-        console.log(`  ... +${items.length - 10} more\n`);
-      } else {
-        console.log('');
-      }
+/**
+ * Print issues grouped by severity (first 10 per group)
+ * @param {AuditIssue[]} issues
+ */
+function printGrouped(issues) {
+  const grouped = {};
+  for (const issue of issues) {
+    if (!grouped[issue.severity]) grouped[issue.severity] = [];
+    grouped[issue.severity].push(issue);
+  }
+
+  for (const sev of ['error', 'warning', 'info']) {
+    const items = grouped[sev] || [];
+    if (items.length === 0) continue;
+
+    console.log(`${sev.toUpperCase()} (${items.length}):`);
+    for (const item of items.slice(0, 10)) {
+      console.log(`  ${item.file}:${item.line} - ${item.message}`);
+    }
+    if (items.length > 10) {
+      console.log(`  ... +${items.length - 10} more\n`);
+    } else {
+      console.log('');
     }
   }
+}
 
-  return issues;
+/**
+ * List loaded audit rules with their effective settings
+ * `--file <path>` shows the settings that apply to that file (directoryRules).
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+export async function listRules(ctx, args) {
+  const { root, config } = ctx;
+  const staleConfig = ctx.staleConfig || await loadStaleConfig(root, config);
+  const file = args.file ? String(args.file).replace(/\\/g, '/').replace(/^\.\/+/, '') : '';
+  const languages = activeLanguages(config.language);
+
+  const rules = (await loadRules(root, staleConfig)).map(rule => {
+    const setting = resolveRuleSetting(rule, file, staleConfig);
+    return {
+      id: rule.id,
+      type: rule.type,
+      source: rule.source,
+      languages: rule.languages,
+      active: rule.languages.some(lang => languages.includes(lang)),
+      severity: setting.severity,
+      options: setting.options,
+      message: rule.message
+    };
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify({ ...(file ? { file } : {}), rules }, null, 2));
+    return rules;
+  }
+
+  console.log(`Audit rules${file ? ` for ${file}` : ''} (${rules.length}):`);
+  for (const rule of rules) {
+    const state = !rule.active ? 'n/a' : rule.severity;
+    const opts = Object.keys(rule.options).length > 0 ? ` ${JSON.stringify(rule.options)}` : '';
+    console.log(`  ${rule.id.padEnd(24)} ${state.padEnd(8)} ${rule.type.padEnd(6)} ${rule.source}${opts}`);
+  }
+  return rules;
 }
 
 /**
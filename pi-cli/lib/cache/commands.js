@@ -0,0 +1,115 @@
+/**
+ * pi cache stats|prune
+ */
+
+import path from 'path';
+import { openCache, cacheDir, ResponseCache } from '../llm/cache.js';
+import { formatTokens } from '../llm/usage.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @param {string} subcommand
+ * @param {object} args
+ * @param {{root: string, config: ProjectConfig}} ctx
+ */
+export async function handleCache(subcommand, args, ctx) {
+  switch (subcommand) {
+    case 'stats':
+      await showStats(ctx, args);
+      break;
+    case 'prune':
+      await prune(ctx, args);
+      break;
+    default:
+      console.error(`Unknown cache subcommand: ${subcommand}`);
+      console.error('Available: stats, prune');
+      process.exitCode = 1;
+  }
+}
+
+/**
+ * The project's cache, also when caching is turned off (its entries can
+ * still be inspected and removed)
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @returns {ResponseCache}
+ */
+function projectCache({ root, config }) {
+  const settings = config?.llm?.cache;
+  return openCache(config, { root }) || new ResponseCache(cacheDir(config, root), {
+    ttlHours: settings?.ttlHours,
+    maxSizeMB: settings?.maxSizeMB
+  });
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function showStats(ctx, args) {
+  const cache = projectCache(ctx);
+  const stats = await cache.stats();
+
+  if (args.json) {
+    console.log(JSON.stringify(stats, null, 2));
+    return;
+  }
+
+  const enabled = openCache(ctx.config, { root: ctx.root }) !== null;
+  console.log(`LLM response cache: ${path.relative(ctx.root, stats.dir) || '.'}/${enabled ? '' : '  (disabled)'}`);
+  console.log(`  Entries: ${stats.entries} (${formatBytes(stats.bytes)} of ${stats.maxSizeMB} MB)${stats.expired ? `, ${stats.expired} expired` : ''}  TTL: ${stats.ttlHours}h`);
+  if (stats.entries === 0) return;
+
+  console.log(`  Written: ${stats.oldest} .. ${stats.newest}`);
+  console.log(`  Responses originally cost: ${formatTokens(stats.tokens)} tokens`);
+  for (const [title, group] of [['By task type', stats.byTaskType], ['By provider/model', stats.byModel]]) {
+    console.log(`  ${title}:`);
+    for (const [name, g] of Object.entries(group).sort((a, b) => b[1].entries - a[1].entries)) {
+      console.log(`    ${name.padEnd(28)} ${String(g.entries).padStart(5)}  ${formatBytes(g.bytes)}`);
+    }
+  }
+}
+
+/**
+ * Remove expired entries, then the least recently used over the size limit.
+ * --all empties the cache; --ttl=<hours> / --max-size=<MB> override llm.cache.
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function prune(ctx, args) {
+  const cache = projectCache(ctx);
+  for (const flag of ['ttl', 'max-size']) {
+    if (args[flag] !== undefined && !(Number(args[flag]) > 0)) {
+      console.error(`--${flag} must be a positive number, got: ${args[flag]}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const result = await cache.prune({
+    all: Boolean(args.all),
+    ttlHours: args.ttl,
+    maxSizeMB: args['max-size']
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const removed = result.expired + result.evicted;
+  const why = args.all
+    ? ''
+    : ` (${result.expired} expired, ${result.evicted} over the size limit)`;
+  console.log(`Removed ${removed} entr${removed === 1 ? 'y' : 'ies'}${removed ? why : ''}, freed ${formatBytes(result.freedBytes)}; ${result.entries} left (${formatBytes(result.bytes)})`);
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,5 @@
+/**
+ * Cache module index
+ */
+
+export { handleCache } from './commands.js';
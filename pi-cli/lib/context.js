@@ -6,8 +6,10 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { findProjectRoot, readJsonSafe, writeJsonSafe } from './shared.js';
+import { discoverWorkspaces } from './workspace.js';
 
 /** @typedef {import('./types.js').ProjectConfig} ProjectConfig */
+/** @typedef {import('./types.js').PackageConfig} PackageConfig */
 
 const CONFIG_FILE = '.pi-config.json';
 const DEFAULT_CACHE_DIR = '.project-index';
@@ -40,6 +42,7 @@ export function createDefaultConfig() {
 
 /**
  * Detect project language from files
+ * All markers are checked; `hints.languages` lists every detected language.
  * @param {string} projectRoot
  * @returns {Promise<{language: string, hints: object}>}
  */
@@ -58,12 +61,13 @@ export async function detectLanguage(projectRoot) {
     { file: 'composer.json', language: 'php', framework: 'composer' }
   ];
 
-  const hints = { files: [], packageManager: null, testFramework: null };
+  const hints = { files: [], languages: [], packageManager: null, testFramework: null };
 
   for (const m of markers) {
     try {
       await fs.access(path.join(projectRoot, m.file));
       hints.files.push(m.file);
+      if (!hints.languages.includes(m.language)) hints.languages.push(m.language);
 
       // First match wins for language
       if (!hints.language) {
@@ -75,6 +79,11 @@ export async function detectLanguage(projectRoot) {
     }
   }
 
+  // tsconfig.json next to package.json means a TypeScript project
+  if (hints.language === 'javascript' && hints.languages.includes('typescript')) {
+    hints.language = 'typescript';
+  }
+
   // Detect package manager for JS
   if (hints.language === 'javascript' || hints.language === 'typescript') {
     const pmFiles = ['pnpm-lock.yaml', 'yarn.lock', 'bun.lockb', 'package-lock.json'];
@@ -108,11 +117,21 @@ export async function detectTestFramework(projectRoot, language) {
       { file: 'vitest.config.js', framework: 'vitest', cmd: 'vitest run', pattern: '**/*.test.js' },
       { file: 'vitest.config.ts', framework: 'vitest', cmd: 'vitest run', pattern: '**/*.test.ts' },
       { file: 'jest.config.js', framework: 'jest', cmd: 'jest', pattern: '**/*.test.js' },
-      { file: 'jest.config.ts', framework: 'jest', cmd: 'jest', pattern: '**/*.test.ts' }
+      { file: 'jest.config.ts', framework: 'jest', cmd: 'jest', pattern: '**/*.test.ts' },
+      { file: '.mocharc.json', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.js' },
+      { file: '.mocharc.js', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.js' },
+      { file: '.mocharc.cjs', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.js' },
+      { file: '.mocharc.yml', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.js' },
+      { file: '.mocharc.yaml', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.js' }
     ],
     typescript: [
       { file: 'vitest.config.ts', framework: 'vitest', cmd: 'vitest run', pattern: '**/*.test.ts' },
-      { file: 'jest.config.ts', framework: 'jest', cmd: 'jest', pattern: '**/*.test.ts' }
+      { file: 'jest.config.ts', framework: 'jest', cmd: 'jest', pattern: '**/*.test.ts' },
+      { file: '.mocharc.json', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.ts' },
+      { file: '.mocharc.js', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.ts' },
+      { file: '.mocharc.cjs', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.ts' },
+      { file: '.mocharc.yml', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.ts' },
+      { file: '.mocharc.yaml', framework: 'mocha', cmd: 'mocha', pattern: 'test/**/*.ts' }
     ],
     python: [
       { file: 'pytest.ini', framework: 'pytest', cmd: 'pytest', pattern: '**/test_*.py' },
@@ -142,9 +161,106 @@ export async function detectTestFramework(projectRoot, language) {
     }
   }
 
+  // Workspace packages often inherit the runner config; fall back to package.json deps/scripts
+  if (language === 'javascript' || language === 'typescript') {
+    const pkg = await readJsonSafe(path.join(projectRoot, 'package.json'));
+    const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+    const testScript = String(pkg?.scripts?.test || '');
+    const ext = language === 'typescript' ? 'ts' : 'js';
+    if (deps.vitest || /\bvitest\b/.test(testScript)) {
+      return { framework: 'vitest', cmd: 'vitest run', pattern: `**/*.test.${ext}` };
+    }
+    if (deps.jest || /\bjest\b/.test(testScript)) {
+      return { framework: 'jest', cmd: 'jest', pattern: `**/*.test.${ext}` };
+    }
+    if (deps.mocha || /\bmocha\b/.test(testScript)) {
+      return { framework: 'mocha', cmd: 'mocha', pattern: `test/**/*.${ext}` };
+    }
+    if (/\bbun\s+test\b/.test(testScript)) {
+      return { framework: 'bun', cmd: 'bun test', pattern: `**/*.test.${ext}` };
+    }
+    // node:test - keep loader flags such as `--import tsx`, drop file globs
+    const nodeTest = testScript.match(/\bnode\s+((?:--?[\w-]+(?:[= ](?!-)[^\s'"*]+)?\s+)*?)--test\b/);
+    if (nodeTest) {
+      return { framework: 'node', cmd: `node ${nodeTest[1]}--test`, pattern: `**/*.test.${ext}` };
+    }
+  }
+
   return { framework: 'unknown', cmd: '', pattern: '' };
 }
 
+/**
+ * Command prefix that runs a locally installed binary
+ * @param {string|null} packageManager
+ * @returns {string}
+ */
+function execPrefix(packageManager) {
+  const prefixes = { npm: 'npx', pnpm: 'pnpm exec', yarn: 'yarn', bun: 'bunx' };
+  return prefixes[packageManager] || packageManager || '';
+}
+
+/**
+ * Guess source/test directories of a package
+ * @param {string} pkgRoot
+ * @returns {Promise<{srcDirs: string[], testDirs: string[]}>}
+ */
+async function detectLayout(pkgRoot) {
+  const exists = async (dir) => {
+    try {
+      return (await fs.stat(path.join(pkgRoot, dir))).isDirectory();
+    } catch {
+      return false;
+    }
+  };
+
+  const srcDirs = [];
+  for (const dir of ['src', 'lib']) {
+    if (await exists(dir)) srcDirs.push(dir);
+  }
+  const testDirs = [];
+  for (const dir of ['test', 'tests', '__tests__']) {
+    if (await exists(dir)) testDirs.push(dir);
+  }
+
+  return {
+    srcDirs: srcDirs.length > 0 ? srcDirs : ['.'],
+    // Colocated tests live next to sources
+    testDirs: testDirs.length > 0 ? testDirs : (srcDirs.length > 0 ? srcDirs : ['.'])
+  };
+}
+
+/**
+ * Build a per-package config block for a workspace package
+ * @param {string} projectRoot
+ * @param {import('./workspace.js').WorkspacePackage} pkg
+ * @param {string|null} packageManager
+ * @returns {Promise<PackageConfig>}
+ */
+async function createPackageConfig(projectRoot, pkg, packageManager) {
+  const pkgRoot = path.join(projectRoot, pkg.dir);
+  const { language } = await detectLanguage(pkgRoot);
+  const pkgLanguage = language === 'unknown' ? 'javascript' : language;
+  const testInfo = await detectTestFramework(pkgRoot, pkgLanguage);
+  const { srcDirs, testDirs } = await detectLayout(pkgRoot);
+
+  return {
+    name: pkg.name,
+    dir: pkg.dir,
+    language: pkgLanguage,
+    src: {
+      dirs: srcDirs,
+      pattern: '**/*',
+      ignore: ['node_modules', 'dist']
+    },
+    test: {
+      dirs: testDirs,
+      pattern: testInfo.pattern,
+      cmd: packageManager && testInfo.cmd ? `${execPrefix(packageManager)} ${testInfo.cmd}` : testInfo.cmd,
+      framework: testInfo.framework
+    }
+  };
+}
+
 /**
  * Initialize a new config file
  * @param {string} projectRoot
@@ -174,11 +290,31 @@ export async function initConfig(projectRoot, options = {}) {
 
   // Add package manager prefix for JS
   if (hints.packageManager && testInfo.cmd) {
-    config.test.cmd = `${hints.packageManager} ${testInfo.cmd}`;
+    config.test.cmd = `${execPrefix(hints.packageManager)} ${testInfo.cmd}`;
   } else {
     config.test.cmd = testInfo.cmd;
   }
 
+  // Workspaces: one src/test block per package, root dirs become the union
+  const workspace = await discoverWorkspaces(projectRoot);
+  if (workspace.packages.length > 0) {
+    config.workspace = { manager: workspace.manager, patterns: workspace.patterns };
+    config.packages = [];
+    for (const pkg of workspace.packages) {
+      config.packages.push(await createPackageConfig(projectRoot, pkg, workspace.manager));
+    }
+
+    const join = (dir, sub) => (sub === '.' ? dir : `${dir}/${sub}`);
+    config.src.dirs = [...new Set(config.packages.flatMap(p => p.src.dirs.map(d => join(p.dir, d))))];
+    config.test.dirs = [...new Set(config.packages.flatMap(p => p.test.dirs.map(d => join(p.dir, d))))];
+    if (!config.test.pattern) {
+      config.test.pattern = config.packages.find(p => p.test.pattern)?.test.pattern || '';
+    }
+    if (config.language === 'unknown') {
+      config.language = config.packages[0].language;
+    }
+  }
+
   // Save minimal config (AI will fill in the rest)
   await writeJsonSafe(configPath, config);
 
@@ -208,6 +344,9 @@ export async function loadContext(startDir = process.cwd()) {
   if (config.cache && !path.isAbsolute(config.cache)) {
     config.cache = path.join(root, config.cache);
   }
+  if (config.llm?.fixtures && !path.isAbsolute(config.llm.fixtures)) {
+    config.llm.fixtures = path.join(root, config.llm.fixtures);
+  }
 
   const staleConfig = await loadStaleConfig(root, config);
 
@@ -262,22 +401,99 @@ export function validateConfig(config, operation) {
   };
 
   const required = requirements[operation] || [];
-  const missing = [];
 
-  for (const field of required) {
-    const parts = field.split('.');
-    let value = config;
-    for (const p of parts) {
-      value = value?.[p];
-    }
-    if (!value || (Array.isArray(value) && value.length === 0)) {
-      missing.push(field);
+  /**
+   * @param {any} target
+   * @returns {string[]}
+   */
+  const findMissing = (target) => {
+    const missing = [];
+    for (const field of required) {
+      const parts = field.split('.');
+      let value = target;
+      for (const p of parts) {
+        value = value?.[p];
+      }
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        missing.push(field);
+      }
     }
+    return missing;
+  };
+
+  const missing = findMissing(config);
+
+  // Workspaces: any fully configured package is enough
+  if (missing.length > 0 && Array.isArray(config.packages) && config.packages.some(p => findMissing(p).length === 0)) {
+    return { valid: true, missing: [] };
   }
 
   return { valid: missing.length === 0, missing };
 }
 
+/**
+ * Resolve effective per-package configs with project-relative dirs.
+ *
+ * Without `config.packages`, the root config is returned as a single package
+ * (dir "."), so callers can iterate packages unconditionally.
+ *
+ * @param {ProjectConfig} config
+ * @param {{package?: string}} [options] - Filter by package name or dir
+ * @returns {PackageConfig[]}
+ */
+export function getPackageConfigs(config, options = {}) {
+  const packages = Array.isArray(config.packages) && config.packages.length > 0
+    ? config.packages
+    : [{ name: config.name, dir: '.', language: config.language, src: config.src, test: config.test }];
+
+  const join = (dir, sub) => {
+    if (!dir || dir === '.') return sub;
+    return sub === '.' || !sub ? dir : `${dir}/${sub}`;
+  };
+
+  const resolved = packages.map(p => ({
+    ...p,
+    dir: p.dir || '.',
+    language: p.language || config.language,
+    conventions: { ...config.conventions, ...p.conventions },
+    src: {
+      ...config.src,
+      ...p.src,
+      dirs: (p.src?.dirs || []).map(d => join(p.dir, d))
+    },
+    test: {
+      ...config.test,
+      ...p.test,
+      dirs: (p.test?.dirs || []).map(d => join(p.dir, d))
+    }
+  }));
+
+  const filter = typeof options.package === 'string' ? options.package.trim() : '';
+  if (!filter) return resolved;
+  return resolved.filter(p => p.name === filter || p.dir === filter.replace(/\/+$/, ''));
+}
+
+/**
+ * Find the package owning a project-relative file (longest dir prefix wins)
+ * @param {PackageConfig[]} packages - From getPackageConfigs()
+ * @param {string} relFile
+ * @returns {PackageConfig|null}
+ */
+export function findPackageForFile(packages, relFile) {
+  const rel = String(relFile || '').replace(/\\/g, '/').replace(/^\.\/+/, '');
+  let best = null;
+  for (const pkg of packages) {
+    if (pkg.dir === '.') {
+      if (!best) best = pkg;
+      continue;
+    }
+    if ((rel === pkg.dir || rel.startsWith(pkg.dir + '/')) && (!best || best.dir === '.' || pkg.dir.length > best.dir.length)) {
+      best = pkg;
+    }
+  }
+  return best;
+}
+
 /**
  * Get cache file path
  * @param {ProjectConfig} config
@@ -316,11 +532,16 @@ function createDefaultStaleConfig() {
     },
     testing: {
       coverage: { target: 0, minimum: 0, focus: [] },
+      flaky: { historySize: 20, minScore: 0.3 },
       qualityRules: [],
       antiPatterns: [],
       boundaryConditions: [],
       mustTest: []
     },
+    audit: {
+      rules: {},
+      plugins: []
+    },
     directoryRules: {},
     concurrency: 0,
     timeout: 0
@@ -6,7 +6,10 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { readJsonSafe, writeJsonSafe, matchesPattern, runCommand, parallelMap } from '../shared.js';
-import { getCachePath } from '../context.js';
+import { getCachePath, getPackageConfigs } from '../context.js';
+import { analyzeModule, WILDCARD } from './parser.js';
+import { detectChangedExports, traceSymbolImpact } from './symbols.js';
+import { createResolver } from './resolver.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 /** @typedef {import('../types.js').DependencyGraph} DependencyGraph */
@@ -28,8 +31,11 @@ const IMPORT_PARSERS = {
   rust: parseRustImports
 };
 
+/** Extensions handled by the tokenizer-based JS/TS parser */
+const JS_PARSE_EXTS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts']);
+
 /**
- * Parse JS/TS imports from file content
+ * Parse JS/TS imports from file content (regex fallback)
  * @param {string} content
  * @returns {string[]}
  */
@@ -58,6 +64,59 @@ function parseJsImports(content) {
   return [...specs];
 }
 
+/**
+ * Parse JS/TS import records with imported names, plus the module's exports.
+ * Uses the tokenizer-based parser, falling back to regex (names unknown → "*",
+ * exports unknown → null).
+ *
+ * @param {string} content
+ * @param {{parser?: string}} [options]
+ * @returns {{records: import('./parser.js').ImportRecord[], exports: string[]|null, parser: 'ast'|'regex'}}
+ */
+function parseJsImportRecords(content, options = {}) {
+  if (options.parser !== 'regex') {
+    try {
+      const analysis = analyzeModule(content);
+      return { records: analysis.imports, exports: analysis.exports, parser: 'ast' };
+    } catch {
+      // fall through to regex
+    }
+  }
+
+  const records = parseJsImports(content).map(specifier => ({
+    specifier,
+    kind: /** @type {const} */ ('import'),
+    names: [{ imported: WILDCARD, local: WILDCARD, typeOnly: false }],
+    typeOnly: false,
+    line: 0
+  }));
+  return { records, exports: null, parser: 'regex' };
+}
+
+/**
+ * Merge import records into per-target symbol edges.
+ * An edge is type-only when every record pointing at the target is type-only.
+ *
+ * @param {Array<{target: string, record: import('./parser.js').ImportRecord}>} resolved
+ * @returns {Record<string, {names: string[], typeOnly: boolean}>}
+ */
+function buildSymbolEdges(resolved) {
+  /** @type {Record<string, {names: Set<string>, typeOnly: boolean}>} */
+  const acc = {};
+  for (const { target, record } of resolved) {
+    const entry = acc[target] || (acc[target] = { names: new Set(), typeOnly: true });
+    for (const n of record.names) entry.names.add(n.imported);
+    if (!record.typeOnly) entry.typeOnly = false;
+  }
+
+  /** @type {Record<string, {names: string[], typeOnly: boolean}>} */
+  const out = {};
+  for (const [target, entry] of Object.entries(acc)) {
+    out[target] = { names: [...entry.names].sort(), typeOnly: entry.typeOnly };
+  }
+  return out;
+}
+
 /**
  * Parse Python imports
  * @param {string} content
@@ -204,66 +263,55 @@ function getExtensions(language) {
   return exts[language] || ['.js'];
 }
 
-/**
- * Resolve import specifier to file path
- * @param {string} spec
- * @param {string} fromFile
- * @param {string} rootAbs
- * @param {Map<string, string>} knownFiles
- * @param {string} language
- * @returns {string|null}
- */
-function resolveImport(spec, fromFile, rootAbs, knownFiles, language) {
-  if (!spec.startsWith('.')) return null;
-
-  const fromAbs = path.join(rootAbs, fromFile);
-  const base = path.resolve(path.dirname(fromAbs), spec);
-
-  const exts = getExtensions(language);
-  const candidates = [];
-
-  if (path.extname(base)) {
-    candidates.push(base);
-  } else {
-    for (const ext of exts) {
-      candidates.push(`${base}${ext}`);
-    }
-    candidates.push(path.join(base, `index${exts[0]}`));
-  }
-
-  for (const abs of candidates) {
-    const rel = path.relative(rootAbs, abs).replace(/\\/g, '/');
-    if (rel.startsWith('..')) continue;
-    if (knownFiles.has(rel)) return rel;
-  }
-
-  return null;
-}
-
 /**
  * Build dependency graph
+ *
+ * JS/TS files are parsed with the tokenizer-based parser and carry symbol-level
+ * edges (`symbols`: target → imported names). `--parser=regex` forces the legacy
+ * regex extraction. Specifiers are resolved through the shared resolver
+ * (relative paths, tsconfig `paths`, package `imports`/`exports`, workspace packages).
+ * In workspaces every package is scanned and nodes carry their `package`;
+ * `--package=<name>` prints that package's slice.
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  */
 export async function buildGraph(ctx, args) {
   const { root, config } = ctx;
   const parser = IMPORT_PARSERS[config.language] || parseJsImports;
+  const useJsParser = parser === parseJsImports;
 
-  /** @type {Record<string, {imports: string[], importedBy: string[]}>} */
+  /** @type {Record<string, {imports: string[], importedBy: string[], symbols?: Record<string, {names: string[], typeOnly: boolean}>, exports?: string[], package?: string}>} */
   const files = {};
   const edges = new Map();
+  let symbolEdges = 0;
+  let regexFallbacks = 0;
 
-  // Scan all source directories
+  // Scan all source directories (every workspace package, so cross-package edges resolve)
+  const packages = getPackageConfigs(config);
+  const isWorkspace = Array.isArray(config.packages) && config.packages.length > 0;
   const allFiles = new Map();
-  for (const srcDir of config.src.dirs) {
-    const srcAbs = path.join(root, srcDir);
-    const scanned = await scanFiles(srcAbs, config);
-    for (const [rel, abs] of scanned) {
-      const fullRel = path.join(srcDir, rel).replace(/\\/g, '/');
-      allFiles.set(fullRel, abs);
+  /** @type {Map<string, string>} */
+  const fileToPackage = new Map();
+  for (const pkg of packages) {
+    const scanConfig = { ...config, language: pkg.language, src: pkg.src };
+    for (const srcDir of pkg.src.dirs) {
+      const srcAbs = path.join(root, srcDir);
+      const scanned = await scanFiles(srcAbs, scanConfig);
+      for (const [rel, abs] of scanned) {
+        const fullRel = path.join(srcDir, rel).replace(/\\/g, '/');
+        allFiles.set(fullRel, abs);
+        if (isWorkspace) fileToPackage.set(fullRel, pkg.name);
+      }
     }
   }
 
+  const resolver = await createResolver(root, {
+    language: config.language,
+    extensions: getExtensions(config.language),
+    conditions: config.resolve?.conditions
+  });
+
   // Parse imports for each file
   for (const [relPath, absPath] of allFiles) {
     let content;
@@ -273,15 +321,38 @@ export async function buildGraph(ctx, args) {
       continue;
     }
 
+    if (useJsParser && JS_PARSE_EXTS.has(path.extname(relPath).toLowerCase())) {
+      const { records, exports, parser: used } = parseJsImportRecords(content, { parser: args.parser });
+      if (used === 'regex' && args.parser !== 'regex') regexFallbacks++;
+
+      /** @type {Array<{target: string, record: import('./parser.js').ImportRecord}>} */
+      const resolved = [];
+      for (const record of records) {
+        const target = await resolver.resolve(record.specifier, relPath, allFiles);
+        if (target) resolved.push({ target, record });
+      }
+
+      const symbols = buildSymbolEdges(resolved);
+      const resolvedImports = Object.keys(symbols);
+      symbolEdges += Object.values(symbols).reduce((sum, e) => sum + e.names.length, 0);
+
+      files[relPath] = { imports: resolvedImports, importedBy: [], symbols };
+      if (exports) files[relPath].exports = exports;
+      if (fileToPackage.has(relPath)) files[relPath].package = fileToPackage.get(relPath);
+      edges.set(relPath, new Set(resolvedImports));
+      continue;
+    }
+
     const imports = parser(content);
     const resolvedImports = [];
 
     for (const spec of imports) {
-      const resolved = resolveImport(spec, relPath, root, allFiles, config.language);
+      const resolved = await resolver.resolve(spec, relPath, allFiles);
       if (resolved) resolvedImports.push(resolved);
     }
 
     files[relPath] = { imports: resolvedImports, importedBy: [] };
+    if (fileToPackage.has(relPath)) files[relPath].package = fileToPackage.get(relPath);
     edges.set(relPath, new Set(resolvedImports));
   }
 
@@ -298,15 +369,18 @@ export async function buildGraph(ctx, args) {
   const cycles = detectCycles(edges);
 
   const graph = {
-    version: 1,
+    version: 2,
     generated: new Date().toISOString(),
     root: root,
     language: config.language,
+    parser: useJsParser ? (args.parser === 'regex' ? 'regex' : 'ast') : 'regex',
     files,
+    ...(isWorkspace ? { packages: summarizePackages(packages, files) } : {}),
     cycles,
     stats: {
       totalFiles: Object.keys(files).length,
       totalEdges: [...edges.values()].reduce((sum, s) => sum + s.size, 0),
+      symbolEdges,
       cycleCount: cycles.length
     }
   };
@@ -315,16 +389,83 @@ export async function buildGraph(ctx, args) {
   const cachePath = getCachePath(config, root, '.dep-graph.json');
   await writeJsonSafe(cachePath, graph);
 
+  // --package: report the package's slice (the cache keeps the full graph)
+  if (args.package) {
+    const selected = getPackageConfigs(config, { package: args.package })[0];
+    if (!selected) {
+      console.error(`Unknown package: ${args.package}`);
+      process.exitCode = 1;
+      return;
+    }
+    const slice = Object.fromEntries(Object.entries(files).filter(([f]) => files[f].package === selected.name || selected.dir === '.'));
+    const summary = graph.packages?.[selected.name] || null;
+    if (args.json) {
+      console.log(JSON.stringify({ package: selected.name, summary, files: slice }, null, 2));
+    } else {
+      console.log(`Package ${selected.name}: ${Object.keys(slice).length} files`);
+      if (summary) {
+        console.log(`  Internal edges: ${summary.internalEdges}, cross-package edges: ${summary.crossEdges}`);
+        if (summary.dependsOn.length > 0) console.log(`  Depends on: ${summary.dependsOn.join(', ')}`);
+        if (summary.dependents.length > 0) console.log(`  Used by: ${summary.dependents.join(', ')}`);
+      }
+    }
+    return;
+  }
+
   if (args.json) {
     console.log(JSON.stringify(graph, null, 2));
   } else {
     console.log(`Built dependency graph: ${graph.stats.totalFiles} files, ${graph.stats.totalEdges} edges`);
+    if (graph.packages) {
+      const crossEdges = Object.values(graph.packages).reduce((sum, p) => sum + p.crossEdges, 0);
+      console.log(`  Packages: ${Object.keys(graph.packages).length}, cross-package edges: ${crossEdges}`);
+    }
+    if (useJsParser) {
+      console.log(`  Symbol edges: ${symbolEdges}${regexFallbacks > 0 ? ` (${regexFallbacks} files parsed with regex fallback)` : ''}`);
+    }
     if (cycles.length > 0) {
       console.log(`Warning: ${cycles.length} cycles detected`);
     }
   }
 }
 
+/**
+ * Per-package edge summary for workspace graphs
+ * @param {import('../types.js').PackageConfig[]} packages
+ * @param {Record<string, {imports: string[], package?: string}>} files
+ * @returns {Record<string, {dir: string, files: number, internalEdges: number, crossEdges: number, dependsOn: string[], dependents: string[]}>}
+ */
+function summarizePackages(packages, files) {
+  /** @type {Record<string, {dir: string, files: number, internalEdges: number, crossEdges: number, dependsOn: Set<string>, dependents: Set<string>}>} */
+  const acc = {};
+  for (const pkg of packages) {
+    acc[pkg.name] = { dir: pkg.dir, files: 0, internalEdges: 0, crossEdges: 0, dependsOn: new Set(), dependents: new Set() };
+  }
+
+  for (const node of Object.values(files)) {
+    const from = node.package && acc[node.package];
+    if (!from) continue;
+    from.files++;
+    for (const imp of node.imports) {
+      const target = files[imp]?.package;
+      if (!target) continue;
+      if (target === node.package) {
+        from.internalEdges++;
+      } else {
+        from.crossEdges++;
+        from.dependsOn.add(target);
+        acc[target]?.dependents.add(node.package);
+      }
+    }
+  }
+
+  return Object.fromEntries(Object.entries(acc).map(([name, p]) => [name, {
+    ...p,
+    dependsOn: [...p.dependsOn].sort(),
+    dependents: [...p.dependents].sort()
+  }]));
+}
+
 /**
  * Detect cycles using DFS
  * @param {Map<string, Set<string>>} edges
@@ -612,6 +753,10 @@ async function git(cwd, args) {
 
 /**
  * Analyze impact of a file change
+ *
+ * `--symbols` narrows the impact to importers of the exports that changed
+ * (derived from git diff hunks), following re-export barrels.
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  */
@@ -663,12 +808,25 @@ export async function analyzeImpact(ctx, args) {
 
   if (changed.length === 0) {
     console.error('No changed files found. Provide file paths or use --since/--staged.');
-    console.error('Usage: pi deps impact <file1> [file2...] [--since <commit> | --staged] [--depth <0-2>] [--json]');
+    console.error('Usage: pi deps impact <file1> [file2...] [--since <commit> | --staged] [--depth <0-2>] [--symbols] [--json]');
     process.exitCode = 1;
     return;
   }
 
-  const { depth, L1, L2, affected } = analyzeImpactLayers(graph, changed, args.depth);
+  /** @type {{changedExports: Record<string, string[]>, usages: import('./symbols.js').SymbolUsage[]}|null} */
+  let symbolInfo = null;
+  /** @type {{ depth: number, L1: Set<string>, L2: Set<string>, affected: Set<string> }} */
+  let layers;
+
+  if (args.symbols) {
+    const traced = await analyzeSymbolLayers(ctx, graph, changed, args);
+    layers = traced;
+    symbolInfo = { changedExports: traced.changedExports, usages: traced.usages };
+  } else {
+    layers = analyzeImpactLayers(graph, changed, args.depth);
+  }
+
+  const { depth, L1, L2, affected } = layers;
 
   const l1Arr = uniqueSorted(Array.from(L1));
   const l2Arr = uniqueSorted(Array.from(L2));
@@ -694,14 +852,17 @@ export async function analyzeImpact(ctx, args) {
 
   const result = {
     ...(single ? { file: single, directDependents } : {}),
+    ...(symbolInfo ? { mode: 'symbols' } : {}),
     changed,
+    ...(symbolInfo ? { changedExports: symbolInfo.changedExports } : {}),
     depth,
     impact: { L1: l1Arr, L2: l2Arr, total: affected.size },
     highRisk,
     moduleBreakdown,
     ...(hasTestMap ? { testFiles } : {}),
     totalAffected: affected.size,
-    affected: affectedArr
+    affected: affectedArr,
+    ...(symbolInfo ? { usages: symbolInfo.usages } : {})
   };
 
   if (args.json) {
@@ -711,7 +872,15 @@ export async function analyzeImpact(ctx, args) {
     for (const f of changed.slice(0, 50)) console.log(`  - ${f}`);
     if (changed.length > 50) console.log(`  ... and ${changed.length - 50} more`);
 
-    console.log('\nImpact Analysis:');
+    if (symbolInfo) {
+      console.log('\nChanged exports:');
+      for (const [file, names] of Object.entries(symbolInfo.changedExports)) {
+        const label = names.includes(WILDCARD) ? '(all)' : names.length > 0 ? names.join(', ') : '(none)';
+        console.log(`  - ${file}: ${label}`);
+      }
+    }
+
+    console.log(`\nImpact Analysis${symbolInfo ? ' (symbols)' : ''}:`);
     console.log(`  Depth: ${depth}`);
     console.log(`  L1 (direct): ${l1Arr.length} files`);
     console.log(`  L2 (transitive): ${l2Arr.length} files`);
@@ -741,11 +910,61 @@ export async function analyzeImpact(ctx, args) {
 
     if (affectedArr.length > 0 && affectedArr.length <= 20) {
       console.log('\nAffected files:');
-      for (const f of affectedArr) console.log(`  - ${f}`);
+      if (symbolInfo) {
+        for (const f of affectedArr) {
+          const uses = symbolInfo.usages.filter(u => u.file === f);
+          const names = uniqueSorted(uses.flatMap(u => u.names));
+          console.log(`  - ${f} (${names.join(', ')}${uses.every(u => u.reexport) ? ', re-export' : ''})`);
+        }
+      } else {
+        for (const f of affectedArr) console.log(`  - ${f}`);
+      }
     }
   }
 }
 
+/**
+ * Symbol-level impact layers: changed exports from git hunks, then only the
+ * importers referencing them (re-export barrels don't count as a layer).
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {DependencyGraph} depGraph
+ * @param {string[]} changedFiles
+ * @param {object} args
+ * @returns {Promise<{ depth: number, L1: Set<string>, L2: Set<string>, affected: Set<string>, changedExports: Record<string, string[]>, usages: import('./symbols.js').SymbolUsage[] }>}
+ */
+async function analyzeSymbolLayers(ctx, depGraph, changedFiles, args) {
+  const { root, config } = ctx;
+  const depth = clampImpactDepth(args.depth);
+
+  const changes = await detectChangedExports(root, changedFiles, {
+    since: args.since ? String(args.since) : null,
+    staged: Boolean(args.staged)
+  });
+
+  const resolver = await createResolver(root, {
+    language: config.language,
+    extensions: getExtensions(config.language),
+    conditions: config.resolve?.conditions
+  });
+  const { affected: levels, usages } = await traceSymbolImpact({ root, graph: depGraph, changes, depth, resolver });
+
+  /** @type {Set<string>} */
+  const L1 = new Set();
+  /** @type {Set<string>} */
+  const L2 = new Set();
+  for (const [file, level] of levels) {
+    if (level <= 1) L1.add(file);
+    else L2.add(file);
+  }
+
+  /** @type {Record<string, string[]>} */
+  const changedExports = {};
+  for (const [file, names] of changes) changedExports[file] = [...names].sort();
+
+  return { depth, L1, L2, affected: new Set([...L1, ...L2]), changedExports, usages };
+}
+
 /**
  * Propagate staleness through dependency graph
  * @param {{root: string, config: ProjectConfig}} ctx
@@ -1138,12 +1357,18 @@ export async function queryDeps(ctx, args) {
     return;
   }
 
+  if (args.symbol) {
+    return querySymbol(ctx, args, graph);
+  }
+
   const targetFile = args._[2]; // pi deps query <file>
   const maxDepth = parseInt(args.depth) || 3;
 
   if (!targetFile) {
     console.error('Usage: pi deps query <file> [--depth=N] [--json]');
+    console.error('       pi deps query --symbol <file>#<export> [--depth=N] [--json]');
     console.error('  --depth=N  Max depth to traverse (default: 3)');
+    console.error('  --symbol   List users of one export (through re-exports)');
     console.error('  --json     Output as JSON');
     process.exitCode = 1;
     return;
@@ -1261,3 +1486,102 @@ export async function queryDeps(ctx, args) {
     }
   }
 }
+
+/**
+ * Who uses this export: `pi deps query --symbol <file>#<export>`
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ * @param {any} graph
+ */
+async function querySymbol(ctx, args, graph) {
+  const { root, config } = ctx;
+  const spec = String(args.symbol);
+  const hash = spec.lastIndexOf('#');
+  const targetFile = hash > 0 ? normalizeRelInput(spec.slice(0, hash)) : '';
+  const symbol = hash > 0 ? spec.slice(hash + 1) : '';
+  const maxDepth = parseInt(args.depth) || 3;
+
+  if (!targetFile || !symbol) {
+    console.error('Usage: pi deps query --symbol <file>#<export> [--depth=N] [--json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const matches = graph.files[targetFile]
+    ? [targetFile]
+    : Object.keys(graph.files).filter(f => f.endsWith(targetFile) || f.includes(targetFile));
+
+  if (matches.length === 0) {
+    console.error(`File not found in graph: ${targetFile}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (matches.length > 1) {
+    console.log(`Multiple matches found for "${targetFile}":`);
+    matches.slice(0, 20).forEach((f, i) => console.log(`  ${i + 1}. ${f}`));
+    if (matches.length > 20) console.log(`  ... and ${matches.length - 20} more`);
+    console.log('\nUse full path');
+    return;
+  }
+
+  const file = matches[0];
+  const exported = graph.files[file].exports;
+  if (Array.isArray(exported) && !exported.includes(symbol) && !exported.includes(WILDCARD)) {
+    console.error(`Export "${symbol}" not found in ${file}`);
+    console.error(`Available exports: ${exported.length > 0 ? exported.join(', ') : '(none)'}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const resolver = await createResolver(root, {
+    language: config.language,
+    extensions: getExtensions(config.language),
+    conditions: config.resolve?.conditions
+  });
+  const { affected, usages } = await traceSymbolImpact({
+    root,
+    graph,
+    changes: new Map([[file, new Set([symbol])]]),
+    depth: maxDepth,
+    resolver
+  });
+
+  const users = usages
+    .slice()
+    .sort((a, b) => (a.level - b.level) || a.file.localeCompare(b.file));
+  const direct = uniqueSorted(users.filter(u => u.level === 1 && !u.reexport).map(u => u.file));
+
+  const result = {
+    file,
+    symbol,
+    usedBy: {
+      direct,
+      chain: users,
+      totalUnique: affected.size
+    }
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  console.log(`\n🔣 ${file}#${symbol}`);
+  console.log('─'.repeat(60));
+  console.log(`\n← Used by: ${direct.length} direct, ${affected.size} total`);
+
+  for (let d = 1; d <= maxDepth; d++) {
+    const atLevel = users.filter(u => u.level === d);
+    if (atLevel.length === 0) continue;
+    console.log(`  Level ${d}:`);
+    for (const u of atLevel.slice(0, 20)) {
+      const via = u.via === file ? '' : ` via ${u.via}`;
+      const as = u.reexport ? ` re-exports as ${u.exports.join(', ')}` : ` imports ${u.names.join(', ')}`;
+      console.log(`  └─ ${u.file}${as}${via}`);
+    }
+    if (atLevel.length > 20) console.log(`  ... and ${atLevel.length - 20} more`);
+  }
+
+  return result;
+}
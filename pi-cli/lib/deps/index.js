@@ -4,3 +4,5 @@
  */
 
 export { buildGraph, analyzeImpact, propagateStale, queryDeps } from './graph.js';
+export { parseJsModule, analyzeModule, tokenize } from './parser.js';
+export { parseDiffHunks, detectChangedExports, traceSymbolImpact } from './symbols.js';
@@ -0,0 +1,1055 @@
+/**
+ * JS/TS module syntax parser
+ * Tokenizer-based import extraction (strings, templates, regex and comments aware)
+ */
+
+/**
+ * @typedef {object} ImportName
+ * @property {string} imported - Name exported by the target module ('default', '*' for namespace)
+ * @property {string} local - Local binding name
+ * @property {boolean} typeOnly - Type-only specifier (`import { type X }`)
+ */
+
+/**
+ * @typedef {object} ImportRecord
+ * @property {string} specifier - Module specifier as written
+ * @property {'import'|'export'|'require'|'dynamic'|'import-equals'} kind - Statement kind
+ * @property {ImportName[]} names - Imported names (empty for side-effect imports)
+ * @property {boolean} typeOnly - Whole statement is type-only
+ * @property {number} line - 1-based line of the statement
+ */
+
+/**
+ * @typedef {object} Token
+ * @property {'name'|'punct'|'string'|'number'|'template'|'regex'} type
+ * @property {string} value
+ * @property {number} line
+ */
+
+/** Namespace / unknown usage marker */
+export const WILDCARD = '*';
+
+/** Keywords whose `( ... )` is followed by a statement, where `/` starts a regex literal */
+const STATEMENT_PARENS = new Set(['if', 'while', 'for', 'with']);
+
+/** Keywords after which `/` starts a regex literal */
+const REGEX_PRECEDERS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function isIdentStart(ch) {
+  return /[A-Za-z_$#]/.test(ch) || ch.charCodeAt(0) > 127;
+}
+
+/**
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function isIdentPart(ch) {
+  return /[\w$]/.test(ch) || ch.charCodeAt(0) > 127;
+}
+
+/**
+ * Tokenize JS/TS/JSX source.
+ *
+ * Error tolerant: unterminated strings and regex literals stop at end of line,
+ * which keeps stray quotes in JSX text from swallowing the rest of the file.
+ * Template literal text is skipped; `${...}` expressions are tokenized, and a
+ * template without substitutions is a string token. JSX text children are
+ * skipped; tags and `{...}` children are tokenized. A `<` in expression
+ * position only opens an element when it self-closes or its closing tag
+ * follows, so TS generics and type assertions stay punctuation.
+ *
+ * @param {string} source
+ * @returns {Token[]}
+ */
+export function tokenize(source) {
+  const src = String(source || '');
+  const len = src.length;
+  /** @type {Token[]} */
+  const tokens = [];
+  /** @type {Array<'brace'|'template'|'jsx'>} */
+  const braceStack = [];
+  /** Per open `(`: whether a statement follows its `)` (`if (...)`) */
+  /** @type {boolean[]} */
+  const parenStack = [];
+  /** `)` tokens closing a STATEMENT_PARENS condition */
+  /** @type {WeakSet<Token>} */
+  const statementParens = new WeakSet();
+  /**
+   * Open JSX elements per nesting context (an element inside a `{...}` child
+   * gets its own frame). braces: braceStack depth of the element's tags.
+   * @type {Array<{depth: number, inTag: boolean, closing: boolean, braces: number}>}
+   */
+  const jsxStack = [];
+  let i = 0;
+  let line = 1;
+
+  function regexAllowed() {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'name') return REGEX_PRECEDERS.has(prev.value);
+    if (prev.type === 'punct') {
+      if (prev.value === ')') return statementParens.has(prev);
+      return prev.value !== ']' && prev.value !== '}';
+    }
+    return false;
+  }
+
+  /**
+   * Does the `<` at `start` open a JSX element: a tag name (or `<>`) that
+   * self-closes or has a matching closing tag later on
+   * @param {number} start
+   * @returns {boolean}
+   */
+  function jsxElementAt(start) {
+    const open = /<\s*(>|[A-Za-z_$][\w$.:-]*)/y;
+    open.lastIndex = start;
+    const m = open.exec(src);
+    if (!m) return false;
+    const name = m[1] === '>' ? '' : m[1].replace(/[.$]/g, '\\$&');
+    const close = new RegExp(`<\\s*/\\s*${name}\\s*>`, 'g');
+    close.lastIndex = start;
+    if (close.test(src)) return true;
+    if (!name) return false;
+
+    // Self-closing: the tag's `>` (outside strings and `{...}`) follows a `/`
+    let depth = 0;
+    for (let k = open.lastIndex; k < len; k++) {
+      const c = src[k];
+      if (c === '"' || c === "'") {
+        const end = src.indexOf(c, k + 1);
+        if (end === -1) return false;
+        k = end;
+      } else if (c === '{') depth++;
+      else if (c === '}') depth--;
+      else if (c === '>' && depth === 0) return src[k - 1] === '/';
+    }
+    return false;
+  }
+
+  /**
+   * Skip JSX text children until a `{...}` child or a tag.
+   */
+  function scanJsxText() {
+    const frame = jsxStack[jsxStack.length - 1];
+    while (i < len) {
+      const ch = src[i];
+      if (ch === '{') {
+        braceStack.push('jsx');
+        tokens.push({ type: 'punct', value: '{', line });
+        i++;
+        return;
+      }
+      if (ch === '<') {
+        frame.inTag = true;
+        frame.closing = /^<\s*\//.test(src.slice(i, i + 64));
+        tokens.push({ type: 'punct', value: '<', line });
+        i++;
+        return;
+      }
+      if (ch === '\n') line++;
+      i++;
+    }
+  }
+
+  /**
+   * Scan template text until closing backtick or `${`.
+   * @param {number} startLine
+   * @param {boolean} [whole] - Scanning from the opening backtick (no substitution yet)
+   */
+  function scanTemplate(startLine, whole = false) {
+    let value = '';
+    while (i < len) {
+      const ch = src[i];
+      if (ch === '\\') {
+        if (src[i + 1] === '\n') line++;
+        else value += src[i + 1] || '';
+        i += 2;
+        continue;
+      }
+      if (ch === '\n') line++;
+      if (ch === '`') {
+        i++;
+        tokens.push(whole ? { type: 'string', value, line: startLine } : { type: 'template', value: '`', line: startLine });
+        return;
+      }
+      if (ch === '$' && src[i + 1] === '{') {
+        i += 2;
+        braceStack.push('template');
+        tokens.push({ type: 'punct', value: '${', line });
+        return;
+      }
+      value += ch;
+      i++;
+    }
+  }
+
+  if (src.startsWith('#!')) {
+    while (i < len && src[i] !== '\n') i++;
+  }
+
+  while (i < len) {
+    const ch = src[i];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Inside a JSX tag: `/` of `</a>` and `<a />`, and the closing `>`
+    const jsx = jsxStack[jsxStack.length - 1];
+    if (jsx?.inTag && braceStack.length === jsx.braces && (ch === '/' || ch === '>')) {
+      const selfClosing = ch === '>' && isPunct(tokens[tokens.length - 1], '/');
+      tokens.push({ type: 'punct', value: ch, line });
+      i++;
+      if (ch === '>') {
+        if (jsx.closing) jsx.depth--;
+        else if (!selfClosing) jsx.depth++;
+        jsx.inTag = false;
+        jsx.closing = false;
+        if (jsx.depth <= 0) jsxStack.pop();
+        else scanJsxText();
+      }
+      continue;
+    }
+
+    // Comments
+    if (ch === '/' && src[i + 1] === '/') {
+      while (i < len && src[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && src[i + 1] === '*') {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end === -1 ? len : end + 2;
+      for (let k = i; k < stop; k++) {
+        if (src[k] === '\n') line++;
+      }
+      i = stop;
+      continue;
+    }
+
+    // String literals
+    if (ch === '"' || ch === "'") {
+      const startLine = line;
+      let value = '';
+      i++;
+      while (i < len && src[i] !== ch && src[i] !== '\n') {
+        if (src[i] === '\\') {
+          if (src[i + 1] === '\n') line++;
+          else value += src[i + 1] || '';
+          i += 2;
+          continue;
+        }
+        value += src[i];
+        i++;
+      }
+      if (src[i] === ch) i++;
+      tokens.push({ type: 'string', value, line: startLine });
+      continue;
+    }
+
+    // Template literals
+    if (ch === '`') {
+      i++;
+      scanTemplate(line, true);
+      continue;
+    }
+
+    // Regex literals
+    if (ch === '/' && regexAllowed()) {
+      const startLine = line;
+      let inClass = false;
+      let value = '/';
+      i++;
+      while (i < len && src[i] !== '\n') {
+        const c = src[i];
+        if (c === '\\') {
+          value += c + (src[i + 1] || '');
+          i += 2;
+          continue;
+        }
+        if (c === '[') inClass = true;
+        else if (c === ']') inClass = false;
+        else if (c === '/' && !inClass) break;
+        value += c;
+        i++;
+      }
+      if (src[i] === '/') {
+        value += '/';
+        i++;
+      }
+      while (i < len && /[a-z]/i.test(src[i])) {
+        value += src[i];
+        i++;
+      }
+      tokens.push({ type: 'regex', value, line: startLine });
+      continue;
+    }
+
+    // Identifiers / keywords
+    if (isIdentStart(ch)) {
+      let j = i + 1;
+      while (j < len && isIdentPart(src[j])) j++;
+      tokens.push({ type: 'name', value: src.slice(i, j), line });
+      i = j;
+      continue;
+    }
+
+    // Numbers
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(src[i + 1] || ''))) {
+      let j = i + 1;
+      while (j < len && /[\w.]/.test(src[j])) j++;
+      tokens.push({ type: 'number', value: src.slice(i, j), line });
+      i = j;
+      continue;
+    }
+
+    // Braces (track template expression nesting)
+    if (ch === '{') {
+      braceStack.push('brace');
+      tokens.push({ type: 'punct', value: '{', line });
+      i++;
+      continue;
+    }
+    if (ch === '}') {
+      const top = braceStack.pop();
+      i++;
+      tokens.push({ type: 'punct', value: '}', line });
+      if (top === 'template') scanTemplate(line);
+      else if (top === 'jsx') scanJsxText();
+      continue;
+    }
+
+    if (ch === '<' && regexAllowed() && jsxElementAt(i)) {
+      jsxStack.push({ depth: 0, inTag: true, closing: false, braces: braceStack.length });
+      tokens.push({ type: 'punct', value: '<', line });
+      i++;
+      continue;
+    }
+
+    if (ch === '(') {
+      const prev = tokens[tokens.length - 1];
+      parenStack.push(Boolean(prev && prev.type === 'name' && STATEMENT_PARENS.has(prev.value)));
+    } else if (ch === ')') {
+      const tok = { type: /** @type {const} */ ('punct'), value: ')', line };
+      if (parenStack.pop()) statementParens.add(tok);
+      tokens.push(tok);
+      i++;
+      continue;
+    }
+
+    if (ch === '.' && src[i + 1] === '.' && src[i + 2] === '.') {
+      tokens.push({ type: 'punct', value: '...', line });
+      i += 3;
+      continue;
+    }
+    if (ch === '?' && src[i + 1] === '.' && !/\d/.test(src[i + 2] || '')) {
+      tokens.push({ type: 'punct', value: '?.', line });
+      i += 2;
+      continue;
+    }
+
+    tokens.push({ type: 'punct', value: ch, line });
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * @param {Token|undefined} tok
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPunct(tok, value) {
+  return Boolean(tok && tok.type === 'punct' && tok.value === value);
+}
+
+/**
+ * @param {Token|undefined} tok
+ * @param {string} [value]
+ * @returns {boolean}
+ */
+function isName(tok, value) {
+  return Boolean(tok && tok.type === 'name' && (value === undefined || tok.value === value));
+}
+
+/**
+ * Parse `{ a, b as c, type D }` starting at the opening brace.
+ * @param {Token[]} tokens
+ * @param {number} start - Index of `{`
+ * @returns {{names: ImportName[], end: number}|null} end = index after `}`
+ */
+function parseNamedList(tokens, start) {
+  /** @type {ImportName[]} */
+  const names = [];
+  let j = start + 1;
+  /** @type {Token[]} */
+  let entry = [];
+
+  const flush = () => {
+    if (entry.length === 0) return;
+    let typeOnly = false;
+    let parts = entry;
+    // `type X` / `type X as Y` mark a type-only specifier; `type` alone or `type as X` is a binding named "type"
+    if (isName(parts[0], 'type') && parts.length > 1 && !(parts.length === 3 && isName(parts[1], 'as'))) {
+      typeOnly = true;
+      parts = parts.slice(1);
+    }
+    const imported = parts[0]?.value;
+    const asIdx = parts.findIndex(p => isName(p, 'as'));
+    const local = asIdx !== -1 && parts[asIdx + 1] ? parts[asIdx + 1].value : imported;
+    if (imported) names.push({ imported, local, typeOnly });
+    entry = [];
+  };
+
+  while (j < tokens.length) {
+    const tok = tokens[j];
+    if (isPunct(tok, '}')) {
+      flush();
+      return { names, end: j + 1 };
+    }
+    if (isPunct(tok, ',')) {
+      flush();
+    } else if (tok.type === 'name' || tok.type === 'string') {
+      entry.push(tok);
+    } else {
+      return null;
+    }
+    j++;
+  }
+  return null;
+}
+
+/**
+ * Expect `from '<spec>'` at index.
+ * @param {Token[]} tokens
+ * @param {number} j
+ * @returns {{specifier: string, end: number}|null}
+ */
+function parseFromClause(tokens, j) {
+  if (isName(tokens[j], 'from') && tokens[j + 1]?.type === 'string') {
+    return { specifier: tokens[j + 1].value, end: j + 2 };
+  }
+  return null;
+}
+
+/**
+ * Recover names bound by `const { a, b: c } = <call>` or `const ns = <call>`.
+ * @param {Token[]} tokens
+ * @param {number} callIdx - Index of `require` / `import` (or preceding `await`)
+ * @returns {ImportName[]}
+ */
+function namesFromBinding(tokens, callIdx) {
+  if (!isPunct(tokens[callIdx - 1], '=')) return [{ imported: WILDCARD, local: WILDCARD, typeOnly: false }];
+
+  const target = tokens[callIdx - 2];
+  if (isName(target)) {
+    return [{ imported: WILDCARD, local: target.value, typeOnly: false }];
+  }
+  if (!isPunct(target, '}')) return [{ imported: WILDCARD, local: WILDCARD, typeOnly: false }];
+
+  // Walk back to the matching `{`
+  let depth = 0;
+  let open = -1;
+  for (let k = callIdx - 2; k >= 0; k--) {
+    if (isPunct(tokens[k], '}')) depth++;
+    else if (isPunct(tokens[k], '{')) {
+      depth--;
+      if (depth === 0) {
+        open = k;
+        break;
+      }
+    }
+  }
+  if (open === -1) return [{ imported: WILDCARD, local: WILDCARD, typeOnly: false }];
+
+  /** @type {ImportName[]} */
+  const names = [];
+  let nested = 0;
+  let expectKey = true;
+  for (let k = open + 1; k < callIdx - 2; k++) {
+    const tok = tokens[k];
+    if (isPunct(tok, '{') || isPunct(tok, '[')) nested++;
+    else if (isPunct(tok, '}') || isPunct(tok, ']')) nested--;
+    if (nested > 0) continue;
+
+    if (isPunct(tok, ',')) {
+      expectKey = true;
+    } else if (isPunct(tok, '...')) {
+      names.push({ imported: WILDCARD, local: tokens[k + 1]?.value || WILDCARD, typeOnly: false });
+      expectKey = false;
+    } else if (expectKey && (tok.type === 'name' || tok.type === 'string')) {
+      const local = isPunct(tokens[k + 1], ':') && isName(tokens[k + 2]) ? tokens[k + 2].value : tok.value;
+      names.push({ imported: tok.value, local, typeOnly: false });
+      expectKey = false;
+    }
+  }
+  return names.length > 0 ? names : [{ imported: WILDCARD, local: WILDCARD, typeOnly: false }];
+}
+
+/**
+ * @param {ImportName[]} names
+ * @param {boolean} statementTypeOnly
+ * @returns {boolean}
+ */
+function isTypeOnly(names, statementTypeOnly) {
+  if (statementTypeOnly) return true;
+  return names.length > 0 && names.every(n => n.typeOnly);
+}
+
+/**
+ * Parse an `import` keyword occurrence.
+ * @param {Token[]} tokens
+ * @param {number} i - Index of `import`
+ * @returns {{record: ImportRecord|null, end: number}}
+ */
+function parseImportAt(tokens, i) {
+  const line = tokens[i].line;
+  const next = tokens[i + 1];
+
+  // import('x') / await import('x')
+  if (isPunct(next, '(')) {
+    const spec = tokens[i + 2];
+    if (spec?.type === 'string' && (isPunct(tokens[i + 3], ')') || isPunct(tokens[i + 3], ','))) {
+      const callIdx = isName(tokens[i - 1], 'await') ? i - 1 : i;
+      return {
+        record: { specifier: spec.value, kind: 'dynamic', names: namesFromBinding(tokens, callIdx), typeOnly: false, line },
+        end: i + 3
+      };
+    }
+    return { record: null, end: i + 1 };
+  }
+
+  // import.meta
+  if (isPunct(next, '.')) return { record: null, end: i + 1 };
+
+  let j = i + 1;
+
+  // import 'side-effect'
+  if (tokens[j]?.type === 'string') {
+    return { record: { specifier: tokens[j].value, kind: 'import', names: [], typeOnly: false, line }, end: j + 1 };
+  }
+
+  let statementTypeOnly = false;
+  if ((isName(tokens[j], 'type') || isName(tokens[j], 'typeof')) &&
+    (isPunct(tokens[j + 1], '{') || isPunct(tokens[j + 1], '*') ||
+      (isName(tokens[j + 1]) && !(isName(tokens[j + 1], 'from') && tokens[j + 2]?.type === 'string')))) {
+    statementTypeOnly = true;
+    j++;
+  }
+
+  /** @type {ImportName[]} */
+  const names = [];
+
+  if (isName(tokens[j]) && !isName(tokens[j], 'from')) {
+    const local = tokens[j].value;
+
+    // TS: import x = require('y')
+    if (isPunct(tokens[j + 1], '=')) {
+      if (isName(tokens[j + 2], 'require') && isPunct(tokens[j + 3], '(') && tokens[j + 4]?.type === 'string') {
+        return {
+          record: {
+            specifier: tokens[j + 4].value,
+            kind: 'import-equals',
+            names: [{ imported: WILDCARD, local, typeOnly: statementTypeOnly }],
+            typeOnly: statementTypeOnly,
+            line
+          },
+          end: j + 6
+        };
+      }
+      return { record: null, end: j + 1 };
+    }
+
+    names.push({ imported: 'default', local, typeOnly: statementTypeOnly });
+    j++;
+    if (isPunct(tokens[j], ',')) j++;
+  } else if (isName(tokens[j], 'from') && isPunct(tokens[j + 1], ',')) {
+    // `import from, { x } from 'y'` - default binding literally named "from"
+    names.push({ imported: 'default', local: 'from', typeOnly: statementTypeOnly });
+    j += 2;
+  }
+
+  if (isPunct(tokens[j], '*') && isName(tokens[j + 1], 'as') && isName(tokens[j + 2])) {
+    names.push({ imported: WILDCARD, local: tokens[j + 2].value, typeOnly: statementTypeOnly });
+    j += 3;
+  } else if (isPunct(tokens[j], '{')) {
+    const list = parseNamedList(tokens, j);
+    if (!list) return { record: null, end: j };
+    for (const n of list.names) {
+      names.push({ ...n, typeOnly: n.typeOnly || statementTypeOnly });
+    }
+    j = list.end;
+  }
+
+  const from = parseFromClause(tokens, j);
+  if (!from) return { record: null, end: j };
+
+  return {
+    record: { specifier: from.specifier, kind: 'import', names, typeOnly: isTypeOnly(names, statementTypeOnly), line },
+    end: from.end
+  };
+}
+
+/**
+ * Parse an `export` keyword occurrence (re-exports only).
+ * @param {Token[]} tokens
+ * @param {number} i - Index of `export`
+ * @returns {{record: ImportRecord|null, end: number}}
+ */
+function parseExportAt(tokens, i) {
+  const line = tokens[i].line;
+  let j = i + 1;
+
+  // TS: export import x = require('y')
+  if (isName(tokens[j], 'import')) return parseImportAt(tokens, j);
+
+  let statementTypeOnly = false;
+  if (isName(tokens[j], 'type') && (isPunct(tokens[j + 1], '{') || isPunct(tokens[j + 1], '*'))) {
+    statementTypeOnly = true;
+    j++;
+  }
+
+  /** @type {ImportName[]} */
+  let names = [];
+
+  if (isPunct(tokens[j], '*')) {
+    if (isName(tokens[j + 1], 'as') && (isName(tokens[j + 2]) || tokens[j + 2]?.type === 'string')) {
+      names = [{ imported: WILDCARD, local: tokens[j + 2].value, typeOnly: statementTypeOnly }];
+      j += 3;
+    } else {
+      names = [{ imported: WILDCARD, local: WILDCARD, typeOnly: statementTypeOnly }];
+      j++;
+    }
+  } else if (isPunct(tokens[j], '{')) {
+    const list = parseNamedList(tokens, j);
+    if (!list) return { record: null, end: j };
+    names = list.names.map(n => ({ ...n, typeOnly: n.typeOnly || statementTypeOnly }));
+    j = list.end;
+  } else {
+    return { record: null, end: j };
+  }
+
+  const from = parseFromClause(tokens, j);
+  if (!from) return { record: null, end: j };
+
+  return {
+    record: { specifier: from.specifier, kind: 'export', names, typeOnly: isTypeOnly(names, statementTypeOnly), line },
+    end: from.end
+  };
+}
+
+/**
+ * Parse a `require('x')` call.
+ * @param {Token[]} tokens
+ * @param {number} i - Index of `require`
+ * @returns {{record: ImportRecord|null, end: number}}
+ */
+function parseRequireAt(tokens, i) {
+  const spec = tokens[i + 2];
+  if (!isPunct(tokens[i + 1], '(') || spec?.type !== 'string' || !isPunct(tokens[i + 3], ')')) {
+    return { record: null, end: i + 1 };
+  }
+
+  // require('x').foo
+  const names = isPunct(tokens[i + 4], '.') && isName(tokens[i + 5])
+    ? [{ imported: tokens[i + 5].value, local: tokens[i + 5].value, typeOnly: false }]
+    : namesFromBinding(tokens, i);
+
+  return {
+    record: { specifier: spec.value, kind: 'require', names, typeOnly: false, line: tokens[i].line },
+    end: i + 4
+  };
+}
+
+/**
+ * Extract import records from JS/TS/JSX/TSX source.
+ *
+ * Handles static imports (default/named/namespace/type-only), side-effect imports,
+ * re-exports, dynamic `import()`, `require()` and TS `import x = require()`.
+ * Occurrences inside comments, strings, template text and JSX text are ignored.
+ *
+ * @param {string} content
+ * @returns {ImportRecord[]}
+ */
+export function parseJsModule(content) {
+  const tokens = tokenize(content);
+  /** @type {ImportRecord[]} */
+  const records = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type !== 'name') continue;
+
+    // Skip member access (`obj.import`) and object keys (`{ require: ... }`)
+    const prev = tokens[i - 1];
+    if (isPunct(prev, '.') || isPunct(prev, '?.')) continue;
+    if (isPunct(tokens[i + 1], ':')) continue;
+
+    /** @type {{record: ImportRecord|null, end: number}|null} */
+    let parsed = null;
+    if (tok.value === 'import') parsed = parseImportAt(tokens, i);
+    else if (tok.value === 'export') parsed = parseExportAt(tokens, i);
+    else if (tok.value === 'require') parsed = parseRequireAt(tokens, i);
+
+    if (!parsed) continue;
+    if (parsed.record) records.push(parsed.record);
+    i = Math.max(i, parsed.end - 1);
+  }
+
+  return records;
+}
+
+/**
+ * @typedef {object} ModuleItem
+ * @property {'import'|'export'|'declaration'|'statement'} kind
+ * @property {number} start - First line
+ * @property {number} end - Last line
+ * @property {string[]} declares - Local names bound by the item
+ * @property {string[]} exports - Exported names defined by the item itself
+ * @property {Record<string, string>} exportMap - Exported name → local name (`export { a as b }`, `module.exports = { a }`)
+ * @property {string[]} references - Identifiers used by the item (excluding member names)
+ * @property {ImportRecord|null} record - Import/re-export record for import/export-from items
+ */
+
+/**
+ * @typedef {object} ModuleAnalysis
+ * @property {ImportRecord[]} imports
+ * @property {ModuleItem[]} items - Top-level items in source order
+ * @property {string[]} exports - All exported names ('*' for `export *`)
+ */
+
+/** Declaration keywords that may start a top-level item */
+const DECL_KEYWORDS = new Set(['function', 'class', 'const', 'let', 'var', 'interface', 'type', 'enum', 'namespace', 'module']);
+
+/** Modifiers that may precede a declaration keyword */
+const DECL_MODIFIERS = new Set(['async', 'declare', 'abstract', 'default']);
+
+/** Tokens after which a line break continues the current statement */
+const CONTINUATION_PUNCT = new Set([
+  ',', '=', '(', '[', '{', '.', '?.', '+', '-', '*', '/', '%', '&', '|', '^', '!', '~',
+  '?', ':', '<', '>', '${', '...', '@'
+]);
+const CONTINUATION_NAMES = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'extends', 'implements', 'await', 'yield', 'as', 'satisfies', 'from', 'export', 'default',
+  'async', 'function', 'class', 'const', 'let', 'var', 'import', 'declare', 'abstract'
+]);
+
+/**
+ * Split tokens into top-level items (statements/declarations at depth 0).
+ * A new item starts at the first token of a line when the previous token
+ * cannot continue an expression.
+ *
+ * @param {Token[]} tokens
+ * @returns {Array<{start: number, end: number}>} Token index ranges (inclusive)
+ */
+function splitTopLevel(tokens) {
+  const ranges = [];
+  let depth = 0;
+  let itemStart = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const prev = tokens[i - 1];
+
+    if (i > itemStart && depth === 0 && prev) {
+      let boundary = false;
+      if (isPunct(prev, ';')) {
+        boundary = true;
+      } else if (tok.line > prev.line && (tok.type === 'name' || tok.type === 'string' || isPunct(tok, '@'))) {
+        const continues = (prev.type === 'punct' && CONTINUATION_PUNCT.has(prev.value)) ||
+          (prev.type === 'name' && CONTINUATION_NAMES.has(prev.value)) ||
+          (tok.type === 'name' && (tok.value === 'from' || tok.value === 'as' || tok.value === 'extends' || tok.value === 'implements' || tok.value === 'else' || tok.value === 'catch' || tok.value === 'finally'));
+        boundary = !continues;
+      }
+      if (boundary) {
+        ranges.push({ start: itemStart, end: i - 1 });
+        itemStart = i;
+      }
+    }
+
+    if (tok.type === 'punct') {
+      if (tok.value === '(' || tok.value === '[' || tok.value === '{' || tok.value === '${') depth++;
+      else if (tok.value === ')' || tok.value === ']' || tok.value === '}') depth = Math.max(0, depth - 1);
+    }
+  }
+
+  if (itemStart < tokens.length) ranges.push({ start: itemStart, end: tokens.length - 1 });
+
+  // Drop empty statements (lone `;`)
+  return ranges.filter(r => !(r.start === r.end && isPunct(tokens[r.start], ';')));
+}
+
+/**
+ * Collect binding names of a `const/let/var` declarator list.
+ * @param {Token[]} tokens
+ * @param {number} start - Index after the keyword
+ * @param {number} end - Last index of the item
+ * @returns {string[]}
+ */
+function declaratorNames(tokens, start, end) {
+  const names = [];
+  let depth = 0;
+  let expectBinding = true;
+
+  for (let k = start; k <= end; k++) {
+    const tok = tokens[k];
+    if (tok.type === 'punct') {
+      if (expectBinding && depth === 0 && (tok.value === '{' || tok.value === '[')) {
+        // Destructuring pattern: names not followed by ":" are bindings
+        let d = 0;
+        for (; k <= end; k++) {
+          const t = tokens[k];
+          if (isPunct(t, '{') || isPunct(t, '[')) d++;
+          else if (isPunct(t, '}') || isPunct(t, ']')) {
+            d--;
+            if (d === 0) break;
+          } else if (isName(t) && !isPunct(tokens[k + 1], ':') && !isPunct(tokens[k - 1], '=')) {
+            names.push(t.value);
+          }
+        }
+        expectBinding = false;
+        continue;
+      }
+      if (tok.value === '(' || tok.value === '[' || tok.value === '{' || tok.value === '${') depth++;
+      else if (tok.value === ')' || tok.value === ']' || tok.value === '}') depth--;
+      else if (depth === 0 && tok.value === ',') expectBinding = true;
+      else if (depth === 0 && tok.value === '=') expectBinding = false;
+      continue;
+    }
+    if (expectBinding && depth === 0 && tok.type === 'name') {
+      names.push(tok.value);
+      expectBinding = false;
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Names declared by a declaration starting at index `k` (after modifiers).
+ * @param {Token[]} tokens
+ * @param {number} k
+ * @param {number} end
+ * @returns {string[]}
+ */
+function declaredNames(tokens, k, end) {
+  const kw = tokens[k]?.value;
+  if (kw === 'const' || kw === 'let' || kw === 'var') {
+    // `const enum X`
+    if (isName(tokens[k + 1], 'enum') && isName(tokens[k + 2])) return [tokens[k + 2].value];
+    return declaratorNames(tokens, k + 1, end);
+  }
+  if (kw === 'function') {
+    const nameTok = isPunct(tokens[k + 1], '*') ? tokens[k + 2] : tokens[k + 1];
+    return isName(nameTok) ? [nameTok.value] : [];
+  }
+  if (DECL_KEYWORDS.has(kw) && isName(tokens[k + 1])) return [tokens[k + 1].value];
+  return [];
+}
+
+/**
+ * Skip decorators and declaration modifiers.
+ * @param {Token[]} tokens
+ * @param {number} k
+ * @param {number} end
+ * @returns {number}
+ */
+function skipModifiers(tokens, k, end) {
+  while (k <= end) {
+    if (isPunct(tokens[k], '@')) {
+      k += 2;
+      if (isPunct(tokens[k], '(')) {
+        let d = 0;
+        for (; k <= end; k++) {
+          if (isPunct(tokens[k], '(')) d++;
+          else if (isPunct(tokens[k], ')') && --d === 0) break;
+        }
+        k++;
+      }
+      continue;
+    }
+    if (isName(tokens[k]) && DECL_MODIFIERS.has(tokens[k].value) && isName(tokens[k + 1])) {
+      k++;
+      continue;
+    }
+    break;
+  }
+  return k;
+}
+
+/**
+ * Analyze top-level structure of a JS/TS module: imports, exports and, per
+ * top-level item, the names it declares, exports and references. Used for
+ * symbol-level impact analysis.
+ *
+ * @param {string} content
+ * @returns {ModuleAnalysis}
+ */
+export function analyzeModule(content) {
+  const tokens = tokenize(content);
+  const imports = parseJsModule(content);
+  const importsByLine = new Map();
+  for (const rec of imports) {
+    if (!importsByLine.has(rec.line)) importsByLine.set(rec.line, []);
+    importsByLine.get(rec.line).push(rec);
+  }
+
+  /** @type {ModuleItem[]} */
+  const items = [];
+  /** @type {Set<string>} */
+  const allExports = new Set();
+
+  for (const range of splitTopLevel(tokens)) {
+    const { start, end } = range;
+    const first = tokens[start];
+
+    /** @type {ModuleItem} */
+    const item = {
+      kind: 'statement',
+      start: first.line,
+      end: tokens[end].line,
+      declares: [],
+      exports: [],
+      exportMap: {},
+      references: [],
+      record: null
+    };
+
+    const refs = new Set();
+    for (let k = start; k <= end; k++) {
+      const tok = tokens[k];
+      if (tok.type !== 'name') continue;
+      const prev = tokens[k - 1];
+      if (isPunct(prev, '.') || isPunct(prev, '?.')) continue;
+      refs.add(tok.value);
+    }
+
+    let k = skipModifiers(tokens, start, end);
+    const head = tokens[k];
+
+    if (isName(head, 'import') && !isPunct(tokens[k + 1], '(') && !isPunct(tokens[k + 1], '.')) {
+      item.kind = 'import';
+      const rec = (importsByLine.get(head.line) || []).find(r => r.kind === 'import' || r.kind === 'import-equals');
+      item.record = rec || null;
+      item.declares = rec ? rec.names.map(n => n.local).filter(n => n !== WILDCARD) : [];
+    } else if (isName(head, 'export')) {
+      item.kind = 'export';
+      const next = tokens[k + 1];
+      const rec = (importsByLine.get(head.line) || []).find(r => r.kind === 'export' || r.kind === 'import-equals');
+
+      if (rec) {
+        // Re-export (or `export import x = require()`)
+        item.record = rec;
+        for (const n of rec.names) item.exports.push(n.local);
+      } else if (isName(next, 'default')) {
+        item.exports.push('default');
+        const declStart = skipModifiers(tokens, k + 2, end);
+        const declared = DECL_KEYWORDS.has(tokens[declStart]?.value) ? declaredNames(tokens, declStart, end) : [];
+        item.declares = declared;
+      } else if (isPunct(next, '=')) {
+        // TS `export = x`
+        item.exports.push('default');
+      } else if (isPunct(next, '{') || (isName(next, 'type') && isPunct(tokens[k + 2], '{'))) {
+        const list = parseNamedList(tokens, isPunct(next, '{') ? k + 1 : k + 2);
+        for (const n of list?.names || []) item.exportMap[n.local] = n.imported;
+      } else {
+        const declStart = skipModifiers(tokens, k + 1, end);
+        item.declares = declaredNames(tokens, declStart, end);
+        item.exports.push(...item.declares);
+      }
+    } else if (isName(head) && DECL_KEYWORDS.has(head.value) && !(head.value === 'type' && !isName(tokens[k + 1])) &&
+      !((head.value === 'module' || head.value === 'namespace') && isPunct(tokens[k + 1], '.'))) {
+      item.kind = 'declaration';
+      item.declares = declaredNames(tokens, k, end);
+    } else if (isName(head, 'module') && isPunct(tokens[k + 1], '.') && isName(tokens[k + 2], 'exports')) {
+      // CommonJS: module.exports = {...} / module.exports.x = ...
+      item.kind = 'export';
+      if (isPunct(tokens[k + 3], '.') && isName(tokens[k + 4])) {
+        item.exports.push(tokens[k + 4].value);
+      } else if (isPunct(tokens[k + 3], '=') && isPunct(tokens[k + 4], '{')) {
+        collectObjectExports(tokens, k + 4, end, item.exportMap);
+        item.exports.push('default');
+      } else {
+        item.exports.push('default');
+      }
+    } else if (isName(head, 'exports') && isPunct(tokens[k + 1], '.') && isName(tokens[k + 2])) {
+      item.kind = 'export';
+      item.exports.push(tokens[k + 2].value);
+    }
+
+    const declared = new Set(item.declares);
+    item.references = [...refs].filter(r => !declared.has(r) && !isKeyword(r));
+    for (const name of [...item.exports, ...Object.keys(item.exportMap)]) allExports.add(name);
+    items.push(item);
+  }
+
+  return { imports, items, exports: [...allExports].sort() };
+}
+
+/**
+ * Collect `{ a, b: c, d() {} }` keys of an object literal into an export map.
+ * @param {Token[]} tokens
+ * @param {number} open - Index of `{`
+ * @param {number} end
+ * @param {Record<string, string>} out
+ */
+function collectObjectExports(tokens, open, end, out) {
+  let depth = 0;
+  for (let k = open; k <= end; k++) {
+    const tok = tokens[k];
+    if (isPunct(tok, '{') || isPunct(tok, '(') || isPunct(tok, '[')) {
+      depth++;
+      continue;
+    }
+    if (isPunct(tok, '}') || isPunct(tok, ')') || isPunct(tok, ']')) {
+      depth--;
+      if (depth === 0) break;
+      continue;
+    }
+    if (depth !== 1 || !(tok.type === 'name' || tok.type === 'string')) continue;
+    const prev = tokens[k - 1];
+    if (!(isPunct(prev, '{') || isPunct(prev, ','))) continue;
+    const next = tokens[k + 1];
+    if (isPunct(next, ':') && isName(tokens[k + 2]) && (isPunct(tokens[k + 3], ',') || isPunct(tokens[k + 3], '}'))) {
+      out[tok.value] = tokens[k + 2].value;
+    } else if (isPunct(next, ',') || isPunct(next, '}')) {
+      out[tok.value] = tok.value;
+    } else {
+      // Inline value (method / expression): no separate local binding
+      out[tok.value] = tok.value;
+    }
+  }
+}
+
+/** Reserved words that never name a binding */
+const KEYWORDS = new Set([
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return', 'throw',
+  'try', 'catch', 'finally', 'new', 'delete', 'typeof', 'instanceof', 'in', 'of', 'void',
+  'function', 'class', 'const', 'let', 'var', 'import', 'export', 'default', 'from', 'as',
+  'async', 'await', 'yield', 'this', 'super', 'null', 'true', 'false', 'undefined',
+  'extends', 'implements', 'interface', 'type', 'enum', 'declare', 'abstract', 'static',
+  'public', 'private', 'protected', 'readonly', 'get', 'set', 'require', 'module', 'exports'
+]);
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isKeyword(name) {
+  return KEYWORDS.has(name);
+}
@@ -0,0 +1,459 @@
+/**
+ * Module specifier resolver
+ * Relative paths, tsconfig/jsconfig `paths`/`baseUrl` (with `extends`),
+ * package.json `imports`/`exports` conditions and workspace package names.
+ * Shared by the dependency graph and the test mapper.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonSafe } from '../shared.js';
+import { discoverWorkspaces } from '../workspace.js';
+
+/** Default export/import conditions, tried in the order the package declares them */
+const DEFAULT_CONDITIONS = ['source', 'development', 'import', 'module', 'require', 'node', 'browser', 'default', 'types'];
+
+/** JS-family extensions tried for extensionless specifiers */
+const JS_FAMILY = {
+  javascript: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'],
+  typescript: ['.ts', '.tsx', '.mts', '.cts', '.js', '.mjs', '.cjs', '.jsx']
+};
+
+/** Emitted → source extension swaps (TS ESM writes `./x.js` for `./x.ts`) */
+const EXT_SWAPS = {
+  '.js': ['.ts', '.tsx', '.jsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+  '.jsx': ['.tsx']
+};
+
+/** Build output dirs mapped back to sources when an exports target is not a known file */
+const BUILD_DIR_RE = /(^|\/)(dist|build|lib|out|esm|cjs)\//;
+
+/**
+ * @typedef {object} ResolverOptions
+ * @property {string} [language] - Project language
+ * @property {string[]} [extensions] - Extensions for extensionless specifiers
+ * @property {string[]} [conditions] - Export conditions (config.resolve.conditions)
+ */
+
+/**
+ * @typedef {object} Resolver
+ * @property {(spec: string, fromFile: string, knownFiles: {has(rel: string): boolean}) => Promise<string|null>} resolve
+ * @property {import('../workspace.js').WorkspacePackage[]} packages
+ */
+
+/**
+ * Strip comments and trailing commas from JSONC (tsconfig) content.
+ * @param {string} content
+ * @returns {string}
+ */
+export function stripJsonComments(content) {
+  let out = '';
+  const src = String(content || '');
+  let inString = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inString) {
+      out += ch;
+      if (ch === '\\') {
+        out += src[i + 1] || '';
+        i++;
+      } else if (ch === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === '/' && src[i + 1] === '/') {
+      while (i < src.length && src[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && src[i + 1] === '*') {
+      const end = src.indexOf('*/', i + 2);
+      i = end === -1 ? src.length : end + 1;
+    } else {
+      out += ch;
+    }
+  }
+
+  return out.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * @param {string} absPath
+ * @returns {Promise<any>}
+ */
+async function readJsonc(absPath) {
+  try {
+    return JSON.parse(stripJsonComments(await fs.readFile(absPath, 'utf8')));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} absPath
+ * @returns {Promise<boolean>}
+ */
+async function isFile(absPath) {
+  try {
+    return (await fs.stat(absPath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a conditional exports/imports target to candidate relative paths.
+ * @param {any} target
+ * @param {string} star - Text matched by "*" in the key
+ * @param {string[]} conditions
+ * @returns {string[]}
+ */
+function expandTarget(target, star, conditions) {
+  if (typeof target === 'string') return [target.split('*').join(star)];
+  if (Array.isArray(target)) return target.flatMap(t => expandTarget(t, star, conditions));
+  if (target && typeof target === 'object') {
+    const out = [];
+    for (const [cond, value] of Object.entries(target)) {
+      if (conditions.includes(cond)) out.push(...expandTarget(value, star, conditions));
+    }
+    return out;
+  }
+  return [];
+}
+
+/**
+ * Match a subpath against a package `exports` or `imports` map.
+ * Supports exact keys, "*" patterns (longest prefix wins) and legacy "./dir/" folders.
+ *
+ * @param {any} field - exports/imports field
+ * @param {string} subpath - "." / "./sub" / "#internal"
+ * @param {string[]} conditions
+ * @returns {string[]} Candidate targets (package-relative)
+ */
+export function matchPackageMap(field, subpath, conditions = DEFAULT_CONDITIONS) {
+  if (field === undefined || field === null) return [];
+
+  let map = field;
+  const isSubpathMap = map && typeof map === 'object' && !Array.isArray(map) &&
+    Object.keys(map).some(k => k.startsWith('.') || k.startsWith('#'));
+  if (!isSubpathMap) map = { '.': field };
+
+  if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes('*')) {
+    return expandTarget(map[subpath], '', conditions);
+  }
+
+  let best = null;
+  let bestStar = '';
+  for (const key of Object.keys(map)) {
+    const starIdx = key.indexOf('*');
+    if (starIdx !== -1) {
+      const prefix = key.slice(0, starIdx);
+      const suffix = key.slice(starIdx + 1);
+      if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+        if (!best || prefix.length > best.indexOf('*')) {
+          best = key;
+          bestStar = subpath.slice(prefix.length, subpath.length - suffix.length);
+        }
+      }
+    } else if (key.endsWith('/') && subpath.startsWith(key)) {
+      if (!best || key.length > best.length) {
+        best = key;
+        bestStar = subpath.slice(key.length);
+      }
+    }
+  }
+
+  if (!best) return [];
+  if (best.endsWith('/') && !best.includes('*')) {
+    return expandTarget(map[best], '', conditions).map(t => t + bestStar);
+  }
+  return expandTarget(map[best], bestStar, conditions);
+}
+
+/**
+ * Create a resolver bound to a project root.
+ *
+ * tsconfig/jsconfig and package.json files are looked up from the importing
+ * file's directory upwards (so each workspace package uses its own), and
+ * cached for the resolver's lifetime.
+ *
+ * @param {string} root
+ * @param {ResolverOptions} [options]
+ * @returns {Promise<Resolver>}
+ */
+export async function createResolver(root, options = {}) {
+  const rootAbs = path.resolve(root);
+  const language = options.language || 'javascript';
+  const isJsFamily = Boolean(JS_FAMILY[language]);
+  const extensions = isJsFamily
+    ? [...new Set([...(options.extensions || []), ...JS_FAMILY[language]])]
+    : (options.extensions || []);
+  const conditions = Array.isArray(options.conditions) && options.conditions.length > 0
+    ? [...options.conditions, 'default']
+    : DEFAULT_CONDITIONS;
+
+  const workspace = isJsFamily ? await discoverWorkspaces(rootAbs) : { packages: [] };
+  // Longest names first so "@scope/pkg-utils" wins over "@scope/pkg"
+  const packagesByName = [...workspace.packages].sort((a, b) => b.name.length - a.name.length);
+
+  /** @type {Map<string, Promise<any>>} */
+  const tsconfigByDir = new Map();
+  /** @type {Map<string, Promise<{dir: string, json: any}|null>>} */
+  const packageByDir = new Map();
+
+  /**
+   * @param {string} abs
+   * @returns {string|null}
+   */
+  function toRel(abs) {
+    const rel = path.relative(rootAbs, abs).replace(/\\/g, '/');
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return null;
+    return rel;
+  }
+
+  /**
+   * Try a path as file, with extension swaps, appended extensions and index files.
+   * @param {string} baseAbs
+   * @param {{has(rel: string): boolean}} knownFiles
+   * @returns {string|null}
+   */
+  function resolveFile(baseAbs, knownFiles) {
+    const candidates = [];
+    const ext = path.extname(baseAbs);
+
+    if (ext) {
+      candidates.push(baseAbs);
+      if (baseAbs.endsWith('.d.ts')) candidates.push(baseAbs.slice(0, -5) + '.ts');
+      for (const swap of EXT_SWAPS[ext] || []) {
+        candidates.push(baseAbs.slice(0, -ext.length) + swap);
+      }
+    }
+    if (!ext || !extensions.includes(ext)) {
+      for (const e of extensions) candidates.push(`${baseAbs}${e}`);
+      for (const e of extensions) candidates.push(path.join(baseAbs, `index${e}`));
+    }
+
+    for (const abs of candidates) {
+      const rel = toRel(abs);
+      if (rel && knownFiles.has(rel)) return rel;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve package-relative targets, mapping build output back to sources.
+   * @param {string} pkgDirAbs
+   * @param {string[]} targets
+   * @param {{has(rel: string): boolean}} knownFiles
+   * @returns {string|null}
+   */
+  function resolveTargets(pkgDirAbs, targets, knownFiles) {
+    for (const target of targets) {
+      if (!target.startsWith('./')) continue;
+      const hit = resolveFile(path.join(pkgDirAbs, target), knownFiles);
+      if (hit) return hit;
+
+      const rel = target.slice(2);
+      if (BUILD_DIR_RE.test(rel)) {
+        const srcRel = rel.replace(BUILD_DIR_RE, '$1src/').replace(/\.d\.ts$/, '.ts');
+        const fromSrc = resolveFile(path.join(pkgDirAbs, srcRel), knownFiles) ||
+          resolveFile(path.join(pkgDirAbs, srcRel.replace(/\.[cm]?[jt]sx?$/, '')), knownFiles);
+        if (fromSrc) return fromSrc;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load a tsconfig with its `extends` chain flattened.
+   * @param {string} configAbs
+   * @param {Set<string>} seen
+   * @returns {Promise<{baseUrl: string|null, paths: Record<string, string[]>|null, pathsBase: string|null}|null>}
+   */
+  async function loadTsConfig(configAbs, seen = new Set()) {
+    if (seen.has(configAbs)) return null;
+    seen.add(configAbs);
+
+    const json = await readJsonc(configAbs);
+    if (!json) return null;
+    const dir = path.dirname(configAbs);
+
+    let merged = { baseUrl: null, paths: null, pathsBase: null };
+    const parents = Array.isArray(json.extends) ? json.extends : (json.extends ? [json.extends] : []);
+    for (const ext of parents) {
+      if (typeof ext !== 'string') continue;
+      let parentAbs;
+      if (ext.startsWith('.') || path.isAbsolute(ext)) {
+        parentAbs = path.resolve(dir, ext);
+        if (!parentAbs.endsWith('.json')) parentAbs += '.json';
+      } else {
+        parentAbs = path.join(rootAbs, 'node_modules', ext);
+        if (!parentAbs.endsWith('.json')) {
+          parentAbs = (await isFile(parentAbs + '.json')) ? parentAbs + '.json' : path.join(parentAbs, 'tsconfig.json');
+        }
+      }
+      const parent = await loadTsConfig(parentAbs, seen);
+      if (parent) merged = { ...merged, ...Object.fromEntries(Object.entries(parent).filter(([, v]) => v !== null)) };
+    }
+
+    const opts = json.compilerOptions || {};
+    if (typeof opts.baseUrl === 'string') merged.baseUrl = path.resolve(dir, opts.baseUrl);
+    if (opts.paths && typeof opts.paths === 'object') {
+      merged.paths = opts.paths;
+      merged.pathsBase = merged.baseUrl || dir;
+    } else if (merged.paths && typeof opts.baseUrl === 'string') {
+      // Inherited paths resolve against the nearest baseUrl
+      merged.pathsBase = merged.baseUrl;
+    }
+    return merged;
+  }
+
+  /**
+   * Nearest tsconfig.json/jsconfig.json for a directory.
+   * @param {string} dirAbs
+   * @returns {Promise<any>}
+   */
+  function tsconfigFor(dirAbs) {
+    if (!tsconfigByDir.has(dirAbs)) {
+      tsconfigByDir.set(dirAbs, (async () => {
+        for (const name of ['tsconfig.json', 'jsconfig.json']) {
+          const candidate = path.join(dirAbs, name);
+          if (await isFile(candidate)) return loadTsConfig(candidate);
+        }
+        if (dirAbs === rootAbs || !dirAbs.startsWith(rootAbs)) return null;
+        return tsconfigFor(path.dirname(dirAbs));
+      })());
+    }
+    return tsconfigByDir.get(dirAbs);
+  }
+
+  /**
+   * Nearest package.json for a directory.
+   * @param {string} dirAbs
+   * @returns {Promise<{dir: string, json: any}|null>}
+   */
+  function packageFor(dirAbs) {
+    if (!packageByDir.has(dirAbs)) {
+      packageByDir.set(dirAbs, (async () => {
+        const json = await readJsonSafe(path.join(dirAbs, 'package.json'));
+        if (json) return { dir: dirAbs, json };
+        if (dirAbs === rootAbs || !dirAbs.startsWith(rootAbs)) return null;
+        return packageFor(path.dirname(dirAbs));
+      })());
+    }
+    return packageByDir.get(dirAbs);
+  }
+
+  /**
+   * @param {string} spec
+   * @param {{has(rel: string): boolean}} knownFiles
+   * @returns {string|null}
+   */
+  function resolveWorkspacePackage(spec, knownFiles) {
+    for (const pkg of packagesByName) {
+      if (spec !== pkg.name && !spec.startsWith(pkg.name + '/')) continue;
+
+      const pkgDirAbs = path.join(rootAbs, pkg.dir);
+      const subpath = spec === pkg.name ? '.' : `.${spec.slice(pkg.name.length)}`;
+      const json = pkg.packageJson || {};
+
+      if (json.exports !== undefined) {
+        const hit = resolveTargets(pkgDirAbs, matchPackageMap(json.exports, subpath, conditions), knownFiles);
+        if (hit) return hit;
+      }
+
+      if (subpath === '.') {
+        const entries = [json.source, json.module, json.main, json.types, json.typings]
+          .filter(e => typeof e === 'string')
+          .map(e => (e.startsWith('./') ? e : `./${e}`));
+        const hit = resolveTargets(pkgDirAbs, entries, knownFiles) ||
+          resolveFile(path.join(pkgDirAbs, 'src', 'index'), knownFiles) ||
+          resolveFile(path.join(pkgDirAbs, 'index'), knownFiles);
+        if (hit) return hit;
+      } else {
+        const hit = resolveTargets(pkgDirAbs, [subpath], knownFiles);
+        if (hit) return hit;
+      }
+      return null;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve an import specifier to a project-relative file.
+   * @param {string} spec
+   * @param {string} fromFile - Project-relative importing file
+   * @param {{has(rel: string): boolean}} knownFiles
+   * @returns {Promise<string|null>}
+   */
+  async function resolve(spec, fromFile, knownFiles) {
+    if (!spec) return null;
+    const fromDirAbs = path.dirname(path.join(rootAbs, fromFile));
+
+    if (spec.startsWith('.')) {
+      return resolveFile(path.resolve(fromDirAbs, spec), knownFiles);
+    }
+
+    if (!isJsFamily) return null;
+
+    if (spec.startsWith('/')) {
+      return resolveFile(path.join(rootAbs, spec), knownFiles);
+    }
+
+    // package.json "imports" (#internal)
+    if (spec.startsWith('#')) {
+      const pkg = await packageFor(fromDirAbs);
+      if (!pkg?.json?.imports) return null;
+      for (const target of matchPackageMap(pkg.json.imports, spec, conditions)) {
+        const hit = target.startsWith('./')
+          ? resolveTargets(pkg.dir, [target], knownFiles)
+          : resolveWorkspacePackage(target, knownFiles);
+        if (hit) return hit;
+      }
+      return null;
+    }
+
+    // tsconfig/jsconfig paths + baseUrl
+    const ts = await tsconfigFor(fromDirAbs);
+    if (ts?.paths && ts.pathsBase) {
+      let bestKey = null;
+      let bestStar = '';
+      for (const key of Object.keys(ts.paths)) {
+        const starIdx = key.indexOf('*');
+        if (starIdx === -1) {
+          if (key === spec) {
+            bestKey = key;
+            bestStar = '';
+            break;
+          }
+          continue;
+        }
+        const prefix = key.slice(0, starIdx);
+        const suffix = key.slice(starIdx + 1);
+        if (spec.startsWith(prefix) && spec.endsWith(suffix) && (!bestKey || prefix.length > bestKey.indexOf('*'))) {
+          bestKey = key;
+          bestStar = spec.slice(prefix.length, spec.length - suffix.length);
+        }
+      }
+      if (bestKey) {
+        for (const target of ts.paths[bestKey] || []) {
+          const hit = resolveFile(path.resolve(ts.pathsBase, String(target).split('*').join(bestStar)), knownFiles);
+          if (hit) return hit;
+        }
+      }
+    }
+    if (ts?.baseUrl) {
+      const hit = resolveFile(path.resolve(ts.baseUrl, spec), knownFiles);
+      if (hit) return hit;
+    }
+
+    return resolveWorkspacePackage(spec, knownFiles);
+  }
+
+  return { resolve, packages: workspace.packages };
+}
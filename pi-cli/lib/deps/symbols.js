@@ -0,0 +1,447 @@
+/**
+ * Symbol-level impact analysis
+ * Maps git diff hunks to changed exports and follows only the importers
+ * that reference those names (through re-export barrels as well).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { runCommand } from '../shared.js';
+import { analyzeModule, WILDCARD } from './parser.js';
+
+/** @typedef {import('./parser.js').ModuleAnalysis} ModuleAnalysis */
+
+/**
+ * @typedef {object} LineRange
+ * @property {number} start - First line (1-based, inclusive)
+ * @property {number} end - Last line (inclusive)
+ */
+
+/**
+ * @typedef {object} FileHunks
+ * @property {string} file - Project-relative path (new side)
+ * @property {string|null} oldFile - Project-relative path on the old side (null when added)
+ * @property {LineRange[]} oldRanges - Changed/removed lines of the old version
+ * @property {LineRange[]} newRanges - Changed/added lines of the new version
+ */
+
+/**
+ * @typedef {object} SymbolUsage
+ * @property {string} file - Affected importer
+ * @property {string} via - File it imports the changed names from
+ * @property {string[]} names - Changed names it imports ('*' = namespace/side-effect import)
+ * @property {string[]} exports - Its own exports affected in turn
+ * @property {number} level - Impact layer (re-export barrels don't add a layer)
+ * @property {boolean} reexport - Only re-exports the names (barrel hop)
+ */
+
+const JS_EXTS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts']);
+
+/**
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function isSymbolAnalyzable(file) {
+  return JS_EXTS.has(path.extname(file).toLowerCase());
+}
+
+/**
+ * Strip the `a/` / `b/` prefix (and quoting) from a diff header path.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+function diffPath(raw) {
+  const p = raw.trim().replace(/^"(.*)"$/, '$1');
+  if (p === '/dev/null') return null;
+  return p.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse `git diff -U0` output into per-file line ranges.
+ * @param {string} diffText
+ * @returns {FileHunks[]}
+ */
+export function parseDiffHunks(diffText) {
+  /** @type {FileHunks[]} */
+  const out = [];
+  /** @type {FileHunks|null} */
+  let current = null;
+  /** @type {string|null|undefined} */
+  let oldFile;
+
+  for (const line of String(diffText || '').split(/\r?\n/)) {
+    if (line.startsWith('diff --git ')) {
+      current = null;
+      oldFile = undefined;
+      continue;
+    }
+    if (line.startsWith('--- ')) {
+      oldFile = diffPath(line.slice(4));
+      continue;
+    }
+    if (line.startsWith('+++ ')) {
+      const newFile = diffPath(line.slice(4));
+      current = {
+        file: newFile || oldFile || '',
+        oldFile: oldFile ?? null,
+        oldRanges: [],
+        newRanges: []
+      };
+      if (current.file) out.push(current);
+      continue;
+    }
+
+    const m = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (!m || !current) continue;
+
+    const oldStart = Number(m[1]);
+    const oldCount = m[2] === undefined ? 1 : Number(m[2]);
+    const newStart = Number(m[3]);
+    const newCount = m[4] === undefined ? 1 : Number(m[4]);
+
+    if (oldCount > 0) current.oldRanges.push({ start: oldStart, end: oldStart + oldCount - 1 });
+    if (newCount > 0) current.newRanges.push({ start: newStart, end: newStart + newCount - 1 });
+  }
+
+  return out;
+}
+
+/**
+ * Names declared at module level (top-level items)
+ * @param {ModuleAnalysis} analysis
+ * @returns {Set<string>}
+ */
+function moduleLevelNames(analysis) {
+  const out = new Set();
+  for (const item of analysis.items) {
+    for (const name of item.declares) out.add(name);
+  }
+  return out;
+}
+
+/**
+ * Propagate changes inside one module until a fixed point:
+ * items touched by `lines` or referencing a dirty local become dirty
+ * themselves, and their exports are reported as changed.
+ *
+ * A touched top-level statement without module-level references (a side
+ * effect) marks the whole module as changed ('*').
+ *
+ * @param {ModuleAnalysis} analysis
+ * @param {{lines?: LineRange[], dirty?: Iterable<string>}} seed
+ * @returns {Set<string>} Changed export names
+ */
+export function propagateWithinModule(analysis, seed) {
+  const lines = seed.lines || [];
+  const dirty = new Set(seed.dirty || []);
+  const moduleNames = moduleLevelNames(analysis);
+  /** @type {Set<string>} */
+  const changed = new Set();
+  /** @type {Set<number>} */
+  const done = new Set();
+
+  const touches = (/** @type {{start: number, end: number}} */ item) =>
+    lines.some(r => r.start <= item.end && r.end >= item.start);
+
+  let progress = true;
+  while (progress) {
+    progress = false;
+    const before = dirty.size + changed.size;
+
+    analysis.items.forEach((item, idx) => {
+      if (done.has(idx)) return;
+      const byLines = touches(item);
+
+      // Imports and re-exports only change through their own lines
+      if (item.kind === 'import' || item.record) {
+        if (!byLines) return;
+        done.add(idx);
+        for (const name of item.declares) dirty.add(name);
+        for (const name of item.exports) changed.add(name);
+        return;
+      }
+
+      const mapEntries = Object.entries(item.exportMap);
+      const dirtyRefs = item.references.filter(r => dirty.has(r));
+
+      if (mapEntries.length > 0) {
+        // `export { a, b as c }` / `module.exports = { a, b }`
+        const locals = new Set(mapEntries.map(([, local]) => local));
+        const inlineDirty = dirtyRefs.some(r => !locals.has(r));
+        let any = false;
+        for (const [exported, local] of mapEntries) {
+          if (byLines || inlineDirty || dirty.has(local)) {
+            changed.add(exported);
+            any = true;
+          }
+        }
+        if (any) for (const name of item.exports) changed.add(name);
+        if (byLines || inlineDirty) done.add(idx);
+        return;
+      }
+
+      if (!byLines && dirtyRefs.length === 0) return;
+      done.add(idx);
+
+      for (const name of item.declares) dirty.add(name);
+      for (const name of item.exports) changed.add(name);
+
+      if (item.kind === 'statement') {
+        const targets = item.references.filter(r => moduleNames.has(r));
+        for (const name of targets) dirty.add(name);
+        if (byLines && targets.length === 0) changed.add(WILDCARD);
+      }
+    });
+
+    if (dirty.size + changed.size !== before) progress = true;
+  }
+
+  return changed;
+}
+
+/**
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {Promise<string|null>} stdout, or null when git fails
+ */
+async function gitOutput(cwd, args) {
+  const res = await runCommand('git', args, { cwd });
+  return res.code === 0 ? String(res.stdout || '') : null;
+}
+
+/**
+ * @param {string} content
+ * @returns {ModuleAnalysis|null}
+ */
+function analyzeSafe(content) {
+  try {
+    return analyzeModule(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Determine which exports of the changed files actually changed.
+ *
+ * Diffs the working tree against `since` (default HEAD), or the index
+ * against HEAD with `staged`. Both versions of each file are analyzed: the
+ * old one for modified/removed lines, the new one for modified/added lines.
+ * Files that are new, deleted, non-JS or without hunks count as fully
+ * changed ('*').
+ *
+ * @param {string} root
+ * @param {string[]} files - Project-relative changed files
+ * @param {{since?: string|null, staged?: boolean}} [options]
+ * @returns {Promise<Map<string, Set<string>>>}
+ */
+export async function detectChangedExports(root, files, options = {}) {
+  const base = options.since ? String(options.since) : 'HEAD';
+  const diffArgs = options.staged
+    ? ['diff', '-U0', '--no-color', '--no-renames', '--no-ext-diff', '--relative', '--cached']
+    : ['diff', '-U0', '--no-color', '--no-renames', '--no-ext-diff', '--relative', base];
+
+  const diffText = files.length > 0 ? await gitOutput(root, [...diffArgs, '--', ...files]) : '';
+  const hunksByFile = new Map(parseDiffHunks(diffText || '').map(h => [h.file, h]));
+
+  /** @type {Map<string, Set<string>>} */
+  const out = new Map();
+
+  for (const file of files) {
+    const hunks = hunksByFile.get(file);
+    if (!hunks || !hunks.oldFile || !isSymbolAnalyzable(file)) {
+      out.set(file, new Set([WILDCARD]));
+      continue;
+    }
+
+    const oldRev = options.staged ? 'HEAD' : base;
+    const oldContent = await gitOutput(root, ['show', `${oldRev}:./${hunks.oldFile}`]);
+    const newContent = options.staged
+      ? await gitOutput(root, ['show', `:./${file}`])
+      : await fs.readFile(path.join(root, file), 'utf8').catch(() => null);
+
+    const oldAnalysis = oldContent === null ? null : analyzeSafe(oldContent);
+    const newAnalysis = newContent === null ? null : analyzeSafe(newContent);
+    if (!oldAnalysis || !newAnalysis) {
+      out.set(file, new Set([WILDCARD]));
+      continue;
+    }
+
+    const changed = new Set([
+      ...(hunks.oldRanges.length > 0 ? propagateWithinModule(oldAnalysis, { lines: hunks.oldRanges }) : []),
+      ...(hunks.newRanges.length > 0 ? propagateWithinModule(newAnalysis, { lines: hunks.newRanges }) : [])
+    ]);
+    out.set(file, changed);
+  }
+
+  return out;
+}
+
+/**
+ * Follow changed exports through the dependency graph.
+ *
+ * Only importers that import one of the changed names (or the whole module
+ * via namespace, side-effect, `require()` or dynamic import) are affected.
+ * Re-exports pass the names on under their exported name; other importers
+ * pass on whatever of their own exports depends on the imported names.
+ *
+ * @param {{
+ *   root: string,
+ *   graph: import('../types.js').DependencyGraph,
+ *   changes: Map<string, Set<string>>,
+ *   depth: number,
+ *   resolver: {resolve: (spec: string, fromFile: string, knownFiles: {has: (f: string) => boolean}) => Promise<string|null>}
+ * }} options
+ * @returns {Promise<{affected: Map<string, number>, usages: SymbolUsage[]}>}
+ */
+export async function traceSymbolImpact({ root, graph, changes, depth, resolver }) {
+  const known = { has: (/** @type {string} */ f) => Boolean(graph.files?.[f]) };
+  /** @type {Map<string, ModuleAnalysis|null>} */
+  const analyses = new Map();
+  /** @type {Map<string, {level: number, names: Set<string>}>} */
+  const processed = new Map();
+  /** @type {Map<string, number>} */
+  const affected = new Map();
+  /** @type {SymbolUsage[]} */
+  const usages = [];
+
+  /**
+   * @param {string} file
+   * @returns {Promise<ModuleAnalysis|null>}
+   */
+  async function load(file) {
+    if (analyses.has(file)) return analyses.get(file) || null;
+    let analysis = null;
+    if (isSymbolAnalyzable(file)) {
+      try {
+        analysis = analyzeModule(await fs.readFile(path.join(root, file), 'utf8'));
+      } catch {
+        analysis = null;
+      }
+    }
+    analyses.set(file, analysis);
+    return analysis;
+  }
+
+  /**
+   * Match the importer's import records that point at `file`.
+   * @param {string} importer
+   * @param {string} file
+   * @param {Set<string>} names - Changed names of `file`
+   * @returns {Promise<{names: Set<string>, exports: Set<string>, reexportOnly: boolean}|null>}
+   */
+  async function matchImporter(importer, file, names) {
+    const analysis = await load(importer);
+    // Not analyzable (other language, parse failure): assume everything it exports changed
+    if (!analysis) return { names: new Set(names), exports: new Set([WILDCARD]), reexportOnly: false };
+
+    const all = names.has(WILDCARD);
+    /** @type {Set<string>} */
+    const matched = new Set();
+    /** @type {Set<string>} */
+    const passThrough = new Set();
+    /** @type {Set<string>} */
+    const dirty = new Set();
+    /** @type {LineRange[]} */
+    const lines = [];
+    let direct = false;
+
+    for (const rec of analysis.imports) {
+      if (await resolver.resolve(rec.specifier, importer, known) !== file) continue;
+
+      // Side-effect import: any change matters
+      if (rec.names.length === 0) {
+        matched.add(WILDCARD);
+        direct = true;
+        continue;
+      }
+
+      for (const n of rec.names) {
+        if (rec.kind === 'export') {
+          if (n.imported === WILDCARD && n.local === WILDCARD) {
+            // export * from: everything but the default export
+            const forwarded = [...names].filter(name => name !== 'default');
+            if (forwarded.length === 0) continue;
+            for (const name of forwarded) passThrough.add(name);
+            matched.add(WILDCARD);
+          } else if (all || n.imported === WILDCARD || names.has(n.imported)) {
+            passThrough.add(n.local);
+            matched.add(n.imported);
+          }
+          continue;
+        }
+
+        if (!(all || n.imported === WILDCARD || names.has(n.imported))) continue;
+        matched.add(n.imported);
+        direct = true;
+        if (n.local !== WILDCARD) dirty.add(n.local);
+        // require()/import() may sit inside any top-level item
+        if (rec.kind === 'require' || rec.kind === 'dynamic') lines.push({ start: rec.line, end: rec.line });
+      }
+    }
+
+    if (matched.size === 0) return null;
+
+    const exports = new Set(passThrough);
+    if (direct) {
+      for (const name of propagateWithinModule(analysis, { lines, dirty })) exports.add(name);
+    }
+    return { names: matched, exports, reexportOnly: !direct };
+  }
+
+  /** @type {Array<{file: string, names: Set<string>, level: number}>} */
+  const queue = [];
+  for (const [file, names] of changes) {
+    if (names.size > 0) queue.push({ file, names, level: 0 });
+  }
+
+  while (queue.length > 0) {
+    const { file, names, level } = /** @type {{file: string, names: Set<string>, level: number}} */ (queue.shift());
+
+    // Skip names already followed from this file at the same or a lower level
+    const prev = processed.get(file);
+    const seen = prev && prev.level <= level ? prev.names : new Set();
+    if (seen.has(WILDCARD)) continue;
+    const fresh = new Set([...names].filter(n => !seen.has(n)));
+    if (fresh.size === 0) continue;
+    for (const n of fresh) seen.add(n);
+    processed.set(file, { level: prev && prev.level < level ? prev.level : level, names: seen });
+
+    const importers = Array.isArray(graph.files?.[file]?.importedBy) ? graph.files[file].importedBy : [];
+    for (const importer of importers) {
+      // Cheap pre-filter on the symbol edges recorded by `pi deps build`
+      const edge = graph.files?.[importer]?.symbols?.[file];
+      if (edge && edge.names.length > 0 && !fresh.has(WILDCARD) &&
+        !edge.names.some(n => n === WILDCARD || fresh.has(n))) {
+        continue;
+      }
+
+      const match = await matchImporter(importer, file, fresh);
+      if (!match) continue;
+
+      const recordLevel = level + 1;
+      if (recordLevel > depth) continue;
+      // Barrels forward names without using them: their importers stay on the same layer
+      const nextLevel = match.reexportOnly ? level : recordLevel;
+
+      if (!changes.has(importer)) {
+        const prevLevel = affected.get(importer);
+        if (prevLevel === undefined || recordLevel < prevLevel) affected.set(importer, recordLevel);
+        usages.push({
+          file: importer,
+          via: file,
+          names: [...match.names].sort(),
+          exports: [...match.exports].sort(),
+          level: recordLevel,
+          reexport: match.reexportOnly
+        });
+      }
+
+      if (match.exports.size > 0 && (nextLevel < depth || match.reexportOnly)) {
+        queue.push({ file: importer, names: match.exports, level: nextLevel });
+      }
+    }
+  }
+
+  return { affected, usages };
+}
@@ -543,6 +543,28 @@ async function checkDocStaleness(dirAbs, root, docName, ignore, include) {
   }
 }
 
+/**
+ * Stale docs under every src dir, with the files changed since
+ * @param {{root: string, config: ProjectConfig, staleConfig?: any}} ctx
+ * @param {'claude'|'audit'} [type]
+ * @returns {Promise<DocCheckResult[]>}
+ */
+export async function findStaleDocs(ctx, type = 'claude') {
+  const { root, config } = ctx;
+  const staleConfig = ctx.staleConfig || await loadStaleConfig(root, config);
+  const ignore = staleConfig?.ignore || [];
+  const include = staleConfig?.include || [];
+
+  /** @type {Map<string, DocCheckResult>} */
+  const stale = new Map();
+  for (const dir of config.src?.dirs || []) {
+    for (const result of await collectDocResults(path.join(root, dir), root, DOC_TYPES[type], ignore, include)) {
+      if (result.status === 'stale') stale.set(result.path, result);
+    }
+  }
+  return [...stale.values()];
+}
+
 async function collectDocResults(scopeAbsDir, root, docName, ignore, include) {
   const docDirs = await findDocDirs(scopeAbsDir, root, docName, ignore, include);
   /** @type {DocCheckResult[]} */
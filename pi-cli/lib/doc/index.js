@@ -2,4 +2,4 @@
  * Doc module index
  */
 
-export { generate, checkStale } from './generate.js';
+export { generate, checkStale, findStaleDocs } from './generate.js';
@@ -0,0 +1,231 @@
+/**
+ * pi fixes list|review|apply|discard
+ *
+ * Fixes made with --isolate=worktree (./worktree.js) wait on their
+ * `pi-fix/<id>` branch until reviewed. apply puts the patch into the working
+ * tree (uncommitted, next to your own edits; --merge merges the branch
+ * instead), discard deletes branch and patch.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { runCommand, truncate } from '../shared.js';
+import { git, fixesDir, loadFixes, updateFixes } from './worktree.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+/** @typedef {import('./worktree.js').FixRecord} FixRecord */
+
+/**
+ * @param {string} subcommand
+ * @param {object} args
+ * @param {{root: string, config: ProjectConfig}} ctx
+ */
+export async function handleFixes(subcommand, args, ctx) {
+  switch (subcommand || 'list') {
+    case 'list':
+      await list(ctx, args);
+      break;
+    case 'review':
+      await review(ctx, args);
+      break;
+    case 'apply':
+      await apply(ctx, args);
+      break;
+    case 'discard':
+      await discard(ctx, args);
+      break;
+    default:
+      console.error(`Unknown fixes subcommand: ${subcommand}`);
+      console.error('Available: list, review, apply, discard');
+      process.exitCode = 1;
+  }
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function list(ctx, args) {
+  const fixes = (await loadFixes(ctx.config, ctx.root)).filter(f => args.all || f.status === 'pending');
+
+  if (args.json) {
+    console.log(JSON.stringify(fixes, null, 2));
+    return;
+  }
+  if (fixes.length === 0) {
+    console.log(args.all ? 'No fixes recorded.' : 'No pending fixes.');
+    return;
+  }
+  for (const f of fixes) {
+    const state = args.all ? `${f.status.padEnd(9)} ` : '';
+    console.log(`${state}${f.id.padEnd(22)} ${String(f.files.length).padStart(3)} file(s)  ${f.createdAt.slice(0, 16).replace('T', ' ')}  ${truncate(f.title, 60)}`);
+  }
+}
+
+/**
+ * Without an id: pending fixes with their files; with ids: the patches
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function review(ctx, args) {
+  const { config, root } = ctx;
+  const ids = args._.slice(2);
+
+  if (ids.length === 0) {
+    const pending = (await loadFixes(config, root)).filter(f => f.status === 'pending');
+    if (pending.length === 0) {
+      console.log('No pending fixes.');
+      return;
+    }
+    for (const f of pending) {
+      console.log(`${f.id}  ${f.title}`);
+      if (f.summary) console.log(`  ${f.summary}`);
+      for (const file of f.files) console.log(`    ${file}`);
+    }
+    console.log('\n`pi fixes review <id>` shows the patch.');
+    return;
+  }
+
+  const fixes = await select(ctx, ids, false);
+  if (!fixes) return;
+  for (const f of fixes) {
+    console.log(`# ${f.id} (${f.status}) ${f.title}`);
+    console.log(`# branch ${f.branch}, from ${f.base.slice(0, 10)}, ${f.createdAt}`);
+    if (f.summary) console.log(`# ${f.summary}`);
+    const patch = await fs.readFile(path.join(fixesDir(config, root), f.patch), 'utf8').catch(() => null);
+    if (patch === null) {
+      console.log('# (patch file missing)');
+    } else if (args.stat) {
+      for (const file of f.files) console.log(file);
+    } else {
+      process.stdout.write(patch.endsWith('\n') ? patch : patch + '\n');
+    }
+  }
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function apply(ctx, args) {
+  const { config, root } = ctx;
+  const fixes = await select(ctx, args._.slice(2), Boolean(args.all));
+  if (!fixes) return;
+
+  const gitRoot = (await git(['rev-parse', '--show-toplevel'], root)).trim();
+  for (const f of fixes) {
+    if (f.status !== 'pending') {
+      console.error(`✗ ${f.id}: already ${f.status}`);
+      process.exitCode = 1;
+      continue;
+    }
+    const patchPath = path.join(fixesDir(config, root), f.patch);
+    let how;
+    if (args.merge) {
+      const { code, stdout, stderr } = await runCommand('git', ['merge', '--no-edit', f.branch], { cwd: gitRoot, timeout: 120_000 });
+      if (code !== 0) {
+        await runCommand('git', ['merge', '--abort'], { cwd: gitRoot, timeout: 60_000 });
+        console.error(`✗ ${f.id}: merge failed, nothing changed\n${(stderr || stdout).trim().replace(/^/gm, '  ')}`);
+        process.exitCode = 1;
+        continue;
+      }
+      how = `merged ${f.branch}`;
+    } else {
+      how = await applyPatch(gitRoot, patchPath);
+      if (!how) {
+        console.error(`✗ ${f.id}: patch does not apply to the working tree; resolve with \`git merge ${f.branch}\` or discard it`);
+        process.exitCode = 1;
+        continue;
+      }
+    }
+
+    await git(['branch', '-D', f.branch], gitRoot).catch(() => {});
+    await resolve(ctx, f.id, 'applied');
+    console.log(`✓ ${f.id}: ${how} (${f.files.length} file(s))`);
+  }
+}
+
+/**
+ * Apply a patch to the working tree only
+ * @param {string} gitRoot
+ * @param {string} patchPath
+ * @returns {Promise<string|null>} What happened, null when it does not apply
+ */
+async function applyPatch(gitRoot, patchPath) {
+  const run = (/** @type {string[]} */ flags) => runCommand('git', ['apply', ...flags, patchPath], { cwd: gitRoot, timeout: 120_000 });
+
+  if ((await run(['--check'])).code === 0) {
+    await git(['apply', patchPath], gitRoot);
+    return 'applied to the working tree';
+  }
+  // Already there, e.g. acceptance-gate commits of files still modified in the working tree
+  if ((await run(['--reverse', '--check'])).code === 0) {
+    return 'already in the working tree';
+  }
+  return null;
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function discard(ctx, args) {
+  const { config, root } = ctx;
+  const fixes = await select(ctx, args._.slice(2), Boolean(args.all));
+  if (!fixes) return;
+
+  const gitRoot = (await git(['rev-parse', '--show-toplevel'], root)).trim();
+  for (const f of fixes) {
+    if (f.status !== 'pending') {
+      console.error(`✗ ${f.id}: already ${f.status}`);
+      process.exitCode = 1;
+      continue;
+    }
+    await git(['branch', '-D', f.branch], gitRoot).catch(() => {});
+    await fs.unlink(path.join(fixesDir(config, root), f.patch)).catch(() => {});
+    await resolve(ctx, f.id, 'discarded');
+    console.log(`✓ ${f.id}: discarded`);
+  }
+}
+
+/**
+ * Fixes named by id, unique id prefix or hex suffix; all pending ones with `all`
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {string[]} ids
+ * @param {boolean} all
+ * @returns {Promise<FixRecord[]|null>} null after reporting an error
+ */
+async function select(ctx, ids, all) {
+  const fixes = await loadFixes(ctx.config, ctx.root);
+  if (all) return fixes.filter(f => f.status === 'pending');
+  if (ids.length === 0) {
+    console.error('Usage: pi fixes <review|apply|discard> <id...> (or --all)');
+    process.exitCode = 1;
+    return null;
+  }
+
+  const selected = [];
+  for (const id of ids) {
+    const matches = fixes.filter(f => f.id.startsWith(id) || f.id.endsWith(`-${id}`));
+    const exact = matches.find(f => f.id === id);
+    if (!exact && matches.length !== 1) {
+      console.error(matches.length === 0 ? `Unknown fix: ${id}` : `Ambiguous fix id ${id}: ${matches.map(f => f.id).join(', ')}`);
+      process.exitCode = 1;
+      return null;
+    }
+    selected.push(exact || matches[0]);
+  }
+  return selected;
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {string} id
+ * @param {'applied'|'discarded'} status
+ */
+async function resolve(ctx, id, status) {
+  await updateFixes(ctx.config, ctx.root, fixes => {
+    const fix = fixes.find(f => f.id === id);
+    if (fix) Object.assign(fix, { status, resolvedAt: new Date().toISOString() });
+  });
+}
@@ -0,0 +1,6 @@
+/**
+ * Fixes module index
+ */
+
+export { handleFixes } from './commands.js';
+export { createIsolation, resolveIsolation, FixIsolation, loadFixes } from './worktree.js';
@@ -0,0 +1,327 @@
+/**
+ * Worktree-isolated fixes (--isolate=worktree)
+ *
+ * `pi test fix` and `pi audit fix` normally edit the live working tree. With
+ * --isolate=worktree they run in a temporary git worktree created from HEAD on
+ * a `pi-fix/<id>` branch, laid out like the kanban `worktree` command
+ * (<git root>-worktrees/pi-fix-<id>): one per batch, or one per task with
+ * --isolate-scope=task. node_modules of the main tree are linked in so tests
+ * run there, state (.project-index) stays in the main tree's cache dir.
+ *
+ * Whatever a fix changed is committed on its branch, the diff saved as
+ * <cache>/fixes/<id>.patch and listed in <cache>/fixes/fixes.json (same
+ * format as project-index/scripts/fix-worktree.js), then the worktree is
+ * removed. `pi fixes review|apply|discard` decide what reaches the live tree.
+ * Uncommitted changes of the live tree are not visible to the fix.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { runCommand, readJsonSafe, writeJsonSafe } from '../shared.js';
+import { getCachePath, getPackageConfigs } from '../context.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} FixRecord
+ * @property {string} id
+ * @property {string} source - test-fix | audit-fix | acceptance-gate
+ * @property {string} title
+ * @property {string} [summary]
+ * @property {string} branch
+ * @property {string} base - Commit the worktree started from
+ * @property {string} commit
+ * @property {string[]} files - Changed, relative to the git root
+ * @property {string} patch - File name under the fixes dir
+ * @property {'pending'|'applied'|'discarded'} status
+ * @property {string} createdAt
+ * @property {string} [resolvedAt]
+ */
+
+/**
+ * @typedef {object} FixWorktree
+ * @property {string} id
+ * @property {string} branch
+ * @property {string} dir - Worktree (git root of the checkout)
+ * @property {string} base
+ * @property {string[]} links - Linked node_modules, relative to dir
+ * @property {{root: string, config: ProjectConfig, staleConfig?: any}} ctx - ctx with root inside the worktree
+ */
+
+export const FIXES_VERSION = 1;
+export const ISOLATE_SCOPES = ['batch', 'task'];
+
+const GIT_TIMEOUT_MS = 120_000;
+
+/** git worktree/branch operations and fixes.json updates run one at a time */
+let queue = Promise.resolve();
+
+/**
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function serialize(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {Promise<string>} stdout
+ */
+export async function git(args, cwd) {
+  const { code, stdout, stderr } = await runCommand('git', args, { cwd, timeout: GIT_TIMEOUT_MS });
+  if (code !== 0) throw new Error(`git ${args[0]} failed: ${(stderr || stdout).trim()}`);
+  return stdout;
+}
+
+/**
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @returns {string}
+ */
+export function fixesDir(config, root) {
+  return getCachePath(config, root, 'fixes');
+}
+
+/**
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @returns {Promise<FixRecord[]>}
+ */
+export async function loadFixes(config, root) {
+  const data = await readJsonSafe(path.join(fixesDir(config, root), 'fixes.json'));
+  return Array.isArray(data?.fixes) ? data.fixes : [];
+}
+
+/**
+ * Read-modify-write fixes.json
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @param {(fixes: FixRecord[]) => void} change
+ * @returns {Promise<FixRecord[]>}
+ */
+export function updateFixes(config, root, change) {
+  return serialize(async () => {
+    const fixes = await loadFixes(config, root);
+    change(fixes);
+    await writeJsonSafe(path.join(fixesDir(config, root), 'fixes.json'), { version: FIXES_VERSION, fixes });
+    return fixes;
+  });
+}
+
+/**
+ * Isolation requested by --isolate / --isolate-scope
+ * @param {Record<string, any>} args
+ * @returns {{scope: 'batch'|'task'}|null}
+ * @throws {Error} Unknown value
+ */
+export function resolveIsolation(args) {
+  const mode = args.isolate;
+  if (mode === undefined || mode === false || mode === 'none') return null;
+  if (mode !== 'worktree') {
+    throw new Error(`Unknown --isolate=${mode === true ? '' : mode} (expected worktree)`);
+  }
+  const scope = args['isolate-scope'] || 'batch';
+  if (!ISOLATE_SCOPES.includes(scope)) {
+    throw new Error(`Unknown --isolate-scope=${scope} (expected ${ISOLATE_SCOPES.join(' or ')})`);
+  }
+  return { scope };
+}
+
+/**
+ * Creates fix worktrees for one command run and records their fixes
+ */
+export class FixIsolation {
+  /**
+   * @param {{root: string, config: ProjectConfig, staleConfig?: any}} ctx - Main working tree
+   * @param {string} source - test-fix | audit-fix
+   * @param {'batch'|'task'} scope
+   */
+  constructor(ctx, source, scope) {
+    this.ctx = ctx;
+    this.source = source;
+    this.scope = scope;
+    /** @type {FixRecord[]} */
+    this.fixes = [];
+    /** @type {Promise<{gitRoot: string, base: string}>|null} */
+    this.repo = null;
+  }
+
+  /**
+   * @returns {Promise<{gitRoot: string, base: string}>}
+   */
+  resolveRepo() {
+    if (!this.repo) {
+      this.repo = (async () => {
+        try {
+          const gitRoot = (await git(['rev-parse', '--show-toplevel'], this.ctx.root)).trim();
+          const base = (await git(['rev-parse', 'HEAD'], this.ctx.root)).trim();
+          return { gitRoot: path.resolve(gitRoot), base };
+        } catch {
+          throw new Error('--isolate=worktree needs a git repository with at least one commit');
+        }
+      })();
+    }
+    return this.repo;
+  }
+
+  /**
+   * Create a worktree from HEAD
+   * @returns {Promise<FixWorktree>}
+   */
+  async open() {
+    const { root, config } = this.ctx;
+    const { gitRoot, base } = await this.resolveRepo();
+    const id = `${this.source}-${randomBytes(3).toString('hex')}`;
+    const branch = `pi-fix/${id}`;
+    const dir = path.join(`${gitRoot}-worktrees`, `pi-fix-${id}`);
+
+    await serialize(async () => {
+      await fs.mkdir(path.dirname(dir), { recursive: true });
+      await git(['worktree', 'add', '-q', '-b', branch, dir, base], gitRoot);
+    });
+
+    // Dependencies are not in git: link the main tree's node_modules
+    const links = [];
+    const dirs = new Set(['.', ...getPackageConfigs(config).map(p => p.dir)]);
+    for (const pkgDir of dirs) {
+      const source = path.join(root, pkgDir, 'node_modules');
+      const rel = path.relative(gitRoot, source);
+      const target = path.join(dir, rel);
+      try {
+        await fs.access(source);
+        await fs.symlink(source, target, 'junction');
+        links.push(rel.split(path.sep).join('/'));
+      } catch {
+        // Missing in the main tree, or already present
+      }
+    }
+
+    return {
+      id,
+      branch,
+      dir,
+      base,
+      links,
+      ctx: {
+        ...this.ctx,
+        root: path.join(dir, path.relative(gitRoot, root)),
+        config: { ...config, cache: getCachePath(config, root, '') }
+      }
+    };
+  }
+
+  /**
+   * Commit what changed, record it as a fix and remove the worktree
+   * @param {FixWorktree} wt
+   * @param {{title: string, summary?: string}} info
+   * @returns {Promise<FixRecord|null>} null when nothing changed
+   */
+  async close(wt, info) {
+    const { root, config } = this.ctx;
+    const { gitRoot } = await this.resolveRepo();
+
+    await git(['add', '-A', '--', '.', ...wt.links.map(l => `:(exclude)${l}`)], wt.dir);
+    const { code } = await runCommand('git', ['diff', '--cached', '--quiet'], { cwd: wt.dir, timeout: GIT_TIMEOUT_MS });
+    if (code === 0) {
+      await this.discard(wt);
+      return null;
+    }
+
+    try {
+      await git(['commit', '-q', '--no-verify', '-m', info.title, ...(info.summary ? ['-m', info.summary] : [])], wt.dir);
+    } catch (err) {
+      throw new Error(`${err.message} (changes left in ${wt.dir})`);
+    }
+    const commit = (await git(['rev-parse', 'HEAD'], wt.dir)).trim();
+    const files = (await git(['diff', '--name-only', wt.base, commit], wt.dir)).split('\n').filter(Boolean);
+    const patch = await git(['diff', '--binary', wt.base, commit], wt.dir);
+
+    const dir = fixesDir(config, root);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${wt.id}.patch`), patch);
+
+    /** @type {FixRecord} */
+    const record = {
+      id: wt.id,
+      source: this.source,
+      title: info.title,
+      ...(info.summary ? { summary: info.summary } : {}),
+      branch: wt.branch,
+      base: wt.base,
+      commit,
+      files,
+      patch: `${wt.id}.patch`,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+    await updateFixes(config, root, fixes => { fixes.push(record); });
+    await serialize(() => git(['worktree', 'remove', '--force', wt.dir], gitRoot));
+    this.fixes.push(record);
+    return record;
+  }
+
+  /**
+   * Remove the worktree and its branch
+   * @param {FixWorktree} wt
+   */
+  async discard(wt) {
+    const { gitRoot } = await this.resolveRepo();
+    await serialize(async () => {
+      await git(['worktree', 'remove', '--force', wt.dir], gitRoot).catch(() => {});
+      await git(['branch', '-D', wt.branch], gitRoot).catch(() => {});
+    });
+  }
+
+  /**
+   * Run `fn` in a new worktree, then close it (discard on error)
+   * @template T
+   * @param {(ctx: FixWorktree['ctx'], wt: FixWorktree) => Promise<T>} fn
+   * @param {(result: T) => {title: string, summary?: string}} describe
+   * @returns {Promise<{result: T, fix: FixRecord|null}>}
+   */
+  async run(fn, describe) {
+    const wt = await this.open();
+    let result;
+    try {
+      result = await fn(wt.ctx, wt);
+    } catch (err) {
+      await this.discard(wt);
+      throw err;
+    }
+    return { result, fix: await this.close(wt, describe(result)) };
+  }
+
+  /**
+   * Closing lines of a run
+   */
+  report() {
+    if (this.fixes.length === 0) {
+      console.log('\nNo changes to review (worktrees removed).');
+      return;
+    }
+    console.log(`\n${this.fixes.length} fix branch(es) ready for review:`);
+    for (const f of this.fixes) {
+      console.log(`  ${f.id}  ${f.branch}  ${f.files.length} file(s)  ${f.title}`);
+    }
+    console.log('Review with `pi fixes review <id>`, then `pi fixes apply <id>` or `pi fixes discard <id>`.');
+  }
+}
+
+/**
+ * --isolate=worktree as a FixIsolation, null when not requested
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {string} source
+ * @param {Record<string, any>} args
+ * @returns {FixIsolation|null}
+ * @throws {Error} Unknown --isolate / --isolate-scope value
+ */
+export function createIsolation(ctx, source, args) {
+  const isolation = resolveIsolation(args);
+  return isolation ? new FixIsolation(ctx, source, isolation.scope) : null;
+}
@@ -0,0 +1,460 @@
+/**
+ * Git hooks - pre-commit / pre-push scripts in the repository's hooks dir
+ *
+ * The Claude Code hooks (manager.js) only fire for commands the agent runs;
+ * these fire for every `git commit` / `git push`. Each installed hook is a
+ * small sh script that first runs the hook it replaced (moved to
+ * <hooks>/.pi-chained/<name>), then `pi hook run <name>`, which runs the
+ * configured checks within the hook's time budget. The hooks dir is the one
+ * git uses (`git rev-parse --git-path hooks`, so core.hooksPath is honored).
+ * Uninstalling restores the replaced hook.
+ *
+ * Skip with `git commit --no-verify` / `git push --no-verify` or PI_SKIP_HOOKS=1.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { runCommand } from '../shared.js';
+import { getCachePath, getPackageConfigs } from '../context.js';
+import { baselinePath, loadBaseline } from '../audit/baseline.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} GitHookCheck
+ * @property {string} description
+ * @property {boolean} blocking - A failure aborts the commit/push (otherwise only reported)
+ * @property {(ctx: {root: string, config: ProjectConfig}, input: string) => Promise<{args?: string[], skip?: string}>} plan
+ *   pi arguments to run, or why the check does not apply
+ */
+
+const CLI_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'cli.js');
+
+/** First line after the shebang of every script we install */
+const MARKER = '# pi-cli git hook';
+const CHAINED_DIR = '.pi-chained';
+const ZERO_SHA = /^0+$/;
+
+/** Grace period between SIGTERM and SIGKILL for a check that ran out of time */
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Hooks and their default checks / time budget (seconds);
+ * .pi-config.json `hooks.git.<name>` overrides { checks, timeout }
+ */
+export const GIT_HOOKS = {
+  'pre-commit': {
+    description: 'New audit findings (blocking) and stale docs (warning) before commit',
+    checks: ['audit', 'docs'],
+    timeout: 120
+  },
+  'pre-push': {
+    description: 'Run tests affected by the pushed commits',
+    checks: ['tests'],
+    timeout: 600
+  }
+};
+
+/** @type {Record<string, GitHookCheck>} */
+const CHECKS = {
+  audit: {
+    description: 'pi audit scan --staged',
+    blocking: true,
+    async plan(ctx) {
+      if (!ctx.config.src?.dirs?.[0]) return { skip: 'no src.dirs configured' };
+      // Only the staged diff: unstaged and untracked edits are not in the commit
+      const staged = await runCommand('git', ['diff', '--cached', '--name-only'], { cwd: ctx.root });
+      if (staged.code === 0 && !staged.stdout.trim()) return { skip: 'nothing staged' };
+      // Without a baseline, findings on staged lines count as new
+      if (await loadBaseline(baselinePath(ctx))) return { args: ['audit', 'scan', '--new-only', '--staged'] };
+      return { args: ['audit', 'scan', '--staged'] };
+    }
+  },
+  docs: {
+    description: 'pi doc check --stale-only',
+    blocking: false,
+    async plan(ctx) {
+      if (!ctx.config.src?.dirs?.[0]) return { skip: 'no src.dirs configured' };
+      return { args: ['doc', 'check', '--stale-only'] };
+    }
+  },
+  tests: {
+    description: 'pi test affected --since=<remote>',
+    blocking: true,
+    async plan(ctx, input) {
+      const { root, config } = ctx;
+      // Workspaces: packages[].test.cmd counts, as for `pi test affected`
+      if (!getPackageConfigs(config).some(p => p.test?.cmd)) return { skip: 'no test.cmd configured' };
+      const [graph, map] = await Promise.all([
+        fileExists(getCachePath(config, root, '.dep-graph.json')),
+        fileExists(getCachePath(config, root, '.test-map.json'))
+      ]);
+      if (!graph || !map) return { skip: 'no dependency graph / test map (run "pi deps build" and "pi test map")' };
+
+      const base = await pushBase(root, input);
+      if (!base) return { skip: 'nothing to compare the pushed commits with' };
+      return { args: ['test', 'affected', `--since=${base}`] };
+    }
+  }
+};
+
+/**
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Commit the pushed refs are compared with: the remote sha of the first
+ * updated ref, or (new branch) the merge base with its upstream / origin HEAD
+ * @param {string} root
+ * @param {string} input - pre-push stdin: "<local ref> <local sha> <remote ref> <remote sha>" per line
+ * @returns {Promise<string|null>}
+ */
+async function pushBase(root, input) {
+  const git = (...args) => runCommand('git', args, { cwd: root });
+
+  for (const line of String(input || '').split('\n')) {
+    const [, localSha, , remoteSha] = line.trim().split(/\s+/);
+    if (!localSha || ZERO_SHA.test(localSha)) continue; // Branch deletion
+    if (remoteSha && !ZERO_SHA.test(remoteSha) && (await git('cat-file', '-e', `${remoteSha}^{commit}`)).code === 0) {
+      return remoteSha;
+    }
+    for (const ref of ['@{upstream}', 'origin/HEAD']) {
+      const res = await git('merge-base', localSha, ref);
+      if (res.code === 0 && res.stdout.trim()) return res.stdout.trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Hooks dir git uses (core.hooksPath or .git/hooks)
+ * @param {string} root
+ * @returns {Promise<string|null>} null outside a git repository
+ */
+export async function gitHooksDir(root) {
+  const res = await runCommand('git', ['rev-parse', '--git-path', 'hooks'], { cwd: root });
+  if (res.code !== 0 || !res.stdout.trim()) return null;
+  return path.resolve(root, res.stdout.trim());
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<string|null>}
+ */
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * The sh script installed as `.git/hooks/<name>`. pre-push reads the pushed
+ * refs from stdin; it is read once and handed to both the chained hook and pi.
+ * @param {string} name
+ * @param {string} projectDir - Project root relative to the work tree root
+ *   (git runs hooks there; relative so every worktree checks its own files)
+ * @returns {string}
+ */
+export function hookScript(name, projectDir) {
+  const withInput = name === 'pre-push';
+  const feed = withInput ? 'printf \'%s\\n\' "$input" | ' : '';
+  return `#!/bin/sh
+${MARKER}: ${name}
+# Installed by \`pi hook install --git\`; \`pi hook uninstall --git\` restores the previous hook.
+# Skip with --no-verify or PI_SKIP_HOOKS=1.
+${withInput ? 'input=$(cat)\n' : ''}chained="$(dirname "$0")/${CHAINED_DIR}/${name}"
+if [ -x "$chained" ]; then
+  ${feed}"$chained" "$@" || exit $?
+fi
+[ -n "$PI_SKIP_HOOKS" ] && exit 0
+${projectDir ? `cd ${shellQuote(projectDir)} || exit 0\n` : ''}
+node=${shellQuote(process.execPath)}
+[ -x "$node" ] || node=node
+cli=${shellQuote(CLI_PATH)}
+if [ ! -f "$cli" ]; then
+  echo "pi hook: $cli not found, checks skipped (reinstall with: pi hook install --git)" >&2
+  exit 0
+fi
+${feed}"$node" "$cli" hook run ${name} "$@"
+`;
+}
+
+/**
+ * @param {string} dir
+ * @param {string} name
+ * @returns {Promise<{installed: boolean, chained: boolean, foreign: boolean}>}
+ *   foreign: a hook that is not ours sits at the hook's path
+ */
+async function hookState(dir, name) {
+  const content = await readText(path.join(dir, name));
+  return {
+    installed: Boolean(content?.includes(MARKER)),
+    chained: await fileExists(path.join(dir, CHAINED_DIR, name)),
+    foreign: content !== null && !content.includes(MARKER)
+  };
+}
+
+/**
+ * @param {string|undefined} name
+ * @returns {string[]|null} null (after printing an error) for an unknown hook
+ */
+function selectHooks(name) {
+  if (!name) return Object.keys(GIT_HOOKS);
+  if (GIT_HOOKS[name]) return [name];
+  console.error(`Unknown git hook: ${name}`);
+  console.error(`Available: ${Object.keys(GIT_HOOKS).join(', ')}`);
+  process.exitCode = 1;
+  return null;
+}
+
+/**
+ * pi hook install --git [pre-commit|pre-push]
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+export async function installGitHooks(ctx, args) {
+  const names = selectHooks(args._[2]);
+  if (!names) return;
+  const dir = await gitHooksDir(ctx.root);
+  if (!dir) {
+    console.error('Not a git repository.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const stat = await fs.stat(dir).catch(() => null);
+  if (stat && !stat.isDirectory()) {
+    console.error(`Git hooks are disabled here: core.hooksPath is ${dir}, not a directory.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const top = await runCommand('git', ['rev-parse', '--show-toplevel'], { cwd: ctx.root });
+  const projectDir = top.code === 0 ? path.relative(top.stdout.trim(), ctx.root).split(path.sep).join('/') : '';
+
+  await fs.mkdir(dir, { recursive: true });
+  for (const name of names) {
+    const file = path.join(dir, name);
+    const state = await hookState(dir, name);
+    if (state.foreign) {
+      if (state.chained) {
+        console.error(`✗ ${name}: ${path.join(dir, CHAINED_DIR, name)} already exists; move one of the two hooks away first`);
+        process.exitCode = 1;
+        continue;
+      }
+      await fs.mkdir(path.join(dir, CHAINED_DIR), { recursive: true });
+      await fs.rename(file, path.join(dir, CHAINED_DIR, name));
+    }
+    await fs.writeFile(file, hookScript(name, projectDir), { mode: 0o755 });
+    await fs.chmod(file, 0o755);
+
+    const chained = state.foreign || state.chained ? ' (runs the existing hook first)' : '';
+    console.log(`✓ ${state.installed ? 'Updated' : 'Installed'} git hook '${name}'${chained}: ${GIT_HOOKS[name].description}`);
+  }
+  console.log(`  ${path.relative(ctx.root, dir) || dir}/  -- skip with --no-verify or PI_SKIP_HOOKS=1`);
+}
+
+/**
+ * pi hook uninstall --git [pre-commit|pre-push]
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+export async function uninstallGitHooks(ctx, args) {
+  const names = selectHooks(args._[2]);
+  if (!names) return;
+  const dir = await gitHooksDir(ctx.root);
+  if (!dir) {
+    console.error('Not a git repository.');
+    process.exitCode = 1;
+    return;
+  }
+
+  let removed = 0;
+  for (const name of names) {
+    const state = await hookState(dir, name);
+    if (!state.installed) continue;
+
+    const file = path.join(dir, name);
+    await fs.unlink(file);
+    if (state.chained) {
+      await fs.rename(path.join(dir, CHAINED_DIR, name), file);
+    }
+    removed++;
+    console.log(`✓ Uninstalled git hook '${name}'${state.chained ? ' (previous hook restored)' : ''}`);
+  }
+  // Only removed when empty
+  await fs.rmdir(path.join(dir, CHAINED_DIR)).catch(() => {});
+
+  if (removed === 0) console.log('No pi git hooks installed.');
+}
+
+/**
+ * Installed state of each git hook (for `pi hook list` / `status`)
+ * @param {{root: string}} ctx
+ * @returns {Promise<{dir: string, hooks: Array<{name: string, description: string, installed: boolean, chained: boolean, foreign: boolean}>}|null>}
+ */
+export async function gitHookStatus(ctx) {
+  const dir = await gitHooksDir(ctx.root);
+  if (!dir) return null;
+  const hooks = [];
+  for (const [name, def] of Object.entries(GIT_HOOKS)) {
+    hooks.push({ name, description: def.description, ...await hookState(dir, name) });
+  }
+  return { dir, hooks };
+}
+
+/**
+ * @param {ProjectConfig} config
+ * @param {string} name
+ * @returns {{checks: string[], timeout: number}}
+ */
+function hookSettings(config, name) {
+  const override = config.hooks?.git?.[name] || {};
+  return {
+    checks: Array.isArray(override.checks) ? override.checks : GIT_HOOKS[name].checks,
+    timeout: Number(override.timeout) > 0 ? Number(override.timeout) : GIT_HOOKS[name].timeout
+  };
+}
+
+/**
+ * pi hook run <name> - called by the installed script. Runs the checks one
+ * after another within the hook's time budget; a check that runs out of time
+ * is stopped and reported but does not block.
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+export async function runGitHook(ctx, args) {
+  const name = args._[2];
+  if (!GIT_HOOKS[name]) {
+    console.error(`Usage: pi hook run <${Object.keys(GIT_HOOKS).join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const input = name === 'pre-push' ? await readStdin() : '';
+  const { checks, timeout } = hookSettings(ctx.config, name);
+  const deadline = Date.now() + timeout * 1000;
+  const failed = [];
+
+  for (const id of checks) {
+    const check = CHECKS[id];
+    if (!check) {
+      console.error(`pi ${name}: unknown check "${id}" in hooks.git.${name}.checks (available: ${Object.keys(CHECKS).join(', ')})`);
+      continue;
+    }
+
+    const { args: piArgs, skip } = await check.plan(ctx, input);
+    if (!piArgs) {
+      console.error(`pi ${name}: ${id} skipped (${skip})`);
+      continue;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      console.error(`pi ${name}: ${id} skipped (the ${timeout}s budget is used up)`);
+      continue;
+    }
+
+    console.error(`pi ${name}: ${id} → pi ${piArgs.join(' ')}`);
+    const result = await runCheck(piArgs, ctx.root, remaining);
+    if (result === 'timeout') {
+      console.error(`pi ${name}: ${id} stopped after ${timeout}s (not blocking; raise hooks.git.${name}.timeout)`);
+    } else if (result !== 0) {
+      if (check.blocking) {
+        failed.push(id);
+      } else {
+        console.error(`pi ${name}: ${id} reported problems (not blocking)`);
+      }
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(`\npi ${name}: ${failed.join(', ')} failed. Fix them, or skip with --no-verify.`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run `pi <args>` with inherited output (on stderr: git shows it)
+ * @param {string[]} piArgs
+ * @param {string} cwd
+ * @param {number} timeoutMs
+ * @returns {Promise<number|'timeout'>} exit code
+ */
+function runCheck(piArgs, cwd, timeoutMs) {
+  return new Promise((resolve) => {
+    // Own process group, so a timeout also stops the test runner it started
+    const group = process.platform !== 'win32';
+    const child = spawn(process.execPath, [CLI_PATH, ...piArgs], {
+      cwd,
+      stdio: ['ignore', process.stderr, process.stderr],
+      detached: group
+    });
+    const kill = (signal) => {
+      try {
+        if (group) process.kill(-child.pid, signal);
+        else child.kill(signal);
+      } catch {
+        // Already gone
+      }
+    };
+
+    let timedOut = false;
+    /** @type {NodeJS.Timeout|undefined} */
+    let killTimer;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill('SIGTERM');
+      killTimer = setTimeout(() => kill('SIGKILL'), KILL_GRACE_MS);
+    }, timeoutMs);
+    // Ctrl-C reaches our group only
+    const interrupt = () => {
+      kill('SIGINT');
+      process.exit(130);
+    };
+    process.once('SIGINT', interrupt);
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      process.removeListener('SIGINT', interrupt);
+      resolve(timedOut ? 'timeout' : code ?? 1);
+    });
+    child.on('error', () => {
+      clearTimeout(timer);
+      process.removeListener('SIGINT', interrupt);
+      resolve(1);
+    });
+  });
+}
+
+/**
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  return data;
+}
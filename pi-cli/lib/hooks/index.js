@@ -3,3 +3,4 @@
  */
 
 export { install, uninstall, list, init, status } from './manager.js';
+export { runGitHook, installGitHooks, uninstallGitHooks, gitHookStatus, GIT_HOOKS } from './git.js';
@@ -1,11 +1,13 @@
 /**
  * Hook manager - Install/manage Claude Code hooks
- * Supports post-commit and stale-notify hooks
+ * Supports post-commit and stale-notify hooks; `--git` manages real git
+ * hooks instead (see git.js)
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { installGitHooks, uninstallGitHooks, gitHookStatus } from './git.js';
 
 const CLAUDE_SETTINGS_PATH = path.join(os.homedir(), '.claude', 'settings.json');
 
@@ -86,8 +88,10 @@ function hasHook(settings, hookName) {
  * @param {object} args
  */
 export async function install(ctx, args) {
+  if (args.git) return installGitHooks(ctx, args);
+
   const { root } = ctx;
-  const hookName = args._[3]; // pi hook install <name>
+  const hookName = args._[2]; // pi hook install <name>
   const isGlobal = args.global;
 
   if (!hookName) {
@@ -96,6 +100,7 @@ export async function install(ctx, args) {
       console.log(`  ${name}: ${def.description}`);
     }
     console.log('\nUsage: pi hook install <name> [--global]');
+    console.log('       pi hook install --git [pre-commit|pre-push]   (git hooks, for every commit/push)');
     return;
   }
 
@@ -128,12 +133,14 @@ export async function install(ctx, args) {
  * Uninstall a hook
  */
 export async function uninstall(ctx, args) {
+  if (args.git) return uninstallGitHooks(ctx, args);
+
   const { root } = ctx;
-  const hookName = args._[3];
+  const hookName = args._[2];
   const isGlobal = args.global;
 
   if (!hookName) {
-    console.error('Usage: pi hook uninstall <name> [--global]');
+    console.error('Usage: pi hook uninstall <name> [--global] | pi hook uninstall --git [pre-commit|pre-push]');
     process.exitCode = 1;
     return;
   }
@@ -194,12 +201,34 @@ export async function list(ctx, args) {
       console.log(`  - ${name}: ${def.description}`);
     }
   }
+
+  if (!isGlobal) await listGitHooks(ctx);
+}
+
+/**
+ * Git hooks of the repository (pi hook install --git)
+ * @param {{root: string}} ctx
+ */
+async function listGitHooks(ctx) {
+  const git = await gitHookStatus(ctx);
+  if (!git) return;
+
+  console.log(`\nGit hooks (${path.relative(ctx.root, git.dir) || git.dir}/):`);
+  for (const hook of git.hooks) {
+    const mark = hook.installed ? '✓' : '-';
+    const note = hook.installed
+      ? (hook.chained ? ' (runs the previous hook first)' : '')
+      : (hook.foreign ? ' (another hook is installed; pi hook install --git chains it)' : '');
+    console.log(`  ${mark} ${hook.name}: ${hook.description}${note}`);
+  }
 }
 
 /**
  * Initialize all recommended hooks
  */
 export async function init(ctx, args) {
+  if (args.git) return installGitHooks(ctx, { ...args, _: ['hook', 'install'] });
+
   const { root } = ctx;
   const isGlobal = args.global;
 
@@ -0,0 +1,51 @@
+/**
+ * Kanban task storage: the CodeKanban HTTP service or a board file in the repo
+ *
+ * KANBAN_BACKEND=http talks to CodeKanban (KANBAN_URL, with or without the
+ * /api/v1 suffix); KANBAN_BACKEND=local reads and writes
+ * <git root>/.kanban/board.json (KANBAN_FILE overrides). Unset, CodeKanban is
+ * used when it answers and the board file otherwise, so `pi module analyze`
+ * no longer drops its audit tasks when the service is down.
+ *
+ * Both backends are the kanban skill's (kanban/kanban-store.js): the board
+ * format, the kanban-meta comment, task IDs and backend selection have one
+ * implementation, and its `kanban sync` pushes the board to CodeKanban later.
+ */
+
+import { openStore } from '../../../kanban/kanban-store.js';
+
+/**
+ * @typedef {object} KanbanTask
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} status - todo | in_progress | done | blocked
+ * @property {number} priority - 0 (P0) .. 3 (P3)
+ * @property {string[]} tags
+ * @property {string|null} [dueDate]
+ * @property {string[]} [blockedBy] - IDs of tasks that must be done first
+ * @property {number|null} [estimate]
+ * @property {string|null} [worktreeId]
+ */
+
+/**
+ * @typedef {object} KanbanStore
+ * @property {'http'|'local'} backend
+ * @property {string} location - Service URL or board file
+ * @property {(cwd: string) => Promise<{id: string, name: string, path: string}|null>} detectProject
+ * @property {(projectId: string) => Promise<KanbanTask[]>} listTasks
+ * @property {(projectId: string, task: Partial<KanbanTask>) => Promise<KanbanTask>} createTask
+ * @property {(taskId: string, updates: Partial<KanbanTask>) => Promise<KanbanTask>} updateTask
+ * @property {(taskId: string, move: {status?: string, orderIndex?: number, worktreeId?: string}) => Promise<KanbanTask>} moveTask
+ * @property {(taskId: string) => Promise<void>} deleteTask
+ */
+
+/**
+ * Open the Kanban store for a project
+ * @param {string} root
+ * @param {{backend?: string, quiet?: boolean}} [options]
+ * @returns {Promise<KanbanStore>}
+ */
+export async function openKanban(root, options = {}) {
+  return openStore({ cwd: root, backend: options.backend, quiet: options.quiet });
+}
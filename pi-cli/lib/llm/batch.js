@@ -1,10 +1,16 @@
 /**
  * Batch LLM runner with concurrency control, retry logic, and DAG scheduling
- * Supports multiple providers: claude-cli, anthropic API, openai API, codeagent-wrapper
+ * Supports multiple providers: claude-cli, anthropic API, OpenAI-compatible endpoints
+ * (./openai.js), codeagent-wrapper, plus replay/record of recorded responses (./fixtures.js)
+ * Successful responses are cached by prompt and input file hashes (./cache.js)
  */
 
 import { spawn } from 'child_process';
 import { runCommand, parallelMap } from '../shared.js';
+import { FIXTURE_PROVIDERS, fixturesDir, replayFixture, resolveProvider, writeFixture } from './fixtures.js';
+import { callOpenAiCompatible, resolveEndpoint, OPENAI_PROVIDERS } from './openai.js';
+import { UsageMeter, estimateTokens, estimateUsage } from './usage.js';
+import { cacheIdentity, openCache } from './cache.js';
 
 /**
  * @typedef {'pending' | 'running' | 'completed' | 'failed'} TaskStatus
@@ -24,6 +30,7 @@ import { runCommand, parallelMap } from '../shared.js';
  * @property {string} id - Task identifier
  * @property {string} prompt - The prompt to send
  * @property {string[]} [dependencies] - DAG dependencies (task IDs that must complete first)
+ * @property {string[]} [inputs] - Files the prompt was built from (absolute or workdir-relative); part of the cache key
  * @property {object} [context] - Additional context (workdir, dependencies, etc.)
  */
 
@@ -34,6 +41,9 @@ import { runCommand, parallelMap } from '../shared.js';
  * @property {string} [output] - LLM response
  * @property {string} [error] - Error message if failed
  * @property {number} retries - Number of retries used
+ * @property {import('./usage.js').TokenUsage} [usage] - Tokens over all attempts
+ * @property {boolean} [skipped] - Not started: llm.budget.maxTokensPerRun exceeded
+ * @property {boolean} [cached] - Served from the response cache (no tokens used)
  */
 
 /**
@@ -45,6 +55,10 @@ import { runCommand, parallelMap } from '../shared.js';
  * @param {number} [options.retryDelay=1000]
  * @param {ProjectConfig} [options.config]
  * @param {string} [options.workdir] - Working directory for codeagent
+ * @param {string} [options.root] - Project root holding the response cache (default: workdir)
+ * @param {string} [options.taskType] - Selects the `llm.models` override (openai provider); usage is recorded under it
+ * @param {UsageMeter} [options.meter] - Shared meter of a larger run (the caller saves it); default: one per call
+ * @param {boolean} [options.cache=true] - false (--no-cache): always call the provider
  * @param {OnStatusChange} [options.onStatusChange] - Status callback
  * @returns {Promise<LLMResult[]>}
  */
@@ -55,11 +69,15 @@ export async function runBatch(tasks, options = {}) {
     retryDelay = 1000,
     config,
     workdir,
+    taskType,
     onStatusChange
   } = options;
+  const ownMeter = !options.meter;
 
-  const provider = config?.llm?.provider || 'claude-cli';
+  const provider = resolveProvider(config);
   const backend = config?.llm?.backend || 'codex';
+  const meter = options.meter || createMeter(config, taskType);
+  const cache = openCache(config, { root: options.root || workdir, cache: options.cache });
 
   // Check if any task has dependencies (DAG mode)
   const hasDependencies = tasks.some(t =>
@@ -74,16 +92,25 @@ export async function runBatch(tasks, options = {}) {
       backend: provider === 'codeagent' || provider === 'codeagent-wrapper' ? backend : provider,
       workdir: workdir || config?.root || process.cwd(),
       timeout: config?.llm?.timeout || 600000,
-      onStatusChange
+      onStatusChange,
+      meter,
+      saveUsage: ownMeter,
+      cache,
+      cacheAs: cacheIdentity(provider, config?.llm, taskType),
+      taskType
     });
   }
 
   console.log(`Running ${tasks.length} LLM tasks (concurrency: ${concurrency}, provider: ${provider}${hasDependencies ? ', DAG mode' : ''})`);
 
   const providerOptions = {
+    ...fixtureOptions(config),
+    llm: config?.llm,
+    taskType,
     backend,
     workdir: workdir || config?.root || process.cwd(),
-    timeout: config?.llm?.timeout || 600000
+    timeout: config?.llm?.timeout || 600000,
+    cache
   };
 
   // Use DAG scheduling
@@ -92,19 +119,41 @@ export async function runBatch(tasks, options = {}) {
     concurrency,
     async (task) => {
       const result = await runWithRetry(task, provider, maxRetries, retryDelay, providerOptions);
+      meter.add(task.id, result.usage);
       return result;
     },
-    onStatusChange
+    onStatusChange,
+    meter
   );
 
   // Summary
   const succeeded = results.filter(r => r.success).length;
-  const failed = results.filter(r => !r.success).length;
-  console.log(`\nCompleted: ${succeeded} succeeded, ${failed} failed`);
+  const cached = results.filter(r => r.cached).length;
+  const skipped = results.filter(r => r.skipped).length;
+  const failed = results.length - succeeded - skipped;
+  console.log(`\nCompleted: ${succeeded} succeeded${cached ? ` (${cached} cached)` : ''}, ${failed} failed${skipped ? `, ${skipped} skipped (token budget)` : ''}`);
+  meter.skipped += skipped;
+  if (ownMeter) await meter.save();
 
   return results;
 }
 
+/**
+ * Usage meter for a run of `taskType` with the configured provider and model
+ * @param {ProjectConfig} [config]
+ * @param {string} [taskType]
+ * @returns {UsageMeter}
+ */
+export function createMeter(config, taskType) {
+  const provider = resolveProvider(config);
+  return new UsageMeter({
+    taskType,
+    provider,
+    model: OPENAI_PROVIDERS.has(provider) ? resolveEndpoint(config?.llm, taskType).model : null,
+    config
+  });
+}
+
 /**
  * Run single task with retry
  * @param {LLMTask} task
@@ -115,18 +164,29 @@ export async function runBatch(tasks, options = {}) {
  * @returns {Promise<LLMResult>}
  */
 async function runWithRetry(task, provider, maxRetries, retryDelay, providerOptions = {}) {
+  const lookup = await lookupCached(task.prompt, provider, task.inputs, providerOptions);
+  if (lookup?.entry) {
+    return { id: task.id, success: true, output: lookup.entry.output, retries: 0, cached: true };
+  }
+
   let lastError = '';
+  /** @type {import('./usage.js').TokenUsage|undefined} */
+  let usage;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const output = await callProvider(task.prompt, provider, providerOptions);
+      const reply = await callProvider(task.prompt, provider, providerOptions);
+      usage = addUsage(usage, reply.usage);
+      const output = reply.output;
 
       if (output) {
+        await providerOptions.cache?.store(lookup, output, { taskType: providerOptions.taskType, usage });
         return {
           id: task.id,
           success: true,
           output,
-          retries: attempt
+          retries: attempt,
+          usage
         };
       }
 
@@ -156,7 +216,80 @@ async function runWithRetry(task, provider, maxRetries, retryDelay, providerOpti
     id: task.id,
     success: false,
     error: lastError,
-    retries: maxRetries
+    retries: maxRetries,
+    usage
+  };
+}
+
+/**
+ * @param {import('./usage.js').TokenUsage|undefined} a
+ * @param {import('./usage.js').TokenUsage} b
+ * @returns {import('./usage.js').TokenUsage}
+ */
+function addUsage(a, b) {
+  if (!a) return b;
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    completionTokens: a.completionTokens + b.completionTokens,
+    estimated: a.estimated || b.estimated
+  };
+}
+
+/**
+ * Response cache lookup for a prompt (null when caching is off)
+ * @param {string} prompt
+ * @param {string} provider
+ * @param {string[]|undefined} inputs
+ * @param {{cache?: import('./cache.js').ResponseCache|null, llm?: object, taskType?: string, workdir?: string}} providerOptions
+ * @returns {Promise<import('./cache.js').CacheLookup|null>}
+ */
+async function lookupCached(prompt, provider, inputs, providerOptions) {
+  if (!providerOptions.cache) return null;
+  return providerOptions.cache.lookup({
+    ...cacheIdentity(provider, providerOptions.llm, providerOptions.taskType),
+    prompt,
+    inputs,
+    root: providerOptions.workdir
+  });
+}
+
+/**
+ * Send one prompt to the configured provider (no retries)
+ * @param {string} prompt
+ * @param {ProjectConfig} [config]
+ * @param {{workdir?: string, root?: string, timeout?: number, taskType?: string, meter?: UsageMeter, taskId?: string, inputs?: string[], cache?: boolean}} [options]
+ *   meter: adds the call's usage under `taskId` (default: the task type);
+ *   inputs/cache/root: as LLMTask.inputs and runBatch's `cache` / `root`
+ * @returns {Promise<string>}
+ */
+export async function runPrompt(prompt, config, options = {}) {
+  const provider = resolveProvider(config);
+  const providerOptions = {
+    ...fixtureOptions(config),
+    llm: config?.llm,
+    taskType: options.taskType,
+    backend: config?.llm?.backend || 'codex',
+    workdir: options.workdir || process.cwd(),
+    timeout: options.timeout || config?.llm?.timeout || 600000,
+    cache: openCache(config, { root: options.root || options.workdir, cache: options.cache })
+  };
+  const lookup = await lookupCached(prompt, provider, options.inputs, providerOptions);
+  if (lookup?.entry) return lookup.entry.output;
+
+  const reply = await callProvider(prompt, provider, providerOptions);
+  options.meter?.add(options.taskId || options.taskType || 'prompt', reply.usage);
+  await providerOptions.cache?.store(lookup, reply.output, { taskType: options.taskType, usage: reply.usage });
+  return reply.output;
+}
+
+/**
+ * @param {ProjectConfig} [config]
+ * @returns {{fixtures: string, recordProvider: string}}
+ */
+function fixtureOptions(config) {
+  return {
+    fixtures: fixturesDir(config),
+    recordProvider: config?.llm?.recordProvider || 'claude-cli'
   };
 }
 
@@ -165,10 +298,35 @@ async function runWithRetry(task, provider, maxRetries, retryDelay, providerOpti
  * @param {string} prompt
  * @param {string} provider
  * @param {object} [options] - Provider-specific options
- * @returns {Promise<string>}
+ * @returns {Promise<{output: string, usage: import('./usage.js').TokenUsage}>} usage estimated unless the provider reports it
  */
 async function callProvider(prompt, provider, options = {}) {
+  const reply = await sendToProvider(prompt, provider, options);
+  if (typeof reply === 'string') return { output: reply, usage: estimateUsage(prompt, reply) };
+  return reply;
+}
+
+/**
+ * @param {string} prompt
+ * @param {string} provider
+ * @param {object} [options]
+ * @returns {Promise<string|{output: string, usage: import('./usage.js').TokenUsage}>}
+ */
+async function sendToProvider(prompt, provider, options = {}) {
   switch (provider) {
+    case 'replay':
+      return replayFixture(prompt, options.fixtures);
+
+    case 'record': {
+      const inner = options.recordProvider || 'claude-cli';
+      if (FIXTURE_PROVIDERS.has(inner)) {
+        throw new Error(`llm.recordProvider must be a real provider, got: ${inner}`);
+      }
+      const reply = await callProvider(prompt, inner, options);
+      if (reply.output) await writeFixture(options.fixtures, prompt, reply.output, { provider: inner });
+      return reply;
+    }
+
     case 'claude-cli':
       return callClaudeCli(prompt);
 
@@ -176,7 +334,8 @@ async function callProvider(prompt, provider, options = {}) {
       return callAnthropicApi(prompt);
 
     case 'openai':
-      return callOpenAiApi(prompt);
+    case 'openai-compatible':
+      return callOpenAiCompatible(prompt, options);
 
     case 'codeagent':
     case 'codeagent-wrapper':
@@ -222,16 +381,6 @@ async function callAnthropicApi(prompt) {
   return callClaudeCli(prompt);
 }
 
-/**
- * Call OpenAI API (placeholder)
- * @param {string} prompt
- * @returns {Promise<string>}
- */
-async function callOpenAiApi(prompt) {
-  // This would use the OpenAI SDK
-  throw new Error('OpenAI provider not implemented');
-}
-
 /**
  * Call codeagent-wrapper
  * @param {string} prompt
@@ -269,19 +418,68 @@ async function callCodeagent(prompt, options = {}) {
  * @param {string} [options.backend='codex']
  * @param {string} [options.workdir]
  * @param {number} [options.timeout=600000]
+ * @param {UsageMeter} [options.meter] - Records usage; its budget caps the tasks sent
+ * @param {boolean} [options.saveUsage=true] - Save the meter's run when done
+ * @param {import('./cache.js').ResponseCache|null} [options.cache] - Hits are not sent
+ * @param {{provider: string, model: string|null}} [options.cacheAs] - Cache identity (default: codeagent-wrapper + backend)
+ * @param {string} [options.taskType] - Recorded with cached responses
  * @returns {Promise<LLMResult[]>}
  */
 export async function runBatchParallel(tasks, options = {}) {
   const {
     backend = 'codex',
     workdir = process.cwd(),
-    timeout = 600000
+    timeout = 600000,
+    meter,
+    saveUsage = true,
+    cache = null,
+    cacheAs = { provider: 'codeagent-wrapper', model: backend },
+    taskType
   } = options;
 
   if (tasks.length === 0) {
     return [];
   }
 
+  /** @type {LLMResult[]} */
+  const cachedResults = [];
+  /** @type {Map<string, import('./cache.js').CacheLookup>} */
+  const lookups = new Map();
+  if (cache) {
+    const misses = [];
+    for (const task of tasks) {
+      const lookup = await cache.lookup({ ...cacheAs, prompt: task.prompt, inputs: task.inputs, root: task.context?.workdir || workdir });
+      if (lookup?.entry) {
+        cachedResults.push({ id: task.id, success: true, output: lookup.entry.output, retries: 0, cached: true });
+      } else {
+        if (lookup) lookups.set(task.id, lookup);
+        misses.push(task);
+      }
+    }
+    if (cachedResults.length > 0) {
+      console.log(`Cache: ${cachedResults.length} of ${tasks.length} tasks answered from the response cache`);
+      tasks = misses;
+    }
+    if (tasks.length === 0) return cachedResults;
+  }
+
+  // All tasks go out in one call, so the budget is applied to prompt sizes up front
+  /** @type {LLMResult[]} */
+  const skippedResults = [];
+  if (meter && meter.budget !== null) {
+    let planned = 0;
+    const within = [];
+    for (const task of tasks) {
+      planned += estimateTokens(task.prompt);
+      if (planned <= meter.budget || within.length === 0) within.push(task);
+      else skippedResults.push(skippedResult(task, meter.budget));
+    }
+    if (skippedResults.length > 0) {
+      console.log(`Token budget ${meter.budget}: skipping ${skippedResults.length} of ${tasks.length} tasks`);
+      tasks = within;
+    }
+  }
+
   console.log(`Running ${tasks.length} tasks via codeagent-wrapper --parallel (backend: ${backend})`);
 
   // Build parallel task format
@@ -341,6 +539,9 @@ export async function runBatchParallel(tasks, options = {}) {
     });
   }
 
+  // Per-task output could be attributed only when markers were found
+  const attributed = results.length > 0;
+
   // If parsing failed, create results based on task list
   if (results.length === 0) {
     for (const task of tasks) {
@@ -354,10 +555,39 @@ export async function runBatchParallel(tasks, options = {}) {
     }
   }
 
+  // Usage is not reported per task in parallel mode: estimate from prompt and parsed output
+  const prompts = new Map(tasks.map(t => [t.id, t.prompt]));
+  for (const r of results) {
+    r.usage = estimateUsage(prompts.get(r.id) || '', r.output || '');
+    meter?.add(r.id, r.usage);
+    if (attributed && r.success && r.output?.trim()) {
+      await cache?.store(lookups.get(r.id) || null, r.output, { taskType, usage: r.usage });
+    }
+  }
+
   const succeeded = results.filter(r => r.success).length;
-  console.log(`\nCompleted: ${succeeded}/${results.length} succeeded`);
+  console.log(`\nCompleted: ${succeeded}/${results.length} succeeded${skippedResults.length ? `, ${skippedResults.length} skipped (token budget)` : ''}`);
+  if (meter) {
+    meter.skipped += skippedResults.length;
+    if (saveUsage) await meter.save();
+  }
 
-  return results;
+  return [...cachedResults, ...results, ...skippedResults];
+}
+
+/**
+ * @param {LLMTask} task
+ * @param {number|null} budget
+ * @returns {LLMResult}
+ */
+function skippedResult(task, budget) {
+  return {
+    id: task.id,
+    success: false,
+    error: `Skipped: token budget exceeded (llm.budget.maxTokensPerRun = ${budget})`,
+    retries: 0,
+    skipped: true
+  };
 }
 
 /**
@@ -425,9 +655,10 @@ export function createTasksFromFiles(files, promptBuilder) {
  * @param {number} concurrency - Max concurrent tasks
  * @param {function} handler - Task handler (task) => Promise<result>
  * @param {OnStatusChange} [onStatusChange] - Status change callback
+ * @param {UsageMeter} [meter] - Once its budget is exceeded, pending tasks are skipped instead of started
  * @returns {Promise<LLMResult[]>} Results in input order
  */
-async function runWithConcurrency(tasks, concurrency, handler, onStatusChange) {
+async function runWithConcurrency(tasks, concurrency, handler, onStatusChange, meter) {
   const effectiveConcurrency = Math.max(1, Number(concurrency) || 1);
   const results = new Map(); // id -> result
   const completed = new Set(); // completed task IDs
@@ -448,6 +679,16 @@ async function runWithConcurrency(tasks, concurrency, handler, onStatusChange) {
   };
 
   while (pending.length > 0 || executing.size > 0) {
+    if (pending.length > 0 && meter?.exceeded()) {
+      console.log(`Token budget exceeded: skipping ${pending.length} pending task${pending.length === 1 ? '' : 's'}`);
+      for (const task of pending.splice(0)) {
+        const result = skippedResult(task, meter.budget);
+        results.set(task.id, result);
+        onStatusChange?.(task.id, 'failed', { result });
+      }
+      continue;
+    }
+
     const capacity = effectiveConcurrency - executing.size;
 
     // Find ready tasks (dependencies satisfied, room in pool)
@@ -511,11 +752,35 @@ async function runWithConcurrency(tasks, concurrency, handler, onStatusChange) {
  * @param {string} prompt
  * @param {string} cwd
  * @param {number} timeout
+ * @param {{cache?: import('./cache.js').ResponseCache|null, inputs?: string[], taskType?: string}} [options]
+ *   cache: serve/store the response (keyed as codeagent-wrapper + CODEAGENT_BACKEND); inputs relative to `cwd`
+ * @returns {Promise<{success: boolean, output: string, sessionId: string|null, error: string|null, isRateLimited: boolean, cached?: boolean}>}
+ */
+export async function runCodeagent(prompt, cwd, timeout = 120000, options = {}) {
+  const backend = process.env.CODEAGENT_BACKEND || 'codex';
+  const lookup = options.cache
+    ? await options.cache.lookup({ provider: 'codeagent-wrapper', model: backend, prompt, inputs: options.inputs, root: cwd })
+    : null;
+  if (lookup?.entry) {
+    return { success: true, output: lookup.entry.output, sessionId: null, error: null, isRateLimited: false, cached: true };
+  }
+
+  const result = await spawnCodeagent(prompt, cwd, timeout, backend);
+  if (result.success) {
+    await options.cache?.store(lookup, result.output, { taskType: options.taskType, usage: estimateUsage(prompt, result.output) });
+  }
+  return result;
+}
+
+/**
+ * @param {string} prompt
+ * @param {string} cwd
+ * @param {number} timeout
+ * @param {string} backend
  * @returns {Promise<{success: boolean, output: string, sessionId: string|null, error: string|null, isRateLimited: boolean}>}
  */
-export async function runCodeagent(prompt, cwd, timeout = 120000) {
+function spawnCodeagent(prompt, cwd, timeout, backend) {
   return new Promise((resolve) => {
-    const backend = process.env.CODEAGENT_BACKEND || 'codex';
     const args = ['--backend', backend, '-'];
 
     const child = spawn('codeagent-wrapper', args, {
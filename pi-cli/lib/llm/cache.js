@@ -0,0 +1,378 @@
+/**
+ * Content-addressed LLM response cache
+ *
+ * A successful response is stored as <cache>/llm-cache/<key>.json, where the
+ * key hashes the provider, the model, the prompt hash and the content of the
+ * task's input files. Rerunning a step whose prompt and inputs did not change
+ * (after a crash, or a config tweak that does not reach the prompt) is then
+ * answered locally. Entries expire llm.cache.ttlHours after they were
+ * written (file mtime); past llm.cache.maxSizeMB the least recently used go
+ * first (a hit refreshes the atime). project-index/scripts/llm-cache.js reads
+ * and writes the same entries, so BatchRunner runs share them.
+ *
+ * --no-cache skips lookups but still stores what the provider answers, so
+ * a bad cached response is replaced by rerunning with it. PI_LLM_CACHE=off
+ * or llm.cache.enabled: false turn the cache off. The replay/record
+ * providers are never cached: fixtures already are.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getCachePath } from '../context.js';
+import { FIXTURE_PROVIDERS, promptHash } from './fixtures.js';
+import { OPENAI_PROVIDERS, resolveEndpoint } from './openai.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {number} version
+ * @property {string} key
+ * @property {string} provider
+ * @property {string|null} model
+ * @property {string} promptHash
+ * @property {string|null} taskType
+ * @property {Record<string, string|null>} inputs - Input path (relative to the workdir) -> content hash (null: missing)
+ * @property {string} createdAt
+ * @property {string} output
+ * @property {import('./usage.js').TokenUsage|null} usage - What the original call cost
+ */
+
+/**
+ * @typedef {object} CacheLookup
+ * @property {string} key
+ * @property {string} provider
+ * @property {string|null} model
+ * @property {string} promptHash
+ * @property {Record<string, string|null>} inputs
+ * @property {CacheEntry|null} entry - Hit
+ */
+
+/**
+ * @typedef {object} PruneResult
+ * @property {number} expired - Removed: older than the TTL
+ * @property {number} evicted - Removed: least recently used over the size limit
+ * @property {number} freedBytes
+ * @property {number} entries - Remaining
+ * @property {number} bytes - Remaining
+ */
+
+export const CACHE_VERSION = 1;
+export const DEFAULT_TTL_HOURS = 168;
+export const DEFAULT_MAX_SIZE_MB = 200;
+
+/** Size/TTL eviction runs on the first store, then at most this often */
+const PRUNE_INTERVAL_MS = 60_000;
+
+/** @type {Map<string, ResponseCache>} dir (+ "#refresh") -> cache */
+const opened = new Map();
+
+/**
+ * @param {ProjectConfig|undefined} config
+ * @param {string} root - Project root
+ * @returns {string}
+ */
+export function cacheDir(config, root) {
+  return getCachePath(config || {}, root, 'llm-cache');
+}
+
+/**
+ * PI_LLM_CACHE=off|0|false|no disables the cache for every command
+ * @returns {boolean}
+ */
+export function cacheDisabledByEnv() {
+  return /^(off|0|false|no)$/i.test(process.env.PI_LLM_CACHE || '');
+}
+
+/**
+ * Cache of the project, or null when caching is off. Without a project root
+ * nothing is cached (the cache never lands in whatever the cwd is).
+ * @param {ProjectConfig} [config]
+ * @param {{root?: string, cache?: boolean}} [options] - cache: false for --no-cache (store only)
+ * @returns {ResponseCache|null}
+ */
+export function openCache(config, options = {}) {
+  const settings = config?.llm?.cache;
+  if (!options.root || settings === false || settings?.enabled === false || cacheDisabledByEnv()) {
+    return null;
+  }
+  const dir = cacheDir(config, options.root);
+  const refresh = options.cache === false;
+  const id = `${dir}${refresh ? '#refresh' : ''}`;
+  if (!opened.has(id)) {
+    opened.set(id, new ResponseCache(dir, {
+      ttlHours: settings?.ttlHours,
+      maxSizeMB: settings?.maxSizeMB,
+      refresh
+    }));
+  }
+  return opened.get(id);
+}
+
+/**
+ * Provider and model a response is keyed under. codeagent-style providers
+ * are keyed as codeagent-wrapper + backend, like BatchRunner's calls.
+ * @param {string} provider
+ * @param {import('../types.js').LLMConfig} [llm]
+ * @param {string} [taskType] - Selects the `llm.models` override (openai providers)
+ * @returns {{provider: string, model: string|null}}
+ */
+export function cacheIdentity(provider, llm, taskType) {
+  if (OPENAI_PROVIDERS.has(provider)) return { provider, model: resolveEndpoint(llm, taskType).model };
+  if (provider === 'codeagent' || provider === 'codeagent-wrapper') {
+    return { provider: 'codeagent-wrapper', model: llm?.backend || 'codex' };
+  }
+  if (provider === 'codex' || provider === 'gemini') return { provider: 'codeagent-wrapper', model: provider };
+  return { provider, model: llm?.model || null };
+}
+
+/**
+ * Cache key: provider, model, prompt hash and sorted input hashes
+ * @param {string} provider
+ * @param {string|null} model
+ * @param {string} hash - promptHash() of the prompt
+ * @param {Record<string, string|null>} inputs
+ * @returns {string}
+ */
+export function cacheKey(provider, model, hash, inputs) {
+  const files = Object.keys(inputs).sort().map(file => [file, inputs[file]]);
+  return createHash('sha256')
+    .update(JSON.stringify([CACHE_VERSION, provider, model || null, hash, files]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Content hashes of input files, keyed by path relative to `root`
+ * @param {string[]|undefined} files - Absolute or relative to `root`
+ * @param {string} root
+ * @returns {Promise<Record<string, string|null>>}
+ */
+export async function hashInputs(files, root) {
+  /** @type {Record<string, string|null>} */
+  const inputs = {};
+  for (const file of files || []) {
+    const abs = path.resolve(root, file);
+    const rel = path.relative(root, abs).split(path.sep).join('/');
+    try {
+      inputs[rel] = createHash('sha256').update(await fs.readFile(abs)).digest('hex').slice(0, 16);
+    } catch {
+      inputs[rel] = null;
+    }
+  }
+  return inputs;
+}
+
+export class ResponseCache {
+  /**
+   * @param {string} dir
+   * @param {{ttlHours?: number, maxSizeMB?: number, refresh?: boolean}} [options] - refresh: never hit, only store
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.ttlHours = Number(options.ttlHours) || DEFAULT_TTL_HOURS;
+    this.maxSizeMB = Number(options.maxSizeMB) || DEFAULT_MAX_SIZE_MB;
+    this.refresh = Boolean(options.refresh);
+    this.lastPrune = 0;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Look a prompt up; an expired entry is removed and is a miss (as is every
+   * lookup in refresh mode, which only computes the key to store under)
+   * @param {{provider: string, model?: string|null, prompt: string, inputs?: string[], root?: string}} request
+   * @returns {Promise<CacheLookup|null>} null for providers that are never cached
+   */
+  async lookup(request) {
+    if (FIXTURE_PROVIDERS.has(request.provider)) return null;
+
+    const hash = promptHash(request.prompt);
+    const inputs = await hashInputs(request.inputs, request.root || process.cwd());
+    const model = request.model || null;
+    const key = cacheKey(request.provider, model, hash, inputs);
+    /** @type {CacheLookup} */
+    const lookup = { key, provider: request.provider, model, promptHash: hash, inputs, entry: null };
+
+    if (this.refresh) return lookup;
+
+    const file = this.file(key);
+    try {
+      const stat = await fs.stat(file);
+      if (Date.now() - stat.mtimeMs > this.ttlHours * 3600_000) {
+        await fs.unlink(file).catch(() => {});
+      } else {
+        const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (entry?.key === key && typeof entry.output === 'string') {
+          // atime = last use (LRU), mtime = written (TTL)
+          await fs.utimes(file, new Date(), stat.mtime).catch(() => {});
+          lookup.entry = entry;
+        }
+      }
+    } catch {
+      // Miss
+    }
+
+    return lookup;
+  }
+
+  /**
+   * Store a successful response for a missed lookup
+   * @param {CacheLookup|null} lookup
+   * @param {string} output
+   * @param {{taskType?: string, usage?: import('./usage.js').TokenUsage|null}} [meta]
+   */
+  async store(lookup, output, meta = {}) {
+    if (!lookup || lookup.entry || !output) return;
+    /** @type {CacheEntry} */
+    const entry = {
+      version: CACHE_VERSION,
+      key: lookup.key,
+      provider: lookup.provider,
+      model: lookup.model,
+      promptHash: lookup.promptHash,
+      taskType: meta.taskType || null,
+      inputs: lookup.inputs,
+      createdAt: new Date().toISOString(),
+      output,
+      usage: meta.usage || null
+    };
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      // Write-then-rename: a concurrent lookup never reads half an entry
+      const tmp = `${this.file(lookup.key)}.${process.pid}-${Math.random().toString(36).slice(2)}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, this.file(lookup.key));
+    } catch (err) {
+      console.warn(`Failed to cache LLM response: ${err.message}`);
+      return;
+    }
+
+    if (Date.now() - this.lastPrune > PRUNE_INTERVAL_MS) {
+      await this.prune();
+    }
+  }
+
+  /**
+   * Remove expired entries, then the least recently used until under the size limit
+   * @param {{all?: boolean, ttlHours?: number, maxSizeMB?: number}} [options] - all: empty the cache
+   * @returns {Promise<PruneResult>}
+   */
+  async prune(options = {}) {
+    this.lastPrune = Date.now();
+    const ttlMs = (Number(options.ttlHours) || this.ttlHours) * 3600_000;
+    const maxBytes = (Number(options.maxSizeMB) || this.maxSizeMB) * 1024 * 1024;
+
+    const files = await this.listFiles();
+    let expired = 0;
+    let evicted = 0;
+    let freedBytes = 0;
+    const kept = [];
+    for (const f of files) {
+      if (options.all || Date.now() - f.mtimeMs > ttlMs) {
+        if (await unlinkQuiet(f.file)) {
+          expired++;
+          freedBytes += f.size;
+        }
+      } else {
+        kept.push(f);
+      }
+    }
+
+    let bytes = kept.reduce((sum, f) => sum + f.size, 0);
+    kept.sort((a, b) => a.atimeMs - b.atimeMs);
+    while (bytes > maxBytes && kept.length > 0) {
+      const f = kept.shift();
+      if (await unlinkQuiet(f.file)) {
+        evicted++;
+        freedBytes += f.size;
+      }
+      bytes -= f.size;
+    }
+
+    return { expired, evicted, freedBytes, entries: kept.length, bytes };
+  }
+
+  /**
+   * Entry counts and sizes, overall and by task type and provider/model;
+   * `tokens` is what the cached responses cost when they were first made
+   * @returns {Promise<object>}
+   */
+  async stats() {
+    const files = await this.listFiles();
+    const ttlMs = this.ttlHours * 3600_000;
+    /** @type {Record<string, {entries: number, bytes: number}>} */
+    const byTaskType = {};
+    /** @type {Record<string, {entries: number, bytes: number}>} */
+    const byModel = {};
+    let tokens = 0;
+    let expired = 0;
+
+    for (const f of files) {
+      if (Date.now() - f.mtimeMs > ttlMs) expired++;
+      let entry = null;
+      try {
+        entry = JSON.parse(await fs.readFile(f.file, 'utf8'));
+      } catch {
+        // Unreadable entries still count toward the size
+      }
+      const taskType = entry?.taskType || '(unknown)';
+      const model = entry ? `${entry.provider}${entry.model ? `/${entry.model}` : ''}` : '(unknown)';
+      for (const [group, name] of [[byTaskType, taskType], [byModel, model]]) {
+        group[name] = group[name] || { entries: 0, bytes: 0 };
+        group[name].entries++;
+        group[name].bytes += f.size;
+      }
+      tokens += (entry?.usage?.promptTokens || 0) + (entry?.usage?.completionTokens || 0);
+    }
+
+    const byWritten = [...files].sort((a, b) => a.mtimeMs - b.mtimeMs);
+    return {
+      dir: this.dir,
+      entries: files.length,
+      bytes: files.reduce((sum, f) => sum + f.size, 0),
+      expired,
+      ttlHours: this.ttlHours,
+      maxSizeMB: this.maxSizeMB,
+      oldest: byWritten.length ? new Date(byWritten[0].mtimeMs).toISOString() : null,
+      newest: byWritten.length ? new Date(byWritten[byWritten.length - 1].mtimeMs).toISOString() : null,
+      tokens,
+      byTaskType,
+      byModel
+    };
+  }
+
+  /**
+   * @returns {Promise<Array<{file: string, size: number, mtimeMs: number, atimeMs: number}>>}
+   */
+  async listFiles() {
+    const entries = (await fs.readdir(this.dir).catch(() => [])).filter(e => e.endsWith('.json'));
+    const files = [];
+    for (const entry of entries) {
+      const file = path.join(this.dir, entry);
+      const stat = await fs.stat(file).catch(() => null);
+      if (stat) files.push({ file, size: stat.size, mtimeMs: stat.mtimeMs, atimeMs: Math.max(stat.atimeMs, stat.mtimeMs) });
+    }
+    return files;
+  }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+async function unlinkQuiet(file) {
+  try {
+    await fs.unlink(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
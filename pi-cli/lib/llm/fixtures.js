@@ -0,0 +1,138 @@
+/**
+ * Recorded LLM responses for offline, deterministic runs
+ *
+ * One JSON file per prompt in the fixture directory (llm.fixtures, default
+ * <cache>/llm-fixtures), named by the prompt hash. The `record` provider
+ * stores what a real provider answered; the `replay` provider only reads,
+ * so any change to a prompt is a miss. Misses are saved under `misses/`
+ * with the closest recorded prompt, to diff prompt regressions.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { readJsonSafe, writeJsonSafe } from '../shared.js';
+import { getCachePath } from '../context.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} LLMFixture
+ * @property {number} version
+ * @property {string} hash
+ * @property {string} provider - Provider that produced the output
+ * @property {string} recordedAt
+ * @property {string} prompt
+ * @property {string} output
+ */
+
+export const FIXTURE_PROVIDERS = new Set(['replay', 'record']);
+
+/**
+ * Effective provider: PI_LLM_PROVIDER (e.g. replay in CI) over llm.provider
+ * @param {ProjectConfig} [config]
+ * @returns {string}
+ */
+export function resolveProvider(config) {
+  return process.env.PI_LLM_PROVIDER || config?.llm?.provider || 'claude-cli';
+}
+
+/**
+ * Fixture directory: PI_LLM_FIXTURES, llm.fixtures, or <cache>/llm-fixtures
+ * @param {ProjectConfig} [config]
+ * @returns {string}
+ */
+export function fixturesDir(config) {
+  if (process.env.PI_LLM_FIXTURES) return path.resolve(process.env.PI_LLM_FIXTURES);
+  if (config?.llm?.fixtures) return path.resolve(config.llm.fixtures);
+  return getCachePath(config || {}, process.cwd(), 'llm-fixtures');
+}
+
+/**
+ * Fixture key of a prompt (line endings normalized)
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function promptHash(prompt) {
+  return createHash('sha256').update(String(prompt).replace(/\r\n/g, '\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {string} dir
+ * @param {string} prompt
+ * @returns {Promise<LLMFixture|null>}
+ */
+export async function readFixture(dir, prompt) {
+  const fixture = await readJsonSafe(path.join(dir, `${promptHash(prompt)}.json`));
+  return fixture && typeof fixture.output === 'string' ? fixture : null;
+}
+
+/**
+ * @param {string} dir
+ * @param {string} prompt
+ * @param {string} output
+ * @param {{provider: string}} meta
+ * @returns {Promise<string>} Fixture path
+ */
+export async function writeFixture(dir, prompt, output, meta) {
+  const hash = promptHash(prompt);
+  const file = path.join(dir, `${hash}.json`);
+  /** @type {LLMFixture} */
+  const fixture = { version: 1, hash, provider: meta.provider, recordedAt: new Date().toISOString(), prompt, output };
+  await writeJsonSafe(file, fixture);
+  return file;
+}
+
+/**
+ * Serve a prompt from the fixtures; a miss is saved and thrown
+ * @param {string} prompt
+ * @param {string} dir
+ * @returns {Promise<string>}
+ * @throws {Error} "Replay fixture not found ..." (not retried by runBatch)
+ */
+export async function replayFixture(prompt, dir) {
+  const fixture = await readFixture(dir, prompt);
+  if (fixture) return fixture.output;
+
+  const hash = promptHash(prompt);
+  const closest = await findClosestFixture(dir, prompt);
+  await writeJsonSafe(path.join(dir, 'misses', `${hash}.json`), {
+    hash,
+    missedAt: new Date().toISOString(),
+    closest,
+    prompt
+  });
+
+  const hint = closest
+    ? `; closest recorded prompt ${closest.hash} differs from line ${closest.line}`
+    : '';
+  throw new Error(`Replay fixture not found for prompt ${hash} in ${dir}${hint} (see misses/${hash}.json, rerun with provider "record" to capture)`);
+}
+
+/**
+ * Recorded prompt sharing the longest prefix with `prompt`
+ * @param {string} dir
+ * @param {string} prompt
+ * @returns {Promise<{hash: string, line: number}|null>} line: first differing line (1-based)
+ */
+async function findClosestFixture(dir, prompt) {
+  let entries = [];
+  try {
+    entries = (await fs.readdir(dir)).filter(f => f.endsWith('.json'));
+  } catch {
+    return null;
+  }
+
+  const lines = String(prompt).replace(/\r\n/g, '\n').split('\n');
+  /** @type {{hash: string, line: number}|null} */
+  let best = null;
+  for (const entry of entries) {
+    const fixture = await readJsonSafe(path.join(dir, entry));
+    if (typeof fixture?.prompt !== 'string') continue;
+    const recorded = fixture.prompt.split('\n');
+    let same = 0;
+    while (same < lines.length && same < recorded.length && lines[same] === recorded[same]) same++;
+    if (same > 0 && (!best || same + 1 > best.line)) best = { hash: fixture.hash, line: same + 1 };
+  }
+  return best;
+}
@@ -2,4 +2,9 @@
  * LLM module index
  */
 
-export { runBatch, createTasksFromFiles } from './batch.js';
+export { runBatch, runPrompt, createMeter, createTasksFromFiles } from './batch.js';
+export { resolvePatchMode, parsePatch, applyEdits, applyPatchResponse, formatRejections, patchInstructions } from './patch.js';
+export { callOpenAiCompatible, resolveEndpoint, truncatePrompt, OPENAI_PROVIDERS } from './openai.js';
+export { UsageMeter, estimateTokens, estimateUsage, loadUsage, summarizeUsage, formatUsage, formatTokens } from './usage.js';
+export { promptHash, readFixture, writeFixture, fixturesDir, resolveProvider } from './fixtures.js';
+export { ResponseCache, openCache, cacheDir, cacheIdentity, cacheKey, hashInputs } from './cache.js';
@@ -0,0 +1,227 @@
+/**
+ * OpenAI-compatible chat completions provider
+ *
+ * Works with any server exposing POST {baseUrl}/chat/completions: OpenAI,
+ * Ollama (http://localhost:11434/v1), llama.cpp server, vLLM, LM Studio.
+ * Model, endpoint and limits can be overridden per task type through
+ * `llm.models` (e.g. a small local model for module-analyzer, a strong
+ * one for test-fix). Prompts longer than the model's context window are
+ * cut in the middle, keeping the instructions at both ends.
+ */
+
+import { CHARS_PER_TOKEN, estimateTokens } from './usage.js';
+
+/** @typedef {import('../types.js').LLMConfig} LLMConfig */
+/** @typedef {import('./usage.js').TokenUsage} TokenUsage */
+
+/**
+ * Effective endpoint settings for one call
+ * @typedef {object} EndpointConfig
+ * @property {string} baseUrl
+ * @property {string} model
+ * @property {Record<string, string>} headers
+ * @property {string|null} apiKey
+ * @property {boolean} stream
+ * @property {number|null} contextWindow - Declared limit in tokens (null: unknown)
+ * @property {number} maxTokens - Tokens reserved for the response
+ * @property {number|undefined} temperature
+ */
+
+/** Provider names served by this module */
+export const OPENAI_PROVIDERS = new Set(['openai', 'openai-compatible']);
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MAX_TOKENS = 4096;
+
+/** @type {Map<string, Promise<Map<string, number>>>} baseUrl -> model -> context window */
+const discovered = new Map();
+
+/**
+ * Merge `llm.models[taskType]` (a model name or an object of overrides) over `llm`
+ * @param {LLMConfig} [llm]
+ * @param {string} [taskType] - Task type key (test-fix, test-generator, module-analyzer, audit-fix, ...)
+ * @returns {EndpointConfig}
+ */
+export function resolveEndpoint(llm = {}, taskType) {
+  const override = taskType ? llm.models?.[taskType] : undefined;
+  const merged = typeof override === 'string'
+    ? { ...llm, model: override }
+    : { ...llm, ...(override || {}), headers: { ...(llm.headers || {}), ...(override?.headers || {}) } };
+
+  const model = merged.model || 'gpt-4o-mini';
+  const apiKeyEnv = merged.apiKeyEnv || 'OPENAI_API_KEY';
+
+  return {
+    baseUrl: String(merged.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+    model,
+    headers: merged.headers || {},
+    apiKey: merged.apiKey || process.env[apiKeyEnv] || null,
+    stream: Boolean(merged.stream),
+    contextWindow: Number(merged.contextWindows?.[model] || merged.contextWindow) || null,
+    maxTokens: Number(merged.maxTokens) || DEFAULT_MAX_TOKENS,
+    temperature: merged.temperature
+  };
+}
+
+/**
+ * Cut the middle of a prompt so it fits `maxInputTokens`. The head (task,
+ * constraints) and tail (output format) are kept.
+ *
+ * @param {string} prompt
+ * @param {number} maxInputTokens
+ * @returns {{prompt: string, truncated: number}} truncated: characters removed
+ */
+export function truncatePrompt(prompt, maxInputTokens) {
+  const text = String(prompt);
+  const budget = Math.floor(maxInputTokens * CHARS_PER_TOKEN);
+  if (text.length <= budget) return { prompt: text, truncated: 0 };
+
+  const marker = '\n\n[... {n} characters truncated to fit the model context window ...]\n\n';
+  const keep = Math.max(0, budget - marker.length - 10);
+  const head = Math.ceil(keep * 0.6);
+  const tail = keep - head;
+  const removed = text.length - head - tail;
+
+  return {
+    prompt: text.slice(0, head) + marker.replace('{n}', String(removed)) + (tail > 0 ? text.slice(-tail) : ''),
+    truncated: removed
+  };
+}
+
+/**
+ * Context window advertised by the server's /models listing
+ * (vLLM `max_model_len`, others `context_length` / `context_window`)
+ *
+ * @param {EndpointConfig} endpoint
+ * @returns {Promise<number|null>}
+ */
+async function discoverContextWindow(endpoint) {
+  if (!discovered.has(endpoint.baseUrl)) {
+    discovered.set(endpoint.baseUrl, (async () => {
+      /** @type {Map<string, number>} */
+      const limits = new Map();
+      try {
+        const res = await fetch(`${endpoint.baseUrl}/models`, {
+          headers: requestHeaders(endpoint),
+          signal: AbortSignal.timeout(5000)
+        });
+        if (!res.ok) return limits;
+        const body = await res.json();
+        for (const m of Array.isArray(body?.data) ? body.data : []) {
+          const limit = Number(m?.max_model_len || m?.context_length || m?.context_window || m?.meta?.n_ctx_train);
+          if (m?.id && limit > 0) limits.set(m.id, limit);
+        }
+      } catch {
+        // Listing is optional; without it prompts are sent as-is
+      }
+      return limits;
+    })());
+  }
+  return (await discovered.get(endpoint.baseUrl)).get(endpoint.model) || null;
+}
+
+/**
+ * @param {EndpointConfig} endpoint
+ * @returns {Record<string, string>}
+ */
+function requestHeaders(endpoint) {
+  return {
+    'Content-Type': 'application/json',
+    ...(endpoint.apiKey ? { Authorization: `Bearer ${endpoint.apiKey}` } : {}),
+    ...endpoint.headers
+  };
+}
+
+/**
+ * Send a prompt as a single user message
+ * @param {string} prompt
+ * @param {{llm?: LLMConfig, taskType?: string, timeout?: number}} [options]
+ * @returns {Promise<{output: string, usage: TokenUsage}>} usage: from the response, estimated if absent
+ */
+export async function callOpenAiCompatible(prompt, options = {}) {
+  const endpoint = resolveEndpoint(options.llm, options.taskType);
+
+  const contextWindow = endpoint.contextWindow || await discoverContextWindow(endpoint);
+  let content = String(prompt);
+  let maxTokens = endpoint.maxTokens;
+  if (contextWindow) {
+    // Small local models: never give more than a quarter of the window to the response
+    maxTokens = Math.min(maxTokens, Math.floor(contextWindow / 4));
+    const fit = truncatePrompt(content, contextWindow - maxTokens - 64);
+    if (fit.truncated > 0) {
+      console.warn(`Prompt truncated by ${fit.truncated} chars to fit ${endpoint.model} (${contextWindow} tokens)`);
+      content = fit.prompt;
+    }
+  }
+
+  const body = {
+    model: endpoint.model,
+    messages: [{ role: 'user', content }],
+    max_tokens: maxTokens,
+    stream: endpoint.stream,
+    ...(endpoint.stream ? { stream_options: { include_usage: true } } : {}),
+    ...(endpoint.temperature !== undefined ? { temperature: endpoint.temperature } : {})
+  };
+
+  const res = await fetch(`${endpoint.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: requestHeaders(endpoint),
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(options.timeout || 600000)
+  });
+
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => '')).slice(0, 500);
+    // Status first and no URL: runBatch classifies errors by pattern (429, 401, 404 ...)
+    throw new Error(`HTTP ${res.status} from model ${endpoint.model}${detail ? `: ${detail}` : ''}`);
+  }
+
+  /** @type {{output: string, usage: any}} */
+  let reply;
+  if (endpoint.stream) {
+    reply = await readStream(res);
+  } else {
+    const json = await res.json();
+    reply = { output: String(json?.choices?.[0]?.message?.content || ''), usage: json?.usage };
+  }
+
+  const usage = reply.usage && typeof reply.usage.prompt_tokens === 'number'
+    ? { promptTokens: reply.usage.prompt_tokens, completionTokens: reply.usage.completion_tokens || 0, estimated: false }
+    : { promptTokens: estimateTokens(content), completionTokens: estimateTokens(reply.output), estimated: true };
+  return { output: reply.output, usage };
+}
+
+/**
+ * Concatenate `choices[0].delta.content` from a server-sent event stream;
+ * the usage chunk (stream_options.include_usage) is kept when sent
+ * @param {Response} res
+ * @returns {Promise<{output: string, usage: any}>}
+ */
+async function readStream(res) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let output = '';
+  let usage = null;
+
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const data = line.trim();
+      if (!data.startsWith('data:')) continue;
+      const payload = data.slice(5).trim();
+      if (payload === '[DONE]') return { output, usage };
+      try {
+        const event = JSON.parse(payload);
+        output += event?.choices?.[0]?.delta?.content || '';
+        if (event?.usage) usage = event.usage;
+      } catch {
+        // Keep-alive or partial event
+      }
+    }
+  }
+
+  return { output, usage };
+}
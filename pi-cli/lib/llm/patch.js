@@ -0,0 +1,399 @@
+/**
+ * LLM patch format - edits instead of whole-file rewrites
+ *
+ * With --patch-mode the model answers with SEARCH/REPLACE blocks or a
+ * unified diff. Edits are located in the current file (exact, then
+ * whitespace-insensitive, then with hunk context trimmed) and applied all
+ * at once: a file with any edit that does not apply, is ambiguous or
+ * overlaps another edit is left untouched and reported.
+ */
+
+/**
+ * @typedef {'search-replace'|'diff'} PatchFormat
+ */
+
+/**
+ * @typedef {object} PatchEdit
+ * @property {string|null} file - Path named in the response (null when omitted)
+ * @property {string[]} search - Lines to find (empty: create the file)
+ * @property {string[]} replace
+ * @property {number|null} line - 1-based hint from a hunk header
+ * @property {number} lead - Leading context lines (diff hunks; may be trimmed when fuzzing)
+ * @property {number} trail - Trailing context lines
+ */
+
+/**
+ * @typedef {object} PatchRejection
+ * @property {number} index - 1-based edit number within the file
+ * @property {number|null} line
+ * @property {string} reason
+ * @property {string[]} search - First lines of the edit's SEARCH text
+ * @property {number|null} closest - Line most similar to the SEARCH start
+ */
+
+/**
+ * @typedef {object} PatchResult
+ * @property {string|null} content - Patched content, null when anything was rejected
+ * @property {number} applied
+ * @property {PatchRejection[]} rejected
+ * @property {Array<{index: number, strategy: string}>} fuzzy - Edits found only loosely
+ */
+
+const SEARCH_RE = /^<{5,9} ?SEARCH\s*$/;
+const DIVIDER_RE = /^={5,9}\s*$/;
+const REPLACE_RE = /^>{5,9} ?REPLACE\s*$/;
+const HUNK_RE = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/;
+
+/** Lines of hunk context dropped at most on each side when fuzzing */
+const MAX_FUZZ = 2;
+
+/**
+ * Normalize the --patch-mode value
+ * @param {unknown} value - true / 'search-replace' / 'sr' / 'diff' / 'unified'
+ * @returns {PatchFormat|null} null when patch mode is off
+ * @throws {Error} on an unknown format
+ */
+export function resolvePatchMode(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true || value === '' || value === 'search-replace' || value === 'sr') return 'search-replace';
+  if (value === 'diff' || value === 'unified') return 'diff';
+  throw new Error(`Unknown --patch-mode: ${value} (use search-replace or diff)`);
+}
+
+/**
+ * Output-format prompt section asking for edits to `files`
+ * @param {PatchFormat} format
+ * @param {string[]} files
+ * @returns {string}
+ */
+export function patchInstructions(format, files) {
+  const list = files.map(f => `- ${f}`).join('\n');
+
+  if (format === 'diff') {
+    return `## Output format (STRICT)
+Do NOT output whole files. Output only a unified diff in a single \`\`\`diff block, for these files only:
+${list}
+
+- Start each file with \`--- a/<path>\` and \`+++ b/<path>\`
+- Each hunk starts with \`@@ -<old start>,<old count> +<new start>,<new count> @@\` and keeps 3 lines of unchanged context around the change
+- Context and removed lines must match the current file exactly (including indentation)`;
+  }
+
+  return `## Output format (STRICT)
+Do NOT output whole files. Output only SEARCH/REPLACE blocks, for these files only:
+${list}
+
+${files[0] || 'path/to/file'}
+<<<<<<< SEARCH
+existing lines, copied exactly (including indentation)
+=======
+replacement lines
+>>>>>>> REPLACE
+
+- Put the file path on the line before each block
+- SEARCH must match the current file exactly and be unique in it; add a neighbouring line when needed
+- Prefer several small blocks over one large block; blocks must not overlap`;
+}
+
+/**
+ * Parse SEARCH/REPLACE blocks and unified-diff hunks from a response
+ * @param {string} response
+ * @returns {PatchEdit[]}
+ */
+export function parsePatch(response) {
+  const lines = String(response || '').replace(/\r\n/g, '\n').split('\n');
+  /** @type {PatchEdit[]} */
+  const edits = [];
+  /** @type {string|null} */
+  let file = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (SEARCH_RE.test(line)) {
+      const search = [];
+      const replace = [];
+      let j = i + 1;
+      while (j < lines.length && !DIVIDER_RE.test(lines[j])) search.push(lines[j++]);
+      j++;
+      while (j < lines.length && !REPLACE_RE.test(lines[j])) replace.push(lines[j++]);
+      if (j >= lines.length) break; // Unterminated block
+      edits.push({ file, search, replace, line: null, lead: 0, trail: 0 });
+      i = j;
+      continue;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      const target = stripDiffPath(lines[i + 1].slice(4));
+      file = target === '/dev/null' ? stripDiffPath(line.slice(4)) : target;
+      i++;
+      continue;
+    }
+
+    const hunk = line.match(HUNK_RE);
+    if (hunk) {
+      const body = [];
+      let j = i + 1;
+      for (; j < lines.length; j++) {
+        const l = lines[j];
+        if (HUNK_RE.test(l) || l.startsWith('```') || l.startsWith('diff --git') || (l.startsWith('--- ') && lines[j + 1]?.startsWith('+++ '))) break;
+        if (l === '' || /^[ +\-\\]/.test(l)) body.push(l);
+        else break;
+      }
+      while (body.length > 0 && body[body.length - 1] === '') body.pop();
+      edits.push(hunkToEdit(body, file, Number(hunk[1])));
+      i = j - 1;
+      continue;
+    }
+
+    const named = fileNameLine(line);
+    if (named) file = named;
+  }
+
+  return edits;
+}
+
+/**
+ * @param {string[]} body - Hunk lines (' ctx', '-old', '+new', '\ No newline')
+ * @param {string|null} file
+ * @param {number} line
+ * @returns {PatchEdit}
+ */
+function hunkToEdit(body, file, line) {
+  const search = [];
+  const replace = [];
+  for (const l of body) {
+    if (l.startsWith('\\')) continue;
+    const text = l.slice(1);
+    if (l.startsWith('-')) {
+      search.push(text);
+    } else if (l.startsWith('+')) {
+      replace.push(text);
+    } else {
+      search.push(text);
+      replace.push(text);
+    }
+  }
+
+  const isContext = (l) => l === '' || l.startsWith(' ');
+  let lead = 0;
+  while (lead < body.length && isContext(body[lead])) lead++;
+  let trail = 0;
+  while (trail < body.length - lead && isContext(body[body.length - 1 - trail])) trail++;
+
+  return { file, search, replace, line: line || null, lead, trail };
+}
+
+/**
+ * @param {string} raw
+ * @returns {string}
+ */
+function stripDiffPath(raw) {
+  return raw.split('\t')[0].trim().replace(/^[ab]\//, '');
+}
+
+/**
+ * File path named on its own line before a block (`### path`, `File: path`, `path`)
+ * @param {string} line
+ * @returns {string|null}
+ */
+function fileNameLine(line) {
+  const m = line.trim().match(/^(?:#{1,4}\s+)?(?:File:\s*)?`?([\w@.\-/\\]+\.[\w]+)`?:?$/);
+  return m ? m[1].replace(/^\.\//, '') : null;
+}
+
+/**
+ * Whether a path from a response names `target`
+ * @param {string|null} file
+ * @param {string} target
+ * @returns {boolean}
+ */
+export function samePatchFile(file, target) {
+  if (!file) return false;
+  const a = file.replace(/\\/g, '/').replace(/^\.\//, '');
+  const b = target.replace(/\\/g, '/').replace(/^\.\//, '');
+  return a === b || b.endsWith(`/${a}`) || a.endsWith(`/${b}`);
+}
+
+/**
+ * Apply edits to one file's content, all or nothing. The result keeps the
+ * file's line endings (CRLF when it has any).
+ * @param {string} content
+ * @param {PatchEdit[]} edits
+ * @returns {PatchResult}
+ */
+export function applyEdits(content, edits) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  /** @type {PatchRejection[]} */
+  const rejected = [];
+  /** @type {Array<{index: number, strategy: string}>} */
+  const fuzzy = [];
+  /** @type {Array<{index: number, start: number, end: number, replace: string[]}>} */
+  const located = [];
+
+  edits.forEach((edit, n) => {
+    const index = n + 1;
+    const reject = (reason) => rejected.push({
+      index,
+      line: edit.line,
+      reason,
+      search: edit.search.slice(0, 3),
+      closest: closestLine(lines, edit.search)
+    });
+
+    if (edit.search.every(l => l.trim() === '')) {
+      if (content.trim() === '') {
+        located.push({ index, start: 0, end: lines.length, replace: edit.replace });
+      } else {
+        reject('empty SEARCH on a non-empty file');
+      }
+      return;
+    }
+
+    const found = locate(lines, edit);
+    if (found.error) {
+      reject(found.error);
+      return;
+    }
+    if (found.strategy !== 'exact') fuzzy.push({ index, strategy: found.strategy });
+
+    const overlap = located.find(l => found.start < l.end && l.start < found.end);
+    if (overlap) {
+      reject(`overlaps edit ${overlap.index}`);
+      return;
+    }
+    located.push({ index, start: found.start, end: found.end, replace: found.replace });
+  });
+
+  if (rejected.length > 0 || located.length === 0) {
+    return { content: null, applied: 0, rejected, fuzzy };
+  }
+
+  const out = [...lines];
+  for (const l of [...located].sort((a, b) => b.start - a.start)) {
+    out.splice(l.start, l.end - l.start, ...l.replace);
+  }
+
+  return { content: out.join(eol), applied: located.length, rejected, fuzzy };
+}
+
+/**
+ * Find an edit's SEARCH lines: exact, whitespace-insensitive, then (hunks)
+ * with up to MAX_FUZZ context lines trimmed from each side
+ *
+ * @param {string[]} lines
+ * @param {PatchEdit} edit
+ * @returns {{start: number, end: number, replace: string[], strategy: string, error?: undefined} | {error: string}}
+ */
+function locate(lines, edit) {
+  const loose = (l) => l.trim().replace(/\s+/g, ' ');
+  const strategies = [
+    { name: 'exact', eq: (a, b) => a === b },
+    { name: 'whitespace', eq: (a, b) => loose(a) === loose(b) }
+  ];
+
+  for (let fuzz = 0; fuzz <= MAX_FUZZ; fuzz++) {
+    const dropLead = Math.min(fuzz, edit.lead);
+    const dropTrail = Math.min(fuzz, edit.trail);
+    if (fuzz > 0 && dropLead === 0 && dropTrail === 0) break;
+
+    const search = edit.search.slice(dropLead, edit.search.length - dropTrail);
+    const replace = edit.replace.slice(dropLead, edit.replace.length - dropTrail);
+    if (search.length === 0) break;
+
+    for (const { name, eq } of strategies) {
+      const matches = [];
+      for (let i = 0; i + search.length <= lines.length; i++) {
+        if (search.every((s, k) => eq(lines[i + k], s))) matches.push(i);
+      }
+      if (matches.length === 0) continue;
+
+      let start = matches[0];
+      if (matches.length > 1) {
+        if (!edit.line) return { error: `SEARCH text matches ${matches.length} places (lines ${matches.slice(0, 5).map(m => m + 1).join(', ')}), add surrounding lines to make it unique` };
+        const hint = edit.line - 1 + dropLead;
+        start = matches.reduce((best, m) => Math.abs(m - hint) < Math.abs(best - hint) ? m : best);
+      }
+
+      const strategy = fuzz > 0 ? `${name}, fuzz ${fuzz}` : name;
+      return { start, end: start + search.length, replace, strategy };
+    }
+  }
+
+  return { error: 'SEARCH text not found in the current file' };
+}
+
+/**
+ * 1-based line most similar to the first non-blank SEARCH line
+ * @param {string[]} lines
+ * @param {string[]} search
+ * @returns {number|null}
+ */
+function closestLine(lines, search) {
+  const first = search.find(l => l.trim() !== '')?.trim();
+  if (!first) return null;
+  let best = null;
+  let bestScore = 0;
+  const words = new Set(first.split(/\W+/).filter(Boolean));
+  lines.forEach((l, i) => {
+    if (words.size === 0) return;
+    const score = [...new Set(l.split(/\W+/))].filter(w => words.has(w)).length / words.size;
+    if (score > bestScore) {
+      bestScore = score;
+      best = i + 1;
+    }
+  });
+  return bestScore >= 0.5 ? best : null;
+}
+
+/**
+ * Parse a response and apply its edits to the target files. Edits naming
+ * another file are ignored (never written).
+ *
+ * @param {string} response
+ * @param {Array<{file: string, content: string}>} targets
+ * @returns {{files: Map<string, PatchResult & {edits: number}>, ignored: string[]}}
+ */
+export function applyPatchResponse(response, targets) {
+  const edits = parsePatch(response);
+  /** @type {Map<string, PatchResult & {edits: number}>} */
+  const files = new Map();
+  const ignored = new Set();
+
+  /** @type {Map<string, PatchEdit[]>} */
+  const byFile = new Map(targets.map(t => [t.file, []]));
+  for (const edit of edits) {
+    const target = targets.length === 1 && !edit.file
+      ? targets[0]
+      : targets.find(t => samePatchFile(edit.file, t.file));
+    if (target) byFile.get(target.file).push(edit);
+    else ignored.add(edit.file || '(no file path)');
+  }
+
+  for (const { file, content } of targets) {
+    const fileEdits = byFile.get(file);
+    if (fileEdits.length === 0) continue;
+    files.set(file, { ...applyEdits(content, fileEdits), edits: fileEdits.length });
+  }
+
+  return { files, ignored: [...ignored] };
+}
+
+/**
+ * Human-readable report of a file's rejected edits
+ * @param {string} file
+ * @param {PatchResult & {edits?: number}} result
+ * @returns {string}
+ */
+export function formatRejections(file, result) {
+  if (result.rejected.length === 0) return '';
+  const total = result.edits || result.rejected.length + result.applied;
+  const out = [`Patch rejected for ${file}: ${result.rejected.length} of ${total} edits did not apply, file left unchanged`];
+  for (const r of result.rejected) {
+    out.push(`  edit ${r.index}${r.line ? ` (near line ${r.line})` : ''}: ${r.reason}`);
+    for (const l of r.search) out.push(`    | ${l.slice(0, 120)}`);
+    if (r.closest) out.push(`    closest line in file: ${r.closest}`);
+  }
+  return out.join('\n');
+}
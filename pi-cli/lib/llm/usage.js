@@ -0,0 +1,284 @@
+/**
+ * LLM token and cost accounting
+ *
+ * Each runBatch / runBatchParallel call is one run. Prompt and completion
+ * tokens come from the API usage fields when the provider reports them and
+ * are estimated from text length otherwise (CLI backends). A run is summed
+ * per task id (module, file) and saved as <cache>/llm-usage/<runId>.json,
+ * tagged with its task type and the queue job (PI_JOB_ID) that ran it.
+ * project-index's BatchRunner writes the same records, so `pi task list`
+ * and the dashboard show one total.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonSafe, writeJsonSafe } from '../shared.js';
+import { getCachePath } from '../context.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {boolean} estimated - Counted from text length, not reported by the API
+ */
+
+/**
+ * @typedef {object} UsageRun
+ * @property {string} id
+ * @property {string} taskType - TASK_TYPES key of the caller (test-fix, module-analyzer, ...)
+ * @property {string|null} jobId - Queue job that ran the batch
+ * @property {string} provider
+ * @property {string|null} model
+ * @property {string} startedAt
+ * @property {string} finishedAt
+ * @property {number} tasks - Tasks that called the LLM
+ * @property {number} skipped - Tasks not started because the budget was exceeded
+ * @property {number|null} budget - llm.budget.maxTokensPerRun
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {boolean} estimated - Some counts are estimates
+ * @property {number|null} cost - USD, when llm.pricing covers the model
+ * @property {Record<string, TokenUsage>} byTask - Task id (module, file) -> usage
+ */
+
+/**
+ * @typedef {object} UsageTotals
+ * @property {number} runs
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ * @property {number|null} cost
+ * @property {boolean} estimated
+ */
+
+/** Runs kept in <cache>/llm-usage (oldest pruned) */
+const MAX_RUNS = 500;
+
+/** Rough chars-per-token ratio for code-heavy text */
+export const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * @param {string} prompt
+ * @param {string} output
+ * @returns {TokenUsage}
+ */
+export function estimateUsage(prompt, output) {
+  return { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(output), estimated: true };
+}
+
+/**
+ * Cost in USD from `llm.pricing` (USD per million tokens, by model name or "default")
+ * @param {{promptTokens: number, completionTokens: number}} usage
+ * @param {string|null} model
+ * @param {Record<string, {input: number, output: number}>} [pricing]
+ * @returns {number|null}
+ */
+export function costOf(usage, model, pricing) {
+  const price = pricing?.[model || ''] || pricing?.default;
+  if (!price) return null;
+  return (usage.promptTokens * (Number(price.input) || 0) + usage.completionTokens * (Number(price.output) || 0)) / 1e6;
+}
+
+/**
+ * Token counter for one run, with the per-run budget
+ */
+export class UsageMeter {
+  /**
+   * @param {{taskType?: string, provider: string, model?: string|null, config?: ProjectConfig}} options
+   */
+  constructor(options) {
+    const llm = options.config?.llm || {};
+    this.config = options.config;
+    this.taskType = options.taskType || 'adhoc';
+    this.provider = options.provider;
+    this.model = options.model || llm.model || null;
+    this.budget = Number(llm.budget?.maxTokensPerRun) || null;
+    this.pricing = llm.pricing;
+    this.startedAt = new Date().toISOString();
+    this.skipped = 0;
+    /** @type {Map<string, TokenUsage>} */
+    this.byTask = new Map();
+  }
+
+  /**
+   * @param {string} taskId
+   * @param {TokenUsage|null|undefined} usage
+   */
+  add(taskId, usage) {
+    if (!usage) return;
+    const prev = this.byTask.get(taskId) || { promptTokens: 0, completionTokens: 0, estimated: false };
+    this.byTask.set(taskId, {
+      promptTokens: prev.promptTokens + (usage.promptTokens || 0),
+      completionTokens: prev.completionTokens + (usage.completionTokens || 0),
+      estimated: prev.estimated || Boolean(usage.estimated)
+    });
+  }
+
+  /** @returns {number} */
+  get totalTokens() {
+    let total = 0;
+    for (const u of this.byTask.values()) total += u.promptTokens + u.completionTokens;
+    return total;
+  }
+
+  /** @returns {boolean} */
+  exceeded() {
+    return this.budget !== null && this.totalTokens >= this.budget;
+  }
+
+  /** @returns {UsageRun} */
+  toRun() {
+    let promptTokens = 0;
+    let completionTokens = 0;
+    let estimated = false;
+    for (const u of this.byTask.values()) {
+      promptTokens += u.promptTokens;
+      completionTokens += u.completionTokens;
+      estimated = estimated || u.estimated;
+    }
+    const startedMs = Date.parse(this.startedAt);
+    return {
+      id: `${this.taskType}-${startedMs}-${process.pid}`,
+      taskType: this.taskType,
+      jobId: process.env.PI_JOB_ID || null,
+      provider: this.provider,
+      model: this.model,
+      startedAt: this.startedAt,
+      finishedAt: new Date().toISOString(),
+      tasks: this.byTask.size,
+      skipped: this.skipped,
+      budget: this.budget,
+      promptTokens,
+      completionTokens,
+      estimated,
+      cost: costOf({ promptTokens, completionTokens }, this.model, this.pricing),
+      byTask: Object.fromEntries(this.byTask)
+    };
+  }
+
+  /**
+   * Save the run and print its totals
+   * @returns {Promise<UsageRun>}
+   */
+  async save() {
+    const run = this.toRun();
+    if (run.tasks > 0 || run.skipped > 0) {
+      await recordUsageRun(this.config, run);
+      console.log(`Tokens: ${formatUsage(run)}`);
+    }
+    return run;
+  }
+}
+
+/**
+ * @param {ProjectConfig} [config]
+ * @param {string} [root]
+ * @returns {string}
+ */
+function usageDir(config, root) {
+  return getCachePath(config || {}, root || process.cwd(), 'llm-usage');
+}
+
+/**
+ * @param {ProjectConfig|undefined} config
+ * @param {UsageRun} run
+ */
+export async function recordUsageRun(config, run) {
+  const dir = usageDir(config);
+  await writeJsonSafe(path.join(dir, `${run.id}.json`), run);
+
+  const entries = (await fs.readdir(dir).catch(() => [])).filter(f => f.endsWith('.json')).sort(byStartTime);
+  for (const old of entries.slice(0, Math.max(0, entries.length - MAX_RUNS))) {
+    await fs.rm(path.join(dir, old), { force: true });
+  }
+}
+
+/**
+ * Recorded runs, oldest first
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @returns {Promise<UsageRun[]>}
+ */
+export async function loadUsage(config, root) {
+  const dir = usageDir(config, root);
+  const entries = (await fs.readdir(dir).catch(() => [])).filter(f => f.endsWith('.json'));
+  const runs = [];
+  for (const entry of entries) {
+    const run = await readJsonSafe(path.join(dir, entry));
+    if (run && typeof run.promptTokens === 'number') runs.push(run);
+  }
+  return runs.sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+}
+
+/**
+ * Totals over runs, also per task type and per queue job
+ * @param {UsageRun[]} runs
+ * @returns {UsageTotals & {byTaskType: Record<string, UsageTotals>, byJob: Record<string, UsageTotals>}}
+ */
+export function summarizeUsage(runs) {
+  /** @returns {UsageTotals} */
+  const empty = () => ({ runs: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null, estimated: false });
+  /**
+   * @param {UsageTotals} t
+   * @param {UsageRun} run
+   */
+  const add = (t, run) => {
+    t.runs++;
+    t.promptTokens += run.promptTokens || 0;
+    t.completionTokens += run.completionTokens || 0;
+    t.totalTokens = t.promptTokens + t.completionTokens;
+    if (typeof run.cost === 'number') t.cost = (t.cost || 0) + run.cost;
+    t.estimated = t.estimated || Boolean(run.estimated);
+  };
+
+  const total = { ...empty(), byTaskType: {}, byJob: {} };
+  for (const run of runs) {
+    add(total, run);
+    add(total.byTaskType[run.taskType] ||= empty(), run);
+    if (run.jobId) add(total.byJob[run.jobId] ||= empty(), run);
+  }
+  return total;
+}
+
+/**
+ * @param {number} n
+ * @returns {string}
+ */
+export function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+/**
+ * "12.3k tokens (9.1k prompt + 3.2k completion, estimated), $0.04"
+ * @param {{promptTokens: number, completionTokens: number, cost?: number|null, estimated?: boolean}} usage
+ * @returns {string}
+ */
+export function formatUsage(usage) {
+  const total = usage.promptTokens + usage.completionTokens;
+  const detail = `${formatTokens(usage.promptTokens)} prompt + ${formatTokens(usage.completionTokens)} completion${usage.estimated ? ', estimated' : ''}`;
+  const cost = typeof usage.cost === 'number' ? `, $${usage.cost.toFixed(2)}` : '';
+  return `${formatTokens(total)} tokens (${detail})${cost}`;
+}
+
+/**
+ * Sort run files by the start time in their name (<taskType>-<ms>-<pid>.json)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function byStartTime(a, b) {
+  const ms = (f) => Number(f.match(/-(\d{10,})-\d+\.json$/)?.[1] || 0);
+  return ms(a) - ms(b);
+}
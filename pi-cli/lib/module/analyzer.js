@@ -5,7 +5,7 @@
  * - stale/missing/all/force module selection
  * - Kanban task creation from audit issues
  * - LLM batch processing with DAG scheduling (child modules before parents)
- * - SAFETY_PROMPT_PREFIX injection for all LLM prompts
+ * - Prompts rendered from the module-analyze template (safety partial first)
  */
 
 import { promises as fs } from 'fs';
@@ -13,27 +13,11 @@ import path from 'path';
 import { writeJsonSafe, parallelMap, matchesIgnoreInclude, getDirectoryRule } from '../shared.js';
 import { getCachePath } from '../context.js';
 import { runBatch } from '../llm/batch.js';
+import { renderPrompt } from '../prompt/templates.js';
+import { openKanban } from '../kanban/store.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
-
-const KANBAN_API = process.env.KANBAN_URL || 'http://127.0.0.1:3007/api/v1';
-
-/**
- * Safety prompt prefix for all LLM calls.
- * Mirrors project-index/scripts/shared.js to reduce the chance of unsafe actions.
- * @type {string}
- */
-const SAFETY_PROMPT_PREFIX = `## ⛔ 严禁操作 (CRITICAL)
-**绝对禁止执行以下命令：**
-- git checkout / git reset / git restore / git clean / git stash drop
-- rm -rf / find -delete / 任何删除文件的命令
-- 任何会修改或删除用户文件的 shell 命令
-
-**你的任务是纯分析或生成代码文本，不要执行任何 shell 命令。**
-
----
-
-`;
+/** @typedef {import('../kanban/store.js').KanbanStore} KanbanStore */
 
 const CODE_EXTENSIONS = new Set([
   '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs',
@@ -187,7 +171,7 @@ function resolveChangedFileAbs(root, modulePath, fileEntry) {
  * @param {Array<{path: string, mtime?: number}|string>} changedFiles
  * @param {number} [maxFiles=5]
  * @param {number} [maxLines=60]
- * @returns {Promise<string>}
+ * @returns {Promise<{content: string, files: string[]}>} files: absolute paths read (the prompt's cache inputs)
  */
 async function readCodeFiles(root, modulePath, changedFiles, maxFiles = 5, maxLines = 60) {
   const fullDir = path.join(root, modulePath);
@@ -198,6 +182,7 @@ async function readCodeFiles(root, modulePath, changedFiles, maxFiles = 5, maxLi
   }
 
   let content = '';
+  const files = [];
   for (const f of filesToRead) {
     const absPath = resolveChangedFileAbs(root, modulePath, f);
     if (!absPath) continue;
@@ -208,9 +193,10 @@ async function readCodeFiles(root, modulePath, changedFiles, maxFiles = 5, maxLi
     const fileContent = await readFileSafe(absPath, maxLines);
     if (!fileContent) continue;
     content += `\n--- ${relPath} ---\n${fileContent}\n`;
+    files.push(absPath);
   }
 
-  return content;
+  return { content, files };
 }
 
 /**
@@ -516,62 +502,44 @@ export async function getModulesByMode({ mode, cwd, scanPath, enableDoc, enableA
 
 /**
  * Detect current project from Kanban
+ * @param {KanbanStore} kanban
  * @param {string} cwd
  * @returns {Promise<{id: string, name: string, path: string}|null>}
  */
-export async function detectProject(cwd = process.cwd()) {
+export async function detectProject(kanban, cwd = process.cwd()) {
   try {
-    const res = await fetch(`${KANBAN_API}/projects`);
-    if (!res.ok) return null;
-    const data = await res.json();
-
-    for (const project of data.items || []) {
-      if (project.path === cwd || cwd.startsWith(project.path + path.sep) || cwd.startsWith(project.path + '/')) {
-        return project;
-      }
-    }
-  } catch { }
-  return null;
+    return await kanban.detectProject(cwd);
+  } catch {
+    return null;
+  }
 }
 
 /**
  * Create Kanban task (single issue)
+ * @param {KanbanStore} kanban
  * @param {string} projectId
  * @param {{title: string, description?: string, priority?: number, tags?: string[]}} task
  * @returns {Promise<string|null>}
  */
-export async function createKanbanTask(projectId, task) {
+export async function createKanbanTask(kanban, projectId, task) {
   try {
-    const res = await fetch(`${KANBAN_API}/projects/${projectId}/tasks/create`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        title: task.title,
-        description: task.description || '',
-        status: 'todo',
-        priority: task.priority ?? 2,
-        tags: task.tags || [],
-        dueDate: null,
-        worktreeId: null
-      })
-    });
-
-    if (res.ok) {
-      const data = await res.json();
-      return data.item?.id || null;
-    }
-  } catch { }
-  return null;
+    const created = await kanban.createTask(projectId, task);
+    return created?.id || null;
+  } catch (err) {
+    console.error(`Kanban: could not create "${task.title}": ${err.message}`);
+    return null;
+  }
 }
 
 /**
  * Create Kanban tasks for audit issues (one task per issue)
+ * @param {KanbanStore} kanban
  * @param {string} projectId
  * @param {string} modulePath
  * @param {{severity?: string, issues?: any[], summary?: string}} audit
  * @returns {Promise<{taskIds: string[]}>}
  */
-export async function createAuditTasks(projectId, modulePath, audit) {
+export async function createAuditTasks(kanban, projectId, modulePath, audit) {
   const { severity, issues, summary } = audit || {};
   if (!issues || issues.length === 0) return { taskIds: [] };
 
@@ -608,7 +576,7 @@ ${summary || 'N/A'}
       tags: ['audit', severity, issue?.type].filter(Boolean)
     };
 
-    const taskId = await createKanbanTask(projectId, task);
+    const taskId = await createKanbanTask(kanban, projectId, task);
     if (taskId) taskIds.push(taskId);
   }
 
@@ -686,11 +654,14 @@ export async function analyzeModules(ctx, args) {
 
   // Kanban project detection (only when audit+kanban enabled)
   let projectId = null;
+  let kanban = null;
   if (effectiveKanban) {
-    const project = await detectProject(root);
+    kanban = await openKanban(root);
+    const project = await detectProject(kanban, root);
     if (project) {
       projectId = project.id;
-      console.log(`Kanban project: ${project.name} (${project.id})`);
+      const where = kanban.backend === 'local' ? path.relative(root, kanban.location) : kanban.location;
+      console.log(`Kanban project: ${project.name} (${project.id}) [${kanban.backend}: ${where}]`);
     } else {
       console.log('Kanban: project not found, tasks will not be created');
     }
@@ -704,7 +675,9 @@ export async function analyzeModules(ctx, args) {
       enableDoc,
       enableAudit,
       enableKanban: effectiveKanban,
-      projectId
+      kanban,
+      projectId,
+      cache: !boolFlag(args?.['no-cache'])
     });
 
     const succeeded = results.filter(r => r.success).length;
@@ -800,7 +773,13 @@ function buildConventionsSection(conventions) {
   return lines.length > 1 ? lines.join('\n') + '\n' : '';
 }
 
-function buildAuditMarkdown(modulePath, audit) {
+/**
+ * @param {string} modulePath
+ * @param {any} audit
+ * @param {string} [prompt] - Template that produced the audit (name@version)
+ * @returns {string}
+ */
+function buildAuditMarkdown(modulePath, audit, prompt) {
   const now = new Date().toISOString();
   const severity = String(audit?.severity || 'none').toLowerCase();
   const issues = Array.isArray(audit?.issues) ? audit.issues : [];
@@ -810,6 +789,7 @@ function buildAuditMarkdown(modulePath, audit) {
   lines.push(`# Security Audit - ${modulePath}`);
   lines.push('');
   lines.push(`Generated: ${now}`);
+  if (prompt) lines.push(`Prompt: ${prompt}`);
   lines.push(`Severity: **${severity.toUpperCase()}**`);
   lines.push('');
   lines.push('## Summary');
@@ -867,6 +847,7 @@ async function analyzeModulesWithLLM(modules, options) {
     enableDoc,
     enableAudit,
     enableKanban,
+    kanban,
     projectId
   } = options;
 
@@ -882,13 +863,16 @@ async function analyzeModulesWithLLM(modules, options) {
     };
   });
 
+  /** @type {Map<string, string>} module -> template used (name@version) */
+  const promptRefs = new Map();
+
   // Build prompts (child-first order already in `modules`)
   for (const task of tasks) {
     const modulePath = task.id;
     const fullPath = path.join(root, modulePath);
     const claudeMdPath = path.join(fullPath, 'CLAUDE.md');
     const claudeContent = await readFileSafe(claudeMdPath, 120) || '(无现有文档)';
-    const codeContent = await readCodeFiles(root, modulePath, modules.find(m => normalizeModulePath(m.path) === modulePath)?.changedFiles || [], 5, 80);
+    const { content: codeContent, files } = await readCodeFiles(root, modulePath, modules.find(m => normalizeModulePath(m.path) === modulePath)?.changedFiles || [], 5, 80);
 
     const conventionsSection = buildConventionsSection(config?.conventions);
     const directoryRule = getDirectoryRule(modulePath, config?.directoryRules)?.rule || null;
@@ -898,51 +882,28 @@ ${Array.isArray(directoryRule.focus) ? directoryRule.focus.map(f => `- ${f}`).jo
 `
       : '';
 
-    const wantDoc = enableDoc ? '启用' : '禁用';
-    const wantAudit = enableAudit ? '启用' : '禁用';
-
-    task.prompt = `${SAFETY_PROMPT_PREFIX}你是一个代码分析专家。
-
-请针对 **模块路径** \`${modulePath}\` 完成以下任务（doc=${wantDoc}, audit=${wantAudit}）：
-
-## 任务 1: 更新模块文档 (CLAUDE.md)
-- 如果需要更新，返回完整新内容
-- 如果不需要更新，返回 needsUpdate=false
-
-## 任务 2: 安全/质量审计 (AUDIT.md)
-- 输出 severity: none|low|medium|high|critical
-- issues 列表中每项包含：type, severity, description, file, line, context, suggestion
-
-${conventionsSection}${dirSection}
----
-当前 CLAUDE.md:
-\`\`\`markdown
-${claudeContent.slice(0, 4000)}
-\`\`\`
-
-相关代码片段（节选）:
-${codeContent.slice(0, 6000)}
-
----
-请以 **纯 JSON** 返回（不要包裹代码块）：
-{
-  "doc": {
-    "needsUpdate": true/false,
-    "reason": "简要说明",
-    "content": "如需更新，完整的新 CLAUDE.md 内容"
-  },
-  "audit": {
-    "severity": "none|low|medium|high|critical",
-    "issues": [{"type": "类型", "severity": "critical|high|medium|low", "description": "描述", "file": "文件", "line": 123, "context": "相关代码片段", "suggestion": "建议"}],
-    "summary": "审计总结"
-  }
-}`;
+    const rendered = await renderPrompt('module-analyze', {
+      custom: String(config?.llm?.docPrompt || '').trim(),
+      modulePath,
+      doc: enableDoc ? '启用' : '禁用',
+      audit: enableAudit ? '启用' : '禁用',
+      conventions: conventionsSection,
+      directoryFocus: dirSection,
+      claudeContent: claudeContent.slice(0, 4000),
+      codeContent: codeContent.slice(0, 6000)
+    }, { root, config });
+    task.prompt = rendered.prompt;
+    // The prompt only holds the head of each file
+    task.inputs = [claudeMdPath, ...files];
+    promptRefs.set(modulePath, rendered.ref);
   }
 
   const results = await runBatch(tasks, {
     concurrency,
     config,
-    workdir: root
+    workdir: root,
+    taskType: 'module-analyzer',
+    cache: options.cache
   });
 
   /** @type {Array<{path: string, success: boolean, error?: string, doc?: any, audit?: any, kanban?: any}>} */
@@ -1000,7 +961,7 @@ ${codeContent.slice(0, 6000)}
     // Audit
     if (enableAudit) {
       const audit = parsed.audit || { severity: 'none', issues: [], summary: '' };
-      const auditContent = buildAuditMarkdown(modulePath, audit);
+      const auditContent = buildAuditMarkdown(modulePath, audit, promptRefs.get(modulePath));
 
       // Write when missing, or when model reported anything (including none)
       const missingAudit = !(await fileExists(auditMdPath));
@@ -1021,7 +982,7 @@ ${codeContent.slice(0, 6000)}
 
       // Kanban tasks
       if (enableKanban && projectId && hasIssues) {
-        const { taskIds } = await createAuditTasks(projectId, modulePath, audit);
+        const { taskIds } = await createAuditTasks(kanban, projectId, modulePath, audit);
         if (taskIds.length > 0) {
           kanbanInfo = { taskCount: taskIds.length, taskIds };
         }
@@ -1034,7 +995,8 @@ ${codeContent.slice(0, 6000)}
       doc: docStatus,
       audit: auditStatus,
       issueCount: Array.isArray(parsed.audit?.issues) ? parsed.audit.issues.length : 0,
-      kanban: kanbanInfo
+      kanban: kanbanInfo,
+      prompt: promptRefs.get(modulePath)
     });
   }
 
@@ -0,0 +1,232 @@
+/**
+ * pi prompt list|show|diff
+ */
+
+import path from 'path';
+import {
+  loadTemplates,
+  loadBuiltinTemplates,
+  expandTemplate,
+  templateVersion,
+  partialsOf,
+  promptsDir,
+  readVersion,
+  listVersions
+} from './templates.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+/** @typedef {import('./templates.js').PromptTemplate} PromptTemplate */
+
+/**
+ * @param {string} subcommand
+ * @param {object} args
+ * @param {{root: string, config: ProjectConfig}} ctx
+ */
+export async function handlePrompt(subcommand, args, ctx) {
+  switch (subcommand) {
+    case 'list':
+      await listPrompts(ctx, args);
+      break;
+    case 'show':
+      await showPrompt(ctx, args);
+      break;
+    case 'diff':
+      await diffPrompt(ctx, args);
+      break;
+    default:
+      console.error(`Unknown prompt subcommand: ${subcommand}`);
+      console.error('Available: list, show, diff');
+      process.exitCode = 1;
+  }
+}
+
+/**
+ * Templates with their versions and whether the project overrides them
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function listPrompts(ctx, args) {
+  const templates = await loadTemplates(ctx.config, ctx.root);
+  const rows = [...templates.values()].map(t => ({
+    name: t.name,
+    partial: t.partial,
+    source: t.source,
+    version: templateVersion(expandTemplate(templates, t.name)),
+    partials: partialsOf(templates, t.name),
+    description: t.description || '',
+    recorded: 0
+  }));
+  for (const row of rows) {
+    row.recorded = (await listVersions(ctx, row.name)).length;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  console.log(`Prompt templates (overrides: ${path.relative(ctx.root, promptsDir(ctx.config, ctx.root)) || '.'}/)`);
+  for (const row of rows.sort((a, b) => Number(a.partial) - Number(b.partial) || a.name.localeCompare(b.name))) {
+    const name = row.partial ? `> ${row.name}` : row.name;
+    const extra = [
+      row.partials.length > 0 ? `uses ${row.partials.join(', ')}` : null,
+      row.recorded > 0 ? `${row.recorded} recorded version${row.recorded > 1 ? 's' : ''}` : null
+    ].filter(Boolean);
+    console.log(`  ${name.padEnd(20)} ${row.version}  ${row.source.padEnd(7)}  ${row.description}${extra.length ? `  (${extra.join('; ')})` : ''}`);
+  }
+}
+
+/**
+ * Print a template: the active one, the built-in (--builtin), a recorded
+ * version (`pi prompt show <name> <version>`), or with partials inlined (--expand)
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function showPrompt(ctx, args) {
+  const [name, version] = args._.slice(2).map(String);
+  if (!name) {
+    console.error('Usage: pi prompt show <name> [version] [--builtin] [--expand]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const spec = version || (args.builtin ? 'builtin' : 'current');
+  const resolved = await resolveSpec(ctx, name, spec, Boolean(args.expand));
+  if (!resolved) {
+    process.exitCode = 1;
+    return;
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ name, ...resolved }, null, 2));
+    return;
+  }
+  process.stdout.write(resolved.text + '\n');
+}
+
+/**
+ * Unified diff between two versions of a template. Each side is `builtin`,
+ * `current` (active, with project overrides) or a recorded version hash;
+ * the default compares the built-in with the active template.
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {object} args
+ */
+async function diffPrompt(ctx, args) {
+  const [name, from = 'builtin', to = 'current'] = args._.slice(2).map(String);
+  if (!name) {
+    console.error('Usage: pi prompt diff <name> [from] [to]   (builtin | current | <version>)');
+    process.exitCode = 1;
+    return;
+  }
+
+  const a = await resolveSpec(ctx, name, from, true);
+  const b = a && await resolveSpec(ctx, name, to, true);
+  if (!a || !b) {
+    process.exitCode = 1;
+    return;
+  }
+
+  if (a.version === b.version) {
+    console.log(`No differences: ${name}@${a.version} (${a.label}) = ${b.label}`);
+    return;
+  }
+  console.log(unifiedDiff(a.text, b.text, `${name}@${a.version} (${a.label})`, `${name}@${b.version} (${b.label})`));
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {string} name
+ * @param {string} spec - builtin | current | version hash (prefix)
+ * @param {boolean} expand - Inline partials (always true for recorded versions)
+ * @returns {Promise<{text: string, version: string, label: string, file?: string}|null>}
+ */
+async function resolveSpec(ctx, name, spec, expand) {
+  const templates = await loadTemplates(ctx.config, ctx.root);
+
+  if (spec === 'builtin' || spec === 'current') {
+    /** @type {Map<string, PromptTemplate>} */
+    const set = spec === 'builtin' ? await loadBuiltinTemplates() : templates;
+    const template = set.get(name);
+    if (!template) {
+      console.error(`Unknown prompt template: ${name}${spec === 'builtin' && templates.has(name) ? ' (project-only, no built-in)' : ''}`);
+      return null;
+    }
+    const expanded = expandTemplate(set, name);
+    return {
+      text: expand ? expanded : template.body,
+      version: templateVersion(expanded),
+      label: spec === 'builtin' ? 'builtin' : template.source,
+      file: template.file
+    };
+  }
+
+  const recorded = await readVersion(ctx, name, spec);
+  if (!recorded) {
+    const known = (await listVersions(ctx, name)).map(v => v.version);
+    console.error(`Unknown version ${name}@${spec}${known.length ? `; recorded: ${known.join(', ')}` : ' (no versions recorded yet)'}`);
+    return null;
+  }
+  return { text: recorded.source, version: recorded.version, label: 'recorded' };
+}
+
+/**
+ * Line diff in unified format (3 lines of context)
+ * @param {string} a
+ * @param {string} b
+ * @param {string} fromLabel
+ * @param {string} toLabel
+ * @returns {string}
+ */
+export function unifiedDiff(a, b, fromLabel, toLabel) {
+  const x = a.split('\n');
+  const y = b.split('\n');
+
+  // LCS table, filled from the end
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  /** @type {Array<{op: ' '|'-'|'+', line: string, ai: number, bi: number}>} */
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      ops.push({ op: ' ', line: x[i], ai: i++, bi: j++ });
+    } else if (i < x.length && (j >= y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ op: '-', line: x[i], ai: i++, bi: j });
+    } else {
+      ops.push({ op: '+', line: y[j], ai: i, bi: j++ });
+    }
+  }
+
+  const CONTEXT = 3;
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === ' ') { k++; continue; }
+
+    const start = Math.max(0, k - CONTEXT);
+    let end = k;
+    // Extend the hunk while changes are within 2 * CONTEXT lines of each other
+    while (end < ops.length) {
+      let next = end;
+      while (next < ops.length && ops[next].op === ' ') next++;
+      if (next >= ops.length || next - end > CONTEXT * 2) break;
+      end = next;
+      while (end < ops.length && ops[end].op !== ' ') end++;
+    }
+    const stop = Math.min(ops.length, end + CONTEXT);
+    const hunk = ops.slice(start, stop);
+
+    const aLines = hunk.filter(o => o.op !== '+').length;
+    const bLines = hunk.filter(o => o.op !== '-').length;
+    out.push(`@@ -${hunk[0].ai + (aLines ? 1 : 0)},${aLines} +${hunk[0].bi + (bLines ? 1 : 0)},${bLines} @@`);
+    for (const o of hunk) out.push(`${o.op}${o.line}`);
+    k = stop;
+  }
+  return out.join('\n');
+}
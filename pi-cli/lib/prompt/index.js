@@ -0,0 +1,6 @@
+/**
+ * Prompt module index
+ */
+
+export { handlePrompt, unifiedDiff } from './commands.js';
+export { renderPrompt, renderTemplate, loadTemplates, loadBuiltinTemplates, expandTemplate, templateVersion, partialsOf, promptsDir, readVersion, listVersions, PROMPT_DESCRIPTIONS } from './templates.js';
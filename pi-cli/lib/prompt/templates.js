@@ -0,0 +1,299 @@
+/**
+ * Prompt templates
+ *
+ * Every LLM prompt is rendered from a named template. Built-in templates
+ * live in ./builtin/<name>.md; a file with the same name under
+ * .project-index/prompts/ overrides it. Files starting with "_" are partials.
+ *
+ * Syntax:
+ *   {{name}} / {{a.b}}               variable (missing -> empty)
+ *   {{> name}}                       partial (_name.md), inlined before rendering
+ *   {{#if name}}...{{else}}...{{/if}} section on a truthy variable (empty arrays are falsy)
+ *
+ * A template's version is a hash of its source with partials inlined, so
+ * editing a partial changes the version of every template using it. The
+ * source of each version that produced an LLM call is kept under
+ * <cache>/prompt-versions/ for `pi prompt diff`.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { getCachePath } from '../context.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} PromptTemplate
+ * @property {string} name
+ * @property {string} body - File content (one trailing newline removed)
+ * @property {'builtin'|'project'} source
+ * @property {string} file
+ * @property {boolean} partial
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {object} RenderedPrompt
+ * @property {string} prompt
+ * @property {string} name
+ * @property {string} version
+ * @property {string} ref - "<name>@<version>", recorded with LLM results
+ */
+
+export const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'builtin');
+
+/** Built-in template descriptions (shown by `pi prompt list`) */
+export const PROMPT_DESCRIPTIONS = {
+  'test-fix': 'pi test fix: one failing test file (simple mode)',
+  'test-fix-llm': 'pi test fix --llm: one failing test file',
+  'test-fix-cluster': 'pi test fix: several test files sharing a root cause',
+  'test-generate': 'pi test generate: new or updated test file',
+  'audit-fix': 'pi audit fix: one AUDIT.md issue',
+  'module-analyze': 'pi module analyze: CLAUDE.md + AUDIT.md for one module',
+  safety: 'Partial: forbidden shell commands, prepended to agent prompts'
+};
+
+const VERSION_LENGTH = 12;
+const PARTIAL_RE = /\{\{>\s*([\w.-]+)\s*\}\}/g;
+const TAG_RE = /\{\{\s*(#if\s+|\/if|else(?=\s*\}\}))?\s*([\w.-]*)\s*\}\}/g;
+
+/** @type {Map<string, Promise<Map<string, PromptTemplate>>>} template dir -> templates */
+const loaded = new Map();
+
+/** @type {Set<string>} versions already snapshotted by this process */
+const snapshotted = new Set();
+
+/**
+ * Project override directory
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @returns {string}
+ */
+export function promptsDir(config, root) {
+  return getCachePath(config || {}, root, 'prompts');
+}
+
+/**
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @returns {string}
+ */
+export function versionsDir(config, root) {
+  return getCachePath(config || {}, root, 'prompt-versions');
+}
+
+/**
+ * Built-in templates with project overrides applied
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @returns {Promise<Map<string, PromptTemplate>>}
+ */
+export function loadTemplates(config, root) {
+  const dir = promptsDir(config, root);
+  if (!loaded.has(dir)) {
+    loaded.set(dir, loadBuiltinTemplates().then(builtin => readTemplateDir(dir, 'project', new Map(builtin))));
+  }
+  return loaded.get(dir);
+}
+
+/**
+ * @returns {Promise<Map<string, PromptTemplate>>}
+ */
+export function loadBuiltinTemplates() {
+  if (!loaded.has(BUILTIN_DIR)) {
+    loaded.set(BUILTIN_DIR, readTemplateDir(BUILTIN_DIR, 'builtin', new Map()));
+  }
+  return loaded.get(BUILTIN_DIR);
+}
+
+/**
+ * @param {string} dir
+ * @param {'builtin'|'project'} source
+ * @param {Map<string, PromptTemplate>} templates - Added to (same name replaces)
+ * @returns {Promise<Map<string, PromptTemplate>>}
+ */
+async function readTemplateDir(dir, source, templates) {
+  const entries = await fs.readdir(dir).catch(() => []);
+  for (const entry of entries.filter(e => e.endsWith('.md')).sort()) {
+    const file = path.join(dir, entry);
+    const partial = entry.startsWith('_');
+    const name = entry.slice(partial ? 1 : 0, -'.md'.length);
+    const body = (await fs.readFile(file, 'utf8')).replace(/\r\n/g, '\n').replace(/\n$/, '');
+    // Empty files are ignored (`pi prompt show x > prompts/x.md` creates one before reading)
+    if (!body.trim()) continue;
+    templates.set(name, { name, body, source, file, partial, description: PROMPT_DESCRIPTIONS[name] });
+  }
+  return templates;
+}
+
+/**
+ * Template source with partials inlined
+ * @param {Map<string, PromptTemplate>} templates
+ * @param {string} name
+ * @param {string[]} [stack] - Partials being expanded (cycle detection)
+ * @returns {string}
+ */
+export function expandTemplate(templates, name, stack = []) {
+  const template = templates.get(name);
+  if (!template) {
+    throw new Error(stack.length > 0 ? `Unknown prompt partial "${name}" in ${stack[stack.length - 1]}` : `Unknown prompt template: ${name}`);
+  }
+  if (stack.includes(name)) {
+    throw new Error(`Prompt partial cycle: ${[...stack, name].join(' -> ')}`);
+  }
+  return template.body.replace(PARTIAL_RE, (_, partial) => expandTemplate(templates, partial, [...stack, name]));
+}
+
+/**
+ * @param {string} expanded
+ * @returns {string}
+ */
+export function templateVersion(expanded) {
+  return createHash('sha256').update(expanded).digest('hex').slice(0, VERSION_LENGTH);
+}
+
+/**
+ * Names of the partials a template uses, directly or through other partials
+ * @param {Map<string, PromptTemplate>} templates
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function partialsOf(templates, name) {
+  /** @type {Set<string>} */
+  const found = new Set();
+  const visit = (n) => {
+    for (const m of (templates.get(n)?.body || '').matchAll(PARTIAL_RE)) {
+      if (found.has(m[1])) continue;
+      found.add(m[1]);
+      visit(m[1]);
+    }
+  };
+  visit(name);
+  return [...found];
+}
+
+/**
+ * Render template source (partials already inlined). Values are inserted
+ * as-is and never parsed as template syntax.
+ *
+ * @param {string} source
+ * @param {Record<string, any>} vars
+ * @returns {string}
+ */
+export function renderTemplate(source, vars) {
+  /** @type {Array<{type: 'text', text: string} | {type: 'var', name: string} | {type: 'if', name: string, then: any[], else: any[]}>} */
+  const rootNodes = [];
+  /** @type {Array<{node: any, branch: 'then'|'else'}>} */
+  const open = [];
+  const target = () => open.length > 0 ? open[open.length - 1].node[open[open.length - 1].branch] : rootNodes;
+
+  let last = 0;
+  for (const m of source.matchAll(TAG_RE)) {
+    if (m.index > last) target().push({ type: 'text', text: source.slice(last, m.index) });
+    last = m.index + m[0].length;
+
+    const kind = (m[1] || '').trim();
+    if (kind === '#if') {
+      const node = { type: 'if', name: m[2], then: [], else: [] };
+      target().push(node);
+      open.push({ node, branch: 'then' });
+    } else if (kind === 'else') {
+      if (open.length === 0) throw new Error('{{else}} outside {{#if}}');
+      open[open.length - 1].branch = 'else';
+    } else if (kind === '/if') {
+      if (!open.pop()) throw new Error('{{/if}} without {{#if}}');
+    } else if (m[2]) {
+      target().push({ type: 'var', name: m[2] });
+    }
+  }
+  if (last < source.length) target().push({ type: 'text', text: source.slice(last) });
+  if (open.length > 0) throw new Error(`Unclosed {{#if ${open[open.length - 1].node.name}}}`);
+
+  /** @param {any[]} nodes */
+  const render = (nodes) => nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    const value = lookup(vars, node.name);
+    if (node.type === 'var') return value === undefined || value === null ? '' : String(value);
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    return render(truthy ? node.then : node.else);
+  }).join('');
+
+  return render(rootNodes);
+}
+
+/**
+ * @param {Record<string, any>} vars
+ * @param {string} name - Dotted path
+ * @returns {any}
+ */
+function lookup(vars, name) {
+  return name.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), vars);
+}
+
+/**
+ * Render a named template and keep the source of its version
+ * @param {string} name
+ * @param {Record<string, any>} vars
+ * @param {{config: ProjectConfig, root: string}} ctx
+ * @returns {Promise<RenderedPrompt>}
+ */
+export async function renderPrompt(name, vars, ctx) {
+  const templates = await loadTemplates(ctx.config, ctx.root);
+  const source = expandTemplate(templates, name);
+  const version = templateVersion(source);
+  await snapshotVersion(ctx, name, version, source);
+  return { prompt: renderTemplate(source, vars), name, version, ref: `${name}@${version}` };
+}
+
+/**
+ * Save <cache>/prompt-versions/<name>@<version>.md once
+ * @param {{config: ProjectConfig, root: string}} ctx
+ * @param {string} name
+ * @param {string} version
+ * @param {string} source
+ */
+async function snapshotVersion(ctx, name, version, source) {
+  const file = path.join(versionsDir(ctx.config, ctx.root), `${name}@${version}.md`);
+  if (snapshotted.has(file)) return;
+  snapshotted.add(file);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, source + '\n', { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') console.warn(`Failed to record prompt version ${name}@${version}: ${err.message}`);
+  }
+}
+
+/**
+ * Source of a recorded version (a unique prefix of the hash is enough)
+ * @param {{config: ProjectConfig, root: string}} ctx
+ * @param {string} name
+ * @param {string} version
+ * @returns {Promise<{version: string, source: string}|null>}
+ */
+export async function readVersion(ctx, name, version) {
+  const dir = versionsDir(ctx.config, ctx.root);
+  const entries = (await fs.readdir(dir).catch(() => [])).filter(e => e.startsWith(`${name}@${version}`) && e.endsWith('.md'));
+  if (entries.length !== 1) return null;
+  const source = await fs.readFile(path.join(dir, entries[0]), 'utf8');
+  return { version: entries[0].slice(name.length + 1, -'.md'.length), source: source.replace(/\n$/, '') };
+}
+
+/**
+ * Recorded versions of a template, newest first
+ * @param {{config: ProjectConfig, root: string}} ctx
+ * @param {string} name
+ * @returns {Promise<Array<{version: string, recordedAt: string}>>}
+ */
+export async function listVersions(ctx, name) {
+  const dir = versionsDir(ctx.config, ctx.root);
+  const entries = (await fs.readdir(dir).catch(() => [])).filter(e => e.startsWith(`${name}@`) && e.endsWith('.md'));
+  const versions = [];
+  for (const entry of entries) {
+    const stat = await fs.stat(path.join(dir, entry)).catch(() => null);
+    versions.push({ version: entry.slice(name.length + 1, -'.md'.length), recordedAt: stat ? stat.mtime.toISOString() : '' });
+  }
+  return versions.sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+}
@@ -0,0 +1,215 @@
+/**
+ * SARIF 2.1.0 output
+ * Converts audit / test-analysis findings into a SARIF log for code-scanning viewers
+ */
+
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { readJsonSafe, writeJsonSafe } from './shared.js';
+
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+export const SARIF_VERSION = '2.1.0';
+
+/** Fingerprint key (bump the suffix when the algorithm changes) */
+export const FINGERPRINT_KEY = 'pi/v1';
+
+/**
+ * @typedef {object} SarifRuleInput
+ * @property {string} id
+ * @property {string} description - Short description
+ * @property {string} [severity] - Default severity ('error'|'warning'|'info'|'critical'|'high'|'medium'|'low')
+ * @property {string} [help] - Longer help text
+ * @property {string[]} [tags]
+ * @property {Record<string, any>} [properties]
+ */
+
+/**
+ * @typedef {object} SarifFinding
+ * @property {string} ruleId
+ * @property {string} severity
+ * @property {string} message
+ * @property {string} file - Project-relative path
+ * @property {number} [line]
+ * @property {string} [snippet]
+ * @property {string} [fingerprint] - Precomputed fingerprint (see computeFingerprint)
+ * @property {'new'|'unchanged'|'updated'|'absent'} [baselineState] - Set when compared against a baseline
+ * @property {Record<string, any>} [properties]
+ */
+
+/**
+ * Map pi severities to SARIF levels.
+ * @param {string} severity
+ * @returns {'error'|'warning'|'note'|'none'}
+ */
+export function sarifLevel(severity) {
+  switch (String(severity || '').toLowerCase()) {
+    case 'critical':
+    case 'high':
+    case 'error':
+      return 'error';
+    case 'medium':
+    case 'warning':
+      return 'warning';
+    case 'low':
+    case 'info':
+    case 'note':
+      return 'note';
+    default:
+      return 'none';
+  }
+}
+
+/**
+ * Stable fingerprint of a finding: rule + file + whitespace-normalized source
+ * line + occurrence index among identical lines. Line numbers are left out so
+ * edits above a finding don't change its identity.
+ *
+ * @param {{rule: string, file: string, snippet?: string}} finding
+ * @param {number} [occurrence]
+ * @returns {string}
+ */
+export function computeFingerprint(finding, occurrence = 0) {
+  const normalized = String(finding.snippet || '').replace(/\s+/g, ' ').trim();
+  return createHash('sha256')
+    .update([finding.rule, String(finding.file || '').replace(/\\/g, '/'), normalized, String(occurrence)].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Assign fingerprints to a list of findings (occurrence-aware).
+ * @template {{rule: string, file: string, snippet?: string, line?: number}} T
+ * @param {T[]} findings
+ * @returns {Array<T & {fingerprint: string}>}
+ */
+export function withFingerprints(findings) {
+  /** @type {Map<string, number>} */
+  const seen = new Map();
+  const ordered = findings
+    .map((f, idx) => ({ f, idx }))
+    .sort((a, b) => (String(a.f.file).localeCompare(String(b.f.file))) || ((a.f.line || 0) - (b.f.line || 0)) || (a.idx - b.idx));
+
+  /** @type {Array<T & {fingerprint: string}>} */
+  const out = new Array(findings.length);
+  for (const { f, idx } of ordered) {
+    const key = computeFingerprint(f);
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+    out[idx] = { ...f, fingerprint: computeFingerprint(f, occurrence) };
+  }
+  return out;
+}
+
+/**
+ * @returns {Promise<string>}
+ */
+async function toolVersion() {
+  const pkgPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'package.json');
+  const pkg = await readJsonSafe(pkgPath);
+  return typeof pkg?.version === 'string' ? pkg.version : '0.0.0';
+}
+
+/**
+ * Build a SARIF log with a single run.
+ *
+ * @param {{
+ *   root: string,
+ *   toolName?: string,
+ *   category?: string,
+ *   rules: SarifRuleInput[],
+ *   findings: SarifFinding[]
+ * }} input
+ * @returns {Promise<object>}
+ */
+export async function buildSarif({ root, toolName = 'pi', category, rules, findings }) {
+  const ruleIndex = new Map();
+  /** @type {SarifRuleInput[]} */
+  const allRules = [];
+  for (const rule of rules) {
+    if (ruleIndex.has(rule.id)) continue;
+    ruleIndex.set(rule.id, allRules.length);
+    allRules.push(rule);
+  }
+  // Findings of unknown rules still need rule metadata
+  for (const f of findings) {
+    if (ruleIndex.has(f.ruleId)) continue;
+    ruleIndex.set(f.ruleId, allRules.length);
+    allRules.push({ id: f.ruleId, description: f.ruleId, severity: f.severity });
+  }
+
+  // Keep fingerprints already assigned by the producer (same algorithm)
+  const computed = withFingerprints(findings.map(f => ({ ...f, rule: f.ruleId })));
+  const fingerprinted = computed.map((f, idx) => ({ ...f, fingerprint: findings[idx].fingerprint || f.fingerprint }));
+
+  const results = fingerprinted.map(f => {
+    /** @type {any} */
+    const region = { startLine: Math.max(1, Number(f.line) || 1) };
+    if (f.snippet) region.snippet = { text: f.snippet };
+
+    return {
+      ruleId: f.ruleId,
+      ruleIndex: ruleIndex.get(f.ruleId),
+      level: sarifLevel(f.severity),
+      message: { text: f.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: encodeURI(String(f.file).replace(/\\/g, '/')), uriBaseId: 'SRCROOT' },
+          region
+        }
+      }],
+      fingerprints: { [FINGERPRINT_KEY]: f.fingerprint },
+      partialFingerprints: { primaryLocationLineHash: f.fingerprint },
+      ...(f.baselineState ? { baselineState: f.baselineState } : {}),
+      ...(f.properties ? { properties: f.properties } : {})
+    };
+  });
+
+  const rootUri = pathToFileURL(path.resolve(root)).href;
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: toolName,
+          version: await toolVersion(),
+          rules: allRules.map(rule => ({
+            id: rule.id,
+            name: rule.id,
+            shortDescription: { text: rule.description },
+            ...(rule.help ? { help: { text: rule.help } } : {}),
+            defaultConfiguration: { level: sarifLevel(rule.severity || 'warning') },
+            properties: {
+              ...(rule.tags ? { tags: rule.tags } : {}),
+              ...(rule.properties || {})
+            }
+          }))
+        }
+      },
+      ...(category ? { automationDetails: { id: `${category}/` } } : {}),
+      originalUriBaseIds: {
+        SRCROOT: { uri: rootUri.endsWith('/') ? rootUri : `${rootUri}/` }
+      },
+      columnKind: 'utf16CodeUnits',
+      results
+    }]
+  };
+}
+
+/**
+ * Print a SARIF log to stdout, or write it to `--output`.
+ * @param {object} log
+ * @param {{output?: string, root: string}} options
+ */
+export async function emitSarif(log, options) {
+  if (options.output) {
+    const outPath = path.resolve(options.root, String(options.output));
+    await writeJsonSafe(outPath, log);
+    const count = /** @type {any} */ (log).runs?.[0]?.results?.length || 0;
+    console.error(`SARIF written to ${outPath} (${count} results)`);
+    return;
+  }
+  console.log(JSON.stringify(log, null, 2));
+}
@@ -95,6 +95,7 @@ export function parseArgs(args, defaults = {}) {
 
 /**
  * Glob pattern matching (simple implementation)
+ * "**\/" matches zero or more directories, so "**\/*.js" also matches "a.js".
  * @param {string} pattern
  * @param {string} str
  * @returns {boolean}
@@ -102,8 +103,10 @@ export function parseArgs(args, defaults = {}) {
 export function matchesPattern(pattern, str) {
   const regex = pattern
     .replace(/\./g, '\\.')
+    .replace(/\*\*\//g, '{{GLOBSTAR_DIR}}')
     .replace(/\*\*/g, '{{GLOBSTAR}}')
     .replace(/\*/g, '[^/]*')
+    .replace(/{{GLOBSTAR_DIR}}/g, '(?:.*/)?')
     .replace(/{{GLOBSTAR}}/g, '.*');
   return new RegExp(`^${regex}$`).test(str);
 }
@@ -0,0 +1,131 @@
+/**
+ * Cron expressions for recurring task schedules
+ * Five fields (minute hour day-of-month month day-of-week, local time) with
+ * `*`, lists, ranges and steps, plus @hourly / @daily / @weekly / @monthly.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/** Give up searching for a matching minute after this many days */
+const SEARCH_DAYS = 366 * 4;
+
+/**
+ * @typedef {object} CronSpec
+ * @property {string} expr - Normalized expression
+ * @property {Set<number>} minute
+ * @property {Set<number>} hour
+ * @property {Set<number>} dom
+ * @property {Set<number>} month
+ * @property {Set<number>} dow - 0 = Sunday (7 is folded into 0)
+ * @property {boolean} domAny
+ * @property {boolean} dowAny
+ */
+
+/**
+ * @param {string} field
+ * @param {{name: string, min: number, max: number}} def
+ * @returns {Set<number>}
+ */
+function parseField(field, def) {
+  const out = new Set();
+  for (const part of field.split(',')) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${def.name}: "${part}"`);
+
+    const step = m[3] === undefined ? 1 : Number(m[3]);
+    const start = m[1] === '*' ? def.min : Number(m[1]);
+    const end = m[1] === '*' ? def.max : (m[2] === undefined ? (m[3] === undefined ? start : def.max) : Number(m[2]));
+    if (step < 1 || start < def.min || end > def.max || start > end) {
+      throw new Error(`Invalid cron ${def.name}: "${part}" (allowed ${def.min}-${def.max})`);
+    }
+    for (let v = start; v <= end; v += step) out.add(v);
+  }
+  return out;
+}
+
+/**
+ * @param {string} expr
+ * @returns {CronSpec}
+ */
+export function parseCron(expr) {
+  const raw = String(expr || '').trim();
+  const normalized = ALIASES[/** @type {keyof typeof ALIASES} */ (raw.toLowerCase())] || raw;
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${raw}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) {
+    dow.delete(7);
+    dow.add(0);
+  }
+
+  return { expr: normalized, minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+/**
+ * Standard cron day rule: when both day fields are restricted, either may match
+ * @param {CronSpec} spec
+ * @param {Date} d
+ * @returns {boolean}
+ */
+function dayMatches(spec, d) {
+  const domOk = spec.dom.has(d.getDate());
+  const dowOk = spec.dow.has(d.getDay());
+  if (spec.domAny && spec.dowAny) return true;
+  if (spec.domAny) return dowOk;
+  if (spec.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+/**
+ * First matching minute strictly after `from`
+ * @param {CronSpec|string} cron
+ * @param {Date} [from]
+ * @returns {Date|null} null when nothing matches (e.g. "0 0 31 2 *")
+ */
+export function nextRun(cron, from = new Date()) {
+  const spec = typeof cron === 'string' ? parseCron(cron) : cron;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  const limit = from.getTime() + SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!spec.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(spec, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!spec.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!spec.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
@@ -2,4 +2,6 @@
  * Task module index
  */
 
-export { TaskManager, TASK_TYPES, handleTask } from './manager.js';
+export { TaskManager, TASK_TYPES, handleTask, resolveTaskCommand } from './manager.js';
+export { JobQueue, PRIORITIES, parsePriority } from './queue.js';
+export { parseCron, nextRun } from './cron.js';
@@ -1,14 +1,16 @@
 /**
  * Task manager - Centralized task management
- * Tracks running tasks, supports cancellation and retry
+ * Queues tasks (./queue.js), tracks running tasks, supports cancellation and retry
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
-import { readJsonSafe, writeJsonSafe } from '../shared.js';
+import { formatRelativeTime, readJsonSafe, writeJsonSafe } from '../shared.js';
 import { getCachePath, loadContext } from '../context.js';
+import { JobQueue } from './queue.js';
+import { loadUsage, summarizeUsage, formatUsage, formatTokens } from '../llm/usage.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 
@@ -17,11 +19,16 @@ const CLI_PATH = path.resolve(THIS_DIR, '../../cli.js');
 
 /**
  * Available task types
+ * - group: concurrency group shared across types (`tasks.groups` caps it; llm = 1 by default)
+ * - after: prerequisite types; queued/running jobs of these types run first
+ * - daemon: long-running, started directly instead of taking a queue slot
  */
 export const TASK_TYPES = {
   'module-analyzer': {
     command: 'pi module analyze',
     description: '文档更新 + 代码审计',
+    group: 'llm',
+    after: ['deps-build'],
     args: {
       '--stale': '仅过期模块 (默认)',
       '--missing': '仅缺失文档/审计',
@@ -37,10 +44,12 @@ export const TASK_TYPES = {
   'update-bg': {
     command: 'pi update --bg --daemon',
     description: '后台增量更新',
+    daemon: true,
     args: {
       '--interval': '轮询间隔 (ms, 默认 60000)',
       '--only': '仅更新 deps|test|doc',
-      '--force': '强制刷新 (忽略缓存时间)'
+      '--force': '强制刷新 (忽略缓存时间)',
+      '--llm': 'LLM 审查过期 CLAUDE.md (touch 或重写)'
     }
   },
   'check-stale': {
@@ -87,30 +96,42 @@ export const TASK_TYPES = {
   'test-fix': {
     command: 'pi test fix',
     description: '测试错误自动修复',
+    group: 'llm',
+    after: ['deps-build'],
     args: {
       '--dry-run': '只预览，不执行',
       '--concurrency': '并发数 (默认 5)',
       '--limit': '最多修复 N 个文件',
-      '--llm': '启用 LLM 模式'
+      '--llm': '启用 LLM 模式',
+      '--no-cluster': '每个文件单独修复 (不按根因聚类)',
+      '--attempts': '验证失败后最多尝试 N 次 (默认 1)',
+      '--no-verify': '不重跑测试验证，直接写入修复',
+      '--patch-mode': '让 LLM 输出 SEARCH/REPLACE 块 (=diff 输出 unified diff)，不重写整个文件'
     }
   },
   'test-generator': {
     command: 'pi test generate',
     description: '批量生成测试文件',
+    group: 'llm',
+    after: ['deps-build'],
     args: {
       '--dry-run': '只预览，不执行',
       '--concurrency': '并发数 (默认 3)',
-      '--llm': '启用 LLM 模式'
+      '--llm': '启用 LLM 模式',
+      '--patch-mode': '更新已有测试时只输出补丁 (search-replace|diff)'
     }
   },
   'audit-fix': {
     command: 'pi audit fix',
     description: '审计问题自动修复',
+    group: 'llm',
+    after: ['audit-scan'],
     args: {
       '--dry-run': '只预览，不执行',
       '--severity': '只修复指定级别 (LOW/MEDIUM/HIGH/CRITICAL)',
       '--module': '只修复指定模块',
-      '--concurrency': '并发数 (默认 3)'
+      '--concurrency': '并发数 (默认 3)',
+      '--patch-mode': '让 LLM 输出补丁而不是 JSON 改动 (search-replace|diff)'
     }
   },
   'test-result': {
@@ -134,6 +155,18 @@ export const TASK_TYPES = {
   }
 };
 
+/**
+ * Resolve a task definition's command; `pi` runs this CLI with the current node
+ * @param {{command: string}} taskDef
+ * @returns {{cmd: string, args: string[]}}
+ */
+export function resolveTaskCommand(taskDef) {
+  const [cmd, ...cmdArgs] = taskDef.command.split(' ');
+  return cmd === 'pi'
+    ? { cmd: process.execPath, args: [CLI_PATH, ...cmdArgs] }
+    : { cmd, args: cmdArgs };
+}
+
 /**
  * Task Manager class
  */
@@ -146,6 +179,7 @@ export class TaskManager {
     this.pidsPath = getCachePath(ctx.config, ctx.root, '.task-pids.json');
     /** @type {Map<string, Map<string, number>>} */
     this.runningPids = new Map();
+    this.queue = new JobQueue(ctx, TASK_TYPES);
   }
 
   /**
@@ -423,42 +457,47 @@ export class TaskManager {
   }
 
   /**
-   * Start a task
+   * Start a task: queue it (daemon types are spawned directly)
    * @param {string} taskType
    * @param {string[]} args
-   * @returns {Promise<{taskId: string, pid: number}>}
+   * @param {{priority?: string|number, after?: string[], withDeps?: boolean, retries?: number, cwd?: string}} [options]
+   * @returns {Promise<{taskId: string, pid: number|null, state: string}>}
    */
-  async start(taskType, args = []) {
+  async start(taskType, args = [], options = {}) {
     const taskDef = TASK_TYPES[taskType];
     if (!taskDef) {
       throw new Error(`Unknown task type: ${taskType}`);
     }
 
-    const taskId = `${taskType}-${Date.now()}`;
-    const [cmd, ...cmdArgs] = taskDef.command.split(' ');
-    const resolved = cmd === 'pi'
-      ? { cmd: process.execPath, args: [CLI_PATH, ...cmdArgs] }
-      : { cmd, args: cmdArgs };
-
-    const child = spawn(resolved.cmd, [...resolved.args, ...args], {
-      cwd: this.ctx.root,
-      stdio: 'inherit',
-      detached: true
-    });
+    if (taskDef.daemon) {
+      const taskId = `${taskType}-${Date.now()}`;
+      const resolved = resolveTaskCommand(taskDef);
+      const child = spawn(resolved.cmd, [...resolved.args, ...args], {
+        cwd: options.cwd || this.ctx.root,
+        stdio: 'ignore',
+        detached: true
+      });
+      child.unref();
 
-    child.unref();
-
-    await this.loadPids();
-    await this.registerPid(taskType, taskId, child.pid);
+      await this.loadPids();
+      await this.registerPid(taskType, taskId, child.pid);
+      return { taskId, pid: child.pid, state: 'running' };
+    }
 
-    return { taskId, pid: child.pid };
+    const job = await this.queue.enqueue(taskType, args, options);
+    return { taskId: job.id, pid: job.pid, state: job.state };
   }
 
   /**
-   * Cancel a running task
+   * Cancel a queued/running job, or a directly started (daemon) task
    * @param {string} taskId
    */
   async cancel(taskId) {
+    if (await this.queue.get(taskId)) {
+      await this.queue.cancel(taskId);
+      return true;
+    }
+
     await this.loadPids();
     let found = null;
     for (const [name, pids] of this.runningPids) {
@@ -487,12 +526,18 @@ export class TaskManager {
   }
 
   /**
-   * List running tasks
+   * List running tasks (queue jobs and directly started daemons)
    */
   async list() {
     await this.loadPids();
     const tasks = [];
 
+    const { jobs } = await this.queue.read();
+    for (const job of jobs) {
+      if (job.state !== 'running') continue;
+      tasks.push({ name: job.type, taskId: job.id, pid: job.pid, running: true });
+    }
+
     /** @type {Array<{name: string, taskId: string}>} */
     const dead = [];
 
@@ -522,6 +567,30 @@ export class TaskManager {
     return tasks.filter(t => t.running);
   }
 
+  /**
+   * Queue snapshot for the dashboard: active jobs first, then recent finished ones
+   * @param {{limit?: number}} [options]
+   */
+  async queueStatus(options = {}) {
+    const state = await this.queue.read();
+    const rank = { running: 0, queued: 1 };
+    const jobs = state.jobs
+      .slice()
+      .sort((a, b) => (rank[a.state] ?? 2) - (rank[b.state] ?? 2) ||
+        (a.state === 'queued' ? b.priority - a.priority : 0) ||
+        String(b.finishedAt || b.createdAt).localeCompare(String(a.finishedAt || a.createdAt)));
+    // LLM tokens recorded by the batches each job ran (lib/llm/usage.js)
+    const usage = summarizeUsage(await loadUsage(this.ctx.config, this.ctx.root));
+    return {
+      summary: this.queue.summary(state.jobs),
+      limits: this.queue.limits(),
+      usage,
+      jobs: jobs.slice(0, options.limit || 50).map(j => (usage.byJob[j.id] ? { ...j, usage: usage.byJob[j.id] } : j)),
+      schedules: state.schedules,
+      updatedAt: state.updatedAt
+    };
+  }
+
   /**
    * Get task types
    */
@@ -530,12 +599,13 @@ export class TaskManager {
   }
 
   /**
-   * Launch a task type from GUI (detached background)
+   * Launch a task type from GUI (queued)
    * @param {string} type
    * @param {string[]} args
    * @param {string} cwd
+   * @param {{priority?: string|number, after?: string[], withDeps?: boolean}} [options]
    */
-  async launchTask(type, args = [], cwd = this.ctx?.root || process.cwd()) {
+  async launchTask(type, args = [], cwd = this.ctx?.root || process.cwd(), options = {}) {
     const taskDef = TASK_TYPES[type];
     if (!taskDef) {
       return {
@@ -561,25 +631,20 @@ export class TaskManager {
       };
     }
 
-    const [cmd, ...cmdArgs] = taskDef.command.split(' ');
-    const resolved = cmd === 'pi'
-      ? { cmd: process.execPath, args: [CLI_PATH, ...cmdArgs] }
-      : { cmd, args: cmdArgs };
-
-    const child = spawn(resolved.cmd, [...resolved.args, ...args], {
-      cwd,
-      detached: true,
-      stdio: 'ignore'
-    });
-    child.unref();
-
-    return {
-      success: true,
-      pid: child.pid,
-      type,
-      args,
-      message: `Started ${type} (PID: ${child.pid})`
-    };
+    try {
+      const { taskId, pid, state } = await this.start(type, args, { ...options, cwd });
+      return {
+        success: true,
+        pid,
+        type,
+        args,
+        jobId: taskId,
+        state,
+        message: state === 'running' ? `Started ${type} (${taskId})` : `Queued ${type} (${taskId})`
+      };
+    } catch (err) {
+      return { success: false, pid: null, type, args, message: err.message, error: err.message };
+    }
   }
 
   /**
@@ -595,6 +660,23 @@ export class TaskManager {
   }
 }
 
+/**
+ * Task arguments: positionals after the type plus everything after `--`
+ * (so flags such as `--dry-run` reach the task instead of `pi task`)
+ * @param {string[]} positionals
+ */
+function passthroughArgs(positionals) {
+  const sep = process.argv.indexOf('--');
+  return [...positionals, ...(sep === -1 ? [] : process.argv.slice(sep + 1))];
+}
+
+/**
+ * @param {string|undefined} iso
+ */
+function ago(iso) {
+  return iso ? formatRelativeTime(Date.now() - Date.parse(iso)) : '-';
+}
+
 /**
  * CLI handler for task commands
  */
@@ -603,37 +685,80 @@ export async function handleTask(subcommand, args, ctx) {
 
   switch (subcommand) {
     case 'list': {
-      const tasks = await manager.list();
-      if (tasks.length === 0) {
-        console.log('No running tasks.');
-      } else {
-        console.log('Running tasks:');
-        for (const t of tasks) {
-          console.log(`  ${t.taskId} (PID: ${t.pid})`);
-        }
+      const status = await manager.queueStatus({ limit: args.limit || 20 });
+      const daemons = (await manager.list()).filter(t => !status.jobs.some(j => j.id === t.taskId));
+      const jobs = args.all ? status.jobs : status.jobs.filter(j => j.state === 'queued' || j.state === 'running');
+
+      if (args.json) {
+        console.log(JSON.stringify({ ...status, jobs, daemons }, null, 2));
+        return;
+      }
+
+      const s = status.summary;
+      console.log(`Queue: ${s.running} running, ${s.queued} queued, ${s.completed} completed, ${s.failed} failed, ${s.cancelled} cancelled (concurrency ${status.limits.concurrency})`);
+      if (jobs.length === 0 && daemons.length === 0) {
+        console.log(args.all ? 'No jobs.' : 'No running or queued tasks.');
+      }
+      for (const j of jobs) {
+        const when = j.state === 'running' ? `started ${ago(j.startedAt)}` :
+          j.state === 'queued' ? `queued ${ago(j.createdAt)}` : `finished ${ago(j.finishedAt)}`;
+        const extra = [
+          j.pid ? `PID: ${j.pid}` : null,
+          j.priority ? `priority ${j.priority}` : null,
+          j.state === 'queued' && j.dependsOn.length > 0 ? `after ${j.dependsOn.join(', ')}` : null,
+          j.attempts > 1 ? `attempt ${j.attempts}/${j.maxAttempts}` : null,
+          j.usage ? `${formatTokens(j.usage.totalTokens)} tokens` : null,
+          j.error && j.state !== 'completed' ? j.error : null
+        ].filter(Boolean);
+        console.log(`  ${j.state.padEnd(9)} ${j.id}  ${when}${extra.length ? `  (${extra.join('; ')})` : ''}`);
+      }
+      for (const t of daemons) {
+        console.log(`  daemon    ${t.taskId} (PID: ${t.pid})`);
+      }
+      if (status.schedules.length > 0) {
+        console.log(`Schedules: ${status.schedules.length} (pi task schedule list)`);
+      }
+      if (status.usage.runs > 0) {
+        const byType = Object.entries(status.usage.byTaskType)
+          .sort((a, b) => b[1].totalTokens - a[1].totalTokens)
+          .map(([type, u]) => `${type} ${formatTokens(u.totalTokens)}`);
+        console.log(`LLM usage: ${formatUsage(status.usage)} in ${status.usage.runs} run${status.usage.runs === 1 ? '' : 's'} (${byType.join(', ')})`);
       }
       break;
     }
 
     case 'start': {
-      const taskType = args._[3];
+      const taskType = args._[2];
       if (!taskType) {
         console.log('Available tasks:');
         for (const [name, def] of Object.entries(TASK_TYPES)) {
           console.log(`  ${name}: ${def.description}`);
         }
-        console.log('\nUsage: pi task start <type> [args...]');
+        console.log('\nUsage: pi task start <type> [--priority=high|normal|low|<n>] [--after=<jobId,...>] [--with-deps] [--retries=<n>] [-- task args...]');
         return;
       }
 
-      const taskArgs = args._.slice(4);
-      const { taskId, pid } = await manager.start(taskType, taskArgs);
-      console.log(`Started task ${taskId} (PID: ${pid})`);
+      const taskArgs = passthroughArgs(args._.slice(3));
+      const after = args.after ? String(args.after).split(',').map(s => s.trim()).filter(Boolean) : [];
+      const { taskId, pid, state } = await manager.start(taskType, taskArgs, {
+        priority: args.priority,
+        after,
+        withDeps: Boolean(args['with-deps']),
+        retries: args.retries
+      });
+
+      if (state === 'running') {
+        console.log(`Started task ${taskId} (PID: ${pid ?? 'starting'})`);
+      } else {
+        const job = await manager.queue.get(taskId);
+        const waiting = job?.dependsOn.length ? ` after ${job.dependsOn.join(', ')}` : '';
+        console.log(`Queued task ${taskId}${waiting}`);
+      }
       break;
     }
 
     case 'cancel': {
-      const taskId = args._[3];
+      const taskId = args._[2];
       if (!taskId) {
         console.error('Usage: pi task cancel <taskId>');
         process.exitCode = 1;
@@ -648,7 +773,12 @@ export async function handleTask(subcommand, args, ctx) {
     case 'types': {
       console.log('Available task types:');
       for (const [name, def] of Object.entries(TASK_TYPES)) {
-        console.log(`\n${name}: ${def.description}`);
+        const traits = [
+          def.group ? `group ${def.group}` : null,
+          def.after ? `after ${def.after.join(', ')}` : null,
+          def.daemon ? 'daemon' : null
+        ].filter(Boolean);
+        console.log(`\n${name}: ${def.description}${traits.length ? ` [${traits.join('; ')}]` : ''}`);
         for (const [arg, desc] of Object.entries(def.args)) {
           console.log(`  ${arg}: ${desc}`);
         }
@@ -656,9 +786,112 @@ export async function handleTask(subcommand, args, ctx) {
       break;
     }
 
+    case 'schedule': {
+      const action = args._[2] || 'list';
+
+      if (action === 'add') {
+        const taskType = args._[3];
+        if (!taskType || !args.cron || args.cron === true) {
+          console.error('Usage: pi task schedule add <type> --cron="<min hour dom mon dow>" [--priority=<p>] [-- task args...]');
+          process.exitCode = 1;
+          return;
+        }
+        if (TASK_TYPES[taskType]?.daemon) {
+          console.error(`${taskType} is a daemon and cannot be scheduled`);
+          process.exitCode = 1;
+          return;
+        }
+        const schedule = await manager.queue.addSchedule(taskType, passthroughArgs(args._.slice(4)), {
+          cron: String(args.cron),
+          priority: args.priority
+        });
+        console.log(`Added schedule ${schedule.id} (${schedule.cron}), next run ${schedule.nextRun}`);
+        return;
+      }
+
+      if (action === 'remove' || action === 'rm') {
+        const id = args._[3];
+        if (!id) {
+          console.error('Usage: pi task schedule remove <scheduleId>');
+          process.exitCode = 1;
+          return;
+        }
+        if (!(await manager.queue.removeSchedule(id))) {
+          console.error(`Schedule not found: ${id}`);
+          process.exitCode = 1;
+          return;
+        }
+        console.log(`Removed schedule ${id}`);
+        return;
+      }
+
+      if (action !== 'list') {
+        console.error(`Unknown schedule action: ${action}`);
+        console.error('Available: add, list, remove');
+        process.exitCode = 1;
+        return;
+      }
+
+      const { schedules } = await manager.queue.read();
+      if (args.json) {
+        console.log(JSON.stringify(schedules, null, 2));
+        return;
+      }
+      if (schedules.length === 0) {
+        console.log('No schedules.');
+        return;
+      }
+      for (const sc of schedules) {
+        const argText = sc.args.length ? ` ${sc.args.join(' ')}` : '';
+        console.log(`  ${sc.id}  "${sc.cron}"  ${sc.type}${argText}  next ${sc.nextRun || '-'}  last ${sc.lastJob || '-'}`);
+      }
+      break;
+    }
+
+    case 'tick': {
+      // Cron-friendly: recover orphans, fire due schedules, start queued jobs
+      const now = args.now && args.now !== true ? new Date(String(args.now)) : undefined;
+      if (now && Number.isNaN(now.getTime())) {
+        console.error(`Invalid --now: ${args.now}`);
+        process.exitCode = 1;
+        return;
+      }
+      const report = await manager.queue.tick({ now });
+      if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+      console.log(`Started ${report.started.length}, scheduled ${report.scheduled.length}, recovered ${report.recovered.length}, failed ${report.failed.length}`);
+      for (const [label, ids] of Object.entries(report)) {
+        for (const id of ids) console.log(`  ${label.padEnd(9)} ${id}`);
+      }
+      break;
+    }
+
+    case 'log': {
+      const taskId = args._[2];
+      const job = taskId ? await manager.queue.get(taskId) : null;
+      if (!job) {
+        console.error(taskId ? `Job not found: ${taskId}` : 'Usage: pi task log <jobId> [--tail=<lines>]');
+        process.exitCode = 1;
+        return;
+      }
+      let text = '';
+      try {
+        text = await fs.readFile(job.log, 'utf8');
+      } catch {
+        console.log(`No output yet (${job.state}).`);
+        return;
+      }
+      const lines = text.split('\n');
+      const tail = Number(args.tail) || 0;
+      process.stdout.write(tail > 0 ? lines.slice(-tail - 1).join('\n') : text);
+      break;
+    }
+
     default:
       console.error(`Unknown task subcommand: ${subcommand}`);
-      console.error('Available: list, start, cancel, types');
+      console.error('Available: list, start, cancel, types, schedule, tick, log');
       process.exitCode = 1;
   }
 }
@@ -714,6 +947,11 @@ async function main() {
     return;
   }
 
+  if (argv[0] === '--queue') {
+    console.log(JSON.stringify(await manager.queueStatus(), null, 2));
+    return;
+  }
+
   console.log(`Task Manager - Dashboard Task Operations
 
 Usage:
@@ -721,7 +959,8 @@ Usage:
   node lib/task/manager.js --cancel <name> <id>      Cancel running task
   node lib/task/manager.js --delete <name> <id>      Delete task record
   node lib/task/manager.js --delete-completed <name> Delete all completed tasks
-  node lib/task/manager.js --launch <type> [args]    Launch a task
+  node lib/task/manager.js --launch <type> [args]    Queue a task
+  node lib/task/manager.js --queue                   Show the job queue (JSON)
 `);
 }
 
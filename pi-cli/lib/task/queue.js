@@ -0,0 +1,591 @@
+/**
+ * Job queue - durable task queue behind TaskManager
+ *
+ * State lives in `.task-queue.json` (cache dir) and is only mutated under a
+ * lock directory, so the CLI, the dashboard and job runners can share it.
+ * There is no daemon: every enqueue, cancel, job exit and dashboard tick
+ * calls `tick()`, which recovers orphans, fires due schedules and starts
+ * queued jobs within the concurrency caps. Each job runs under a detached
+ * runner (./runner.js) that records its exit and ticks again.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { readJsonSafe } from '../shared.js';
+import { getCachePath } from '../context.js';
+import { nextRun, parseCron } from './cron.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+const RUNNER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'runner.js');
+
+const QUEUE_VERSION = 1;
+
+/** Named priorities; numbers are accepted as well (higher runs first) */
+export const PRIORITIES = { high: 10, normal: 0, low: -10 };
+
+/** Defaults for `tasks` in .pi-config.json */
+const DEFAULT_LIMITS = {
+  concurrency: 2,
+  perType: 1,
+  groups: { llm: 1 },
+  orphanRetries: 1,
+  keepFinished: 100
+};
+
+/** Runners refresh `heartbeatAt` this often; a job silent for ORPHAN_MS is orphaned */
+export const HEARTBEAT_MS = 15000;
+const ORPHAN_MS = 90000;
+
+/** A lock older than this is left over from a crashed process */
+const LOCK_STALE_MS = 30000;
+const LOCK_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {'queued'|'running'|'completed'|'failed'|'cancelled'} JobState
+ */
+
+/**
+ * @typedef {object} Job
+ * @property {string} id
+ * @property {string} type - TASK_TYPES key
+ * @property {string[]} args
+ * @property {string} cwd
+ * @property {number} priority
+ * @property {JobState} state
+ * @property {string[]} dependsOn - Job ids that must complete first
+ * @property {string} createdAt
+ * @property {string|null} startedAt
+ * @property {string|null} finishedAt
+ * @property {string|null} heartbeatAt
+ * @property {number|null} runnerPid
+ * @property {number|null} pid - Task process
+ * @property {number|null} exitCode
+ * @property {number} attempts
+ * @property {number} maxAttempts - Starts allowed for failures (1 + retries)
+ * @property {number} recovered - Times requeued after its runner vanished
+ * @property {boolean} [cancelRequested]
+ * @property {string|null} [schedule] - Schedule id that enqueued it
+ * @property {string|null} error
+ * @property {string} log - Log file (absolute)
+ */
+
+/**
+ * @typedef {object} Schedule
+ * @property {string} id
+ * @property {string} type
+ * @property {string[]} args
+ * @property {string} cron
+ * @property {number} priority
+ * @property {boolean} enabled
+ * @property {string} createdAt
+ * @property {string|null} lastRun
+ * @property {string|null} nextRun
+ * @property {string|null} lastJob
+ */
+
+/**
+ * @typedef {object} QueueState
+ * @property {number} version
+ * @property {Job[]} jobs
+ * @property {Schedule[]} schedules
+ * @property {string} updatedAt
+ */
+
+/**
+ * @param {string|number|undefined} input
+ * @returns {number}
+ */
+export function parsePriority(input) {
+  if (input === undefined || input === null || input === '' || input === true) return PRIORITIES.normal;
+  const named = PRIORITIES[/** @type {keyof typeof PRIORITIES} */ (String(input).toLowerCase())];
+  if (named !== undefined) return named;
+  const n = Number(input);
+  if (!Number.isFinite(n)) throw new Error(`Invalid priority: ${input} (high|normal|low or a number)`);
+  return n;
+}
+
+/**
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err?.code === 'EPERM';
+  }
+}
+
+/**
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class JobQueue {
+  /**
+   * @param {{root: string, config: ProjectConfig}} ctx
+   * @param {Record<string, any>} taskTypes - TASK_TYPES
+   */
+  constructor(ctx, taskTypes) {
+    this.ctx = ctx;
+    this.taskTypes = taskTypes;
+    this.queuePath = getCachePath(ctx.config, ctx.root, '.task-queue.json');
+    this.lockPath = `${this.queuePath}.lock`;
+    this.logDir = getCachePath(ctx.config, ctx.root, 'task-logs');
+  }
+
+  /**
+   * Effective limits from `tasks` in .pi-config.json
+   */
+  limits() {
+    const cfg = this.ctx.config?.tasks || {};
+    const perType = cfg.perType ?? DEFAULT_LIMITS.perType;
+    return {
+      concurrency: Math.max(1, Number(cfg.concurrency) || DEFAULT_LIMITS.concurrency),
+      perTypeDefault: typeof perType === 'number' ? Math.max(1, perType) : Math.max(1, Number(perType?.default) || DEFAULT_LIMITS.perType),
+      perType: perType && typeof perType === 'object' ? perType : {},
+      groups: { ...DEFAULT_LIMITS.groups, ...(cfg.groups || {}) },
+      orphanRetries: Number.isFinite(Number(cfg.orphanRetries)) ? Number(cfg.orphanRetries) : DEFAULT_LIMITS.orphanRetries,
+      keepFinished: Math.max(0, Number(cfg.keepFinished) || DEFAULT_LIMITS.keepFinished)
+    };
+  }
+
+  /**
+   * Snapshot of the queue (no lock; writes are atomic renames)
+   * @returns {Promise<QueueState>}
+   */
+  async read() {
+    const data = await readJsonSafe(this.queuePath, null);
+    if (!data || data.version !== QUEUE_VERSION || !Array.isArray(data.jobs)) {
+      return { version: QUEUE_VERSION, jobs: [], schedules: [], updatedAt: new Date().toISOString() };
+    }
+    if (!Array.isArray(data.schedules)) data.schedules = [];
+    return data;
+  }
+
+  async acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    await fs.mkdir(path.dirname(this.lockPath), { recursive: true });
+    for (;;) {
+      try {
+        await fs.mkdir(this.lockPath);
+        return;
+      } catch (err) {
+        if (err?.code !== 'EEXIST') throw err;
+      }
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.rm(this.lockPath, { recursive: true, force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Task queue is locked: ${this.lockPath}`);
+      await sleep(25 + Math.floor(Math.random() * 50));
+    }
+  }
+
+  async releaseLock() {
+    await fs.rm(this.lockPath, { recursive: true, force: true });
+  }
+
+  /**
+   * Read-modify-write under the queue lock
+   * @template T
+   * @param {(state: QueueState) => T|Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async update(fn) {
+    await this.acquireLock();
+    try {
+      const state = await this.read();
+      const result = await fn(state);
+      state.updatedAt = new Date().toISOString();
+      const tmp = `${this.queuePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(state, null, 2) + '\n');
+      await fs.rename(tmp, this.queuePath);
+      return result;
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * @param {QueueState} state
+   * @param {string} prefix
+   * @returns {string}
+   */
+  uniqueId(state, prefix) {
+    const taken = new Set([...state.jobs.map(j => j.id), ...state.schedules.map(s => s.id)]);
+    let n = Date.now();
+    while (taken.has(`${prefix}-${n}`)) n++;
+    return `${prefix}-${n}`;
+  }
+
+  /**
+   * Add a job. Prerequisite types (`after` in TASK_TYPES) that are queued or
+   * running become dependencies; `withDeps` enqueues missing ones first.
+   *
+   * @param {string} type
+   * @param {string[]} [args]
+   * @param {{priority?: string|number, after?: string[], withDeps?: boolean, retries?: number, cwd?: string, schedule?: string|null}} [options]
+   * @returns {Promise<Job>}
+   */
+  async enqueue(type, args = [], options = {}) {
+    const def = this.taskTypes[type];
+    if (!def) throw new Error(`Unknown task type: ${type}`);
+    const priority = parsePriority(options.priority);
+
+    const job = await this.update(state => {
+      const dependsOn = [];
+      for (const id of options.after || []) {
+        if (!state.jobs.some(j => j.id === id)) throw new Error(`Unknown job: ${id}`);
+        dependsOn.push(id);
+      }
+
+      for (const prereq of def.after || []) {
+        const active = state.jobs.filter(j => j.type === prereq && (j.state === 'queued' || j.state === 'running'));
+        if (active.length > 0) {
+          dependsOn.push(...active.map(j => j.id));
+        } else if (options.withDeps) {
+          const dep = this.newJob(state, prereq, [], { priority, cwd: options.cwd });
+          state.jobs.push(dep);
+          dependsOn.push(dep.id);
+        }
+      }
+
+      const created = this.newJob(state, type, args, { ...options, priority, dependsOn: Array.from(new Set(dependsOn)) });
+      state.jobs.push(created);
+      return created;
+    });
+
+    await this.tick();
+    return (await this.get(job.id)) || job;
+  }
+
+  /**
+   * @param {QueueState} state
+   * @param {string} type
+   * @param {string[]} args
+   * @param {{priority?: number, dependsOn?: string[], retries?: number, cwd?: string, schedule?: string|null}} options
+   * @returns {Job}
+   */
+  newJob(state, type, args, options) {
+    const id = this.uniqueId(state, type);
+    return {
+      id,
+      type,
+      args: args.map(String),
+      cwd: options.cwd || this.ctx.root,
+      priority: typeof options.priority === 'number' ? options.priority : PRIORITIES.normal,
+      state: 'queued',
+      dependsOn: options.dependsOn || [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      heartbeatAt: null,
+      runnerPid: null,
+      pid: null,
+      exitCode: null,
+      attempts: 0,
+      maxAttempts: 1 + Math.max(0, Number(options.retries) || 0),
+      recovered: 0,
+      schedule: options.schedule || null,
+      error: null,
+      log: path.join(this.logDir, `${id}.log`)
+    };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Job|null>}
+   */
+  async get(id) {
+    const state = await this.read();
+    return state.jobs.find(j => j.id === id) || null;
+  }
+
+  /**
+   * Cancel a queued job, or signal a running one (its runner records the end)
+   * @param {string} id
+   * @returns {Promise<Job>}
+   */
+  async cancel(id) {
+    const job = await this.update(state => {
+      const found = state.jobs.find(j => j.id === id);
+      if (!found) throw new Error(`Job not found: ${id}`);
+      if (found.state === 'queued') {
+        Object.assign(found, { state: 'cancelled', finishedAt: new Date().toISOString(), error: 'Cancelled by user' });
+      } else if (found.state === 'running') {
+        found.cancelRequested = true;
+        if (found.pid) {
+          try {
+            process.kill(found.pid, 'SIGTERM');
+          } catch (err) {
+            if (err?.code !== 'ESRCH') throw err;
+          }
+        }
+      }
+      return { ...found };
+    });
+
+    await this.tick();
+    return job;
+  }
+
+  /**
+   * Runner handshake: confirm the job is still assigned to this runner
+   * @param {string} id
+   * @param {number} runnerPid
+   * @returns {Promise<Job|null>}
+   */
+  async claim(id, runnerPid) {
+    return this.update(state => {
+      const job = state.jobs.find(j => j.id === id);
+      if (!job || job.state !== 'running' || (job.runnerPid && job.runnerPid !== runnerPid)) return null;
+      job.runnerPid = runnerPid;
+      return { ...job };
+    });
+  }
+
+  /**
+   * Called by the runner once the task process is spawned
+   * @param {string} id
+   * @param {number} pid
+   * @returns {Promise<Job|null>}
+   */
+  async markStarted(id, pid) {
+    return this.update(state => {
+      const job = state.jobs.find(j => j.id === id);
+      if (!job || job.state !== 'running') return null;
+      Object.assign(job, { pid, heartbeatAt: new Date().toISOString() });
+      return { ...job };
+    });
+  }
+
+  /**
+   * @param {string} id
+   */
+  async heartbeat(id) {
+    await this.update(state => {
+      const job = state.jobs.find(j => j.id === id);
+      if (job && job.state === 'running') job.heartbeatAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Record a finished run. Failures are requeued while attempts remain.
+   * @param {string} id
+   * @param {{exitCode: number|null, signal?: string|null, error?: string|null}} outcome
+   */
+  async markFinished(id, outcome) {
+    await this.update(state => {
+      const job = state.jobs.find(j => j.id === id);
+      if (!job || job.state !== 'running') return;
+
+      const now = new Date().toISOString();
+      job.exitCode = outcome.exitCode;
+      job.pid = null;
+      job.runnerPid = null;
+
+      if (job.cancelRequested) {
+        Object.assign(job, { state: 'cancelled', finishedAt: now, error: 'Cancelled by user' });
+      } else if (outcome.exitCode === 0) {
+        Object.assign(job, { state: 'completed', finishedAt: now, error: null });
+      } else {
+        const error = outcome.error || (outcome.signal ? `Killed by ${outcome.signal}` : `Exit code ${outcome.exitCode}`);
+        if (job.attempts < job.maxAttempts) {
+          Object.assign(job, { state: 'queued', startedAt: null, heartbeatAt: null, error });
+        } else {
+          Object.assign(job, { state: 'failed', finishedAt: now, error });
+        }
+      }
+    });
+  }
+
+  /**
+   * Add a recurring schedule
+   * @param {string} type
+   * @param {string[]} args
+   * @param {{cron: string, priority?: string|number}} options
+   * @returns {Promise<Schedule>}
+   */
+  async addSchedule(type, args, options) {
+    if (!this.taskTypes[type]) throw new Error(`Unknown task type: ${type}`);
+    const spec = parseCron(options.cron);
+    const next = nextRun(spec);
+    if (!next) throw new Error(`Cron expression never matches: ${options.cron}`);
+    const priority = parsePriority(options.priority);
+
+    return this.update(state => {
+      /** @type {Schedule} */
+      const schedule = {
+        id: this.uniqueId(state, `schedule-${type}`),
+        type,
+        args: args.map(String),
+        cron: spec.expr,
+        priority,
+        enabled: true,
+        createdAt: new Date().toISOString(),
+        lastRun: null,
+        nextRun: next.toISOString(),
+        lastJob: null
+      };
+      state.schedules.push(schedule);
+      return schedule;
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async removeSchedule(id) {
+    return this.update(state => {
+      const before = state.schedules.length;
+      state.schedules = state.schedules.filter(s => s.id !== id);
+      return state.schedules.length < before;
+    });
+  }
+
+  /**
+   * One scheduling pass:
+   * 1. running jobs whose runner vanished are requeued (or failed) as orphans
+   * 2. due schedules enqueue a job (missed runs collapse into one)
+   * 3. queued jobs whose dependency failed are failed
+   * 4. queued jobs start by priority within global / per-type / group caps
+   *
+   * @param {{now?: Date}} [options]
+   * @returns {Promise<{started: string[], recovered: string[], scheduled: string[], failed: string[]}>}
+   */
+  async tick(options = {}) {
+    const limits = this.limits();
+    return this.update(state => {
+      const now = options.now || new Date();
+      const nowIso = now.toISOString();
+      /** @type {{started: string[], recovered: string[], scheduled: string[], failed: string[]}} */
+      const report = { started: [], recovered: [], scheduled: [], failed: [] };
+
+      // Liveness uses the wall clock even when `now` is overridden for schedules
+      for (const job of state.jobs) {
+        if (job.state !== 'running') continue;
+        const beat = Date.parse(job.heartbeatAt || job.startedAt || '') || 0;
+        const stale = Date.now() - beat > ORPHAN_MS;
+        if (!stale && (!job.runnerPid || isAlive(job.runnerPid))) continue;
+
+        report.recovered.push(job.id);
+        if (job.cancelRequested) {
+          Object.assign(job, { state: 'cancelled', finishedAt: nowIso, error: 'Cancelled by user', pid: null, runnerPid: null });
+        } else if (job.recovered < limits.orphanRetries) {
+          Object.assign(job, { state: 'queued', recovered: job.recovered + 1, startedAt: null, heartbeatAt: null, pid: null, runnerPid: null, error: 'Runner vanished; requeued' });
+          job.attempts = Math.max(0, job.attempts - 1);
+        } else {
+          Object.assign(job, { state: 'failed', finishedAt: nowIso, error: 'Orphaned: runner vanished', pid: null, runnerPid: null });
+        }
+      }
+
+      for (const schedule of state.schedules) {
+        if (!schedule.enabled || !schedule.nextRun || Date.parse(schedule.nextRun) > now.getTime()) continue;
+        const previous = state.jobs.find(j => j.id === schedule.lastJob);
+        const busy = previous && (previous.state === 'queued' || previous.state === 'running');
+        if (!busy && this.taskTypes[schedule.type]) {
+          const job = this.newJob(state, schedule.type, schedule.args, { priority: schedule.priority, schedule: schedule.id });
+          state.jobs.push(job);
+          schedule.lastJob = job.id;
+          report.scheduled.push(job.id);
+        }
+        schedule.lastRun = nowIso;
+        schedule.nextRun = nextRun(schedule.cron, now)?.toISOString() || null;
+      }
+
+      const byId = new Map(state.jobs.map(j => [j.id, j]));
+      for (const job of state.jobs) {
+        if (job.state !== 'queued') continue;
+        const broken = job.dependsOn.find(id => {
+          const dep = byId.get(id);
+          return !dep || dep.state === 'failed' || dep.state === 'cancelled';
+        });
+        if (broken) {
+          Object.assign(job, { state: 'failed', finishedAt: nowIso, error: `Dependency ${broken} did not complete` });
+          report.failed.push(job.id);
+        }
+      }
+
+      const running = state.jobs.filter(j => j.state === 'running');
+      const ready = state.jobs
+        .filter(j => j.state === 'queued' && j.dependsOn.every(id => byId.get(id)?.state === 'completed'))
+        .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+
+      for (const job of ready) {
+        if (running.length >= limits.concurrency) break;
+        const def = this.taskTypes[job.type] || {};
+        const typeCap = Number(limits.perType[job.type]) || limits.perTypeDefault;
+        if (running.filter(j => j.type === job.type).length >= typeCap) continue;
+        const group = def.group;
+        if (group && limits.groups[group] !== undefined) {
+          const inGroup = running.filter(j => this.taskTypes[j.type]?.group === group).length;
+          if (inGroup >= Number(limits.groups[group])) continue;
+        }
+
+        Object.assign(job, { state: 'running', startedAt: nowIso, heartbeatAt: nowIso, attempts: job.attempts + 1, runnerPid: this.spawnRunner(job) });
+        running.push(job);
+        report.started.push(job.id);
+      }
+
+      this.pruneFinished(state, limits.keepFinished);
+      return report;
+    });
+  }
+
+  /**
+   * @param {Job} job
+   * @returns {number|null}
+   */
+  spawnRunner(job) {
+    const child = spawn(process.execPath, [RUNNER_PATH, this.ctx.root, job.id], {
+      cwd: this.ctx.root,
+      detached: true,
+      stdio: 'ignore'
+    });
+    child.unref();
+    return child.pid || null;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond `keep` (dependencies of queued jobs stay)
+   * @param {QueueState} state
+   * @param {number} keep
+   */
+  pruneFinished(state, keep) {
+    const finished = state.jobs.filter(j => j.state === 'completed' || j.state === 'failed' || j.state === 'cancelled');
+    if (finished.length <= keep) return;
+    const needed = new Set(state.jobs.filter(j => j.state === 'queued').flatMap(j => j.dependsOn));
+    const drop = new Set(
+      finished
+        .sort((a, b) => String(a.finishedAt).localeCompare(String(b.finishedAt)))
+        .slice(0, finished.length - keep)
+        .filter(j => !needed.has(j.id))
+        .map(j => j.id)
+    );
+    state.jobs = state.jobs.filter(j => !drop.has(j.id));
+  }
+
+  /**
+   * @param {Job[]} jobs
+   */
+  summary(jobs) {
+    return {
+      total: jobs.length,
+      queued: jobs.filter(j => j.state === 'queued').length,
+      running: jobs.filter(j => j.state === 'running').length,
+      completed: jobs.filter(j => j.state === 'completed').length,
+      failed: jobs.filter(j => j.state === 'failed').length,
+      cancelled: jobs.filter(j => j.state === 'cancelled').length
+    };
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Job runner - runs one queued job in a detached process
+ *
+ * Spawned by JobQueue.tick(): claims the job, runs the task command with
+ * output appended to the job log, keeps a heartbeat, records the exit and
+ * ticks the queue so waiting jobs start.
+ *
+ * Usage: node lib/task/runner.js <projectRoot> <jobId>
+ */
+
+import { promises as fs, openSync, closeSync } from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadContext } from '../context.js';
+import { JobQueue, HEARTBEAT_MS } from './queue.js';
+import { TASK_TYPES, resolveTaskCommand } from './manager.js';
+
+/**
+ * @param {string} root
+ * @param {string} jobId
+ */
+async function run(root, jobId) {
+  const ctx = await loadContext(root);
+  const queue = new JobQueue(ctx, TASK_TYPES);
+
+  const job = await queue.claim(jobId, process.pid);
+  if (!job) return;
+
+  const def = TASK_TYPES[job.type];
+  if (!def) {
+    await queue.markFinished(jobId, { exitCode: null, error: `Unknown task type: ${job.type}` });
+    await queue.tick();
+    return;
+  }
+
+  await fs.mkdir(path.dirname(job.log), { recursive: true });
+  const logFd = openSync(job.log, 'a');
+  const header = `\n=== ${new Date().toISOString()} ${job.id} attempt ${job.attempts}: ${def.command} ${job.args.join(' ')}\n`;
+  await fs.appendFile(job.log, header);
+
+  const heartbeat = setInterval(() => {
+    queue.heartbeat(jobId).catch(() => {});
+  }, HEARTBEAT_MS);
+
+  const resolved = resolveTaskCommand(def);
+  const child = spawn(resolved.cmd, [...resolved.args, ...job.args], {
+    cwd: job.cwd || ctx.root,
+    stdio: ['ignore', logFd, logFd],
+    env: { ...process.env, PI_JOB_ID: job.id }
+  });
+
+  // Cancelled between dispatch and spawn: the pid was not known to cancel()
+  const started = child.pid
+    ? queue.markStarted(jobId, child.pid).then((current) => {
+      if (current?.cancelRequested) child.kill('SIGTERM');
+    }).catch(() => {})
+    : Promise.resolve();
+
+  /** @type {{exitCode: number|null, signal?: string|null, error?: string|null}} */
+  const outcome = await new Promise((resolve) => {
+    let spawnError = null;
+    child.on('error', (err) => {
+      spawnError = err.message;
+    });
+    child.on('close', (code, signal) => resolve({ exitCode: code, signal, error: spawnError }));
+  });
+  await started;
+
+  clearInterval(heartbeat);
+  closeSync(logFd);
+  await queue.markFinished(jobId, outcome);
+  await queue.tick();
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const [root, jobId] = process.argv.slice(2);
+  if (!root || !jobId) {
+    console.error('Usage: node lib/task/runner.js <projectRoot> <jobId>');
+    process.exitCode = 1;
+  } else {
+    run(root, jobId).catch((err) => {
+      console.error(err?.stack || err?.message || String(err));
+      process.exitCode = 1;
+    });
+  }
+}
@@ -7,6 +7,7 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { readJsonSafe, writeJsonSafe, matchesPattern } from '../shared.js';
 import { getCachePath } from '../context.js';
+import { buildSarif, emitSarif } from '../sarif.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 
@@ -22,6 +23,7 @@ import { getCachePath } from '../context.js';
  * @property {string} testName
  * @property {string} description
  * @property {string} [suggestion]
+ * @property {string} [snippet] - Trimmed source line
  */
 
 /**
@@ -51,6 +53,18 @@ const PATTERNS = {
   ]
 };
 
+/**
+ * Rule metadata per issue type (SARIF output)
+ */
+const ISSUE_RULES = {
+  pseudo: { severity: 'warning', description: 'Test without assertions', help: 'Add expect() or assert() calls that check real behavior.' },
+  weak: { severity: 'warning', description: 'Weak or meaningless assertion', help: 'Replace with specific value checks.' },
+  skipped: { severity: 'info', description: 'Skipped or TODO test', help: 'Remove skip or implement the test.' },
+  commented: { severity: 'info', description: 'Commented-out test', help: 'Restore or delete the commented test.' },
+  empty: { severity: 'warning', description: 'Empty test body', help: 'Implement the test or remove it.' },
+  flaky: { severity: 'warning', description: 'Time/random dependent test', help: 'Mock time and random functions.' }
+};
+
 const IGNORE_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
 
 /**
@@ -64,7 +78,10 @@ export async function analyzeTests(ctx, args) {
   // Find test files
   const testFiles = await findTestFiles(root, config);
 
-  console.log(`Analyzing ${testFiles.length} test files...`);
+  // Keep stdout machine-readable for --json / --format=sarif
+  if (!args.json && args.format !== 'sarif') {
+    console.log(`Analyzing ${testFiles.length} test files...`);
+  }
 
   /** @type {TestIssue[]} */
   const issues = [];
@@ -95,7 +112,28 @@ export async function analyzeTests(ctx, args) {
   const cachePath = getCachePath(config, root, '.test-analyzer-result.json');
   await writeJsonSafe(cachePath, result);
 
-  if (args.json) {
+  if (args.format === 'sarif') {
+    const sarif = await buildSarif({
+      root,
+      category: 'pi-test-analyze',
+      rules: Object.entries(ISSUE_RULES).map(([type, meta]) => ({
+        id: `test-quality/${type}`,
+        description: meta.description,
+        help: meta.help,
+        severity: meta.severity,
+        tags: ['test-quality']
+      })),
+      findings: issues.map(issue => ({
+        ruleId: `test-quality/${issue.type}`,
+        severity: ISSUE_RULES[issue.type]?.severity || 'warning',
+        message: issue.testName && issue.testName !== 'unknown' ? `${issue.description} (${issue.testName})` : issue.description,
+        file: issue.file,
+        line: issue.line,
+        snippet: issue.snippet
+      }))
+    });
+    await emitSarif(sarif, { root, output: args.output });
+  } else if (args.json) {
     console.log(JSON.stringify(result, null, 2));
   } else if (args.summary) {
     console.log(`Test Quality Analysis:`);
@@ -156,7 +194,8 @@ async function analyzeFile(absPath, relPath) {
           file: relPath,
           line,
           testName: extractTestName(lines[line - 1] || ''),
-          description: desc
+          description: desc,
+          snippet: (lines[line - 1] || '').trim().slice(0, 80)
         });
       }
     }
@@ -172,7 +211,8 @@ async function analyzeFile(absPath, relPath) {
         line: block.line,
         testName: block.name,
         description: 'Test has no assertions',
-        suggestion: 'Add expect() or assert() calls'
+        suggestion: 'Add expect() or assert() calls',
+        snippet: (lines[block.line - 1] || '').trim().slice(0, 80)
       });
     }
   }
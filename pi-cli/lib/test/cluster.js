@@ -0,0 +1,284 @@
+/**
+ * Failure clustering - group failing tests by root cause
+ *
+ * Each failure gets a key of (error type, message template, anchor):
+ * - message template: first line with quoted values, numbers, paths, ids
+ *   replaced by placeholders ("reading 'foo'" and "reading 'bar'" match)
+ * - anchor: the top stack frame in project code outside the tests
+ *   (`core/bus.js:120`), else the missing module for resolution errors,
+ *   else the top frame in the test file itself
+ *
+ * Failures sharing a key are one cluster; fixing the representative is
+ * expected to fix the rest.
+ */
+
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * @typedef {object} StackFrame
+ * @property {string} file - Root-relative posix path
+ * @property {number} line
+ * @property {string} fn - Normalized function name ('' when anonymous)
+ */
+
+/**
+ * @typedef {object} FailureCluster
+ * @property {string} id - Stable short hash of the key
+ * @property {string} key
+ * @property {'source'|'module'|'test'} kind - What the anchor points at
+ * @property {string} location - `file:line` (source/test) or module specifier
+ * @property {StackFrame|null} frame
+ * @property {string} errorType
+ * @property {string} template
+ * @property {number} count
+ * @property {string[]} testFiles - As reported (they key the errors of each file)
+ * @property {Array<{testFile: string, test: string}>} tests
+ * @property {{testFile: string, test: string, message: string, stack: string}} representative - testFile root-relative
+ */
+
+const TEST_PATH_RE = /(?:^|\/)(?:__tests__|__mocks__|tests?|spec)\/|[._-](?:test|spec)\.[cm]?[jt]sx?$|(?:^|\/)test_[^/]+\.py$|_test\.(?:py|go)$/;
+
+const MODULE_RE = /(?:Cannot find (?:module|package)|Failed to resolve import|Cannot resolve(?: module)?|Module not found:[^'"]*|No module named)\s+['"]([^'"]+)['"]/i;
+
+/** V8 (`at fn (file:1:2)`), SpiderMonkey/JSC (`fn@file:1:2`), Python (`File "x.py", line 3, in fn`) */
+const FRAME_PATTERNS = [
+  /^\s*at\s+(?:(.+?)\s+\()?((?:file:\/\/)?[^\s()]+?):(\d+)(?::\d+)?\)?\s*$/,
+  /^\s*([^@\s]*)@((?:file:\/\/)?[^\s@]+?):(\d+)(?::\d+)?\s*$/
+];
+const PY_FRAME_RE = /^\s*File "([^"]+)", line (\d+)(?:, in (\S+))?/;
+
+/**
+ * Error class of a failure (TypeError, AssertionError, ...)
+ * @param {string} message
+ * @param {string} stack
+ * @returns {string}
+ */
+export function extractErrorType(message, stack) {
+  const haystack = `${message}\n${stack}`.trim();
+
+  const match = haystack.match(/\b(TypeError|ReferenceError|SyntaxError|RangeError|URIError|EvalError|AggregateError|AssertionError)\b/);
+  if (match) return match[1];
+
+  // Common Jest/Vitest assertion outputs without explicit "AssertionError"
+  if (/\bexpect\(.+\)\./i.test(haystack) || /\btoBe\b|\btoEqual\b|\btoMatch\b/i.test(haystack)) {
+    return 'AssertionError';
+  }
+
+  if (/\bError\b/.test(haystack)) return 'Error';
+  return 'Unknown';
+}
+
+/**
+ * First message line with variable parts replaced by placeholders
+ * @param {string} message
+ * @returns {string}
+ */
+export function messageTemplate(message) {
+  const first = String(message || '')
+    .replace(/\x1b\[[0-9;]*m/g, '')
+    .split('\n')
+    .map(l => l.trim())
+    .find(Boolean) || '';
+
+  return first
+    .replace(/^(?:\w*Error|Error)(?: \[[A-Z_]+\])?:\s*/, '')
+    .replace(/(['"`])(?:(?!\1)[^\n]){0,300}\1/g, '<str>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+    .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+    .replace(/(?:file:\/\/)?(?:[A-Za-z]:)?(?:[\\/][\w.@-]+){2,}(?::\d+){0,2}/g, '<path>')
+    .replace(/(?<![\w.])-?\d+(?:\.\d+)?/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+}
+
+/**
+ * @param {string} raw
+ * @returns {string}
+ */
+function normalizeFnName(raw) {
+  const fn = String(raw || '')
+    .replace(/^async\s+/, '')
+    .replace(/^new\s+/, '')
+    .replace(/\s+\[as [^\]]+\]$/, '')
+    .trim();
+  return /<anonymous>|^Object\.$|^$/.test(fn) ? '' : fn.replace(/^Object\./, '');
+}
+
+/**
+ * Project frames of a stack, innermost first. Runtime internals,
+ * node_modules and files outside the root are dropped.
+ *
+ * @param {string} stack
+ * @param {string} root
+ * @returns {StackFrame[]}
+ */
+export function parseStackFrames(stack, root) {
+  /** @type {StackFrame[]} */
+  const frames = [];
+
+  for (const line of String(stack || '').split('\n')) {
+    let file = '';
+    let lineNo = 0;
+    let fn = '';
+
+    const py = line.match(PY_FRAME_RE);
+    if (py) {
+      [, file, , fn] = py;
+      lineNo = Number(py[2]);
+    } else {
+      for (const re of FRAME_PATTERNS) {
+        const m = line.match(re);
+        if (!m) continue;
+        fn = m[1] || '';
+        file = m[2];
+        lineNo = Number(m[3]);
+        break;
+      }
+    }
+    if (!file || !lineNo) continue;
+
+    if (file.startsWith('file://')) {
+      try {
+        file = fileURLToPath(file);
+      } catch {
+        continue;
+      }
+    }
+    if (file.startsWith('node:') || file.startsWith('internal/') || /(?:^|[\\/])node_modules[\\/]/.test(file)) continue;
+
+    const abs = path.isAbsolute(file) ? file : path.join(root, file);
+    const rel = path.relative(root, abs).replace(/\\/g, '/');
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) continue;
+
+    frames.push({ file: rel, line: lineNo, fn: normalizeFnName(fn) });
+  }
+
+  return frames;
+}
+
+/**
+ * @param {string} file
+ * @param {Set<string>} testFiles
+ * @returns {boolean}
+ */
+function isTestPath(file, testFiles) {
+  return testFiles.has(file) || TEST_PATH_RE.test(file);
+}
+
+/**
+ * Root-relative posix path for paths under root; anything else unchanged
+ * @param {string} file - Path, file:// URL or bare module specifier
+ * @param {string} root
+ * @returns {string}
+ */
+function relativeToRoot(file, root) {
+  let abs = file;
+  if (abs.startsWith('file://')) {
+    try {
+      abs = fileURLToPath(abs);
+    } catch {
+      return file;
+    }
+  }
+  if (!path.isAbsolute(abs)) return file;
+  const rel = path.relative(root, abs).replace(/\\/g, '/');
+  return rel && !rel.startsWith('..') ? rel : file;
+}
+
+/**
+ * Root-cause key of one failure
+ * @param {{testFile?: string, message?: string, stack?: string}} err
+ * @param {{root: string, testFiles: Set<string>}} options
+ * @returns {{key: string, kind: 'source'|'module'|'test', location: string, frame: StackFrame|null, errorType: string, template: string}}
+ */
+export function failureSignature(err, options) {
+  const message = String(err?.message || '');
+  const stack = String(err?.stack || '');
+  const errorType = extractErrorType(message, stack);
+  const template = messageTemplate(message);
+  const testFile = relativeToRoot(String(err?.testFile || ''), options.root);
+
+  const moduleMatch = `${message}\n${stack}`.match(MODULE_RE);
+  const frames = parseStackFrames(stack, options.root);
+  const sourceFrame = frames.find(f => !isTestPath(f.file, options.testFiles)) || null;
+
+  if (sourceFrame) {
+    const location = `${sourceFrame.file}:${sourceFrame.line}`;
+    return { key: `source|${errorType}|${template}|${location}`, kind: 'source', location, frame: sourceFrame, errorType, template };
+  }
+
+  if (moduleMatch) {
+    const location = relativeToRoot(moduleMatch[1], options.root);
+    return { key: `module|${location}`, kind: 'module', location, frame: null, errorType, template };
+  }
+
+  // Failures thrown in the test itself only cluster within that file
+  const testFrame = frames.find(f => f.file === testFile) || frames[0] || null;
+  const location = testFrame ? `${testFrame.file}:${testFrame.line}` : testFile;
+  return { key: `test|${errorType}|${template}|${location}`, kind: 'test', location, frame: testFrame, errorType, template };
+}
+
+/**
+ * Cluster failures by root cause, largest cluster first
+ *
+ * @param {any[]} errors - `.test-result.json` errors
+ * @param {{root?: string}} [options]
+ * @returns {FailureCluster[]}
+ */
+export function clusterFailures(errors = [], options = {}) {
+  const list = Array.isArray(errors) ? errors : [];
+  const root = options.root || process.cwd();
+  const testFiles = new Set(list.map(e => relativeToRoot(String(e?.testFile || ''), root)).filter(Boolean));
+
+  /** @type {Map<string, FailureCluster>} */
+  const clusters = new Map();
+
+  for (const err of list) {
+    const sig = failureSignature(err, { root, testFiles });
+    let cluster = clusters.get(sig.key);
+    if (!cluster) {
+      cluster = {
+        id: createHash('sha1').update(sig.key).digest('hex').slice(0, 8),
+        key: sig.key,
+        kind: sig.kind,
+        location: sig.location,
+        frame: sig.frame,
+        errorType: sig.errorType,
+        template: sig.template,
+        count: 0,
+        testFiles: [],
+        tests: [],
+        representative: {
+          testFile: relativeToRoot(String(err?.testFile || ''), root),
+          test: String(err?.test || '(unknown)'),
+          message: String(err?.message || '').slice(0, 2000),
+          stack: String(err?.stack || '').slice(0, 4000)
+        }
+      };
+      clusters.set(sig.key, cluster);
+    }
+
+    cluster.count++;
+    const testFile = String(err?.testFile || '');
+    if (testFile && !cluster.testFiles.includes(testFile)) cluster.testFiles.push(testFile);
+    cluster.tests.push({ testFile, test: String(err?.test || '(unknown)') });
+  }
+
+  const rank = { source: 0, module: 1, test: 2 };
+  return [...clusters.values()].sort((a, b) =>
+    b.count - a.count || b.testFiles.length - a.testFiles.length || rank[a.kind] - rank[b.kind] || a.location.localeCompare(b.location));
+}
+
+/**
+ * One-line description: "src/bus.js:120 (emit)", "missing module ./x.js"
+ * @param {FailureCluster} cluster
+ * @returns {string}
+ */
+export function describeCluster(cluster) {
+  if (cluster.kind === 'module') return `missing module ${cluster.location}`;
+  const fn = cluster.frame?.fn ? ` (${cluster.frame.fn})` : '';
+  return `${cluster.location}${fn}`;
+}
@@ -0,0 +1,676 @@
+/**
+ * Coverage map - which test executes which source lines
+ *
+ * Inputs (`pi test map --coverage=<path>`):
+ * - lcov (`lcov.info`); `TN:` sections naming a test file give per-test data
+ * - Istanbul `coverage-final.json` (aggregate only)
+ * - V8 directory (`NODE_V8_COVERAGE=<dir>`); one report per process, attributed
+ *   to the test file the process loaded (node:test runs each file in its own process)
+ *
+ * Written to `.test-coverage.json`; used by `pi test affected`, `prioritize`
+ * and `pi test status`.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJsonSafe, runCommand, writeJsonSafe } from '../shared.js';
+import { getCachePath } from '../context.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+const COVERAGE_FILE = '.test-coverage.json';
+const COVERAGE_VERSION = 1;
+
+/** Defaults for `testing.coverage` in .stale-config.json (percent, 0 = off) */
+const DEFAULTS = { target: 0, minimum: 0 };
+
+/**
+ * @typedef {object} FileHits
+ * @property {Map<number, number>} lines - line -> hit count
+ * @property {Map<string, number>} branches - branch id -> hit count
+ */
+
+/**
+ * @typedef {object} CoverageRecord
+ * @property {string|null} test - Test file (absolute or as reported), null = unattributed
+ * @property {Map<string, FileHits>} files - Keyed by reported path
+ */
+
+/**
+ * @typedef {object} FileCoverage
+ * @property {{total: number, covered: number}} lines
+ * @property {{total: number, covered: number}} branches
+ * @property {string} uncovered - Uncovered lines as ranges ("3-5,9")
+ */
+
+/**
+ * @typedef {object} CoverageMap
+ * @property {number} version
+ * @property {string} generated
+ * @property {'lcov'|'istanbul'|'v8'} format
+ * @property {string} source - Input path (project-relative when inside the project)
+ * @property {Record<string, FileCoverage>} files - Source file -> aggregate coverage
+ * @property {Record<string, Record<string, string>>} tests - Test file -> source file -> covered line ranges
+ * @property {{files: number, tests: number, unattributed: number, outside: number}} stats
+ */
+
+/**
+ * `testing.coverage` thresholds
+ * @param {any} staleConfig
+ * @returns {{target: number, minimum: number}}
+ */
+export function coverageSettings(staleConfig) {
+  const cfg = staleConfig?.testing?.coverage || {};
+  const pct = (/** @type {any} */ v, /** @type {number} */ d) => (Number.isFinite(Number(v)) && v !== '' && v !== null ? Number(v) : d);
+  return { target: pct(cfg.target, DEFAULTS.target), minimum: pct(cfg.minimum, DEFAULTS.minimum) };
+}
+
+/**
+ * Compress sorted line numbers into "1-4,7"
+ * @param {number[]} lines
+ * @returns {string}
+ */
+export function formatRanges(lines) {
+  const sorted = Array.from(new Set(lines)).sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (i + 1 < sorted.length && sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(start === sorted[i] ? String(start) : `${start}-${sorted[i]}`);
+  }
+  return parts.join(',');
+}
+
+/**
+ * @param {string} ranges - "1-4,7"
+ * @returns {Array<[number, number]>}
+ */
+export function parseRanges(ranges) {
+  /** @type {Array<[number, number]>} */
+  const out = [];
+  for (const part of String(ranges || '').split(',')) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (m) out.push([Number(m[1]), Number(m[2] ?? m[1])]);
+  }
+  return out;
+}
+
+/**
+ * @param {number} covered
+ * @param {number} total
+ * @returns {number|null} Percent with one decimal, null when nothing is measurable
+ */
+export function percent(covered, total) {
+  return total > 0 ? Math.round((covered / total) * 1000) / 10 : null;
+}
+
+/**
+ * @param {CoverageRecord} record
+ * @param {string} file
+ * @returns {FileHits}
+ */
+function hitsFor(record, file) {
+  let hits = record.files.get(file);
+  if (!hits) {
+    hits = { lines: new Map(), branches: new Map() };
+    record.files.set(file, hits);
+  }
+  return hits;
+}
+
+/**
+ * @param {Map<any, number>} map
+ * @param {any} key
+ * @param {number} count
+ */
+function addHit(map, key, count) {
+  map.set(key, Math.max(map.get(key) || 0, Number(count) || 0));
+}
+
+// ============================================================
+// Parsers
+// ============================================================
+
+/**
+ * Parse lcov tracefile data; one record per `TN:` test name
+ * @param {string} text
+ * @returns {CoverageRecord[]}
+ */
+export function parseLcov(text) {
+  /** @type {Map<string, CoverageRecord>} */
+  const byTest = new Map();
+  let testName = '';
+  /** @type {FileHits|null} */
+  let hits = null;
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    const idx = line.indexOf(':');
+    const tag = idx === -1 ? line : line.slice(0, idx);
+    const value = idx === -1 ? '' : line.slice(idx + 1);
+
+    if (tag === 'TN') {
+      testName = value.trim();
+    } else if (tag === 'SF') {
+      if (!byTest.has(testName)) byTest.set(testName, { test: testName || null, files: new Map() });
+      hits = hitsFor(/** @type {CoverageRecord} */ (byTest.get(testName)), value.trim());
+    } else if (tag === 'DA' && hits) {
+      const [ln, count] = value.split(',');
+      addHit(hits.lines, Number(ln), Number(count));
+    } else if (tag === 'BRDA' && hits) {
+      const [ln, block, branch, taken] = value.split(',');
+      addHit(hits.branches, `${ln}:${block}:${branch}`, taken === '-' ? 0 : Number(taken));
+    } else if (tag === 'end_of_record') {
+      hits = null;
+    }
+  }
+
+  return [...byTest.values()];
+}
+
+/**
+ * Parse an Istanbul `coverage-final.json` object (statement and branch maps)
+ * @param {Record<string, any>} data
+ * @returns {CoverageRecord[]}
+ */
+export function parseIstanbul(data) {
+  /** @type {CoverageRecord} */
+  const record = { test: null, files: new Map() };
+
+  for (const [key, entry] of Object.entries(data || {})) {
+    if (!entry || typeof entry !== 'object' || !entry.statementMap) continue;
+    const hits = hitsFor(record, entry.path || key);
+
+    for (const [id, loc] of Object.entries(entry.statementMap)) {
+      const ln = Number(loc?.start?.line);
+      if (ln > 0) addHit(hits.lines, ln, entry.s?.[id]);
+    }
+    for (const [id, counts] of Object.entries(entry.b || {})) {
+      (Array.isArray(counts) ? counts : []).forEach((count, i) => addHit(hits.branches, `${id}:${i}`, count));
+    }
+  }
+
+  return [record];
+}
+
+/**
+ * Non-blank, non-comment line
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isCodeLine(text) {
+  const trimmed = text.trim();
+  return Boolean(trimmed) && !/^(\/\/|\/\*|\*|#!|# )/.test(trimmed);
+}
+
+/**
+ * Coverage of a source no test loaded: every code line uncovered
+ * @param {string} root
+ * @param {string} file - Project-relative
+ * @returns {Promise<FileCoverage>}
+ */
+export async function unloadedFileCoverage(root, file) {
+  const source = await fs.readFile(path.join(root, file), 'utf8').catch(() => '');
+  const lines = [];
+  source.split('\n').forEach((text, i) => {
+    if (isCodeLine(text)) lines.push(i + 1);
+  });
+  return { lines: { total: lines.length, covered: 0 }, branches: { total: 0, covered: 0 }, uncovered: formatRanges(lines) };
+}
+
+/**
+ * @typedef {{startOffset: number, endOffset: number, count: number}} V8Range
+ * @typedef {{isBlockCoverage?: boolean, ranges: V8Range[]}} V8Function
+ */
+
+/**
+ * Convert V8 byte-offset ranges of one script to line hits.
+ * Ranges are nested, so painting them outermost first leaves each character
+ * with the count of its innermost range. A line is covered when any of its
+ * code characters ran (the c8 / v8-to-istanbul rule).
+ *
+ * @param {string} source
+ * @param {V8Function[]} functions
+ * @returns {Map<number, number>}
+ */
+export function v8LineHits(source, functions) {
+  const counts = new Float64Array(source.length).fill(-1);
+  for (const r of sortedRanges(functions).reverse()) {
+    counts.fill(r.count, Math.max(0, r.startOffset), Math.min(source.length, r.endOffset));
+  }
+
+  /** @type {Map<number, number>} */
+  const lines = new Map();
+  let offset = 0;
+  const texts = source.split('\n');
+  for (let i = 0; i < texts.length; i++) {
+    const text = texts[i];
+    if (isCodeLine(text)) {
+      let max = -1;
+      for (let c = 0; c < text.length; c++) {
+        if (text[c] !== ' ' && text[c] !== '\t' && text[c] !== '\r') max = Math.max(max, counts[offset + c]);
+      }
+      if (max >= 0) lines.set(i + 1, max);
+    }
+    offset += text.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * All ranges of a script, innermost (shortest) first
+ * @param {V8Function[]} functions
+ * @returns {V8Range[]}
+ */
+function sortedRanges(functions) {
+  return functions.flatMap(fn => fn.ranges || [])
+    .sort((a, b) => (a.endOffset - a.startOffset) - (b.endOffset - b.startOffset));
+}
+
+/**
+ * Branch hits for V8 records. Each block range is a branch, but V8 only
+ * reports a block when its count differs from the enclosing range, so a
+ * branch reported by one process is looked up in every other process by the
+ * innermost range containing it.
+ *
+ * @param {Array<CoverageRecord & {v8?: Map<string, V8Function[]>}>} records
+ */
+function resolveV8Branches(records) {
+  /** @type {Map<string, Map<string, V8Range>>} */
+  const blocks = new Map();
+  for (const record of records) {
+    for (const [file, functions] of record.v8 || []) {
+      const keys = blocks.get(file) || new Map();
+      blocks.set(file, keys);
+      for (const fn of functions) {
+        if (!fn.isBlockCoverage) continue;
+        for (const r of (fn.ranges || []).slice(1)) keys.set(`${r.startOffset}-${r.endOffset}`, r);
+      }
+    }
+  }
+
+  for (const record of records) {
+    for (const [file, functions] of record.v8 || []) {
+      const ranges = sortedRanges(functions);
+      const hits = hitsFor(record, file);
+      for (const [key, block] of blocks.get(file) || []) {
+        const inner = ranges.find(r => r.startOffset <= block.startOffset && r.endOffset >= block.endOffset);
+        addHit(hits.branches, key, inner ? inner.count : 0);
+      }
+    }
+    delete record.v8;
+  }
+}
+
+/**
+ * Parse one NODE_V8_COVERAGE report. Scripts are filtered before their source
+ * is read, so node internals and dependencies cost nothing.
+ *
+ * @param {any} data - Parsed `coverage-*.json`
+ * @param {(file: string) => boolean} wanted - Absolute path filter
+ * @param {Set<string>} testFiles - Absolute test file paths
+ * @returns {Promise<CoverageRecord & {v8: Map<string, V8Function[]>}>}
+ */
+async function parseV8Report(data, wanted, testFiles) {
+  /** @type {CoverageRecord & {v8: Map<string, V8Function[]>}} */
+  const record = { test: null, files: new Map(), v8: new Map() };
+  const loadedTests = new Set();
+
+  for (const script of Array.isArray(data?.result) ? data.result : []) {
+    if (!String(script.url || '').startsWith('file://')) continue;
+    let file;
+    try {
+      file = fileURLToPath(script.url);
+    } catch {
+      continue;
+    }
+    if (testFiles.has(file)) loadedTests.add(file);
+    if (!wanted(file)) continue;
+
+    const source = await fs.readFile(file, 'utf8').catch(() => null);
+    if (source === null) continue;
+    const functions = script.functions || [];
+    record.files.set(file, { lines: v8LineHits(source, functions), branches: new Map() });
+    record.v8.set(file, functions);
+  }
+
+  // A process that loaded several test files cannot be attributed to one
+  if (loadedTests.size === 1) record.test = [...loadedTests][0];
+  return record;
+}
+
+/**
+ * Read a coverage input: lcov file, Istanbul JSON, V8 directory, or a report
+ * directory containing `lcov.info` / `coverage-final.json`.
+ *
+ * @param {string} input - Absolute path
+ * @param {{wanted: (file: string) => boolean, testFiles: Set<string>}} options
+ * @returns {Promise<{format: 'lcov'|'istanbul'|'v8', records: CoverageRecord[]}>}
+ */
+export async function readCoverageInput(input, options) {
+  const stat = await fs.stat(input).catch(() => null);
+  if (!stat) throw new Error(`Coverage input not found: ${input}`);
+
+  if (stat.isDirectory()) {
+    const entries = (await fs.readdir(input)).sort();
+    const v8Files = entries.filter(name => /^coverage-.*\.json$/.test(name) && name !== 'coverage-final.json');
+    if (v8Files.length > 0) {
+      const records = [];
+      // One report at a time: V8 reports can be large
+      for (const name of v8Files) {
+        const data = await readJsonSafe(path.join(input, name));
+        if (data?.result) records.push(await parseV8Report(data, options.wanted, options.testFiles));
+      }
+      resolveV8Branches(records);
+      return { format: 'v8', records };
+    }
+    for (const name of ['lcov.info', 'coverage-final.json']) {
+      if (entries.includes(name)) return readCoverageInput(path.join(input, name), options);
+    }
+    throw new Error(`No lcov.info, coverage-final.json or V8 coverage-*.json in ${input}`);
+  }
+
+  const text = await fs.readFile(input, 'utf8');
+  if (/^\s*\{/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid coverage JSON ${input}: ${err.message}`);
+    }
+    if (Array.isArray(data?.result)) {
+      const records = [await parseV8Report(data, options.wanted, options.testFiles)];
+      resolveV8Branches(records);
+      return { format: 'v8', records };
+    }
+    return { format: 'istanbul', records: parseIstanbul(data) };
+  }
+  if (/^(TN|SF):/m.test(text)) return { format: 'lcov', records: parseLcov(text) };
+  throw new Error(`Unrecognized coverage format: ${input}`);
+}
+
+// ============================================================
+// Map
+// ============================================================
+
+/**
+ * Build `.test-coverage.json` from a coverage input
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {string} input - Coverage path (relative to the project root or absolute)
+ * @param {{sourceFiles: Set<string>, testFiles: Set<string>}} files - Project-relative
+ * @returns {Promise<CoverageMap>}
+ */
+export async function buildCoverageMap(ctx, input, files) {
+  const { root, config } = ctx;
+  const inputAbs = path.resolve(root, input);
+
+  /** @param {string} p */
+  const toRel = p => {
+    const abs = path.isAbsolute(p) ? p : path.resolve(root, p);
+    return path.relative(root, abs).replace(/\\/g, '/');
+  };
+  const testAbs = new Set([...files.testFiles].map(t => path.join(root, t)));
+
+  const { format, records } = await readCoverageInput(inputAbs, {
+    wanted: file => files.sourceFiles.has(toRel(file)),
+    testFiles: testAbs
+  });
+
+  /** @type {Map<string, FileHits>} */
+  const merged = new Map();
+  /** @type {Record<string, Record<string, string>>} */
+  const tests = {};
+  const outside = new Set();
+  let unattributed = 0;
+
+  for (const record of records) {
+    const test = resolveTestName(record.test, files.testFiles, toRel);
+    if (!test && record.files.size > 0 && format !== 'istanbul') unattributed++;
+
+    for (const [reported, hits] of record.files) {
+      const rel = toRel(reported);
+      if (!files.sourceFiles.has(rel)) {
+        outside.add(rel);
+        continue;
+      }
+
+      const agg = merged.get(rel) || { lines: new Map(), branches: new Map() };
+      merged.set(rel, agg);
+      for (const [ln, count] of hits.lines) addHit(agg.lines, ln, count);
+      for (const [id, count] of hits.branches) addHit(agg.branches, id, count);
+
+      if (test) {
+        const covered = [...hits.lines].filter(([, count]) => count > 0).map(([ln]) => ln);
+        if (covered.length === 0) continue;
+        const perTest = tests[test] || (tests[test] = {});
+        const previous = perTest[rel] ? expandRanges(perTest[rel]) : [];
+        perTest[rel] = formatRanges([...previous, ...covered]);
+      }
+    }
+  }
+
+  /** @type {Record<string, FileCoverage>} */
+  const fileCoverage = {};
+  for (const rel of [...merged.keys()].sort()) {
+    const hits = /** @type {FileHits} */ (merged.get(rel));
+    const branchCounts = [...hits.branches.values()];
+    fileCoverage[rel] = {
+      lines: { total: hits.lines.size, covered: [...hits.lines.values()].filter(c => c > 0).length },
+      branches: { total: branchCounts.length, covered: branchCounts.filter(c => c > 0).length },
+      uncovered: formatRanges([...hits.lines].filter(([, c]) => c === 0).map(([ln]) => ln))
+    };
+  }
+
+  const sourceRel = toRel(inputAbs);
+  /** @type {CoverageMap} */
+  const map = {
+    version: COVERAGE_VERSION,
+    generated: new Date().toISOString(),
+    format,
+    source: sourceRel.startsWith('..') ? inputAbs : sourceRel,
+    files: fileCoverage,
+    tests,
+    stats: {
+      files: Object.keys(fileCoverage).length,
+      tests: Object.keys(tests).length,
+      unattributed,
+      outside: outside.size
+    }
+  };
+
+  await writeJsonSafe(getCachePath(config, root, COVERAGE_FILE), map);
+  return map;
+}
+
+/**
+ * @param {string} ranges
+ * @returns {number[]}
+ */
+function expandRanges(ranges) {
+  const out = [];
+  for (const [start, end] of parseRanges(ranges)) {
+    for (let ln = start; ln <= end; ln++) out.push(ln);
+  }
+  return out;
+}
+
+/**
+ * Match a reported test name (lcov `TN:`, V8 script path) to a mapped test file.
+ * lcov test names cannot contain `/` or `.`, so `test_a_test_js` style names
+ * are compared with separators collapsed.
+ *
+ * @param {string|null} name
+ * @param {Set<string>} testFiles
+ * @param {(p: string) => string} toRel
+ * @returns {string|null}
+ */
+function resolveTestName(name, testFiles, toRel) {
+  if (!name) return null;
+  const rel = toRel(name);
+  if (testFiles.has(rel)) return rel;
+
+  const squash = (/** @type {string} */ s) => s.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  const key = squash(name);
+  for (const t of testFiles) {
+    if (squash(t) === key) return t;
+  }
+  for (const t of testFiles) {
+    const base = path.basename(t);
+    if (squash(base) === key || squash(base.replace(/\.[^.]+$/, '')) === key) return t;
+  }
+  return null;
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @returns {Promise<CoverageMap|null>}
+ */
+export async function loadCoverageMap(ctx) {
+  const data = await readJsonSafe(getCachePath(ctx.config, ctx.root, COVERAGE_FILE), null);
+  if (!data || data.version !== COVERAGE_VERSION || typeof data.files !== 'object') return null;
+  return data;
+}
+
+/**
+ * Main source of each test: the mapped source file it executes most lines of
+ * @param {CoverageMap} coverage
+ * @returns {Map<string, string>}
+ */
+export function primarySources(coverage) {
+  /** @type {Map<string, string>} */
+  const out = new Map();
+  for (const [test, perFile] of Object.entries(coverage.tests || {})) {
+    let best = null;
+    let bestLines = 0;
+    for (const [file, ranges] of Object.entries(perFile)) {
+      const n = parseRanges(ranges).reduce((sum, [s, e]) => sum + e - s + 1, 0);
+      if (n > bestLines || (n === bestLines && best && file < best)) {
+        best = file;
+        bestLines = n;
+      }
+    }
+    if (best) out.set(test, best);
+  }
+  return out;
+}
+
+/**
+ * Tests that execute each source file
+ * @param {CoverageMap} coverage
+ * @returns {Map<string, string[]>}
+ */
+export function testsBySource(coverage) {
+  /** @type {Map<string, string[]>} */
+  const out = new Map();
+  for (const [test, perFile] of Object.entries(coverage.tests || {})) {
+    for (const file of Object.keys(perFile)) {
+      if (!out.has(file)) out.set(file, []);
+      out.get(file)?.push(test);
+    }
+  }
+  return out;
+}
+
+/**
+ * Tests that execute any changed line.
+ * `null` lines mean the whole file changed (or the change is an insertion);
+ * then every test executing the file is selected.
+ *
+ * @param {CoverageMap} coverage
+ * @param {Map<string, Set<number>|null>} changed - Source file -> changed lines of the covered version
+ * @returns {{tests: Map<string, string[]>, handled: Set<string>}} tests -> changed files they execute; handled = changed files known to the coverage map
+ */
+export function testsCoveringChanges(coverage, changed) {
+  /** @type {Map<string, string[]>} */
+  const tests = new Map();
+  const handled = new Set();
+
+  for (const [file, lines] of changed) {
+    if (!coverage.files?.[file]) continue;
+    handled.add(file);
+    for (const [test, perFile] of Object.entries(coverage.tests || {})) {
+      const ranges = perFile[file];
+      if (!ranges) continue;
+      const hit = lines === null || parseRanges(ranges).some(([s, e]) => {
+        for (const ln of lines) if (ln >= s && ln <= e) return true;
+        return false;
+      });
+      if (!hit) continue;
+      if (!tests.has(test)) tests.set(test, []);
+      tests.get(test)?.push(file);
+    }
+  }
+
+  return { tests, handled };
+}
+
+/**
+ * Changed lines on the old side of `git diff -U0` (what the coverage was
+ * collected on). Pure insertions have no old lines; they mark the file as
+ * wholly changed since any test running the file may reach them.
+ *
+ * @param {string} root
+ * @param {{since?: string|null, staged?: boolean}} options
+ * @returns {Promise<Map<string, Set<number>|null>>}
+ */
+export async function changedCoverageLines(root, options) {
+  const args = ['diff', '-U0', '--no-color', '--no-renames', '--no-ext-diff', '--relative'];
+  if (options.staged) args.push('--cached');
+  else if (options.since) args.push(options.since);
+
+  const res = await runCommand('git', args, { cwd: root });
+  if (res.code !== 0) throw new Error(String(res.stderr || '').trim() || `git ${args.join(' ')}`);
+
+  /** @type {Map<string, Set<number>|null>} */
+  const changed = new Map();
+  let file = null;
+  for (const line of String(res.stdout || '').split(/\r?\n/)) {
+    if (line.startsWith('--- ')) {
+      const p = line.slice(4).trim();
+      file = p === '/dev/null' ? null : p.replace(/^a\//, '');
+      continue;
+    }
+    const m = file && line.match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/);
+    if (!m || !file) continue;
+    const start = Number(m[1]);
+    const count = m[2] === undefined ? 1 : Number(m[2]);
+    if (count === 0 || changed.get(file) === null) {
+      changed.set(file, null);
+      continue;
+    }
+    const lines = changed.get(file) || new Set();
+    for (let ln = start; ln < start + count; ln++) lines.add(ln);
+    changed.set(file, lines);
+  }
+  return changed;
+}
+
+/**
+ * Aggregate file coverage per module (directory)
+ * @param {Record<string, FileCoverage>} files
+ * @returns {Array<{module: string, files: number, lines: {total: number, covered: number, pct: number|null}, branches: {total: number, covered: number, pct: number|null}}>}
+ */
+export function summarizeModules(files) {
+  /** @type {Map<string, {files: number, lt: number, lc: number, bt: number, bc: number}>} */
+  const byModule = new Map();
+  for (const [file, cov] of Object.entries(files || {})) {
+    const mod = path.posix.dirname(file);
+    const m = byModule.get(mod) || { files: 0, lt: 0, lc: 0, bt: 0, bc: 0 };
+    m.files++;
+    m.lt += cov.lines.total;
+    m.lc += cov.lines.covered;
+    m.bt += cov.branches.total;
+    m.bc += cov.branches.covered;
+    byModule.set(mod, m);
+  }
+  return [...byModule.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([mod, m]) => ({
+      module: mod,
+      files: m.files,
+      lines: { total: m.lt, covered: m.lc, pct: percent(m.lc, m.lt) },
+      branches: { total: m.bt, covered: m.bc, pct: percent(m.bc, m.bt) }
+    }));
+}
@@ -1,35 +1,89 @@
 /**
  * Test fixer - uses LLM to fix failing tests
  * Integrates with batch LLM runner for parallel execution
+ * Failures are grouped by root cause (./cluster.js): one LLM fix per cluster
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
 import { readJsonSafe, writeJsonSafe, parallelMap } from '../shared.js';
 import { getCachePath } from '../context.js';
-import { runBatch } from '../llm/batch.js';
+import { runBatch, runPrompt, createMeter } from '../llm/batch.js';
+import { estimateUsage } from '../llm/usage.js';
+import { FIXTURE_PROVIDERS, resolveProvider } from '../llm/fixtures.js';
+import { OPENAI_PROVIDERS } from '../llm/openai.js';
+import { openCache, cacheIdentity } from '../llm/cache.js';
+import { loadFlakyTests, testKey } from './flaky.js';
+import { clusterFailures, describeCluster } from './cluster.js';
+import { FixVerifier } from './verify.js';
+import { resolvePatchMode, patchInstructions, applyPatchResponse, formatRejections } from '../llm/patch.js';
+import { renderPrompt } from '../prompt/templates.js';
+import { createIsolation } from '../fixes/worktree.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+/** @typedef {import('./cluster.js').FailureCluster} FailureCluster */
+/** @typedef {import('./verify.js').Verification} Verification */
+/** @typedef {import('../llm/patch.js').PatchFormat} PatchFormat */
 
 /**
- * Safety prompt prefix for all LLM calls.
- * Mirrors project-index/scripts/shared.js to reduce the chance of the model doing unsafe actions.
- * @type {string}
+ * One LLM call: a cluster's test files (or a single file with --no-cluster)
+ * @typedef {object} FixGroup
+ * @property {string} id
+ * @property {FailureCluster|null} cluster
+ * @property {Array<{testFile: string, errors: any[]}>} files - Each file's errors include its other clusters' failures
+ * @property {string} [prompt] - Template of the last prompt (name@version)
  */
-const SAFETY_PROMPT_PREFIX = `## ⛔ 严禁操作 (CRITICAL)
-**绝对禁止执行以下命令：**
-- git checkout / git reset / git restore / git clean / git stash drop
-- rm -rf / find -delete / 任何删除文件的命令
-- 任何会修改或删除用户文件的 shell 命令
 
-**你的任务是纯分析或生成代码文本，不要执行任何 shell 命令。**
+/**
+ * @typedef {object} GroupFile
+ * @property {string} testFile
+ * @property {string} testPath
+ * @property {string} testContent
+ * @property {any[]} errors
+ * @property {string} [sourceFile]
+ * @property {string} [srcContent]
+ */
 
----
+/**
+ * @typedef {object} FixResult
+ * @property {string} testFile
+ * @property {boolean} success
+ * @property {string} [error]
+ * @property {string} mode
+ * @property {string} [cluster]
+ * @property {number} [attempts]
+ * @property {string} [prompt] - Template that produced the fix (name@version)
+ * @property {{accepted: boolean, reason: string, before: number, after: number, fixed: number, newFailures: string[], scope: string[]}} [verification]
+ */
 
-`;
+/**
+ * @typedef {object} SettleOptions
+ * @property {'llm-batch'|'simple'} mode
+ * @property {boolean} dryRun
+ * @property {PatchFormat|null} patchMode - Ask for edits instead of whole files (--patch-mode)
+ * @property {FixVerifier|null} verifier - null with --dry-run / --no-verify
+ * @property {number} attempts
+ * @property {string} historyPath
+ * @property {import('../llm/usage.js').UsageMeter} meter - Tokens of the whole run; llm.budget.maxTokensPerRun applies to it
+ * @property {boolean} cache - Use the LLM response cache (false with --no-cache)
+ * @property {string} root - Project root: the response cache lives there, also when fixing in a worktree
+ * @property {import('../fixes/worktree.js').FixIsolation|null} [isolation] - --isolate=worktree; scope task gives each group its own worktree
+ */
+
+/** A cluster spanning more test files is split into several fixes */
+const MAX_FILES_PER_FIX = 5;
 
 /**
  * Fix failing tests using LLM
+ *
+ * Unless --dry-run or --no-verify, every fix is verified (./verify.js): the
+ * affected tests are rerun and the fix is reverted unless failures went down
+ * with no new ones; --attempts=N retries a reverted fix with the new failures.
+ * --patch-mode[=diff] asks for SEARCH/REPLACE blocks or a unified diff
+ * (../llm/patch.js) instead of complete files. --isolate=worktree fixes and
+ * verifies in a temporary git worktree (--isolate-scope=task: one per fix)
+ * and leaves the result on a branch for `pi fixes` (../fixes/worktree.js).
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  */
@@ -44,362 +98,787 @@ export async function fixTests(ctx, args) {
     return;
   }
 
-  // Get test files to fix
-  let testFiles = args._.slice(2);
-
-  if (testFiles.length === 0) {
-    // Get from test results
-    const uniqueFiles = [...new Set(testResult.errors.map(e => e.testFile))];
-    const limit = Math.max(1, Number(args.limit) || 10);
-    testFiles = uniqueFiles.slice(0, limit);
+  // Flaky tests fail without a code cause - an LLM "fix" would only add noise
+  if (!args['include-flaky']) {
+    const flaky = await loadFlakyTests(ctx);
+    const skipped = testResult.errors.filter(e => flaky.has(testKey(root, e.testFile, e.test)));
+    if (skipped.length > 0) {
+      console.log(`Skipping ${skipped.length} flaky tests (see "pi test flaky", --include-flaky to fix anyway)`);
+      testResult.errors = testResult.errors.filter(e => !flaky.has(testKey(root, e.testFile, e.test)));
+      if (testResult.errors.length === 0) {
+        console.log('No failing tests to fix.');
+        return;
+      }
+    }
   }
 
-  testFiles = [...new Set(testFiles.map(f => normalizeTestFileArg(f, root)).filter(Boolean))];
+  // Explicit test files narrow the failures; otherwise every failing file is a candidate
+  const explicit = [...new Set(args._.slice(2).map(f => normalizeTestFileArg(f, root)).filter(Boolean))];
+  const errors = explicit.length > 0
+    ? testResult.errors.filter(e => explicit.includes(normalizeTestFileArg(e.testFile, root)))
+    : testResult.errors;
+
+  if (errors.length === 0) {
+    console.log('No failing tests to fix.');
+    return;
+  }
 
   const concurrency = Math.max(1, Number(args.concurrency) || 5);
   const llmMode = Boolean(args.llm);
+  const dryRun = Boolean(args.dryRun || args['dry-run']);
+  const verify = !dryRun && !args['no-verify'];
+  const attempts = verify ? Math.max(1, Number(args.attempts) || 1) : 1;
 
-  console.log(`Fixing ${testFiles.length} test files (concurrency: ${concurrency}${llmMode ? ', llm: on' : ''})...`);
+  let patchMode;
+  let isolation;
+  try {
+    patchMode = resolvePatchMode(args['patch-mode']);
+    isolation = dryRun ? null : createIsolation(ctx, 'test-fix', args);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
 
-  // Prepare fix tasks
-  const tasks = testFiles.map(testFile => ({
-    testFile,
-    errors: testResult.errors.filter(e => e.testFile === testFile)
-  }));
+  // Root-relative test paths: prompts don't leak the checkout location and worktrees
+  // resolve them against their own copy instead of the working tree
+  const fixErrors = errors.map(e => ({ ...e, testFile: normalizeTestFileArg(e.testFile, root) }));
+
+  const limit = Math.max(1, Number(args.limit) || 10);
+  const groups = takeGroups(buildFixGroups(fixErrors, root, !args['no-cluster']), limit);
+  const fileCount = groups.reduce((n, g) => n + g.files.length, 0);
+
+  // One worktree for the run (--isolate=worktree); with scope task each group opens its own
+  let batchWorktree = null;
+  try {
+    batchWorktree = isolation?.scope === 'batch' ? await isolation.open() : null;
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+  const runCtx = batchWorktree?.ctx || ctx;
+
+  const clusters = new Set(groups.filter(g => g.cluster).map(g => g.cluster.id)).size;
+  console.log(`Fixing ${fileCount} test files${clusters ? ` with ${groups.length} fixes for ${clusters} root causes` : ''} (concurrency: ${concurrency}${llmMode ? ', llm: on' : ''}${patchMode ? `, patch: ${patchMode}` : ''})...`);
+  if (verify) {
+    console.log(`Verifying each fix against the affected tests (attempts: ${attempts}, --no-verify to skip)`);
+  }
+  if (isolation) {
+    console.log(`Isolated: ${isolation.scope === 'task' ? 'one git worktree per fix' : `git worktree ${batchWorktree.dir}`} (from HEAD)`);
+  }
 
-  /** @type {Array<{testFile: string, success: boolean, error?: string, mode?: string}>} */
+  const historyPath = getCachePath(config, root, 'TEST_FIX_HISTORY.md');
+  await ensureHistoryHeader(historyPath);
+
+  /** @type {SettleOptions} */
+  const options = {
+    mode: llmMode ? 'llm-batch' : 'simple',
+    patchMode,
+    dryRun,
+    verifier: verify ? new FixVerifier(runCtx) : null,
+    attempts,
+    historyPath,
+    meter: createMeter(config, 'test-fix'),
+    cache: !args['no-cache'],
+    root,
+    isolation
+  };
+
+  /** @type {FixResult[]} */
   let results = [];
 
-  if (llmMode) {
-    results = await fixWithBatchLLM(tasks, ctx, {
-      ...args,
-      concurrency
-    });
-  } else {
-    // Fallback: keep the existing simple per-file LLM call.
-    results = await parallelMap(tasks, async (task, idx) => {
-      try {
-        const result = await fixSingleTest(task, ctx, args);
-        console.log(`[${idx + 1}/${tasks.length}] ${result.success ? '✓' : '✗'} ${task.testFile}`);
-        return result;
-      } catch (err) {
-        console.error(`[${idx + 1}/${tasks.length}] ✗ ${task.testFile}: ${err.message}`);
-        return { testFile: task.testFile, success: false, error: err.message };
-      }
-    }, concurrency);
+  try {
+    results = await runFixes(groups, runCtx, { ...options, concurrency });
+  } catch (err) {
+    if (batchWorktree) await isolation.discard(batchWorktree);
+    throw err;
+  }
+  if (batchWorktree) {
+    await isolation.close(batchWorktree, describeFix(null, results));
   }
 
   // Summary
   const succeeded = results.filter(r => r.success).length;
   const failed = results.filter(r => !r.success).length;
+  const reverted = results.filter(r => r.verification && !r.verification.accepted).length;
+  const skipped = results.filter(r => r.skipped).length;
 
-  console.log(`\nResults: ${succeeded} fixed, ${failed} failed`);
+  console.log(`\nResults: ${succeeded} fixed, ${failed} failed${reverted ? ` (${reverted} reverted after verification)` : ''}${skipped ? `, ${skipped} skipped by token budget` : ''}`);
+  const usage = await options.meter.save();
 
   // Save fix results
   const fixResultPath = getCachePath(config, root, '.test-fix-result.json');
   await writeJsonSafe(fixResultPath, {
     timestamp: new Date().toISOString(),
-    mode: llmMode ? 'llm-batch' : 'simple',
+    mode: options.mode,
+    patchMode,
+    verified: verify,
     results,
-    summary: { succeeded, failed, total: results.length }
+    groups: groups.map(g => ({
+      id: g.id,
+      cluster: g.cluster ? { id: g.cluster.id, location: describeCluster(g.cluster), count: g.cluster.count } : null,
+      testFiles: g.files.map(f => f.testFile)
+    })),
+    summary: { succeeded, failed, reverted, skipped, total: results.length, fixes: groups.length },
+    ...(isolation ? { fixes: isolation.fixes.map(f => f.id) } : {}),
+    prompts: [...new Set(groups.map(g => g.prompt).filter(Boolean))],
+    usage: { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, estimated: usage.estimated, cost: usage.cost }
   });
+  isolation?.report();
 
   return results;
 }
 
 /**
- * LLM fix mode: build a prompt per failing test file and run with lib/llm/batch.js.
- *
- * Safety:
- * - We only ever write the (single) target test file.
- * - The prompt explicitly forbids modifying implementation code or adding shim files.
- *
- * @param {{testFile: string, errors: any[]}[]} tasks
+ * Run the fixes in LLM batch or simple mode
+ * @param {FixGroup[]} groups
  * @param {{root: string, config: ProjectConfig}} ctx
- * @param {any} args
- * @returns {Promise<Array<{testFile: string, success: boolean, error?: string, mode?: string}>>}
+ * @param {SettleOptions & {concurrency: number}} options
+ * @returns {Promise<FixResult[]>}
  */
-async function fixWithBatchLLM(tasks, ctx, args) {
-  const { root, config } = ctx;
-  const concurrency = args.concurrency || 5;
-  const dryRun = Boolean(args.dryRun || args['dry-run']);
+async function runFixes(groups, ctx, options) {
+  const { concurrency } = options;
+  /** @type {FixResult[]} */
+  let results = [];
 
-  const scratchDir = path.join('/tmp', 'pi-cli-test-fix');
-  await fs.mkdir(scratchDir, { recursive: true });
+  if (options.mode === 'llm-batch') {
+    results = await fixWithBatchLLM(groups, ctx, options);
+  } else {
+    // Fallback: keep the existing simple per-group LLM call.
+    const perGroup = await parallelMap(groups, async (group, idx) => {
+      const label = group.files.length === 1 ? group.files[0].testFile : `${describeCluster(group.cluster)} (${group.files.length} files)`;
+      if (options.meter.exceeded()) {
+        console.log(`[${idx + 1}/${groups.length}] - ${label}  (skipped: token budget exceeded)`);
+        options.meter.skipped++;
+        return group.files.map(f => ({ testFile: f.testFile, success: false, skipped: true, error: 'Skipped: token budget exceeded (llm.budget.maxTokensPerRun)', mode: 'simple', cluster: group.cluster?.id }));
+      }
+      try {
+        const groupResults = await inGroupWorktree(group, ctx, options, (gctx, verifier) => fixGroup(group, gctx, { ...options, verifier }));
+        const ok = groupResults.every(r => r.success);
+        const checked = groupResults.find(r => r.verification)?.verification;
+        console.log(`[${idx + 1}/${groups.length}] ${ok ? '✓' : '✗'} ${label}${checked ? `  (${checked.accepted ? 'kept' : 'reverted'}: ${checked.reason})` : ''}`);
+        return groupResults;
+      } catch (err) {
+        console.error(`[${idx + 1}/${groups.length}] ✗ ${label}: ${err.message}`);
+        return group.files.map(f => ({ testFile: f.testFile, success: false, error: err.message, mode: 'simple', cluster: group.cluster?.id }));
+      }
+    }, concurrency);
+    results = perGroup.flat();
+  }
 
-  const historyPath = getCachePath(config, root, 'TEST_FIX_HISTORY.md');
-  await ensureHistoryHeader(historyPath);
+  return results;
+}
 
-  /** @type {Array<{id: string, prompt: string, context?: any}>} */
-  const llmTasks = [];
+/**
+ * Group failures into fixes. Clustered: largest cluster first, each test file
+ * goes to the first cluster that claims it. Unclustered: one fix per file.
+ *
+ * @param {any[]} errors
+ * @param {string} root
+ * @param {boolean} cluster
+ * @returns {FixGroup[]}
+ */
+function buildFixGroups(errors, root, cluster) {
+  const errorsOf = (testFile) => errors.filter(e => e.testFile === testFile);
 
-  /** @type {Map<string, {testPath: string, testContent: string, errors: any[], sourceFile?: string}>} */
-  const taskContext = new Map();
+  if (!cluster) {
+    return [...new Set(errors.map(e => e.testFile))].map(testFile => ({
+      id: testFile,
+      cluster: null,
+      files: [{ testFile, errors: errorsOf(testFile) }]
+    }));
+  }
+
+  /** @type {FixGroup[]} */
+  const groups = [];
+  const claimed = new Set();
+
+  for (const c of clusterFailures(errors, { root })) {
+    const files = c.testFiles.filter(f => !claimed.has(f));
+    if (files.length === 0) continue;
+    for (const f of files) claimed.add(f);
+
+    for (let i = 0; i < files.length; i += MAX_FILES_PER_FIX) {
+      const chunk = files.slice(i, i + MAX_FILES_PER_FIX);
+      groups.push({
+        id: files.length > MAX_FILES_PER_FIX ? `${c.id}-${i / MAX_FILES_PER_FIX + 1}` : c.id,
+        cluster: c,
+        files: chunk.map(testFile => ({ testFile, errors: errorsOf(testFile) }))
+      });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * First groups up to `limit` test files (always at least one group)
+ * @param {FixGroup[]} groups
+ * @param {number} limit
+ * @returns {FixGroup[]}
+ */
+function takeGroups(groups, limit) {
+  const taken = [];
+  let files = 0;
+  for (const g of groups) {
+    if (taken.length > 0 && files + g.files.length > limit) break;
+    taken.push(g);
+    files += g.files.length;
+  }
+  return taken;
+}
+
+/**
+ * Read-only lines around a cluster's source frame, for the prompt
+ * @param {string} root
+ * @param {FailureCluster|null} cluster
+ * @returns {Promise<string>}
+ */
+async function readRootCauseSnippet(root, cluster) {
+  if (cluster?.kind !== 'source' || !cluster.frame) return '';
+  try {
+    const lines = (await fs.readFile(path.join(root, cluster.frame.file), 'utf8')).split('\n');
+    const from = Math.max(0, cluster.frame.line - 8);
+    const to = Math.min(lines.length, cluster.frame.line + 7);
+    return lines.slice(from, to)
+      .map((l, i) => `${String(from + i + 1).padStart(5)}${from + i + 1 === cluster.frame.line ? '>' : ' '} ${l}`)
+      .join('\n');
+  } catch {
+    return '';
+  }
+}
 
-  /** @type {Array<{testFile: string, success: boolean, error?: string, mode?: string}>} */
-  const preResults = [];
+/**
+ * Read a group's test files (plus, for a single file in simple mode, its mapped source)
+ * @param {FixGroup} group
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {{mode: string, historyPath: string}} options
+ * @returns {Promise<{files: GroupFile[], results: FixResult[]}>} results: files that could not be read
+ */
+async function loadGroupFiles(group, ctx, options) {
+  const { root, config } = ctx;
 
-  // Optional: best-effort map from test->src file, but do NOT include implementation content.
+  // Optional: best-effort map from test->src file
   const mapPath = getCachePath(config, root, '.test-map.json');
   const testMap = await readJsonSafe(mapPath, null);
 
-  for (const task of tasks) {
-    const testFile = task.testFile;
+  /** @type {GroupFile[]} */
+  const files = [];
+  /** @type {FixResult[]} */
+  const results = [];
 
+  for (const { testFile, errors } of group.files) {
     const testPath = path.isAbsolute(testFile)
       ? testFile
       : path.join(root, testFile);
 
-    let testContent = '';
     try {
-      testContent = await fs.readFile(testPath, 'utf8');
+      const testContent = await fs.readFile(testPath, 'utf8');
+      files.push({ testFile, testPath, testContent, errors, sourceFile: testMap?.testToSrc?.[testFile] });
     } catch (err) {
-      preResults.push({ testFile, success: false, error: `Cannot read: ${err.message}`, mode: 'llm-batch' });
-      await recordFixLog(historyPath, {
+      results.push({ testFile, success: false, error: `Cannot read: ${err.message}`, mode: options.mode, cluster: group.cluster?.id });
+      await recordFixLog(options.historyPath, {
         testFile,
         ok: false,
-        mode: 'llm-batch',
+        mode: options.mode,
         provider: config?.llm?.provider,
         note: `Cannot read test file: ${err.message}`,
-        errors: task.errors
+        errors,
+        cluster: group.cluster
       });
-      taskContext.set(testFile, { testPath, testContent: '', errors: task.errors });
-      continue;
     }
+  }
 
-    const sourceFile = testMap?.testToSrc?.[testFile];
+  // Simple mode includes the implementation of a single mapped file in the prompt
+  if (options.mode === 'simple' && files.length === 1 && files[0].sourceFile) {
+    try {
+      files[0].srcContent = await fs.readFile(path.join(root, files[0].sourceFile), 'utf8');
+    } catch {
+      // Source file not found, continue without it
+    }
+  }
 
-    const prompt = buildLLMFixPrompt({
-      testFile,
-      sourceFile,
-      testContent,
-      errors: task.errors,
-      config
-    });
+  return { files, results };
+}
 
-    llmTasks.push({
-      id: testFile,
-      prompt,
-      // Use scratch dir so codeagent-style providers can't modify the real repo.
-      context: { workdir: scratchDir }
-    });
-    taskContext.set(testFile, { testPath, testContent, errors: task.errors, sourceFile });
+/**
+ * Prompt for one group; `feedback` describes a reverted previous attempt.
+ * The template version used is kept on `group.prompt`.
+ * @param {FixGroup} group
+ * @param {GroupFile[]} files
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {{mode: string, patchMode: PatchFormat|null}} options
+ * @param {string} [feedback]
+ * @returns {Promise<string>}
+ */
+async function buildGroupPrompt(group, files, ctx, options, feedback = '') {
+  const { root } = ctx;
+  const rootCause = await readRootCauseSnippet(root, group.cluster);
+  const patch = options.patchMode ? { format: options.patchMode, files: files.map(f => f.testFile) } : null;
+
+  const input = { cluster: group.cluster, rootCause, feedback, patch };
+  const rendered = files.length > 1
+    ? await buildClusterFixPrompt({ ...input, files }, ctx)
+    : options.mode === 'simple'
+      ? await buildFixPrompt({ ...input, ...files[0] }, ctx)
+      : await buildLLMFixPrompt({ ...input, ...files[0] }, ctx);
+  group.prompt = rendered.ref;
+  return rendered.prompt;
+}
+
+/**
+ * New content per test file. Whole files: single file = largest code block,
+ * several = one `### <path>` block per file. Patch mode: edits applied to the
+ * current content; a file with rejected edits gets an error instead.
+ *
+ * @param {string} output
+ * @param {GroupFile[]} files
+ * @param {PatchFormat|null} patchMode
+ * @returns {{codes: Map<string, string>, errors: Map<string, string>}}
+ */
+function parseGroupOutput(output, files, patchMode) {
+  /** @type {Map<string, string>} */
+  const errors = new Map();
+
+  if (!patchMode) {
+    if (files.length === 1) {
+      const code = extractCode(output);
+      return { codes: code ? new Map([[files[0].testFile, code]]) : new Map(), errors };
+    }
+    return { codes: extractFileBlocks(output, files.map(f => f.testFile)), errors };
+  }
+
+  /** @type {Map<string, string>} */
+  const codes = new Map();
+  const patched = applyPatchResponse(output, files.map(f => ({ file: f.testFile, content: f.testContent })));
+  for (const { testFile } of files) {
+    const result = patched.files.get(testFile);
+    if (!result) {
+      errors.set(testFile, 'No edits for this file in LLM response');
+    } else if (result.content === null) {
+      errors.set(testFile, formatRejections(testFile, result));
+    } else {
+      codes.set(testFile, result.content);
+    }
+  }
+  if (patched.ignored.length > 0) {
+    console.warn(`  Ignored edits for files outside the fix: ${patched.ignored.join(', ')}`);
+  }
+  return { codes, errors };
+}
+
+/**
+ * LLM fix mode: build a prompt per fix group and run with lib/llm/batch.js.
+ *
+ * Safety:
+ * - We only ever write the group's own test files.
+ * - The prompt explicitly forbids modifying implementation code or adding shim files.
+ *
+ * @param {FixGroup[]} groups
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {SettleOptions & {concurrency: number}} options
+ * @returns {Promise<FixResult[]>}
+ */
+async function fixWithBatchLLM(groups, ctx, options) {
+  const { config } = ctx;
+  const concurrency = options.concurrency || 5;
+
+  const scratchDir = path.join('/tmp', 'pi-cli-test-fix');
+  await fs.mkdir(scratchDir, { recursive: true });
+
+  /** @type {Array<{id: string, prompt: string, context?: any}>} */
+  const llmTasks = [];
+
+  /**
+   * Per group: its files, and with --isolate-scope=task its worktree (open until settled)
+   * @type {Map<string, {group: FixGroup, files: GroupFile[], ctx: {root: string, config: ProjectConfig}, verifier: FixVerifier|null, worktree: import('../fixes/worktree.js').FixWorktree|null}>}
+   */
+  const taskContext = new Map();
+  const isolation = options.isolation?.scope === 'task' ? options.isolation : null;
+
+  /** @type {FixResult[]} */
+  const results = [];
+
+  try {
+    for (const group of groups) {
+      const worktree = isolation ? await isolation.open() : null;
+      const groupCtx = worktree?.ctx || ctx;
+      const loaded = await loadGroupFiles(group, groupCtx, options);
+      results.push(...loaded.results);
+      if (loaded.files.length === 0) {
+        if (worktree) await isolation.discard(worktree);
+        continue;
+      }
+
+      // Registered before the prompt is built, so a failure below still discards the worktree
+      taskContext.set(group.id, {
+        group,
+        files: loaded.files,
+        ctx: groupCtx,
+        verifier: worktree && options.verifier ? new FixVerifier(groupCtx, options.verifier) : options.verifier,
+        worktree
+      });
+      llmTasks.push({
+        id: group.id,
+        prompt: await buildGroupPrompt(group, loaded.files, groupCtx, options),
+        // Use scratch dir so codeagent-style providers can't modify the real repo.
+        context: { workdir: scratchDir }
+      });
+    }
+  } catch (err) {
+    for (const item of taskContext.values()) {
+      if (item.worktree) await isolation.discard(item.worktree);
+    }
+    throw err;
   }
 
   // NOTE: runBatch() may switch to runBatchParallel() for codeagent-style providers when tasks.length > 3.
-  // runBatchParallel() cannot reliably attribute a combined stdout blob back to each file, so for those
-  // providers we run one task per runBatch() call (still concurrently), ensuring output->file mapping is safe.
-  const provider = config?.llm?.provider || 'claude-cli';
+  // runBatchParallel() cannot reliably attribute a combined stdout blob back to each group, so for those
+  // providers we run one task per runBatch() call (still concurrently), ensuring output->group mapping is safe.
+  const provider = resolveProvider(config);
   const isCodeagent = ['codeagent', 'codeagent-wrapper', 'codex', 'gemini'].includes(provider);
 
+  /**
+   * @param {{id: string, prompt: string, context?: any}} t
+   * @returns {Promise<{id: string, success: boolean, output?: string, error?: string, retries: number}>}
+   */
+  const runOne = async (t) => {
+    const out = await runBatch([t], { concurrency: 1, config, workdir: scratchDir, root: options.root, taskType: 'test-fix', meter: options.meter, cache: options.cache });
+    return out?.[0] || { id: t.id, success: false, error: 'LLM returned no result', retries: 0 };
+  };
+
   /** @type {Array<{id: string, success: boolean, output?: string, error?: string, retries: number}>} */
   const llmResults = isCodeagent && llmTasks.length > 3
-    ? await parallelMap(llmTasks, async (t) => {
-      const out = await runBatch([t], { concurrency: 1, config, workdir: scratchDir });
-      return out?.[0] || { id: t.id, success: false, error: 'LLM returned no result', retries: 0 };
-    }, concurrency)
-    : await runBatch(llmTasks, { concurrency, config, workdir: scratchDir });
-
-  const results = [...preResults];
-
-  for (const llmResult of llmResults) {
-    const testFile = llmResult.id;
-    const ctxItem = taskContext.get(testFile);
-
-    // Should not happen, but keep it robust.
-    const testPath = ctxItem?.testPath || (path.isAbsolute(testFile) ? testFile : path.join(root, testFile));
-    const errors = ctxItem?.errors || [];
-    const sourceFile = ctxItem?.sourceFile;
-
-    if (!llmResult.success) {
-      const error = llmResult.error || 'LLM task failed';
-      results.push({ testFile, success: false, error, mode: 'llm-batch' });
-      await recordFixLog(historyPath, {
-        testFile,
-        ok: false,
-        mode: 'llm-batch',
-        provider: config?.llm?.provider,
-        note: error,
-        errors,
-        sourceFile
+    ? await parallelMap(llmTasks, runOne, concurrency)
+    : await runBatch(llmTasks, { concurrency, config, workdir: scratchDir, root: options.root, taskType: 'test-fix', meter: options.meter, cache: options.cache });
+
+  // Apply (and verify, one at a time) while retries regenerate concurrently
+  const settled = await parallelMap(llmResults, async (llmResult) => {
+    const ctxItem = taskContext.get(llmResult.id);
+    if (!ctxItem) return [];
+    const { group, files, ctx: groupCtx, verifier, worktree } = ctxItem;
+    taskContext.delete(llmResult.id);
+
+    let groupResults;
+    try {
+      groupResults = await settleGroup(group, files, toGenerated(llmResult), groupCtx, {
+        ...options,
+        verifier,
+        regenerate: async (retryFiles, feedback) => toGenerated(await runOne({
+          id: group.id,
+          prompt: await buildGroupPrompt(group, retryFiles, groupCtx, options, feedback),
+          context: { workdir: scratchDir }
+        }))
       });
-      continue;
+    } catch (err) {
+      if (worktree) await isolation.discard(worktree);
+      throw err;
     }
+    if (worktree) await isolation.close(worktree, describeFix(group, groupResults));
+    return groupResults;
+  }, concurrency);
+  results.push(...settled.flat());
+
+  // Worktrees of groups the LLM batch returned nothing for
+  for (const { worktree } of taskContext.values()) {
+    if (worktree) await isolation.discard(worktree);
+  }
 
-    const output = String(llmResult.output || '');
-    const code = extractCode(output);
-
-    if (!code) {
-      const error = 'No code block in LLM response';
-      results.push({ testFile, success: false, error, mode: 'llm-batch' });
-      await recordFixLog(historyPath, {
+  // Include any files whose group never produced an LLM result.
+  for (const group of groups) {
+    for (const { testFile, errors } of group.files) {
+      if (results.some(r => r.testFile === testFile)) continue;
+      const error = 'Skipped (unable to build LLM prompt)';
+      results.push({ testFile, success: false, error, mode: 'llm-batch', cluster: group.cluster?.id });
+      await recordFixLog(options.historyPath, {
         testFile,
         ok: false,
         mode: 'llm-batch',
         provider: config?.llm?.provider,
         note: error,
         errors,
-        sourceFile,
-        llmOutputPreview: output.slice(0, 4000)
+        cluster: group.cluster
       });
-      continue;
     }
-
-    if (!dryRun) {
-      await fs.writeFile(testPath, code.endsWith('\n') ? code : code + '\n');
-    }
-
-    results.push({ testFile, success: true, mode: 'llm-batch' });
-    await recordFixLog(historyPath, {
-      testFile,
-      ok: true,
-      mode: 'llm-batch',
-      provider: config?.llm?.provider,
-      note: 'Applied LLM-generated test fix',
-      errors,
-      sourceFile,
-      llmOutputPreview: output.slice(0, 800)
-    });
-  }
-
-  // Include any tasks that were skipped because we couldn't read them.
-  for (const task of tasks) {
-    if (results.some(r => r.testFile === task.testFile)) continue;
-    const ctxItem = taskContext.get(task.testFile);
-    const testPath = ctxItem?.testPath || (path.isAbsolute(task.testFile) ? task.testFile : path.join(root, task.testFile));
-    const error = 'Skipped (unable to build LLM prompt)';
-    results.push({ testFile: task.testFile, success: false, error, mode: 'llm-batch' });
-    await recordFixLog(historyPath, {
-      testFile: task.testFile,
-      ok: false,
-      mode: 'llm-batch',
-      provider: config?.llm?.provider,
-      note: `${error}: ${testPath}`,
-      errors: task.errors
-    });
   }
 
   // Print per-file status in the same style as simple mode.
   for (let i = 0; i < results.length; i++) {
     const r = results[i];
-    console.log(`[${i + 1}/${results.length}] ${r.success ? '✓' : '✗'} ${r.testFile}`);
+    const group = groups.find(g => g.cluster && g.cluster.id === r.cluster);
+    const cause = group && group.cluster.count > 1 ? `  <- ${describeCluster(group.cluster)}` : '';
+    const checked = r.verification ? `  (${r.verification.accepted ? 'kept' : 'reverted'}: ${r.verification.reason})` : '';
+    console.log(`[${i + 1}/${results.length}] ${r.success ? '✓' : '✗'} ${r.testFile}${cause}${checked}`);
   }
 
   return results;
 }
 
 /**
- * Fix a single test file
- * @param {{testFile: string, errors: any[]}} task
+ * @param {{success: boolean, output?: string, error?: string}} llmResult
+ * @returns {{output: string, error?: string}}
+ */
+function toGenerated(llmResult) {
+  return llmResult.success
+    ? { output: String(llmResult.output || '') }
+    : { output: '', error: llmResult.error || 'LLM task failed' };
+}
+
+/**
+ * Run a group's fix in its own worktree with --isolate-scope=task, else in ctx
+ * @param {FixGroup} group
  * @param {{root: string, config: ProjectConfig}} ctx
- * @param {object} args
- * @returns {Promise<{testFile: string, success: boolean, error?: string}>}
+ * @param {SettleOptions} options
+ * @param {(ctx: {root: string, config: ProjectConfig}, verifier: FixVerifier|null) => Promise<FixResult[]>} fn
+ * @returns {Promise<FixResult[]>}
  */
-async function fixSingleTest(task, ctx, args) {
-  const { root, config } = ctx;
-  const { testFile, errors } = task;
+async function inGroupWorktree(group, ctx, options, fn) {
+  const isolation = options.isolation;
+  if (isolation?.scope !== 'task') return fn(ctx, options.verifier);
+
+  const { result } = await isolation.run(
+    wctx => fn(wctx, options.verifier ? new FixVerifier(wctx, options.verifier) : null),
+    results => describeFix(group, results)
+  );
+  return result;
+}
 
-  // Read test file
-  const testPath = path.isAbsolute(testFile)
-    ? testFile
-    : path.join(root, testFile);
+/**
+ * Commit message of a fix worktree
+ * @param {FixGroup|null} group - null: the whole run (--isolate-scope=batch)
+ * @param {FixResult[]} results
+ * @returns {{title: string, summary: string}}
+ */
+function describeFix(group, results) {
+  const fixed = results.filter(r => r.success);
+  const title = !group
+    ? `test fix: ${fixed.length} test file(s)`
+    : `test fix: ${group.files.length === 1 ? group.files[0].testFile : describeCluster(group.cluster)}`;
+  const summary = fixed
+    .map(r => `${r.testFile}${r.verification ? ` (${r.verification.reason})` : ''}`)
+    .join('\n');
+  return { title, summary };
+}
 
-  let testContent;
-  try {
-    testContent = await fs.readFile(testPath, 'utf8');
-  } catch (err) {
-    return { testFile, success: false, error: `Cannot read: ${err.message}` };
-  }
+/**
+ * Fix one group with a single LLM call (simple mode)
+ * @param {FixGroup} group
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {SettleOptions} options
+ * @returns {Promise<FixResult[]>}
+ */
+async function fixGroup(group, ctx, options) {
+  const { files, results } = await loadGroupFiles(group, ctx, options);
+  if (files.length === 0) return results;
 
-  // Read source file if mapped
-  const mapPath = getCachePath(config, root, '.test-map.json');
-  const testMap = await readJsonSafe(mapPath);
-  const srcFile = testMap?.testToSrc?.[testFile];
+  // Call LLM (placeholder - integrate with actual LLM module)
+  const generate = async (groupFiles, feedback) => {
+    const output = await callLLM(await buildGroupPrompt(group, groupFiles, ctx, options, feedback), ctx.config, options, group.id);
+    return output ? { output } : { output: '', error: 'LLM returned empty response' };
+  };
 
-  let srcContent = '';
-  if (srcFile) {
-    try {
-      srcContent = await fs.readFile(path.join(root, srcFile), 'utf8');
-    } catch {
-      // Source file not found, continue without it
+  const generated = await generate(files, '');
+  results.push(...await settleGroup(group, files, generated, ctx, { ...options, regenerate: generate }));
+  return results;
+}
+
+/**
+ * Write a group's generated fix. With a verifier each attempt is applied,
+ * checked against the affected tests and reverted unless it helps; a
+ * reverted attempt is regenerated with the new failures, up to `attempts`.
+ * Every attempt is recorded in the fix history.
+ *
+ * @param {FixGroup} group
+ * @param {GroupFile[]} files
+ * @param {{output: string, error?: string}} generated - First LLM response
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {SettleOptions & {regenerate: (files: GroupFile[], feedback: string) => Promise<{output: string, error?: string}>}} options
+ * @returns {Promise<FixResult[]>}
+ */
+async function settleGroup(group, files, generated, ctx, options) {
+  const { mode, verifier, historyPath } = options;
+  const provider = ctx.config?.llm?.provider;
+  const cluster = group.cluster;
+  const scope = verifier ? await verifier.scope(files.map(f => f.testFile)) : [];
+
+  for (let attempt = 1; ; attempt++) {
+    const output = String(generated.output || '');
+    const { codes, errors: parseErrors } = generated.error
+      ? { codes: new Map(), errors: new Map() }
+      : parseGroupOutput(output, files, options.patchMode);
+    const missingError = files.length === 1 ? 'No code block in LLM response' : 'File missing from LLM response';
+    for (const report of parseErrors.values()) {
+      if (report.includes('\n')) console.log(report);
+    }
+    const present = files.filter(f => codes.has(f.testFile));
+    const last = !verifier || attempt >= options.attempts;
+
+    /** @type {Verification|null} */
+    let verification = null;
+    if (present.length > 0 && verifier) {
+      verification = await verifier.verify(scope, new Map(present.map(f => [f.testFile, codes.get(f.testFile)])));
+    } else if (present.length > 0 && !options.dryRun) {
+      for (const f of present) {
+        const code = codes.get(f.testFile);
+        await fs.writeFile(f.testPath, code.endsWith('\n') ? code : code + '\n');
+      }
     }
-  }
 
-  // Build prompt
-  const prompt = buildFixPrompt(testContent, srcContent, errors, config);
+    const done = last || (present.length > 0 && (!verification || verification.accepted || !verification.retryable));
 
-  // Call LLM (placeholder - integrate with actual LLM module)
-  const fixedContent = await callLLM(prompt, config);
+    /** @type {FixResult[]} */
+    const results = [];
+    for (const { testFile, errors, sourceFile } of files) {
+      const applied = codes.has(testFile) && (!verification || verification.accepted);
+      const error = generated.error || (!codes.has(testFile) ? parseErrors.get(testFile) || missingError : verification && !verification.accepted ? `Reverted: ${verification.reason}` : null);
 
-  if (!fixedContent) {
-    return { testFile, success: false, error: 'LLM returned empty response' };
-  }
+      await recordFixLog(historyPath, {
+        testFile,
+        ok: applied,
+        mode,
+        provider,
+        note: error || (verification ? `Applied LLM-generated test fix, verified (${verification.reason})` : 'Applied LLM-generated test fix'),
+        errors,
+        sourceFile,
+        cluster,
+        prompt: group.prompt,
+        attempt: verifier ? { n: attempt, of: options.attempts } : undefined,
+        verification,
+        llmOutputPreview: output ? output.slice(0, applied ? 800 : 4000) : undefined
+      });
 
-  // Extract code from response
-  const code = extractCode(fixedContent);
+      results.push({
+        testFile,
+        success: applied,
+        ...(error ? { error } : {}),
+        mode,
+        cluster: cluster?.id,
+        ...(group.prompt ? { prompt: group.prompt } : {}),
+        ...(verifier ? { attempts: attempt } : {}),
+        ...(verification ? { verification: summarizeVerification(verification) } : {})
+      });
+    }
 
-  if (!code) {
-    return { testFile, success: false, error: 'No code block in response' };
-  }
+    if (done) return results;
 
-  // Write back if not dry run
-  if (!(args.dryRun || args['dry-run'])) {
-    await fs.writeFile(testPath, code.endsWith('\n') ? code : code + '\n');
+    // Retry from the restored files, with the failures seen under the rejected fix
+    const retryFiles = files.map(f => {
+      const rel = normalizeTestFileArg(f.testFile, ctx.root);
+      const current = verification?.errors.filter(e => e.testFile === rel) || [];
+      return current.length > 0 ? { ...f, errors: current } : f;
+    });
+    console.log(`  ↻ ${group.files.length === 1 ? group.files[0].testFile : describeCluster(cluster)}: attempt ${attempt} ${verification ? `reverted (${verification.reason})` : `failed (${String(results[0].error).split('\n')[0]})`}, retrying`);
+    generated = await options.regenerate(retryFiles, buildRetryFeedback(verification, results));
+    files = retryFiles;
   }
+}
 
-  return { testFile, success: true };
+/**
+ * @param {Verification} v
+ * @returns {{accepted: boolean, reason: string, before: number, after: number, fixed: number, newFailures: string[], scope: string[]}}
+ */
+function summarizeVerification(v) {
+  return {
+    accepted: v.accepted,
+    reason: v.reason,
+    before: v.before,
+    after: v.after,
+    fixed: v.fixed.length,
+    newFailures: v.newFailures.slice(0, 20),
+    scope: v.scope
+  };
 }
 
 /**
- * Build fix prompt
- * @param {string} testContent
- * @param {string} srcContent
- * @param {any[]} errors
- * @param {ProjectConfig} config
+ * Prompt section explaining why the previous attempt was not kept
+ * @param {Verification|null} verification
+ * @param {FixResult[]} results
  * @returns {string}
  */
-function buildFixPrompt(testContent, srcContent, errors, config) {
-  const customPrompt = config.llm?.fixPrompt || '';
+function buildRetryFeedback(verification, results) {
+  if (!verification) {
+    return `## Previous attempt (rejected)
+Your previous answer could not be used: ${results.find(r => r.error)?.error || 'invalid output'}. Follow the output format exactly.
 
-  const errorSummary = errors.slice(0, 5).map(e =>
-    `- ${e.test}: ${e.message?.slice(0, 100)}`
-  ).join('\n');
+`;
+  }
 
-  return `${customPrompt}
+  const list = (items) => items.slice(0, 10).map(i => `- ${i}`).join('\n');
+  const regressions = verification.errors
+    .filter(e => verification.newFailures.includes(`${e.testFile} > ${e.test}`))
+    .slice(0, 5)
+    .map(e => `- ${e.testFile} > ${e.test}: ${String(e.message || '').split('\n')[0].slice(0, 300)}`)
+    .join('\n');
 
-Fix the following failing test file.
+  return `## Previous attempt (reverted)
+Your previous fix was applied and the affected tests were rerun (${verification.scope.join(', ')}), then it was reverted: ${verification.reason}.
+Failures before: ${verification.before}, with your fix: ${verification.after}.
+${verification.fixed.length > 0 ? `\nFixed by it:\n${list(verification.fixed)}\n` : ''}${regressions ? `\nNew failures it introduced:\n${regressions}\n` : ''}
+The failures listed above are from that run. Produce a different fix that resolves them without breaking passing tests or deleting tests.
 
-## Errors
-${errorSummary}
+`;
+}
 
-## Test File
-\`\`\`${config.language}
-${testContent.slice(0, 8000)}
-\`\`\`
+/**
+ * Prompt section describing the failure cluster a fix belongs to
+ * @param {FailureCluster|null} cluster
+ * @param {string} rootCause - Numbered source lines around the cluster frame
+ * @param {string} language
+ * @returns {string}
+ */
+function buildClusterSection(cluster, rootCause, language) {
+  if (!cluster) return '';
+  const rep = cluster.representative;
+  return [
+    '## Shared root cause',
+    `${cluster.count} failing tests in ${cluster.testFiles.length} test files fail the same way: ${cluster.errorType} at ${describeCluster(cluster)}.`,
+    `Representative failure: ${rep.testFile} > ${rep.test}`,
+    '```',
+    rep.message.slice(0, 1500),
+    '```',
+    rootCause ? [`Code at ${cluster.location} (read-only, do NOT modify):`, `\`\`\`${language}`, rootCause, '```'].join('\n') : ''
+  ].filter(Boolean).join('\n') + '\n\n';
+}
 
-${srcContent ? `## Source File
-\`\`\`${config.language}
-${srcContent.slice(0, 4000)}
-\`\`\`` : ''}
+/**
+ * Build fix prompt (template test-fix)
+ * @param {{testContent: string, srcContent?: string, errors: any[], cluster?: FailureCluster|null, rootCause?: string, feedback?: string, patch?: {format: PatchFormat, files: string[]}|null}} input
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @returns {Promise<import('../prompt/templates.js').RenderedPrompt>}
+ */
+function buildFixPrompt({ testContent, srcContent = '', errors, cluster = null, rootCause = '', feedback = '', patch = null }, ctx) {
+  const { config } = ctx;
+  const errorSummary = errors.slice(0, 5).map(e =>
+    `- ${e.test}: ${e.message?.slice(0, 100)}`
+  ).join('\n');
 
-Output the complete fixed test file wrapped in a code block.
-`;
+  return renderPrompt('test-fix', {
+    custom: config.llm?.fixPrompt || '',
+    language: config.language,
+    clusterSection: buildClusterSection(cluster, rootCause, config.language),
+    errors: errorSummary,
+    testContent: patch ? testContent : testContent.slice(0, 8000),
+    srcContent: srcContent ? srcContent.slice(0, 4000) : '',
+    feedback,
+    patchInstructions: patch ? patchInstructions(patch.format, patch.files) : ''
+  }, ctx);
 }
 
 /**
- * Build LLM prompt for batch mode (args.llm).
+ * Build LLM prompt for batch mode (args.llm), template test-fix-llm.
  *
  * The LLM is explicitly constrained to:
  * - ONLY update the test file content
  * - NEVER modify implementation/source code
  * - NEVER create shim/bridge files to "make imports work"
  *
- * @param {{testFile: string, sourceFile?: string, testContent: string, errors: any[], config: ProjectConfig}} input
- * @returns {string}
+ * @param {{testFile: string, sourceFile?: string, testContent: string, errors: any[], cluster?: FailureCluster|null, rootCause?: string, feedback?: string, patch?: {format: PatchFormat, files: string[]}|null}} input
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @returns {Promise<import('../prompt/templates.js').RenderedPrompt>}
  */
-function buildLLMFixPrompt({ testFile, sourceFile, testContent, errors, config }) {
-  const customPrompt = String(config?.llm?.fixPrompt || '').trim();
-
+function buildLLMFixPrompt({ testFile, sourceFile, testContent, errors, cluster = null, rootCause = '', feedback = '', patch = null }, ctx) {
+  const { config } = ctx;
   const errorsSection = errors
     .slice(0, 10)
     .map((e, i) => {
@@ -417,47 +896,102 @@ function buildLLMFixPrompt({ testFile, sourceFile, testContent, errors, config }
     })
     .join('\n\n');
 
-  const testSnippet = String(testContent || '').slice(0, 12000);
-
-  const sourceHint = sourceFile
-    ? `- Related source file (read-only): ${sourceFile}`
-    : '- Related source file: (unknown)';
-
-  return `${SAFETY_PROMPT_PREFIX}${customPrompt ? customPrompt + '\n\n' : ''}You are fixing a failing test file.
-
-## Task
-Fix the test so it matches the CURRENT behavior of the implementation.
+  return renderPrompt('test-fix-llm', {
+    custom: String(config?.llm?.fixPrompt || '').trim(),
+    language: config?.language || '',
+    testFile,
+    sourceFile,
+    clusterSection: buildClusterSection(cluster, rootCause, config?.language || ''),
+    errors: errorsSection,
+    // Edits must match the real file, so patch mode shows all of it
+    testContent: patch ? String(testContent || '') : String(testContent || '').slice(0, 12000),
+    feedback,
+    patchInstructions: patch ? patchInstructions(patch.format, patch.files) : ''
+  }, ctx);
+}
 
-## Strict safety constraints (MUST follow)
-- You may ONLY change the TEST FILE content.
-- You MUST NOT modify any implementation/source files.
-- You MUST NOT create any new shim/bridge/re-export files to satisfy imports.
-- If the failure is caused by a behavior mismatch, update assertions/mocks/import paths in the test.
+/**
+ * Build LLM prompt for a cluster spanning several test files (one call fixes all of them),
+ * template test-fix-cluster. Same constraints as buildLLMFixPrompt; the output has one block per file.
+ *
+ * @param {{files: Array<{testFile: string, testContent: string, errors: any[], sourceFile?: string}>, cluster: FailureCluster|null, rootCause?: string, feedback?: string, patch?: {format: PatchFormat, files: string[]}|null}} input
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @returns {Promise<import('../prompt/templates.js').RenderedPrompt>}
+ */
+function buildClusterFixPrompt({ files, cluster, rootCause = '', feedback = '', patch = null }, ctx) {
+  const { config } = ctx;
+  const lang = config?.language || '';
+  // Keep the whole prompt bounded however many files the cluster has
+  const perFile = Math.max(2000, Math.floor(40000 / files.length));
+
+  const fileSections = files.map(({ testFile, testContent, errors, sourceFile }) => {
+    const failures = errors
+      .slice(0, 5)
+      .map(e => `- ${String(e?.test || '(unknown)')}: ${String(e?.message || '').split('\n')[0].slice(0, 300)}`)
+      .join('\n');
+    return [
+      `### ${testFile}`,
+      sourceFile ? `Related source file (read-only): ${sourceFile}` : '',
+      'Failures:',
+      failures || '(no error details)',
+      '',
+      `\`\`\`${lang}`,
+      patch ? String(testContent || '') : String(testContent || '').slice(0, perFile),
+      '```'
+    ].filter(s => s !== '').join('\n');
+  }).join('\n\n');
+
+  return renderPrompt('test-fix-cluster', {
+    custom: String(config?.llm?.fixPrompt || '').trim(),
+    clusterSection: buildClusterSection(cluster, rootCause, lang),
+    files: fileSections,
+    feedback,
+    patchInstructions: patch ? patchInstructions(patch.format, patch.files) : ''
+  }, ctx);
+}
 
-## Target
-- Test file: ${testFile}
-${sourceHint}
+/**
+ * Call LLM API
+ * @param {string} prompt
+ * @param {ProjectConfig} config
+ * @param {{meter: import('../llm/usage.js').UsageMeter, cache: boolean, root: string}} options
+ * @param {string} taskId - Usage is recorded under it
+ * @returns {Promise<string>}
+ */
+async function callLLM(prompt, config, options, taskId) {
+  const { meter } = options;
+  const provider = process.env.PI_LLM_PROVIDER || config.llm?.provider;
 
-## Failures
-${errorsSection || '(no error details)'}
+  if (FIXTURE_PROVIDERS.has(provider) || OPENAI_PROVIDERS.has(provider)) {
+    try {
+      return await runPrompt(prompt, config, { workdir: options.root, taskType: 'test-fix', meter, taskId, cache: options.cache });
+    } catch (err) {
+      console.error(err.message);
+      return null;
+    }
+  }
 
-## Current test file content
-\`\`\`${config?.language || ''}
-${testSnippet}
-\`\`\`
+  const cache = provider ? openCache(config, { root: options.root, cache: options.cache }) : null;
+  const lookup = await cache?.lookup({ ...cacheIdentity(provider, config.llm, 'test-fix'), prompt, root: options.root });
+  if (lookup?.entry) return lookup.entry.output;
 
-## Output format (STRICT)
-Return the COMPLETE fixed test file content wrapped in a single markdown code block. Do not include diffs or instructions.`;
+  // CLI backends do not report usage
+  const output = await callCliLLM(prompt, config, provider);
+  if (output) {
+    const usage = estimateUsage(prompt, output);
+    meter.add(taskId, usage);
+    await cache?.store(lookup, output, { taskType: 'test-fix', usage });
+  }
+  return output;
 }
 
 /**
- * Call LLM API
  * @param {string} prompt
  * @param {ProjectConfig} config
- * @returns {Promise<string>}
+ * @param {string} provider
+ * @returns {Promise<string|null>}
  */
-async function callLLM(prompt, config) {
-  const provider = config.llm?.provider;
+async function callCliLLM(prompt, config, provider) {
   const { runCommand } = await import('../shared.js');
 
   if (provider === 'codex') {
@@ -510,6 +1044,32 @@ function extractCode(response) {
   return best ? best.code : null;
 }
 
+/**
+ * Extract per-file code blocks (`### <path>` + fenced block) from an LLM response.
+ * Only the expected paths are returned, so a response can never name other files.
+ *
+ * @param {string} response
+ * @param {string[]} expected
+ * @returns {Map<string, string>}
+ */
+function extractFileBlocks(response, expected) {
+  const text = String(response || '');
+  const wanted = new Set(expected);
+  /** @type {Map<string, string>} */
+  const blocks = new Map();
+
+  const re = /^#{2,4}\s+(?:File:\s*)?`?([^`\n]+?)`?\s*\r?\n+```(?:[a-zA-Z0-9_-]+)?\r?\n([\s\S]*?)```/gm;
+  for (;;) {
+    const m = re.exec(text);
+    if (!m) break;
+    const file = m[1].trim().replace(/^\.\//, '');
+    const code = String(m[2] || '').trim();
+    if (wanted.has(file) && code) blocks.set(file, code);
+  }
+
+  return blocks;
+}
+
 /**
  * Ensure history file exists with a header.
  * @param {string} historyPath
@@ -526,20 +1086,28 @@ async function ensureHistoryHeader(historyPath) {
 /**
  * Append a single entry to the fix history file.
  * @param {string} historyPath
- * @param {{testFile: string, ok: boolean, mode: string, provider?: string, note?: string, errors?: any[], sourceFile?: string, llmOutputPreview?: string}} entry
+ * @param {{testFile: string, ok: boolean, mode: string, provider?: string, note?: string, errors?: any[], sourceFile?: string, prompt?: string, cluster?: FailureCluster|null, attempt?: {n: number, of: number}, verification?: Verification|null, llmOutputPreview?: string}} entry
  */
 async function recordFixLog(historyPath, entry) {
   const date = new Date().toISOString().split('T')[0];
   const errors = Array.isArray(entry.errors) ? entry.errors : [];
   const topErrors = errors.slice(0, 3).map(e => `- ${String(e?.test || '(unknown)')}: ${String(e?.message || '').slice(0, 120)}`).join('\n');
+  const v = entry.verification;
+  const verification = v
+    ? `- Verification: ${v.accepted ? 'ACCEPTED' : 'REVERTED'} - failures ${v.before} -> ${v.after}, ${v.fixed.length} fixed, ${v.newFailures.length} new (${v.scope.length} test files rerun)${v.newFailures.length > 0 ? `\n  - New: ${v.newFailures.slice(0, 5).join('; ')}` : ''}`
+    : '';
 
   const block = `
 ## ${date} - ${entry.testFile}
 
 - Status: ${entry.ok ? 'FIXED' : 'FAILED'}
+${entry.attempt ? `- Attempt: ${entry.attempt.n}/${entry.attempt.of}` : ''}
 - Mode: ${entry.mode}
 - Provider: ${entry.provider || 'unknown'}
+${entry.prompt ? `- Prompt: ${entry.prompt}` : ''}
 ${entry.sourceFile ? `- Related source (read-only): ${entry.sourceFile}` : ''}
+${entry.cluster ? `- Cluster: ${describeCluster(entry.cluster)} (${entry.cluster.count} failures in ${entry.cluster.testFiles.length} files)` : ''}
+${verification}
 ${entry.note ? `- Note: ${String(entry.note).slice(0, 400)}` : ''}
 ${topErrors ? `\n### Errors (top)\n${topErrors}\n` : ''}
 ${entry.llmOutputPreview ? `\n### LLM Output (preview)\n\`\`\`\n${String(entry.llmOutputPreview).slice(0, 2000)}\n\`\`\`\n` : ''}
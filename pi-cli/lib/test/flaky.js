@@ -0,0 +1,252 @@
+/**
+ * Flaky test detection
+ * Keeps a rolling per-test outcome history (`.test-history.json`) and scores
+ * tests that flip between pass and fail on the same code revision.
+ */
+
+import { createHash } from 'crypto';
+import path from 'path';
+import { readJsonSafe, runCommand, writeJsonSafe } from '../shared.js';
+import { getCachePath, loadStaleConfig } from '../context.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+/** @typedef {import('../types.js').TestResult} TestResult */
+
+const HISTORY_FILE = '.test-history.json';
+const HISTORY_VERSION = 1;
+
+/** Defaults for `testing.flaky` in .stale-config.json */
+const DEFAULTS = { historySize: 20, minScore: 0.3 };
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} ts - ISO timestamp of the run
+ * @property {string|null} rev - Code revision key (commit, plus diff hash when dirty)
+ * @property {string|null} commit
+ * @property {'passed'|'failed'|'skipped'} status
+ * @property {number} [duration]
+ * @property {boolean} [retried] - Failed, then passed on retry in the same run
+ */
+
+/**
+ * @typedef {object} TestHistory
+ * @property {number} version
+ * @property {Array<{ts: string, commit: string|null, rev: string|null, passed: number, failed: number, skipped: number}>} runs
+ * @property {Record<string, HistoryEntry[]>} tests - Keyed by `file::test`
+ */
+
+/**
+ * @typedef {object} FlakyScore
+ * @property {string} key
+ * @property {string} testFile
+ * @property {string} test
+ * @property {number} score - 0..1
+ * @property {number} runs
+ * @property {number} failures
+ * @property {number} flips - pass/fail changes on the same revision
+ * @property {number} retryPasses
+ * @property {string} lastStatus
+ * @property {string} lastSeen
+ */
+
+/**
+ * @param {any} staleConfig
+ * @returns {{historySize: number, minScore: number}}
+ */
+function flakySettings(staleConfig) {
+  const cfg = staleConfig?.testing?.flaky || {};
+  return {
+    historySize: Math.max(2, Number(cfg.historySize) || DEFAULTS.historySize),
+    minScore: Number.isFinite(Number(cfg.minScore)) && cfg.minScore !== '' ? Number(cfg.minScore) : DEFAULTS.minScore
+  };
+}
+
+/**
+ * History key for a test (file made project-relative)
+ * @param {string} root
+ * @param {string} testFile
+ * @param {string} test
+ * @returns {string}
+ */
+export function testKey(root, testFile, test) {
+  const file = String(testFile || '');
+  const rel = file && path.isAbsolute(file) ? path.relative(root, file) : file;
+  return `${rel.replace(/\\/g, '/')}::${test || '(unknown)'}`;
+}
+
+/**
+ * Revision of the working tree: HEAD, plus a hash of `git diff HEAD` when dirty,
+ * so two runs share a revision only if they ran the same tracked code.
+ *
+ * @param {string} root
+ * @returns {Promise<{commit: string|null, rev: string|null}>}
+ */
+export async function currentRevision(root) {
+  const head = await runCommand('git', ['rev-parse', 'HEAD'], { cwd: root });
+  if (head.code !== 0) return { commit: null, rev: null };
+
+  const commit = head.stdout.trim();
+  const diff = await runCommand('git', ['diff', 'HEAD', '--no-ext-diff', '--no-color'], { cwd: root });
+  if (diff.code !== 0) return { commit, rev: null };
+
+  const rev = diff.stdout
+    ? `${commit.slice(0, 12)}+${createHash('sha1').update(diff.stdout).digest('hex').slice(0, 8)}`
+    : commit.slice(0, 12);
+  return { commit, rev };
+}
+
+/**
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @returns {Promise<TestHistory>}
+ */
+export async function loadHistory(ctx) {
+  const data = await readJsonSafe(getCachePath(ctx.config, ctx.root, HISTORY_FILE), null);
+  if (!data || data.version !== HISTORY_VERSION || typeof data.tests !== 'object') {
+    return { version: HISTORY_VERSION, runs: [], tests: {} };
+  }
+  return data;
+}
+
+/**
+ * Append one run's per-test outcomes to the history.
+ * Uses `tests` when the reporter lists every test, otherwise only failures.
+ * Entries per test and the run log are capped at `testing.flaky.historySize`;
+ * tests not seen within the kept runs are dropped.
+ *
+ * @param {{root: string, config: ProjectConfig, staleConfig?: any}} ctx
+ * @param {TestResult} result
+ * @returns {Promise<void>}
+ */
+export async function recordHistory(ctx, result) {
+  const { root, config } = ctx;
+  const staleConfig = ctx.staleConfig || await loadStaleConfig(root, config);
+  const { historySize } = flakySettings(staleConfig);
+
+  const history = await loadHistory(ctx);
+  const { commit, rev } = await currentRevision(root);
+  const ts = new Date().toISOString();
+
+  const outcomes = Array.isArray(result.tests) && result.tests.length > 0
+    ? result.tests
+    : (result.errors || []).map(e => ({ testFile: e.testFile, test: e.test, status: 'failed', duration: e.duration }));
+
+  for (const t of outcomes) {
+    const key = testKey(root, t.testFile, t.test);
+    const entries = history.tests[key] || (history.tests[key] = []);
+    /** @type {HistoryEntry} */
+    const entry = { ts, rev, commit, status: t.status };
+    if (Number.isFinite(t.duration)) entry.duration = t.duration;
+    if (t.retried) entry.retried = true;
+    entries.push(entry);
+    if (entries.length > historySize) entries.splice(0, entries.length - historySize);
+  }
+
+  history.runs.push({ ts, commit, rev, passed: result.passed, failed: result.failed, skipped: result.skipped });
+  if (history.runs.length > historySize) history.runs.splice(0, history.runs.length - historySize);
+
+  const oldest = history.runs[0]?.ts || ts;
+  for (const [key, entries] of Object.entries(history.tests)) {
+    if (!entries.length || entries[entries.length - 1].ts < oldest) delete history.tests[key];
+  }
+
+  await writeJsonSafe(getCachePath(config, root, HISTORY_FILE), history);
+}
+
+/**
+ * Score one test's history.
+ * score = (flips + retry passes) / (same-revision comparisons + retry passes).
+ * Runs without a revision (no git) are never compared with each other.
+ *
+ * @param {string} key
+ * @param {HistoryEntry[]} entries
+ * @returns {FlakyScore}
+ */
+export function scoreTest(key, entries) {
+  const sep = key.indexOf('::');
+  const ran = entries.filter(e => e.status !== 'skipped');
+
+  /** @type {Map<string, HistoryEntry[]>} */
+  const byRev = new Map();
+  for (const e of ran) {
+    const rev = e.rev || `run:${e.ts}`;
+    if (!byRev.has(rev)) byRev.set(rev, []);
+    byRev.get(rev).push(e);
+  }
+
+  let flips = 0;
+  let comparisons = 0;
+  for (const group of byRev.values()) {
+    for (let i = 1; i < group.length; i++) {
+      comparisons++;
+      if (group[i].status !== group[i - 1].status) flips++;
+    }
+  }
+  const retryPasses = ran.filter(e => e.retried).length;
+  const denominator = comparisons + retryPasses;
+  const last = entries[entries.length - 1];
+
+  return {
+    key,
+    testFile: key.slice(0, sep),
+    test: key.slice(sep + 2),
+    score: denominator > 0 ? Math.round(((flips + retryPasses) / denominator) * 100) / 100 : 0,
+    runs: ran.length,
+    failures: ran.filter(e => e.status === 'failed').length,
+    flips,
+    retryPasses,
+    lastStatus: last?.status || 'unknown',
+    lastSeen: last?.ts || ''
+  };
+}
+
+/**
+ * Tests currently considered flaky, keyed by `testKey`
+ * @param {{root: string, config: ProjectConfig, staleConfig?: any}} ctx
+ * @param {{minScore?: number}} [options]
+ * @returns {Promise<Map<string, FlakyScore>>}
+ */
+export async function loadFlakyTests(ctx, options = {}) {
+  const staleConfig = ctx.staleConfig || await loadStaleConfig(ctx.root, ctx.config);
+  const minScore = options.minScore ?? flakySettings(staleConfig).minScore;
+  const history = await loadHistory(ctx);
+
+  /** @type {Map<string, FlakyScore>} */
+  const flaky = new Map();
+  for (const [key, entries] of Object.entries(history.tests)) {
+    const s = scoreTest(key, entries);
+    if (s.flips + s.retryPasses > 0 && s.score >= minScore) flaky.set(key, s);
+  }
+  return flaky;
+}
+
+/**
+ * `pi test flaky` - list tests that flip between pass and fail on the same code
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {any} args - `--min-score`, `--limit`, `--json`
+ */
+export async function showFlaky(ctx, args = {}) {
+  const history = await loadHistory(ctx);
+  const minScore = args['min-score'] !== undefined ? Number(args['min-score']) : undefined;
+  const flaky = [...(await loadFlakyTests(ctx, { minScore })).values()]
+    .sort((a, b) => b.score - a.score || b.flips - a.flips || a.key.localeCompare(b.key));
+
+  if (args.json) {
+    console.log(JSON.stringify({ runs: history.runs.length, tracked: Object.keys(history.tests).length, flaky }, null, 2));
+    return flaky;
+  }
+
+  if (history.runs.length === 0) {
+    console.log('No test history yet. Run "pi test run" a few times first.');
+    return flaky;
+  }
+
+  console.log(`Flaky tests: ${flaky.length} of ${Object.keys(history.tests).length} tracked (last ${history.runs.length} runs)\n`);
+  const limit = Math.max(1, Number(args.limit) || 20);
+  for (const f of flaky.slice(0, limit)) {
+    console.log(`  ${f.score.toFixed(2)}  ${f.testFile} > ${f.test}`);
+    console.log(`        runs ${f.runs}, failed ${f.failures}, flips ${f.flips}, passed on retry ${f.retryPasses}, last ${f.lastStatus}`);
+  }
+  if (flaky.length > limit) console.log(`  ... +${flaky.length - limit} more`);
+
+  return flaky;
+}
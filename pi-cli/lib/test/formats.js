@@ -0,0 +1,688 @@
+/**
+ * Test report formats
+ * Parsers for runners without a Jest-like JSON report:
+ * - node:test events (./node-reporter.js) and TAP (`--test-reporter=tap`)
+ * - mocha JSON reporter
+ * - JUnit XML (`bun test --reporter=junit`, most CI tools)
+ *
+ * All produce the TestResult/TestError shape used by `pi test run`.
+ */
+
+import { fileURLToPath } from 'url';
+
+/** `--test-reporter` value for node:test runs (see ./node-reporter.js) */
+export const NODE_REPORTER = new URL('./node-reporter.js', import.meta.url).href;
+
+/** @typedef {import('../types.js').TestResult} TestResult */
+/** @typedef {import('../types.js').TestError} TestError */
+/** @typedef {import('../types.js').TestCaseResult} TestCaseResult */
+
+const TEST_FILE_RE = /\.(?:[cm]?[jt]sx?)$/;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function firstLine(text) {
+  const s = String(text || '').trim();
+  const idx = s.indexOf('\n');
+  return idx === -1 ? s : s.slice(0, idx).trim();
+}
+
+/**
+ * Strip a `:line:col` suffix and a file:// scheme
+ * @param {string} location
+ * @returns {string}
+ */
+function locationFile(location) {
+  const file = String(location || '').replace(/:\d+(?::\d+)?$/, '');
+  if (file.startsWith('file://')) {
+    try {
+      return fileURLToPath(file);
+    } catch {
+      return file;
+    }
+  }
+  return file;
+}
+
+// ============================================================
+// TAP (node:test)
+// ============================================================
+
+/**
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * @param {string} raw
+ * @returns {string|number|boolean|null}
+ */
+function yamlScalar(raw) {
+  const value = raw.trim();
+  if (value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (/^".*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Parse the flat part of a TAP YAML diagnostic block.
+ * Scalars and block scalars (`|-`, `>`) are kept; nested maps/lists are skipped.
+ *
+ * @param {string[]} lines
+ * @returns {Record<string, any>}
+ */
+function parseTapYaml(lines) {
+  /** @type {Record<string, any>} */
+  const out = {};
+  const firstLineWithText = lines.find(l => l.trim());
+  if (!firstLineWithText) return out;
+  const base = indentOf(firstLineWithText);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || indentOf(line) !== base) continue;
+
+    const m = line.slice(base).match(/^([\w$-]+):\s*(.*)$/);
+    if (!m) continue;
+    const [, key, raw] = m;
+
+    const isDeeper = (/** @type {string|undefined} */ next) => next !== undefined && (!next.trim() || indentOf(next) > base);
+
+    if (/^[|>][+-]?$/.test(raw)) {
+      const body = [];
+      while (isDeeper(lines[i + 1])) body.push(lines[++i]);
+      const indents = body.filter(l => l.trim()).map(indentOf);
+      const strip = indents.length > 0 ? Math.min(...indents) : 0;
+      const joined = body.map(l => l.slice(strip));
+      out[key] = (raw.startsWith('>') ? joined.join(' ') : joined.join('\n')).replace(/\s+$/, '');
+    } else if (raw === '') {
+      // Nested map/list - not needed
+      while (isDeeper(lines[i + 1])) i++;
+    } else {
+      out[key] = yamlScalar(raw);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * @typedef {object} TapPoint
+ * @property {number} indent
+ * @property {boolean} ok
+ * @property {string} name
+ * @property {'SKIP'|'TODO'|null} directive
+ * @property {Record<string, any>} yaml
+ * @property {string[]} diagnostics - `#` comment lines printed since the previous point
+ * @property {string} [file] - Test file, when the format reports it for every test
+ */
+
+/**
+ * Count leaf tests and build errors from ordered result points.
+ * Only leaf tests are counted; parents that failed because a subtest failed
+ * are not. Names are joined with their ancestors (`suite > test`).
+ *
+ * @param {TapPoint[]} points - In report order (children before their parent)
+ * @returns {{passed: number, failed: number, skipped: number, errors: TestError[], tests: TestCaseResult[]}}
+ */
+function summarizePoints(points) {
+  /** @type {TestError[]} */
+  const errors = [];
+  /** @type {TestCaseResult[]} */
+  const tests = [];
+  let passed = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  for (let idx = 0; idx < points.length; idx++) {
+    const point = points[idx];
+    // Children are printed right before their parent's result line
+    const isLeaf = point.yaml.type !== 'suite' && (idx === 0 || points[idx - 1].indent <= point.indent);
+    const ownFailure = !point.ok && point.yaml.failureType !== 'subtestsFailed';
+
+    if (!isLeaf && !ownFailure) continue;
+
+    // Ancestors follow with smaller indents
+    const names = [point.name];
+    let location = point.yaml.location || '';
+    let depth = point.indent;
+    for (let k = idx + 1; k < points.length && depth > 0; k++) {
+      if (points[k].indent >= depth || (point.file && points[k].file && points[k].file !== point.file)) continue;
+      depth = points[k].indent;
+      names.unshift(points[k].name);
+      if (!location) location = points[k].yaml.location || '';
+    }
+
+    let testFile = point.file || locationFile(location);
+    if (!testFile && TEST_FILE_RE.test(point.name)) testFile = point.name;
+    const test = names.join(' > ');
+    const testDuration = Math.round(Number(point.yaml.duration_ms) || 0);
+
+    /** @type {TestCaseResult['status']} */
+    const status = point.directive ? 'skipped' : point.ok ? 'passed' : 'failed';
+    tests.push({ testFile, test, status, duration: testDuration });
+
+    if (status === 'skipped') {
+      skipped++;
+      continue;
+    }
+    if (status === 'passed') {
+      passed++;
+      continue;
+    }
+    failed++;
+
+    let message = String(point.yaml.error ?? '');
+    let stack = String(point.yaml.stack ?? '');
+    // A file that fails to load only reports 'test failed'; the real error is in the diagnostics
+    if ((!message || message === 'test failed') && point.diagnostics.length > 0) {
+      const diag = point.diagnostics.join('\n').trim();
+      const errLine = point.diagnostics.find(l => /^\w*Error\b|^\w+: /.test(l.trim()));
+      message = errLine ? errLine.trim() : firstLine(diag);
+      stack = stack || diag;
+    }
+    if (point.yaml.name && message && !message.startsWith(String(point.yaml.name))) {
+      message = `${point.yaml.name}: ${message}`;
+    }
+
+    /** @type {TestError} */
+    const error = {
+      testFile,
+      test,
+      message: message || 'Test failed',
+      stack,
+      duration: testDuration
+    };
+    if (point.yaml.expected !== undefined && point.yaml.expected !== null) error.expected = String(point.yaml.expected);
+    if (point.yaml.actual !== undefined && point.yaml.actual !== null) error.actual = String(point.yaml.actual);
+    errors.push(error);
+  }
+
+  return { passed, failed, skipped, errors, tests };
+}
+
+/**
+ * Parse TAP output (node:test flavour, subtests indented by 4).
+ * Passing tests carry no location in node's TAP, so their file may be empty.
+ *
+ * @param {string} text
+ * @returns {TestResult & {tests: TestCaseResult[]}}
+ */
+export function parseTap(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  /** @type {TapPoint[]} */
+  const points = [];
+  /** @type {string[]} */
+  let diagnostics = [];
+  let duration = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const m = line.match(/^(\s*)(ok|not ok)\b(?:\s+\d+)?(?:\s+-)?\s*(.*)$/);
+    if (m) {
+      let name = m[3];
+      /** @type {'SKIP'|'TODO'|null} */
+      let directive = null;
+      const d = name.match(/(?:^|\s)#\s*(SKIP|TODO)\b.*$/i);
+      if (d) {
+        directive = /** @type {'SKIP'|'TODO'} */ (d[1].toUpperCase());
+        name = name.slice(0, d.index);
+      }
+      name = name.trim().replace(/\\#/g, '#').replace(/\\\\/g, '\\');
+
+      let yaml = {};
+      if (lines[i + 1]?.trim() === '---') {
+        const block = [];
+        let j = i + 2;
+        while (j < lines.length && lines[j].trim() !== '...') block.push(lines[j++]);
+        yaml = parseTapYaml(block);
+        i = j;
+      }
+
+      points.push({ indent: m[1].length, ok: m[2] === 'ok', name, directive, yaml, diagnostics });
+      diagnostics = [];
+      continue;
+    }
+
+    const comment = line.match(/^\s*#\s?(.*)$/);
+    if (!comment) continue;
+    const body = comment[1];
+    const dm = body.match(/^duration_ms\s+([\d.]+)\s*$/);
+    if (dm && indentOf(line) === 0) {
+      duration = Math.round(parseFloat(dm[1]));
+    } else if (!/^Subtest:/.test(body)) {
+      diagnostics.push(body);
+    }
+  }
+
+  return { ...summarizePoints(points), duration };
+}
+
+/**
+ * Parse node:test events printed by ./node-reporter.js (one JSON per line).
+ * stderr of a file that fails to load becomes that failure's message.
+ *
+ * @param {string} text
+ * @returns {TestResult & {tests: TestCaseResult[]}}
+ */
+export function parseNodeEvents(text) {
+  /** @type {TapPoint[]} */
+  const points = [];
+  /** @type {Map<string, string[]>} */
+  const stderrByFile = new Map();
+  let duration = 0;
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line.startsWith('{"event":')) continue;
+    let ev;
+    try {
+      ev = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (ev.event === 'stderr') {
+      const key = ev.file || '';
+      if (!stderrByFile.has(key)) stderrByFile.set(key, []);
+      stderrByFile.get(key).push(...String(ev.message || '').split('\n'));
+    } else if (ev.event === 'duration') {
+      duration = Math.round(Number(ev.duration) || 0);
+    } else if (ev.event === 'pass' || ev.event === 'fail') {
+      const err = ev.error || {};
+      points.push({
+        indent: Number(ev.nesting) || 0,
+        ok: ev.event === 'pass',
+        name: String(ev.name || ''),
+        directive: ev.skip ? 'SKIP' : ev.todo ? 'TODO' : null,
+        file: ev.file || '',
+        yaml: {
+          type: ev.suite ? 'suite' : undefined,
+          duration_ms: ev.duration,
+          location: ev.file ? `${ev.file}:${ev.line || 1}` : '',
+          failureType: err.failureType,
+          error: err.message,
+          stack: err.stack,
+          name: err.name && err.name !== 'Error' ? err.name : undefined,
+          expected: err.expected,
+          actual: err.actual
+        },
+        diagnostics: []
+      });
+    }
+  }
+
+  // A file that fails to load reports its error on stderr only
+  for (const point of points) {
+    if (!point.ok && point.indent === 0 && point.yaml.error === 'test failed') {
+      point.diagnostics = (stderrByFile.get(point.file || '') || []).filter(l => l.trim());
+    }
+  }
+
+  return { ...summarizePoints(points), duration };
+}
+
+// ============================================================
+// mocha JSON reporter
+// ============================================================
+
+/**
+ * Extract the mocha JSON report from stdout (tests may log before it)
+ * @param {string} text
+ * @returns {any|null}
+ */
+export function coerceMochaJson(text) {
+  const s = String(text || '').trim();
+  if (!s) return null;
+  const candidates = [0, s.indexOf('{\n  "stats"'), s.lastIndexOf('\n{') + 1].filter(i => i >= 0);
+  for (const start of candidates) {
+    try {
+      const report = JSON.parse(s.slice(start));
+      if (report && typeof report === 'object' && report.stats) return report;
+    } catch {
+      // try next
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a mocha JSON report
+ * @param {any} report
+ * @returns {TestResult}
+ */
+export function parseMochaReport(report) {
+  const stats = report?.stats || {};
+  const failures = Array.isArray(report?.failures) ? report.failures : [];
+
+  /** @type {TestError[]} */
+  const errors = failures.map(t => {
+    const err = t?.err || {};
+    /** @type {TestError} */
+    const error = {
+      testFile: t?.file || '',
+      test: t?.fullTitle || t?.title || '(unknown)',
+      message: err.message ? (err.name && !String(err.message).startsWith(err.name) ? `${err.name}: ${err.message}` : String(err.message)) : 'Test failed',
+      stack: err.stack || '',
+      duration: Number(t?.duration) || 0
+    };
+    if (err.expected !== undefined) error.expected = typeof err.expected === 'string' ? err.expected : JSON.stringify(err.expected);
+    if (err.actual !== undefined) error.actual = typeof err.actual === 'string' ? err.actual : JSON.stringify(err.actual);
+    return error;
+  });
+
+  /** @type {TestCaseResult[]} */
+  const tests = [];
+  const groups = /** @type {const} */ ([['passes', 'passed'], ['failures', 'failed'], ['pending', 'skipped']]);
+  for (const [key, status] of groups) {
+    for (const t of Array.isArray(report?.[key]) ? report[key] : []) {
+      tests.push({ testFile: t?.file || '', test: t?.fullTitle || t?.title || '(unknown)', status, duration: Number(t?.duration) || 0 });
+    }
+  }
+
+  return {
+    passed: stats.passes ?? (Array.isArray(report?.passes) ? report.passes.length : 0),
+    failed: stats.failures ?? errors.length,
+    skipped: stats.pending ?? (Array.isArray(report?.pending) ? report.pending.length : 0),
+    errors,
+    duration: Number(stats.duration) || 0,
+    tests
+  };
+}
+
+// ============================================================
+// JUnit XML
+// ============================================================
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : all;
+    }
+    return XML_ENTITIES[ent] ?? all;
+  });
+}
+
+/**
+ * @param {string} raw
+ * @returns {Record<string, string>}
+ */
+function parseXmlAttrs(raw) {
+  /** @type {Record<string, string>} */
+  const attrs = {};
+  const re = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(raw))) attrs[m[1]] = decodeXml(m[2] ?? m[3] ?? '');
+  return attrs;
+}
+
+/**
+ * @param {string|undefined} value - Seconds
+ * @returns {number} Milliseconds
+ */
+function secondsToMs(value) {
+  const n = parseFloat(String(value ?? ''));
+  return Number.isFinite(n) ? Math.round(n * 1000) : 0;
+}
+
+/**
+ * Parse a JUnit XML report (`<testsuites>`/`<testsuite>`/`<testcase>`).
+ * The test file comes from `file` attributes (testcase, then enclosing suites),
+ * or a suite/class name that looks like a path.
+ *
+ * @param {string} xml
+ * @returns {TestResult}
+ */
+export function parseJunitXml(xml) {
+  /** @type {TestError[]} */
+  const errors = [];
+  /** @type {TestCaseResult[]} */
+  const tests = [];
+  let passed = 0;
+  let failed = 0;
+  let skipped = 0;
+  let caseDuration = 0;
+  let rootDuration = null;
+  let suiteDuration = 0;
+
+  /** @type {Record<string, string>[]} */
+  const suites = [];
+  /** @type {{attrs: Record<string, string>, outcome: 'passed'|'failed'|'skipped', failure: {attrs: Record<string, string>, text: string}|null}|null} */
+  let current = null;
+  /** @type {{attrs: Record<string, string>, text: string}|null} */
+  let capture = null;
+
+  const finishCase = () => {
+    if (!current) return;
+    const { attrs, outcome, failure } = current;
+    const duration = secondsToMs(attrs.time);
+    caseDuration += duration;
+
+    const suiteFile = [...suites].reverse().map(s => s.file || s.filepath || (TEST_FILE_RE.test(s.name || '') ? s.name : '')).find(Boolean);
+    const testFile = attrs.file || attrs.filepath || suiteFile || (TEST_FILE_RE.test(attrs.classname || '') ? attrs.classname : '');
+    const classname = attrs.classname && attrs.classname !== testFile && attrs.classname !== attrs.name ? attrs.classname : '';
+    const test = classname ? `${classname} > ${attrs.name || '(unknown)'}` : (attrs.name || '(unknown)');
+    tests.push({ testFile, test, status: outcome, duration });
+
+    if (outcome === 'skipped') skipped++;
+    else if (outcome === 'passed') passed++;
+    else {
+      failed++;
+      const text = String(failure?.text || '').trim();
+      const rawMessage = failure?.attrs.message || firstLine(text) || 'Test failed';
+      const type = failure?.attrs.type || '';
+
+      errors.push({
+        testFile,
+        test,
+        message: type && !rawMessage.includes(type) ? `${type}: ${rawMessage}` : rawMessage,
+        stack: text,
+        duration
+      });
+    }
+    current = null;
+  };
+
+  const re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = re.exec(String(xml || '')))) {
+    const [, cdata, closing, tag, rawAttrs, selfClosing, text] = m;
+
+    if (cdata !== undefined || text !== undefined) {
+      if (capture) capture.text += cdata !== undefined ? cdata : decodeXml(text);
+      continue;
+    }
+    if (!tag) continue;
+
+    const name = tag.toLowerCase();
+    if (closing) {
+      if (name === 'testsuite') suites.pop();
+      else if (name === 'testcase') finishCase();
+      else if ((name === 'failure' || name === 'error') && capture && current) {
+        current.failure = capture;
+        current.outcome = 'failed';
+        capture = null;
+      }
+      continue;
+    }
+
+    const attrs = parseXmlAttrs(rawAttrs || '');
+    switch (name) {
+      case 'testsuites':
+        if (attrs.time !== undefined) rootDuration = secondsToMs(attrs.time);
+        break;
+      case 'testsuite':
+        if (suites.length === 0) suiteDuration += secondsToMs(attrs.time);
+        if (!selfClosing) suites.push(attrs);
+        break;
+      case 'testcase':
+        finishCase();
+        current = { attrs, outcome: 'passed', failure: null };
+        if (selfClosing) finishCase();
+        break;
+      case 'failure':
+      case 'error':
+        if (!current) break;
+        if (selfClosing) {
+          current.failure = { attrs, text: '' };
+          current.outcome = 'failed';
+        } else {
+          capture = { attrs, text: '' };
+        }
+        break;
+      case 'skipped':
+        if (current && current.outcome !== 'failed') current.outcome = 'skipped';
+        break;
+      default:
+        break;
+    }
+  }
+  finishCase();
+
+  return {
+    passed,
+    failed,
+    skipped,
+    errors,
+    duration: rootDuration ?? (suiteDuration || caseDuration),
+    tests
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    // Characters not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function cdata(text) {
+  const clean = String(text ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  return `<![CDATA[${clean.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * @param {number|undefined} ms
+ * @returns {string}
+ */
+function msToSeconds(ms) {
+  return ((Number(ms) || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Serialize a test result as JUnit XML (one `<testsuite>` per test file).
+ *
+ * Uses per-test outcomes when the result has them (`tests`); otherwise only
+ * failures can be listed as testcases and the totals go on `<testsuites>`.
+ *
+ * @param {TestResult & {timestamp?: string}} result
+ * @param {{name?: string}} [options]
+ * @returns {string}
+ */
+export function toJunitXml(result, options = {}) {
+  const errors = Array.isArray(result?.errors) ? result.errors : [];
+  /** @type {TestCaseResult[]} */
+  const tests = Array.isArray(result?.tests) && result.tests.length > 0
+    ? result.tests
+    : errors.map(e => ({ testFile: e.testFile, test: e.test, status: /** @type {const} */ ('failed'), duration: e.duration, package: e.package }));
+
+  // Failures keyed by file + name (a name can repeat, so keep a queue)
+  /** @type {Map<string, TestError[]>} */
+  const errorsByTest = new Map();
+  for (const err of errors) {
+    const key = `${err.testFile}\0${err.test}`;
+    if (!errorsByTest.has(key)) errorsByTest.set(key, []);
+    errorsByTest.get(key).push(err);
+  }
+
+  /** @type {Map<string, TestCaseResult[]>} */
+  const byFile = new Map();
+  for (const t of tests) {
+    const file = t.testFile || '(unknown)';
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(t);
+  }
+
+  const suites = [];
+  for (const [file, cases] of byFile) {
+    const failures = cases.filter(c => c.status === 'failed').length;
+    const skippedCount = cases.filter(c => c.status === 'skipped').length;
+    const time = cases.reduce((sum, c) => sum + (Number(c.duration) || 0), 0);
+
+    const body = cases.map(c => {
+      const attrs = `name="${escapeXml(c.test)}" classname="${escapeXml(file)}" file="${escapeXml(file)}" time="${msToSeconds(c.duration)}"`;
+      if (c.status === 'skipped') return `    <testcase ${attrs}>\n      <skipped/>\n    </testcase>`;
+      if (c.status !== 'failed') return `    <testcase ${attrs}/>`;
+
+      const err = errorsByTest.get(`${c.testFile}\0${c.test}`)?.shift();
+      const message = firstLine(err?.message || 'Test failed');
+      const type = String(err?.message || '').match(/^(\w*Error)\b/)?.[1] || 'Error';
+      // Some runners (node:test) keep the message out of the stack
+      const fullMessage = String(err?.message || '');
+      const stack = String(err?.stack || '');
+      const detail = stack && fullMessage && !stack.includes(firstLine(fullMessage)) ? `${fullMessage}\n${stack}` : (stack || fullMessage);
+      return [
+        `    <testcase ${attrs}>`,
+        `      <failure message="${escapeXml(message)}" type="${escapeXml(type)}">${cdata(detail)}</failure>`,
+        '    </testcase>'
+      ].join('\n');
+    });
+
+    suites.push([
+      `  <testsuite name="${escapeXml(file)}" file="${escapeXml(file)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skippedCount}" time="${msToSeconds(time)}">`,
+      ...body,
+      '  </testsuite>'
+    ].join('\n'));
+  }
+
+  const total = (result?.passed || 0) + (result?.failed || 0) + (result?.skipped || 0);
+  const rootAttrs = [
+    `name="${escapeXml(options.name || 'pi')}"`,
+    `tests="${Math.max(total, tests.length)}"`,
+    `failures="${result?.failed ?? errors.length}"`,
+    'errors="0"',
+    `skipped="${result?.skipped || 0}"`,
+    `time="${msToSeconds(result?.duration)}"`,
+    ...(result?.timestamp ? [`timestamp="${escapeXml(result.timestamp)}"`] : [])
+  ].join(' ');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${rootAttrs}>`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
@@ -7,6 +7,9 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { getDirectoryRule, matchesIgnoreInclude, matchesPattern, parallelMap, readJsonSafe, writeJsonSafe } from '../shared.js';
 import { getCachePath, loadStaleConfig } from '../context.js';
+import { coverageSettings, loadCoverageMap, percent, summarizeModules, unloadedFileCoverage } from './coverage.js';
+import { resolvePatchMode, patchInstructions, applyPatchResponse, formatRejections } from '../llm/patch.js';
+import { renderPrompt } from '../prompt/templates.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 
@@ -24,12 +27,21 @@ export async function generateTests(ctx, args) {
   const include = staleConfig?.include || [];
   const ctxWithStale = ctx.staleConfig ? ctx : { ...ctx, staleConfig };
 
+  // --patch-mode only changes updates of existing tests; new files are generated whole
+  try {
+    resolvePatchMode(args['patch-mode']);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+    return;
+  }
+
   // Get test status first
   const statusPath = getCachePath(config, root, '.test-status.json');
   let status = await readJsonSafe(statusPath);
 
   if (!status) {
-    status = await analyzeTestStatus(ctxWithStale, args);
+    status = await analyzeTestStatus(ctxWithStale, { ...args, enforce: false });
   }
 
   // Filter files based on mode
@@ -75,11 +87,15 @@ export async function generateTests(ctx, args) {
 
   const concurrency = args.concurrency || 3;
 
+  // One usage record (and token budget) for all generated files
+  const { createMeter } = await import('../llm/batch.js');
+  const meter = createMeter(config, 'test-generator');
+
   const results = await parallelMap(targets, async (target, idx) => {
     try {
       // Extract dependency info for this specific file
       const depInfo = graph?.files?.[target.source] || null;
-      const result = await generateSingleTest(target, ctxWithStale, args, depInfo);
+      const result = await generateSingleTest(target, ctxWithStale, args, depInfo, meter);
       console.log(`[${idx + 1}/${targets.length}] ${result.success ? '✓' : '✗'} ${target.source}`);
       return result;
     } catch (err) {
@@ -90,13 +106,15 @@ export async function generateTests(ctx, args) {
 
   const succeeded = results.filter(r => r.success).length;
   console.log(`\nGenerated: ${succeeded}/${results.length}`);
+  const usage = await meter.save();
 
   // Save results
   const resultPath = getCachePath(config, root, '.test-generator-result.json');
   await writeJsonSafe(resultPath, {
     timestamp: new Date().toISOString(),
     results,
-    summary: { succeeded, failed: results.length - succeeded }
+    summary: { succeeded, failed: results.length - succeeded },
+    usage: { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, estimated: usage.estimated, cost: usage.cost }
   });
 }
 
@@ -106,8 +124,9 @@ export async function generateTests(ctx, args) {
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  * @param {object} [depInfo] - Dependency info from graph
+ * @param {import('../llm/usage.js').UsageMeter} [meter] - Shared by the whole run
  */
-async function generateSingleTest(target, ctx, args, depInfo = null) {
+async function generateSingleTest(target, ctx, args, depInfo = null, meter) {
   const { root, config } = ctx;
   const { source, expectedTest, actualTest } = target;
   const staleConfig = ctx.staleConfig || await loadStaleConfig(root, config);
@@ -135,33 +154,53 @@ async function generateSingleTest(target, ctx, args, depInfo = null) {
   // Extract exports
   const exports = extractExports(sourceContent, config.language);
 
+  const patchMode = actualTest && existingTest ? resolvePatchMode(args['patch-mode']) : null;
+
   // Build prompt with dependency info
-  const prompt = buildTestPrompt(source, sourceContent, exports, config, {
+  const rendered = await buildTestPrompt(source, sourceContent, exports, ctx, {
     depInfo,
     existingTest,
     isUpdate: !!actualTest,
     staleConfig,
-    directoryRule
+    directoryRule,
+    patch: patchMode ? { format: patchMode, file: actualTest } : null
   });
 
   // Call LLM using batch module
   const { runBatch } = await import('../llm/batch.js');
-  const results = await runBatch([{ id: source, prompt }], {
+  const results = await runBatch([{ id: source, prompt: rendered.prompt, inputs: actualTest ? [source, actualTest] : [source] }], {
     config,
     workdir: root,
     concurrency: 1,
-    maxRetries: 2
+    maxRetries: 2,
+    taskType: 'test-generator',
+    meter,
+    cache: !args['no-cache']
   });
 
   const result = results[0];
   if (!result?.success || !result?.output) {
-    return { source, success: false, error: result?.error || 'LLM returned empty response' };
+    return { source, success: false, error: result?.error || 'LLM returned empty response', prompt: rendered.ref };
+  }
+
+  if (patchMode) {
+    const patched = applyPatchResponse(result.output, [{ file: actualTest, content: existingTest }]).files.get(actualTest);
+    if (!patched) {
+      return { source, success: false, error: 'No edits in LLM response', prompt: rendered.ref };
+    }
+    if (patched.content === null) {
+      const report = formatRejections(actualTest, patched);
+      console.log(report);
+      return { source, success: false, error: report, prompt: rendered.ref };
+    }
+    await fs.writeFile(path.join(root, actualTest), patched.content);
+    return { source, success: true, testPath: actualTest, patch: { edits: patched.edits, fuzzy: patched.fuzzy.length }, prompt: rendered.ref };
   }
 
   // Extract code from response
   const code = extractCode(result.output);
   if (!code) {
-    return { source, success: false, error: 'No code in LLM response' };
+    return { source, success: false, error: 'No code in LLM response', prompt: rendered.ref };
   }
 
   // Write test file
@@ -169,7 +208,7 @@ async function generateSingleTest(target, ctx, args, depInfo = null) {
   await fs.mkdir(path.dirname(testPath), { recursive: true });
   await fs.writeFile(testPath, code);
 
-  return { source, success: true, testPath: expectedTest };
+  return { source, success: true, testPath: expectedTest, prompt: rendered.ref };
 }
 
 /**
@@ -209,39 +248,24 @@ function extractExports(content, language) {
 }
 
 /**
- * Build test generation prompt
+ * Build test generation prompt (template test-generate)
  * @param {string} source
  * @param {string} content
  * @param {string[]} exports
- * @param {ProjectConfig} config
+ * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} [extra]
  * @param {object} [extra.depInfo] - Dependency info { imports, importedBy }
  * @param {string} [extra.existingTest] - Existing test content (for updates)
  * @param {boolean} [extra.isUpdate] - Whether updating existing test
- * @returns {string}
+ * @param {{format: import('../llm/patch.js').PatchFormat, file: string}|null} [extra.patch] - Ask for edits to the existing test
+ * @returns {Promise<import('../prompt/templates.js').RenderedPrompt>}
  */
-function buildTestPrompt(source, content, exports, config, extra = {}) {
-  const framework = config.test?.framework || 'vitest';
-  const naming = config.conventions?.testNaming || '{name}.test.js';
-  const { depInfo, existingTest, isUpdate, staleConfig, directoryRule } = extra;
+function buildTestPrompt(source, content, exports, ctx, extra = {}) {
+  const { config } = ctx;
+  const { depInfo, existingTest, isUpdate, staleConfig, directoryRule, patch } = extra;
 
-  const lines = [];
-
-  // Header
-  if (isUpdate) {
-    lines.push(`Update the existing test file for the following source file.`);
-    lines.push(`The source has changed and tests may need updating.`);
-  } else {
-    lines.push(`Generate a comprehensive test file for the following source file.`);
-  }
-  lines.push('');
-
-  // Metadata
-  lines.push(`## Source File: ${source}`);
-  lines.push(`## Exports: ${exports.join(', ') || 'default export only'}`);
-  lines.push(`## Test Framework: ${framework}`);
-  lines.push(`## Test Naming: ${naming}`);
-  lines.push('');
+  /** @type {string[]} */
+  const policyLines = [];
 
   const testing = staleConfig?.testing || {};
   const coverage = testing.coverage || {};
@@ -262,97 +286,79 @@ function buildTestPrompt(source, content, exports, config, extra = {}) {
     mustTest.length > 0 ||
     directoryTestFocus.length > 0
   ) {
-    lines.push(`## Testing Policy (.stale-config.json)`);
+    policyLines.push(`## Testing Policy (.stale-config.json)`);
     if (Number.isFinite(coverage.target) || Number.isFinite(coverage.minimum) || coverageFocus.length > 0) {
       const target = Number.isFinite(coverage.target) ? `${coverage.target}%` : 'n/a';
       const minimum = Number.isFinite(coverage.minimum) ? `${coverage.minimum}%` : 'n/a';
-      lines.push(`- Coverage: target ${target}, minimum ${minimum}`);
+      policyLines.push(`- Coverage: target ${target}, minimum ${minimum}`);
       if (coverageFocus.length > 0) {
-        lines.push(`- Coverage focus:`);
-        for (const item of coverageFocus) lines.push(`  - ${item}`);
+        policyLines.push(`- Coverage focus:`);
+        for (const item of coverageFocus) policyLines.push(`  - ${item}`);
       }
     }
     if (directoryTestFocus.length > 0) {
-      lines.push(`- Directory test focus:`);
-      for (const item of directoryTestFocus) lines.push(`  - ${item}`);
+      policyLines.push(`- Directory test focus:`);
+      for (const item of directoryTestFocus) policyLines.push(`  - ${item}`);
     }
     if (qualityRules.length > 0) {
-      lines.push(`- Quality rules:`);
-      for (const item of qualityRules) lines.push(`  - ${item}`);
+      policyLines.push(`- Quality rules:`);
+      for (const item of qualityRules) policyLines.push(`  - ${item}`);
     }
     if (antiPatterns.length > 0) {
-      lines.push(`- Avoid anti-patterns:`);
-      for (const item of antiPatterns) lines.push(`  - ${item}`);
+      policyLines.push(`- Avoid anti-patterns:`);
+      for (const item of antiPatterns) policyLines.push(`  - ${item}`);
     }
     if (boundaryConditions.length > 0) {
-      lines.push(`- Include boundary conditions:`);
-      for (const item of boundaryConditions) lines.push(`  - ${item}`);
+      policyLines.push(`- Include boundary conditions:`);
+      for (const item of boundaryConditions) policyLines.push(`  - ${item}`);
     }
     if (mustTest.length > 0) {
-      lines.push(`- Must cover:`);
-      for (const item of mustTest) lines.push(`  - ${item}`);
+      policyLines.push(`- Must cover:`);
+      for (const item of mustTest) policyLines.push(`  - ${item}`);
     }
-    lines.push('');
+    policyLines.push('');
   }
 
+  const policy = policyLines.map(l => l + '\n').join('');
+
+  /** @type {string[]} */
+  const depLines = [];
   // Dependency info - crucial for knowing what to mock
   if (depInfo) {
     if (depInfo.imports?.length > 0) {
-      lines.push(`## Dependencies (imports) - MUST mock these:`);
+      depLines.push(`## Dependencies (imports) - MUST mock these:`);
       for (const imp of depInfo.imports.slice(0, 15)) {
-        lines.push(`- \`${imp}\``);
+        depLines.push(`- \`${imp}\``);
       }
       if (depInfo.imports.length > 15) {
-        lines.push(`- ... +${depInfo.imports.length - 15} more`);
+        depLines.push(`- ... +${depInfo.imports.length - 15} more`);
       }
-      lines.push('');
+      depLines.push('');
     }
 
     if (depInfo.importedBy?.length > 0) {
-      lines.push(`## Dependents (${depInfo.importedBy.length} files depend on this)`);
-      lines.push(`This is a core module - test thoroughly.`);
-      lines.push('');
+      depLines.push(`## Dependents (${depInfo.importedBy.length} files depend on this)`);
+      depLines.push(`This is a core module - test thoroughly.`);
+      depLines.push('');
     }
   }
 
-  // Source code
-  lines.push(`## Source Code`);
-  lines.push('```' + config.language);
-  lines.push(content.slice(0, 6000));
-  lines.push('```');
-  lines.push('');
-
-  // Existing test (for updates)
-  if (existingTest && isUpdate) {
-    lines.push(`## Existing Test (update this)`);
-    lines.push('```' + config.language);
-    lines.push(existingTest.slice(0, 4000));
-    lines.push('```');
-    lines.push('');
-  }
-
-  // Requirements
-  lines.push(`## Requirements`);
-  lines.push(`1. Import all exports from the source file`);
-  lines.push(`2. Test each exported function/class`);
-  lines.push(`3. Include edge cases and error cases`);
-  lines.push(`4. Use descriptive test names`);
-
-  if (depInfo?.imports?.length > 0) {
-    lines.push(`5. Mock ALL imports listed above using vi.mock() or equivalent`);
-    lines.push(`6. Never import real implementations of dependencies`);
-  } else {
-    lines.push(`5. Mock any external dependencies`);
-  }
-
-  if (isUpdate) {
-    lines.push(`7. Preserve working tests, only fix/update what's needed`);
-  }
-
-  lines.push('');
-  lines.push(`Output the complete test file wrapped in a code block.`);
-
-  return lines.join('\n');
+  const dependencies = depLines.map(l => l + '\n').join('');
+
+  return renderPrompt('test-generate', {
+    isUpdate: Boolean(isUpdate),
+    source,
+    exports: exports.join(', ') || 'default export only',
+    framework: config.test?.framework || 'vitest',
+    naming: config.conventions?.testNaming || '{name}.test.js',
+    policy,
+    dependencies,
+    language: config.language,
+    content: content.slice(0, 6000),
+    existingTest: existingTest && isUpdate ? (patch ? existingTest : existingTest.slice(0, 4000)) : '',
+    mockImports: depInfo?.imports?.length > 0,
+    patchInstructions: patch ? patchInstructions(patch.format, [patch.file]) : ''
+  }, ctx);
 }
 
 /**
@@ -367,6 +373,11 @@ function extractCode(response) {
 
 /**
  * Analyze test status (coverage analysis)
+ *
+ * With a coverage map (`pi test map --coverage`) each file also gets line and
+ * branch percentages, a per-module summary is added, and line coverage below
+ * `testing.coverage.minimum` sets a failing exit code.
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  */
@@ -382,12 +393,24 @@ export async function analyzeTestStatus(ctx, args) {
   // Scan test files
   const tests = await scanTestFiles(root, config, ignore, include);
 
+  // Real coverage (pi test map --coverage) overrides name matching.
+  // Sources no test loaded count with all code lines uncovered.
+  const coverage = await loadCoverageMap(ctx);
+  /** @type {Record<string, import('./coverage.js').FileCoverage>} */
+  const coverageFiles = {};
+  if (coverage) {
+    for (const source of sources) {
+      coverageFiles[source] = coverage.files?.[source] || await unloadedFileCoverage(root, source);
+    }
+  }
+
   // Build status
   const files = [];
 
   for (const source of sources) {
     const expectedTest = sourceToTestPath(source, config);
     const actualTest = tests.find(t => t.includes(path.parse(source).name));
+    const cov = coverageFiles[source];
 
     let status = 'untested';
     if (actualTest) {
@@ -400,8 +423,21 @@ export async function analyzeTestStatus(ctx, args) {
         status = 'covered';
       }
     }
-
-    files.push({ source, expectedTest, actualTest, status });
+    // A matching test file that never executes the source does not cover it
+    if (cov && status === 'covered' && cov.lines.covered === 0) status = 'untested';
+
+    files.push({
+      source,
+      expectedTest,
+      actualTest,
+      status,
+      ...(coverage ? {
+        coverage: {
+          lines: percent(cov.lines.covered, cov.lines.total),
+          branches: percent(cov.branches.covered, cov.branches.total)
+        }
+      } : {})
+    });
   }
 
   const result = {
@@ -412,7 +448,8 @@ export async function analyzeTestStatus(ctx, args) {
       covered: files.filter(f => f.status === 'covered').length,
       untested: files.filter(f => f.status === 'untested').length,
       stale: files.filter(f => f.status === 'stale').length
-    }
+    },
+    ...(coverage ? { coverage: coverageReport(coverage, coverageFiles, coverageSettings(staleConfig)) } : {})
   };
 
   // Save
@@ -423,11 +460,68 @@ export async function analyzeTestStatus(ctx, args) {
     console.log(JSON.stringify(result, null, 2));
   } else {
     console.log(`Test Status: ${result.summary.covered} covered, ${result.summary.untested} untested, ${result.summary.stale} stale`);
+    if (result.coverage) printCoverageReport(result.coverage);
   }
 
+  // testing.coverage.minimum gates `pi test status` (not generate, which calls this too)
+  if (result.coverage && !result.coverage.passed && args.enforce !== false) process.exitCode = 1;
+
   return result;
 }
 
+/**
+ * Line/branch coverage per module, checked against `testing.coverage`
+ * @param {import('./coverage.js').CoverageMap} coverage
+ * @param {Record<string, import('./coverage.js').FileCoverage>} files
+ * @param {{target: number, minimum: number}} thresholds
+ */
+function coverageReport(coverage, files, thresholds) {
+  const modules = summarizeModules(files);
+  const totals = modules.reduce((acc, m) => {
+    acc.lt += m.lines.total;
+    acc.lc += m.lines.covered;
+    acc.bt += m.branches.total;
+    acc.bc += m.branches.covered;
+    return acc;
+  }, { lt: 0, lc: 0, bt: 0, bc: 0 });
+  const lines = percent(totals.lc, totals.lt);
+
+  return {
+    format: coverage.format,
+    generated: coverage.generated,
+    lines: { total: totals.lt, covered: totals.lc, pct: lines },
+    branches: { total: totals.bt, covered: totals.bc, pct: percent(totals.bc, totals.bt) },
+    target: thresholds.target,
+    minimum: thresholds.minimum,
+    passed: !(thresholds.minimum > 0 && (lines ?? 0) < thresholds.minimum),
+    belowMinimum: thresholds.minimum > 0 ? modules.filter(m => (m.lines.pct ?? 0) < thresholds.minimum).map(m => m.module) : [],
+    belowTarget: thresholds.target > 0 ? modules.filter(m => (m.lines.pct ?? 0) < thresholds.target).map(m => m.module) : [],
+    modules
+  };
+}
+
+/**
+ * @param {ReturnType<typeof coverageReport>} report
+ */
+function printCoverageReport(report) {
+  const fmt = (/** @type {number|null} */ pct) => (pct === null ? '   n/a' : `${pct.toFixed(1).padStart(5)}%`);
+
+  console.log(`\nCoverage (${report.format}, ${report.generated}):`);
+  console.log(`  lines ${fmt(report.lines.pct)}  branches ${fmt(report.branches.pct)}  total`);
+  for (const m of report.modules) {
+    const flag = report.belowMinimum.includes(m.module) ? '  < minimum' : report.belowTarget.includes(m.module) ? '  < target' : '';
+    console.log(`  lines ${fmt(m.lines.pct)}  branches ${fmt(m.branches.pct)}  ${m.module}/${flag}`);
+  }
+
+  if (report.minimum > 0 && !report.passed) {
+    console.log(`\nFAIL line coverage ${fmt(report.lines.pct).trim()} is below minimum ${report.minimum}%`);
+  } else if (report.target > 0 && (report.lines.pct ?? 0) < report.target) {
+    console.log(`\nWARN line coverage ${fmt(report.lines.pct).trim()} is below target ${report.target}%`);
+  } else if (report.target > 0 || report.minimum > 0) {
+    console.log(`\nOK line coverage meets ${report.target > 0 ? `target ${report.target}%` : `minimum ${report.minimum}%`}`);
+  }
+}
+
 /**
  * Scan source files
  */
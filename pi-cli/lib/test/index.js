@@ -4,9 +4,14 @@
  */
 
 export { buildTestMap } from './mapper.js';
-export { runTests } from './runner.js';
-export { collectResults, parseTestOutput, analyzeErrors, getResultSummary } from './result.js';
+export { runTests, executeTests } from './runner.js';
+export { FixVerifier } from './verify.js';
+export { collectResults, parseTestOutput, analyzeErrors, getResultSummary, importResults, exportResults } from './result.js';
+export { parseNodeEvents, parseTap, parseMochaReport, parseJunitXml, toJunitXml } from './formats.js';
 export { prioritize, findAffected, generatePlan } from './prioritize.js';
 export { fixTests } from './fix.js';
 export { generateTests, analyzeTestStatus, generateScaffold } from './generator.js';
 export { analyzeTests } from './analyzer.js';
+export { showFlaky, loadFlakyTests, recordHistory, scoreTest } from './flaky.js';
+export { clusterFailures, failureSignature, messageTemplate, parseStackFrames } from './cluster.js';
+export { buildCoverageMap, loadCoverageMap, parseLcov, parseIstanbul, v8LineHits } from './coverage.js';
@@ -6,76 +6,177 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { readJsonSafe, writeJsonSafe, matchesPattern } from '../shared.js';
-import { getCachePath } from '../context.js';
+import { getCachePath, getPackageConfigs } from '../context.js';
+import { parseJsModule } from '../deps/parser.js';
+import { createResolver } from '../deps/resolver.js';
+import { buildCoverageMap, loadCoverageMap, percent, primarySources } from './coverage.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 
 /**
  * Build test map based on naming conventions
+ *
+ * Workspaces: each package maps its own tests with its own naming convention;
+ * import analysis resolves against sources of all packages. `--package=<name>`
+ * remaps only that package and keeps the other entries of the cached map.
+ *
+ * `--coverage=<lcov|coverage-final.json|v8 dir>` also builds the per-test
+ * coverage map (`.test-coverage.json`); tests without a naming/import match are
+ * then mapped to the source they execute most. Later runs without the flag
+ * reuse the cached coverage map.
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  */
 export async function buildTestMap(ctx, args) {
   const { root, config } = ctx;
-  const testNaming = config.conventions?.testNaming || '{name}.test.js';
-
-  // Scan source files
-  const sourceFiles = await scanDir(root, config.src.dirs, config.src.pattern, config.src.ignore);
+  const isWorkspace = Array.isArray(config.packages) && config.packages.length > 0;
+  const allPackages = getPackageConfigs(config);
+  const packages = args.package ? getPackageConfigs(config, { package: args.package }) : allPackages;
+
+  if (packages.length === 0) {
+    console.error(`Unknown package: ${args.package}`);
+    process.exitCode = 1;
+    return;
+  }
 
-  // Scan test files
-  const testFiles = await scanDir(root, config.test.dirs, config.test.pattern, []);
+  // Scan source files of every package (tests may import across packages)
+  const sourceFiles = new Set();
+  /** @type {Map<string, Set<string>>} */
+  const sourcesByPackage = new Map();
+  for (const pkg of allPackages) {
+    const pkgSources = await scanDir(root, pkg.src.dirs, pkg.src.pattern, pkg.src.ignore);
+    sourcesByPackage.set(pkg.name, pkgSources);
+    for (const f of pkgSources) sourceFiles.add(f);
+  }
 
   // Build mappings
   const srcToTest = new Map();
   const testToSrc = new Map();
+  /** @type {Map<string, string>} */
+  const testPackage = new Map();
+  const allTestFiles = new Set();
+  let testCount = 0;
+
+  const resolver = await createResolver(root, {
+    language: config.language,
+    extensions: config.language === 'python' ? ['.py'] : undefined,
+    conditions: config.resolve?.conditions
+  });
+
+  for (const pkg of packages) {
+    const testNaming = pkg.conventions?.testNaming || '{name}.test.js';
+
+    // Scan test files
+    const testFiles = await scanDir(root, pkg.test.dirs, pkg.test.pattern, []);
+    testCount += testFiles.size;
+    for (const testFile of testFiles) allTestFiles.add(testFile);
+    if (isWorkspace) {
+      for (const testFile of testFiles) testPackage.set(testFile, pkg.name);
+    }
 
-  for (const srcFile of sourceFiles) {
-    const testFile = inferTestFile(srcFile, testNaming, config);
-    if (testFiles.has(testFile)) {
-      srcToTest.set(srcFile, testFile);
-      testToSrc.set(testFile, srcFile);
+    for (const srcFile of sourcesByPackage.get(pkg.name) || []) {
+      const testFile = inferTestFile(srcFile, testNaming, pkg);
+      if (testFiles.has(testFile)) {
+        srcToTest.set(srcFile, testFile);
+        testToSrc.set(testFile, srcFile);
+      }
     }
-  }
 
-  // Also analyze imports to find additional mappings
-  for (const testFile of testFiles) {
-    if (testToSrc.has(testFile)) continue;
+    // Also analyze imports to find additional mappings
+    for (const testFile of testFiles) {
+      if (testToSrc.has(testFile)) continue;
 
-    const absPath = path.join(root, testFile);
-    let content;
-    try {
-      content = await fs.readFile(absPath, 'utf8');
-    } catch {
-      continue;
-    }
+      const absPath = path.join(root, testFile);
+      let content;
+      try {
+        content = await fs.readFile(absPath, 'utf8');
+      } catch {
+        continue;
+      }
 
-    const imports = parseImports(content, config.language);
-    for (const imp of imports) {
-      const resolved = resolveImport(imp, testFile, root, sourceFiles, config.language);
-      if (resolved && !testToSrc.has(testFile)) {
-        testToSrc.set(testFile, resolved);
-        if (!srcToTest.has(resolved)) {
-          srcToTest.set(resolved, testFile);
+      const imports = parseImports(content, pkg.language || config.language);
+      for (const imp of imports) {
+        const resolved = await resolver.resolve(imp, testFile, sourceFiles);
+        if (resolved && !testToSrc.has(testFile)) {
+          testToSrc.set(testFile, resolved);
+          if (!srcToTest.has(resolved)) {
+            srcToTest.set(resolved, testFile);
+          }
         }
       }
     }
   }
 
+  const cachePath = getCachePath(config, root, '.test-map.json');
+
+  // Partial rebuild: keep entries owned by packages that were not selected
+  if (args.package && isWorkspace) {
+    const previous = await readJsonSafe(cachePath);
+    const selected = new Set(packages.map(p => p.name));
+    for (const [testFile, pkgName] of Object.entries(previous?.testPackage || {})) {
+      if (selected.has(pkgName) || testPackage.has(testFile)) continue;
+      testPackage.set(testFile, pkgName);
+      testCount++;
+      const srcFile = previous.testToSrc?.[testFile];
+      if (srcFile && !testToSrc.has(testFile)) testToSrc.set(testFile, srcFile);
+    }
+    for (const [srcFile, testFile] of Object.entries(previous?.srcToTest || {})) {
+      if (!srcToTest.has(srcFile) && !selected.has(previous.testPackage?.[testFile])) {
+        srcToTest.set(srcFile, testFile);
+      }
+    }
+  }
+
+  /** @type {import('./coverage.js').CoverageMap|null} */
+  let coverage = null;
+  let coverageMapped = 0;
+  if (args.coverage) {
+    try {
+      coverage = await buildCoverageMap(ctx, String(args.coverage), { sourceFiles, testFiles: allTestFiles });
+    } catch (err) {
+      console.error(`Coverage: ${err.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  } else {
+    coverage = await loadCoverageMap(ctx);
+  }
+  if (coverage) {
+    for (const [testFile, srcFile] of primarySources(coverage)) {
+      if (testToSrc.has(testFile) || !allTestFiles.has(testFile) || !sourceFiles.has(srcFile)) continue;
+      testToSrc.set(testFile, srcFile);
+      if (!srcToTest.has(srcFile)) srcToTest.set(srcFile, testFile);
+      coverageMapped++;
+    }
+  }
+
   const map = {
     version: 1,
     generated: new Date().toISOString(),
-    testNaming,
+    testNaming: config.conventions?.testNaming || '{name}.test.js',
     srcToTest: Object.fromEntries(srcToTest),
     testToSrc: Object.fromEntries(testToSrc),
+    ...(isWorkspace ? { testPackage: Object.fromEntries(testPackage) } : {}),
+    ...(coverage ? {
+      coverage: {
+        file: '.test-coverage.json',
+        format: coverage.format,
+        source: coverage.source,
+        generated: coverage.generated,
+        perTest: coverage.stats.tests > 0
+      }
+    } : {}),
     stats: {
       sourceFiles: sourceFiles.size,
-      testFiles: testFiles.size,
+      testFiles: testCount,
       mappedPairs: srcToTest.size,
-      unmappedTests: testFiles.size - testToSrc.size
+      unmappedTests: testCount - testToSrc.size,
+      ...(coverage ? { coveredFiles: coverage.stats.files, coverageTests: coverage.stats.tests, coverageMapped } : {}),
+      ...(isWorkspace ? { packages: allPackages.length } : {})
     }
   };
 
-  const cachePath = getCachePath(config, root, '.test-map.json');
   await writeJsonSafe(cachePath, map);
 
   if (args.json) {
@@ -85,6 +186,22 @@ export async function buildTestMap(ctx, args) {
     if (map.stats.unmappedTests > 0) {
       console.log(`  ${map.stats.unmappedTests} tests without source mapping`);
     }
+    if (coverage) {
+      const totals = Object.values(coverage.files).reduce((acc, f) => {
+        acc.lines += f.lines.total;
+        acc.covered += f.lines.covered;
+        return acc;
+      }, { lines: 0, covered: 0 });
+      const pct = percent(totals.covered, totals.lines);
+      console.log(`Coverage (${coverage.format}): ${coverage.stats.files} files, ${pct === null ? 'n/a' : `${pct}%`} lines, per-test data for ${coverage.stats.tests} tests`);
+      if (coverageMapped > 0) console.log(`  ${coverageMapped} tests mapped by coverage`);
+      if (coverage.stats.unattributed > 0) {
+        console.log(`  ${coverage.stats.unattributed} coverage records not attributable to a single test (aggregate only)`);
+      }
+      if (coverage.stats.outside > 0) {
+        console.log(`  ${coverage.stats.outside} covered files outside the mapped sources ignored`);
+      }
+    }
   }
 
   return map;
@@ -142,7 +259,7 @@ async function scanDir(root, dirs, pattern, ignore) {
  * Infer test file path from source file
  * @param {string} srcFile
  * @param {string} naming
- * @param {ProjectConfig} config
+ * @param {{src: {dirs: string[]}, test: {dirs: string[]}}} config - Project or package config
  * @returns {string}
  */
 function inferTestFile(srcFile, naming, config) {
@@ -178,15 +295,8 @@ function parseImports(content, language) {
   const specs = new Set();
 
   if (language === 'javascript' || language === 'typescript') {
-    const patterns = [
-      /\bimport\s+(?:type\s+)?[\w*\s{},$]+\sfrom\s*['"]([^'"]+)['"]/g,
-      /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g
-    ];
-    for (const re of patterns) {
-      let m;
-      while ((m = re.exec(content)) !== null) {
-        if (m[1]) specs.add(m[1]);
-      }
+    for (const record of parseJsModule(content)) {
+      specs.add(record.specifier);
     }
   } else if (language === 'python') {
     const patterns = [
@@ -203,42 +313,3 @@ function parseImports(content, language) {
 
   return [...specs];
 }
-
-/**
- * Resolve import to source file
- * @param {string} spec
- * @param {string} fromFile
- * @param {string} root
- * @param {Set<string>} sourceFiles
- * @param {string} language
- * @returns {string|null}
- */
-function resolveImport(spec, fromFile, root, sourceFiles, language) {
-  if (!spec.startsWith('.')) return null;
-
-  const fromAbs = path.join(root, fromFile);
-  const base = path.resolve(path.dirname(fromAbs), spec);
-
-  const exts = language === 'typescript'
-    ? ['.ts', '.tsx', '.js', '.jsx']
-    : language === 'python'
-    ? ['.py']
-    : ['.js', '.mjs', '.jsx'];
-
-  const candidates = [];
-  if (path.extname(base)) {
-    candidates.push(base);
-  } else {
-    for (const ext of exts) {
-      candidates.push(`${base}${ext}`);
-    }
-    candidates.push(path.join(base, `index${exts[0]}`));
-  }
-
-  for (const abs of candidates) {
-    const rel = path.relative(root, abs).replace(/\\/g, '/');
-    if (sourceFiles.has(rel)) return rel;
-  }
-
-  return null;
-}
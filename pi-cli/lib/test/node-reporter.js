@@ -0,0 +1,57 @@
+/**
+ * node:test reporter - one JSON object per line
+ *
+ * Unlike TAP, every event carries the test file, so passing tests can be
+ * keyed by file + name (flaky history). Parsed by `parseNodeEvents`.
+ *
+ * Usage: node --test --test-reporter=<file URL of this module>
+ */
+
+/**
+ * @param {any} error
+ * @returns {object|undefined}
+ */
+function serializeError(error) {
+  if (!error) return undefined;
+  // Test failures wrap the thrown value in ERR_TEST_FAILURE
+  const cause = error.failureType === 'testCodeFailure' && error.cause instanceof Error ? error.cause : error;
+  /** @param {any} v */
+  const scalar = v => (v === undefined ? undefined : typeof v === 'string' ? v : JSON.stringify(v));
+  return {
+    name: cause.name,
+    message: String(cause.message ?? cause),
+    stack: cause.stack,
+    code: cause.code,
+    failureType: error.failureType,
+    expected: scalar(cause.expected),
+    actual: scalar(cause.actual)
+  };
+}
+
+/**
+ * @param {AsyncIterable<{type: string, data: any}>} source
+ */
+export default async function* reporter(source) {
+  for await (const event of source) {
+    const { type, data } = event;
+    if (type === 'test:pass' || type === 'test:fail') {
+      yield JSON.stringify({
+        event: type === 'test:pass' ? 'pass' : 'fail',
+        name: data.name,
+        nesting: data.nesting,
+        file: data.file,
+        line: data.line,
+        skip: data.skip !== undefined && data.skip !== false,
+        todo: data.todo !== undefined && data.todo !== false,
+        suite: data.details?.type === 'suite',
+        duration: data.details?.duration_ms,
+        error: serializeError(data.details?.error)
+      }) + '\n';
+    } else if (type === 'test:stderr' || type === 'test:stdout') {
+      yield JSON.stringify({ event: type.slice(5), file: data.file, message: data.message }) + '\n';
+    } else if (type === 'test:diagnostic' && data.nesting === 0) {
+      const m = String(data.message).match(/^duration_ms\s+([\d.]+)/);
+      if (m) yield JSON.stringify({ event: 'duration', duration: Number(m[1]) }) + '\n';
+    }
+  }
+}
@@ -6,8 +6,11 @@
 import path from 'path';
 import { spawn } from 'child_process';
 import { getDirectoryRule, readJsonSafe, runCommand, writeJsonSafe } from '../shared.js';
-import { getCachePath, loadStaleConfig } from '../context.js';
+import { getCachePath, getPackageConfigs, findPackageForFile, loadStaleConfig } from '../context.js';
 import { propagateStale } from '../deps/graph.js';
+import { loadFlakyTests, testKey } from './flaky.js';
+import { changedCoverageLines, loadCoverageMap, testsBySource, testsCoveringChanges } from './coverage.js';
+import { clusterFailures, describeCluster } from './cluster.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 
@@ -47,12 +50,19 @@ export async function prioritize(ctx, args) {
   // Get failing test files
   const failingTests = new Set(testResult.errors?.map(e => e.testFile) || []);
 
+  // With a coverage map a failing test points at every source it executes;
+  // sources executed mostly by failing tests rank first
+  const coverage = args['no-coverage'] ? null : await loadCoverageMap(ctx);
+  const coveredBy = coverage ? testsBySource(coverage) : null;
+
   // Map failing tests to source files
   const failingSourceFiles = new Map(); // sourceFile -> [testFiles]
 
   for (const testFile of failingTests) {
-    const srcFile = testMap?.testToSrc?.[testFile];
-    if (srcFile) {
+    const rel = path.isAbsolute(testFile) ? path.relative(root, testFile).replace(/\\/g, '/') : testFile;
+    const executed = coverage?.tests?.[rel] ? Object.keys(coverage.tests[rel]) : null;
+    const srcFiles = executed || [testMap?.testToSrc?.[testFile]].filter(Boolean);
+    for (const srcFile of srcFiles) {
       if (!failingSourceFiles.has(srcFile)) {
         failingSourceFiles.set(srcFile, []);
       }
@@ -78,6 +88,12 @@ export async function prioritize(ctx, args) {
     const dirRule = getDirectoryRule(srcFile, directoryRules);
     const testFocus = Array.isArray(dirRule?.rule?.testFocus) ? dirRule.rule.testFocus : null;
 
+    // failing² / executing: high when most tests running the file fail
+    const executedBy = coveredBy?.get(srcFile)?.length || 0;
+    const coverageInfo = executedBy > 0
+      ? { failing: tests.length, executedBy, score: Math.round((tests.length * tests.length / executedBy) * 100) / 100 }
+      : null;
+
     priorities.push({
       file: srcFile,
       dependents,
@@ -85,12 +101,16 @@ export async function prioritize(ctx, args) {
       potentialFixes,
       directoryRule: dirRule?.path || null,
       priority: dirRule?.rule?.priority ? String(dirRule.rule.priority) : null,
-      testFocus
+      testFocus,
+      ...(coverageInfo ? { coverage: coverageInfo } : {})
     });
   }
 
-  // Sort by: dependents (desc) -> potentialFixes (desc) -> failing tests (desc)
+  // Sort by: coverage score (desc) -> dependents (desc) -> potentialFixes (desc) -> failing tests (desc)
   priorities.sort((a, b) => {
+    const sa = a.coverage?.score || 0;
+    const sb = b.coverage?.score || 0;
+    if (sb !== sa) return sb - sa;
     if (b.dependents !== a.dependents) return b.dependents - a.dependents;
     if (b.potentialFixes !== a.potentialFixes) return b.potentialFixes - a.potentialFixes;
     return b.failingTests.length - a.failingTests.length;
@@ -133,7 +153,8 @@ export async function prioritize(ctx, args) {
     totalFailing: failingTests.size,
     sourceFiles: failingSourceFiles.size,
     phases: [phases.rootCauses, phases.independent, phases.leafNodes],
-    suggestedOrder: priorities.slice(0, 20).map(p => p.file)
+    suggestedOrder: priorities.slice(0, 20).map(p => p.file),
+    ...(coverage ? { coverage: { format: coverage.format, generated: coverage.generated } } : {})
   };
 
   // Save
@@ -150,6 +171,13 @@ export async function prioritize(ctx, args) {
     for (const item of phases.rootCauses.items.slice(0, 5)) {
       console.log(`    ${item.file} (${item.dependents} dependents)`);
     }
+    if (coverage) {
+      const suspects = priorities.filter(p => p.coverage).slice(0, 5);
+      console.log(`\nMost executed by failing tests (coverage):`);
+      for (const item of suspects) {
+        console.log(`    ${item.file} (${item.coverage.failing}/${item.coverage.executedBy} executing tests fail)`);
+      }
+    }
     console.log(`\nPhase 2 (Independent): ${phases.independent.batches.length} batches`);
     console.log(`Phase 3 (Leaf Nodes): ${phases.leafNodes.items.length} files`);
   }
@@ -491,26 +519,50 @@ export async function findAffected(ctx, args) {
     return priorities;
   }
 
+  // Coverage map: select exactly the tests that execute the changed lines;
+  // changed files it does not know fall back to graph propagation.
+  /** @type {Map<string, string[]>} */
+  let coverageTests = new Map();
+  /** @type {Set<string>} */
+  let coverageHandled = new Set();
+  const coverage = boolFlag(args?.['no-coverage']) ? null : await loadCoverageMap(ctx);
+  if (coverage && Object.keys(coverage.tests || {}).length > 0) {
+    /** @type {Map<string, Set<number>|null>} */
+    let changedLines = new Map();
+    if (since || staged) {
+      try {
+        changedLines = await changedCoverageLines(root, { since, staged });
+      } catch {
+        changedLines = new Map();
+      }
+    }
+    const changes = new Map(changedFiles.map(f => [f, changedLines.get(f) ?? null]));
+    ({ tests: coverageTests, handled: coverageHandled } = testsCoveringChanges(coverage, changes));
+  }
+  const staticChanged = changedFiles.filter(f => !coverageHandled.has(f));
+
   /** @type {any} */
-  let stale;
-  try {
-    stale = await propagateStale(ctx, {
-      quiet: true,
-      tests: true,
-      ...(depth !== null && depth !== undefined ? { depth } : {}),
-      changed: changedFiles
-    });
-  } catch (err) {
-    console.error('Error: stale propagation failed.');
-    console.error(err?.message || String(err));
-    process.exitCode = 1;
-    return;
+  let stale = {};
+  if (staticChanged.length > 0) {
+    try {
+      stale = await propagateStale(ctx, {
+        quiet: true,
+        tests: true,
+        ...(depth !== null && depth !== undefined ? { depth } : {}),
+        changed: staticChanged
+      });
+    } catch (err) {
+      console.error('Error: stale propagation failed.');
+      console.error(err?.message || String(err));
+      process.exitCode = 1;
+      return;
+    }
   }
 
   const directStale = Array.isArray(stale?.directStale) ? stale.directStale : [];
   const propagatedStale = Array.isArray(stale?.propagatedStale) ? stale.propagatedStale : [];
-  const affectedSourceFiles = Array.isArray(stale?.staleFiles) ? stale.staleFiles : [];
-  const testsToRun = Array.isArray(stale?.testsToRun) ? stale.testsToRun : [];
+  const affectedSourceFiles = uniqueSorted([...(Array.isArray(stale?.staleFiles) ? stale.staleFiles : []), ...coverageHandled]);
+  const testsToRun = [...(Array.isArray(stale?.testsToRun) ? stale.testsToRun : []), ...coverageTests.keys()];
 
   /** @type {Map<string, number>} */
   const sourceLevel = new Map();
@@ -541,7 +593,7 @@ export async function findAffected(ctx, args) {
       if (src && src !== '.' && !src.startsWith('..') && !path.isAbsolute(src)) candidates.push(src);
       candidates.push(t.file);
 
-      let best = 99;
+      let best = coverageTests.has(t.file) ? 1 : 99;
       for (const c of candidates) {
         const lvl = sourceLevel.get(normalizeRelInput(c));
         if (typeof lvl === 'number' && lvl < best) best = lvl;
@@ -583,6 +635,7 @@ export async function findAffected(ctx, args) {
       affectedSrc: affectedSourceFiles.length,
       affectedTests: affectedTests.length
     },
+    ...(coverageHandled.size > 0 ? { coverage: { files: coverageHandled.size, tests: coverageTests.size } } : {}),
     ...(prioritized ? { prioritized: true } : {}),
     ...(dryRun ? { dryRun: true } : {}),
     ...(since ? { since } : {}),
@@ -594,6 +647,9 @@ export async function findAffected(ctx, args) {
     console.log(`Affected by ${changedFiles.length} changed files:`);
     console.log(`  Source files: ${result.affectedSourceFiles.length}`);
     console.log(`  Tests: ${result.affectedTests.length}`);
+    if (result.coverage) {
+      console.log(`  Selected by coverage: ${result.coverage.tests} tests for ${result.coverage.files} changed files`);
+    }
 
     if (result.affectedTests.length > 0 && result.affectedTests.length <= 40) {
       console.log('\nAffected tests:');
@@ -601,7 +657,8 @@ export async function findAffected(ctx, args) {
         const meta = orderedTests.find(x => x.file === t);
         const lvl = meta?.level;
         const tag = Number.isFinite(lvl) && lvl !== 99 ? ` [L${lvl}]` : '';
-        console.log(`  ${t}${tag}`);
+        const cov = coverageTests.has(t) ? ' [cov]' : '';
+        console.log(`  ${t}${tag}${cov}`);
       }
     }
   }
@@ -616,7 +673,11 @@ export async function findAffected(ctx, args) {
     return result;
   }
 
-  if (!config.test?.cmd) {
+  const { runs, skipped } = planAffectedRuns(config, result.affectedTests);
+  for (const s of skipped) {
+    console.error(`Skipping ${s.name}: no test.cmd configured (${s.files.length} affected tests)`);
+  }
+  if (runs.length === 0) {
     const msg = 'No test command configured. Set test.cmd in .pi-config.json';
     if (json) {
       console.log(JSON.stringify({ ...result, error: msg }, null, 2));
@@ -628,25 +689,30 @@ export async function findAffected(ctx, args) {
     return result;
   }
 
-  const [cmd, ...cmdArgs] = String(config.test.cmd).split(/\s+/);
-  const testArgs = [...cmdArgs, ...result.affectedTests];
-
   if (!json) {
     console.log('\nRunning affected tests...\n');
-    console.log(`Running: ${cmd} ${testArgs.join(' ')}`);
   }
 
   const start = Date.now();
-  const exitCode = await new Promise((resolve) => {
-    const child = spawn(cmd, testArgs, {
-      cwd: root,
-      stdio: json ? ['ignore', 'ignore', 'ignore'] : 'inherit',
-      shell: process.platform === 'win32'
-    });
+  let exitCode = 0;
+  for (const run of runs) {
+    const [cmd, ...cmdArgs] = run.cmd.split(/\s+/);
+    const testArgs = [...cmdArgs, ...run.files];
+    if (!json) {
+      console.log(`Running${run.dir === '.' ? '' : ` in ${run.dir}`}: ${cmd} ${testArgs.join(' ')}`);
+    }
+    const code = await new Promise((resolve) => {
+      const child = spawn(cmd, testArgs, {
+        cwd: path.join(root, run.dir),
+        stdio: json ? ['ignore', 'ignore', 'ignore'] : 'inherit',
+        shell: process.platform === 'win32'
+      });
 
-    child.on('close', (code) => resolve(typeof code === 'number' ? code : 1));
-    child.on('error', () => resolve(1));
-  });
+      child.on('close', (c) => resolve(typeof c === 'number' ? c : 1));
+      child.on('error', () => resolve(1));
+    });
+    if (code !== 0 && exitCode === 0) exitCode = code;
+  }
   const durationMs = Date.now() - start;
 
   if (!json) {
@@ -680,6 +746,31 @@ export async function findAffected(ctx, args) {
   return finalResult;
 }
 
+/**
+ * Affected tests grouped by owning package. Each package runs its own
+ * test.cmd from its directory with paths relative to it, as `pi test run`
+ * does; tests outside every package use the root test.cmd.
+ * @param {ProjectConfig} config
+ * @param {string[]} tests - Project-relative
+ * @returns {{runs: Array<{name: string, dir: string, cmd: string, files: string[]}>, skipped: Array<{name: string, files: string[]}>}}
+ */
+export function planAffectedRuns(config, tests) {
+  const packages = getPackageConfigs(config);
+  const rootPackage = { name: config.name || '.', dir: '.', test: config.test };
+  /** @type {Map<string, {name: string, dir: string, cmd: string, files: string[]}>} */
+  const byDir = new Map();
+  for (const test of tests) {
+    const pkg = findPackageForFile(packages, test) || rootPackage;
+    if (!byDir.has(pkg.dir)) byDir.set(pkg.dir, { name: pkg.name || pkg.dir, dir: pkg.dir, cmd: String(pkg.test?.cmd || '').trim(), files: [] });
+    byDir.get(pkg.dir).files.push(pkg.dir === '.' ? test : path.posix.relative(pkg.dir, test));
+  }
+  const groups = [...byDir.values()];
+  return {
+    runs: groups.filter(g => g.cmd),
+    skipped: groups.filter(g => !g.cmd).map(g => ({ name: g.name, files: g.files }))
+  };
+}
+
 /**
  * Generate test fix plan (markdown)
  * @param {{root: string, config: ProjectConfig}} ctx
@@ -708,9 +799,20 @@ export async function generatePlan(ctx, args) {
     return generatePlan(ctx, args);
   }
 
+  // Flaky tests are listed separately instead of planned as fixes
+  const flaky = await loadFlakyTests(ctx);
+  const flakyErrors = [];
+
   // Build error summary
   const errorsByFile = new Map();
+  const planned = [];
   for (const err of testResult.errors || []) {
+    const score = flaky.get(testKey(root, err.testFile, err.test));
+    if (score) {
+      flakyErrors.push({ ...err, score: score.score });
+      continue;
+    }
+    planned.push(err);
     const key = err.testFile;
     if (!errorsByFile.has(key)) {
       errorsByFile.set(key, { count: 0, types: {}, samples: [] });
@@ -729,13 +831,43 @@ export async function generatePlan(ctx, args) {
     }
   }
 
+  // One fix per cluster: `pi test fix` reads the same grouping
+  const clusters = clusterFailures(planned, { root });
+  await writeJsonSafe(getCachePath(config, root, '.test-clusters.json'), {
+    generated: new Date().toISOString(),
+    resultTimestamp: testResult.timestamp || null,
+    clusters
+  });
+
   // Generate markdown
   const lines = [];
   lines.push('## Test Fix Plan\n');
   lines.push(`**Framework**: \`${config.test.cmd}\``);
-  lines.push(`**Status**: ${testResult.failed} failed / ${testResult.passed + testResult.failed} total\n`);
+  lines.push(`**Status**: ${testResult.failed} failed / ${testResult.passed + testResult.failed} total${flakyErrors.length ? ` (${flakyErrors.length} flaky, not planned)` : ''}\n`);
   lines.push('---\n');
 
+  if (clusters.length > 0) {
+    lines.push('### Failure Clusters\n');
+    lines.push(`${planned.length} failures, ${clusters.length} root causes. \`pi test fix\` sends one fix per cluster.\n`);
+    lines.push('| # | Root Cause | Failures | Test Files | Error |');
+    lines.push('|:---:|--------|:---:|:---:|----------|');
+    for (const [i, c] of clusters.slice(0, 15).entries()) {
+      lines.push(`| ${i + 1} | \`${describeCluster(c).slice(0, 70)}\` | **${c.count}** | ${c.testFiles.length} | ${c.errorType}: ${c.template.slice(0, 70).replace(/\|/g, '\\|')} |`);
+    }
+    if (clusters.length > 15) lines.push(`\n…and ${clusters.length - 15} more (see .test-clusters.json)`);
+    lines.push('');
+
+    for (const c of clusters.filter(c => c.count > 1).slice(0, 5)) {
+      const rep = c.representative;
+      const where = c.kind === 'module' ? `a ${describeCluster(c)}` : `\`${describeCluster(c)}\``;
+      lines.push(`**These ${c.count} failures share one root cause in ${where}** (${c.testFiles.length} test files)`);
+      lines.push(`- Representative: \`${rep.testFile}\` › ${rep.test.slice(0, 80)}`);
+      lines.push(`- Error: ${rep.message.split('\n')[0].slice(0, 160)}`);
+      lines.push('');
+    }
+    lines.push('---\n');
+  }
+
   // Phase 1
   const rootPhase = priority.phases?.find(p => p.name === 'rootCauses');
   lines.push('### Phase 1: Root Causes\n');
@@ -770,6 +902,21 @@ export async function generatePlan(ctx, args) {
     lines.push(`| \`${file.slice(0, 60)}\` | **${info.count}** | ${mainType} |`);
   }
 
+  const retried = Array.isArray(testResult.flaky) ? testResult.flaky : [];
+  if (flakyErrors.length > 0 || retried.length > 0) {
+    lines.push('\n---\n');
+    lines.push('### Flaky Tests (skipped)\n');
+    lines.push('Pass/fail flips on the same code - stabilize rather than fix. See `pi test flaky`.\n');
+    lines.push('| Test File | Test | Evidence |');
+    lines.push('|----------|------|:---:|');
+    for (const err of flakyErrors) {
+      lines.push(`| \`${String(err.testFile).slice(0, 60)}\` | ${String(err.test).slice(0, 50)} | score ${err.score.toFixed(2)} |`);
+    }
+    for (const f of retried) {
+      lines.push(`| \`${String(f.testFile).slice(0, 60)}\` | ${String(f.test).slice(0, 50)} | passed on retry ${f.attempts} |`);
+    }
+  }
+
   const md = lines.join('\n');
 
   if (args.output) {
@@ -777,7 +924,7 @@ export async function generatePlan(ctx, args) {
     await fs.writeFile(args.output, md);
     console.log(`Wrote: ${args.output}`);
   } else if (args.json) {
-    console.log(JSON.stringify({ markdown: md, priority, errorsByFile: Object.fromEntries(errorsByFile) }, null, 2));
+    console.log(JSON.stringify({ markdown: md, priority, clusters, errorsByFile: Object.fromEntries(errorsByFile), flaky: [...flakyErrors, ...retried] }, null, 2));
   } else {
     console.log(md);
   }
@@ -1,24 +1,29 @@
 /**
  * Test result utilities - collect/parse/analyze test execution results
  *
- * Focus: Vitest/Jest JSON output (report file or stdout JSON blob)
+ * Focus: Vitest/Jest JSON output (report file or stdout JSON blob);
+ * node:test events/TAP, mocha JSON and JUnit XML (bun) via ./formats.js
  *
  * Public API:
  * - collectResults(ctx, args)
  * - parseTestOutput(output, framework)
- * - analyzeErrors(errors)
+ * - analyzeErrors(errors, options)
  * - getResultSummary(ctx, args)
+ * - importResults(ctx, args) / exportResults(ctx, args) - JUnit XML in/out
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
 import { getCachePath } from '../context.js';
 import { readJsonSafe, runCommand, truncate, writeJsonSafe } from '../shared.js';
+import { NODE_REPORTER, parseNodeEvents, parseTap, coerceMochaJson, parseMochaReport, parseJunitXml, toJunitXml } from './formats.js';
+import { clusterFailures, describeCluster, extractErrorType } from './cluster.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 
 const RESULT_FILE = '.test-result.json';
 const REPORT_FILE = '.test-report.json';
+const JUNIT_REPORT_FILE = '.test-report.xml';
 
 /**
  * Run tests and collect results (Vitest/Jest JSON supported).
@@ -46,7 +51,7 @@ export async function collectResults(ctx, args = {}) {
 
   const [cmd, ...cmdArgs] = testCmd.split(/\s+/);
 
-  const reportPath = getCachePath(config, root, REPORT_FILE);
+  const reportPath = getCachePath(config, root, framework === 'bun' ? JUNIT_REPORT_FILE : REPORT_FILE);
   const resultPath = getCachePath(config, root, RESULT_FILE);
   await fs.mkdir(path.dirname(reportPath), { recursive: true });
 
@@ -63,7 +68,9 @@ export async function collectResults(ctx, args = {}) {
   const duration = Date.now() - startedAt;
 
   // Prefer report file; fall back to stdout/stderr parsing.
-  const report = await readJsonSafe(reportPath, null);
+  const report = framework === 'bun'
+    ? await fs.readFile(reportPath, 'utf8').catch(() => null)
+    : await readJsonSafe(reportPath, null);
   const output = `${exec.stdout || ''}\n${exec.stderr || ''}`.trim();
 
   const parsed = report
@@ -71,6 +78,7 @@ export async function collectResults(ctx, args = {}) {
     : parseTestOutput(output, framework);
 
   const errors = (parsed.errors || []).map(e => normalizeError(e, root));
+  const tests = Array.isArray(parsed.tests) ? parsed.tests.map(t => normalizeTestCase(t, root)) : undefined;
 
   const result = {
     framework,
@@ -81,7 +89,8 @@ export async function collectResults(ctx, args = {}) {
     duration,
     timestamp: new Date().toISOString(),
     errors,
-    analysis: analyzeErrors(errors),
+    tests,
+    analysis: analyzeErrors(errors, { root }),
     // Keep a small tail for debugging when JSON parsing fails.
     rawOutput: parsed.parseMode === 'text-fallback' ? truncate(output, 3000) : undefined,
     parseMode: parsed.parseMode || (report ? 'report-file' : 'stdout')
@@ -109,6 +118,9 @@ export async function collectResults(ctx, args = {}) {
  * Supports:
  * - vitest: reporter=json output (stdout JSON blob or report JSON)
  * - jest: --json output (stdout JSON blob or outputFile JSON)
+ * - node: ./node-reporter.js events, or TAP output (`--test-reporter=tap`)
+ * - mocha: json reporter output (stdout or report JSON)
+ * - bun: JUnit XML report (any framework: output that looks like JUnit XML)
  *
  * @param {any} output - string output or parsed JSON object
  * @param {string} framework
@@ -117,6 +129,22 @@ export async function collectResults(ctx, args = {}) {
 export function parseTestOutput(output, framework) {
   const fw = String(framework || '').toLowerCase();
 
+  if (typeof output === 'string' && (fw === 'bun' || /^\s*(?:<\?xml[^>]*>\s*)?<testsuites?\b/.test(output))) {
+    return withTotal(parseJunitXml(output), 'junit');
+  }
+
+  if (fw === 'node') {
+    const events = parseNodeEvents(String(output || ''));
+    if (events.tests.length > 0) return withTotal(events, 'node-events');
+    const parsed = parseTap(String(output || ''));
+    return parsed.tests.length > 0 ? withTotal(parsed, 'tap') : parseTextFallback(String(output || ''));
+  }
+
+  if (fw === 'mocha') {
+    const report = typeof output === 'object' && output ? output : coerceMochaJson(output);
+    return report ? withTotal(parseMochaReport(report), 'json') : parseTextFallback(String(output || ''));
+  }
+
   if (fw !== 'vitest' && fw !== 'jest') {
     // Still try to parse as Jest-like JSON (Vitest uses a very similar shape).
     const report = coerceJsonReport(output);
@@ -134,11 +162,13 @@ export function parseTestOutput(output, framework) {
  * Analyze error patterns.
  * - Group by error type (TypeError, ReferenceError, SyntaxError, AssertionError, ...)
  * - Detect common patterns (import failures, mock issues, env issues, timeouts, ...)
+ * - Cluster by root cause (./cluster.js); the largest clusters are kept as `rootCauses`
  *
  * @param {any[]} errors
- * @returns {{total: number, byType: Record<string, number>, patterns: Record<string, number>}}
+ * @param {{root?: string}} [options] - root relativizes stack frames
+ * @returns {{total: number, byType: Record<string, number>, patterns: Record<string, number>, clusters: number, rootCauses: Array<{id: string, location: string, errorType: string, template: string, count: number, testFiles: number}>}}
  */
-export function analyzeErrors(errors = []) {
+export function analyzeErrors(errors = [], options = {}) {
   const list = Array.isArray(errors) ? errors : [];
 
   /** @type {Record<string, number>} */
@@ -158,10 +188,21 @@ export function analyzeErrors(errors = []) {
     }
   }
 
+  const clusters = clusterFailures(list, options);
+
   return {
     total: list.length,
     byType: sortCountMap(byType),
-    patterns: sortCountMap(patterns)
+    patterns: sortCountMap(patterns),
+    clusters: clusters.length,
+    rootCauses: clusters.slice(0, 5).map(c => ({
+      id: c.id,
+      location: describeCluster(c),
+      errorType: c.errorType,
+      template: c.template,
+      count: c.count,
+      testFiles: c.testFiles.length
+    }))
   };
 }
 
@@ -184,7 +225,7 @@ export async function getResultSummary(ctx, args = {}) {
   }
 
   const errors = Array.isArray(cached.errors) ? cached.errors : [];
-  const analysis = cached.analysis || analyzeErrors(errors);
+  const analysis = cached.analysis?.rootCauses ? cached.analysis : analyzeErrors(errors, { root });
 
   const summary = {
     framework: cached.framework,
@@ -213,17 +254,130 @@ export async function getResultSummary(ctx, args = {}) {
       console.log('\nCommon patterns:');
       for (const [p, n] of topPatterns) console.log(`  ${p}: ${n}`);
     }
+    const topCauses = (summary.analysis.rootCauses || []).slice(0, 3);
+    if (topCauses.length) {
+      console.log(`\nRoot causes (${summary.analysis.clusters} clusters, see "pi test plan"):`);
+      for (const c of topCauses) console.log(`  ${c.location}: ${c.count} failures in ${c.testFiles} files - ${c.errorType}: ${c.template}`);
+    }
   }
 
   return summary;
 }
 
+/**
+ * Import a JUnit XML report produced by any runner (CI, another machine, ...)
+ * into the cached `.test-result.json`, so analysis/prioritization/dashboard use it.
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {any} args - `--import=<file.xml>`
+ * @returns {Promise<any>}
+ */
+export async function importResults(ctx, args = {}) {
+  const { root, config } = ctx;
+  const source = path.resolve(root, String(args.import));
+
+  let xml;
+  try {
+    xml = await fs.readFile(source, 'utf8');
+  } catch (err) {
+    console.error(`Cannot read ${source}: ${err.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+
+  if (!/<testsuites?\b/.test(xml)) {
+    console.error(`Not a JUnit XML report: ${source}`);
+    process.exitCode = 1;
+    return null;
+  }
+
+  const parsed = parseJunitXml(xml);
+  const errors = parsed.errors.map(e => normalizeError(e, root));
+  const tests = (parsed.tests || []).map(t => normalizeTestCase(t, root));
+
+  const result = {
+    framework: String(args.framework || 'junit'),
+    total: parsed.passed + parsed.failed + parsed.skipped,
+    passed: parsed.passed,
+    failed: parsed.failed,
+    skipped: parsed.skipped,
+    duration: parsed.duration,
+    timestamp: new Date().toISOString(),
+    errors,
+    tests,
+    analysis: analyzeErrors(errors, { root }),
+    parseMode: 'junit-import',
+    source: path.relative(root, source).replace(/\\/g, '/') || source
+  };
+
+  await writeJsonSafe(getCachePath(config, root, RESULT_FILE), result);
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`Imported ${result.source}`);
+    console.log(formatSummary(result));
+  }
+
+  return result;
+}
+
+/**
+ * Write the cached `.test-result.json` as JUnit XML
+ * (`--export=junit`, to `--output=<file>` or stdout).
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {any} args
+ * @returns {Promise<string|null>}
+ */
+export async function exportResults(ctx, args = {}) {
+  const { root, config } = ctx;
+  const format = String(args.export).toLowerCase();
+
+  if (format !== 'junit') {
+    console.error(`Unsupported export format: ${args.export} (supported: junit)`);
+    process.exitCode = 1;
+    return null;
+  }
+
+  const cached = await readJsonSafe(getCachePath(config, root, RESULT_FILE), null);
+  if (!cached) {
+    console.error('No cached test results. Run tests and collect results first.');
+    process.exitCode = 1;
+    return null;
+  }
+
+  const relative = {
+    ...cached,
+    errors: (cached.errors || []).map(e => ({ ...e, testFile: normalizeTestFile(e.testFile, root) })),
+    tests: (cached.tests || []).map(t => ({ ...t, testFile: normalizeTestFile(t.testFile, root) }))
+  };
+  const xml = toJunitXml(relative, { name: config?.name || 'pi' });
+
+  if (args.output) {
+    const outPath = path.resolve(root, String(args.output));
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, xml, 'utf8');
+    console.error(`JUnit XML written to ${outPath}`);
+  } else {
+    process.stdout.write(xml);
+  }
+
+  return xml;
+}
+
 function getReporterArgs(framework, reportPath) {
   switch (String(framework || '').toLowerCase()) {
     case 'vitest':
       return ['--reporter=json', `--outputFile=${reportPath}`];
     case 'jest':
       return ['--json', `--outputFile=${reportPath}`];
+    case 'node':
+      return [`--test-reporter=${NODE_REPORTER}`];
+    case 'mocha':
+      return ['--reporter=json', `--reporter-option=output=${reportPath}`];
+    case 'bun':
+      return ['--reporter=junit', `--reporter-outfile=${reportPath}`];
     default:
       return [];
   }
@@ -282,10 +436,22 @@ function parseJestLikeReport(report) {
     total = passed + failed + skipped;
   }
 
+  const tests = [];
+
   for (const file of report.testResults || []) {
     const fileName = file?.name || '';
     const assertionResults = Array.isArray(file?.assertionResults) ? file.assertionResults : [];
 
+    for (const t of assertionResults) {
+      const st = String(t?.status || '').toLowerCase();
+      tests.push({
+        testFile: fileName,
+        test: t?.fullName || t?.title || '(unknown)',
+        status: st === 'passed' ? 'passed' : st === 'failed' ? 'failed' : 'skipped',
+        duration: Number(t?.duration) || 0
+      });
+    }
+
     // Suite-level failure (no individual tests recorded).
     if (file?.status === 'failed' && assertionResults.length === 0) {
       const suiteMsg = String(file?.message || file?.failureMessage || '').trim();
@@ -326,10 +492,23 @@ function parseJestLikeReport(report) {
     failed,
     skipped,
     errors,
+    tests,
     parseMode: 'json'
   };
 }
 
+function withTotal(parsed, parseMode) {
+  return {
+    total: parsed.passed + parsed.failed + parsed.skipped,
+    passed: parsed.passed,
+    failed: parsed.failed,
+    skipped: parsed.skipped,
+    errors: parsed.errors,
+    tests: parsed.tests,
+    parseMode
+  };
+}
+
 function parseTextFallback(text) {
   const output = String(text || '');
 
@@ -356,8 +535,20 @@ function normalizeError(err, root) {
   const test = String(err?.test || '(unknown)');
   const message = String(err?.message || 'Unknown error').slice(0, 2000);
   const stack = String(err?.stack || '').slice(0, 8000);
+  const duration = Number(err?.duration);
 
-  return { testFile, test, message, stack };
+  return { testFile, test, message, stack, ...(Number.isFinite(duration) ? { duration } : {}) };
+}
+
+function normalizeTestCase(t, root) {
+  const duration = Number(t?.duration);
+  return {
+    testFile: normalizeTestFile(t?.testFile, root),
+    test: String(t?.test || '(unknown)'),
+    status: t?.status === 'passed' || t?.status === 'failed' ? t.status : 'skipped',
+    ...(Number.isFinite(duration) ? { duration } : {}),
+    ...(t?.package ? { package: String(t.package) } : {})
+  };
 }
 
 function normalizeTestFile(testFile, root) {
@@ -374,21 +565,6 @@ function normalizeTestFile(testFile, root) {
   return relPosix;
 }
 
-function extractErrorType(message, stack) {
-  const haystack = `${message}\n${stack}`.trim();
-
-  const match = haystack.match(/\b(TypeError|ReferenceError|SyntaxError|RangeError|URIError|EvalError|AggregateError|AssertionError)\b/);
-  if (match) return match[1];
-
-  // Common Jest/Vitest assertion outputs without explicit "AssertionError"
-  if (/\bexpect\(.+\)\./i.test(haystack) || /\btoBe\b|\btoEqual\b|\btoMatch\b/i.test(haystack)) {
-    return 'AssertionError';
-  }
-
-  if (/\bError\b/.test(haystack)) return 'Error';
-  return 'Unknown';
-}
-
 function detectPatterns(message, stack) {
   const haystack = `${message}\n${stack}`.toLowerCase();
   /** @type {string[]} */
@@ -1,57 +1,69 @@
 /**
  * Test runner - execute tests and collect results
- * Supports multiple test frameworks
+ * Supports vitest, jest, pytest, go, node:test, mocha and bun test
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
 import { runCommand, readJsonSafe, writeJsonSafe } from '../shared.js';
-import { getCachePath } from '../context.js';
+import { getCachePath, getPackageConfigs, findPackageForFile } from '../context.js';
+import { NODE_REPORTER, parseNodeEvents, parseTap, coerceMochaJson, parseMochaReport, parseJunitXml } from './formats.js';
+import { recordHistory } from './flaky.js';
 
 /** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
 /** @typedef {import('../types.js').TestResult} TestResult */
 
 /**
  * Run tests and collect results
+ *
+ * Workspaces: each selected package runs its own `test.cmd` in its directory
+ * with its own framework; results are merged (error paths made project-relative)
+ * with a per-package breakdown. `--package=<name>` or file arguments select packages.
+ *
+ * `--retry-failed=N` reruns failing test files up to N times; tests that pass
+ * on a retry are reported under `flaky` instead of `errors`. Every run is
+ * appended to the per-test history used by `pi test flaky`.
+ *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {object} args
  */
 export async function runTests(ctx, args) {
   const { root, config } = ctx;
-  const testCmd = config.test.cmd;
 
-  if (!testCmd) {
-    console.error('No test command configured. Set test.cmd in .pi-config.json');
+  /** @type {TestResult & {packages?: Record<string, any>}} */
+  let testResult;
+  try {
+    testResult = await executeTests(ctx, {
+      files: args._.slice(2),
+      retries: Math.max(0, parseInt(args['retry-failed'], 10) || 0),
+      package: args.package
+    });
+  } catch (err) {
+    console.error(err.message);
     process.exitCode = 1;
     return;
   }
 
-  // Build command
-  const [cmd, ...cmdArgs] = testCmd.split(/\s+/);
-
-  // Add reporter flags for JSON output if supported
-  const framework = config.test.framework;
-  const reporterArgs = getReporterArgs(framework, root);
-
-  // Add file filter if provided
-  const files = args._.slice(2);
-  const allArgs = [...cmdArgs, ...reporterArgs, ...files];
-
-  console.error(`Running: ${cmd} ${allArgs.join(' ')}`);
-
-  const result = await runCommand(cmd, allArgs, { cwd: root });
-
-  // Parse results based on framework
-  const testResult = await parseTestResult(framework, result, root);
-
   // Save results
   const cachePath = getCachePath(config, root, '.test-result.json');
   await writeJsonSafe(cachePath, testResult);
+  await recordHistory(ctx, testResult);
 
   if (args.json) {
     console.log(JSON.stringify(testResult, null, 2));
   } else {
+    if (testResult.packages) {
+      for (const [name, r] of Object.entries(testResult.packages)) {
+        console.log(`  ${name} (${r.framework}): ${r.passed} passed, ${r.failed} failed, ${r.skipped} skipped`);
+      }
+    }
     console.log(`Tests: ${testResult.passed} passed, ${testResult.failed} failed, ${testResult.skipped} skipped`);
+    if (testResult.flaky?.length > 0) {
+      console.log(`\nFlaky (passed on retry): ${testResult.flaky.length}`);
+      for (const f of testResult.flaky.slice(0, 5)) {
+        console.log(`  ${f.testFile}: ${f.test} (attempt ${f.attempts})`);
+      }
+    }
     if (testResult.errors.length > 0) {
       console.log(`\nFirst ${Math.min(5, testResult.errors.length)} errors:`);
       for (const err of testResult.errors.slice(0, 5)) {
@@ -64,15 +76,211 @@ export async function runTests(ctx, args) {
   return testResult;
 }
 
+/**
+ * Run the configured test command(s) without caching or printing the result
+ * (used by `pi test run` and by fix verification)
+ *
+ * @param {{root: string, config: ProjectConfig}} ctx
+ * @param {{files?: string[], retries?: number, package?: string}} [options] - files are project-relative
+ * @returns {Promise<TestResult & {packages?: Record<string, any>}>}
+ * @throws {Error} when no test command is configured or the package is unknown
+ */
+export async function executeTests(ctx, options = {}) {
+  const { root, config } = ctx;
+  const files = options.files || [];
+  const isWorkspace = Array.isArray(config.packages) && config.packages.length > 0;
+  const retries = options.retries || 0;
+
+  /** @type {TestResult & {packages?: Record<string, any>}} */
+  let testResult;
+
+  if (!isWorkspace) {
+    const testCmd = config.test.cmd;
+
+    if (!testCmd) {
+      throw new Error('No test command configured. Set test.cmd in .pi-config.json');
+    }
+
+    testResult = await runSuiteWithRetry({
+      cmd: testCmd,
+      framework: config.test.framework,
+      cwd: root,
+      files,
+      reportPath: getCachePath(config, root, '.test-report.json')
+    }, retries);
+  } else {
+    let packages = getPackageConfigs(config, { package: options.package });
+    if (packages.length === 0) {
+      throw new Error(`Unknown package: ${options.package}`);
+    }
+
+    // Group file filters by owning package
+    /** @type {Map<string, string[]>} */
+    const filesByPackage = new Map();
+    for (const file of files) {
+      const pkg = findPackageForFile(packages, file);
+      if (!pkg) continue;
+      if (!filesByPackage.has(pkg.name)) filesByPackage.set(pkg.name, []);
+      filesByPackage.get(pkg.name).push(path.relative(path.join(root, pkg.dir), path.join(root, file)).replace(/\\/g, '/'));
+    }
+    if (files.length > 0) {
+      packages = packages.filter(p => filesByPackage.has(p.name));
+    }
+
+    testResult = { passed: 0, failed: 0, skipped: 0, errors: [], duration: 0, tests: [], packages: {} };
+
+    for (const pkg of packages) {
+      if (!pkg.test?.cmd) {
+        console.error(`Skipping ${pkg.name}: no test.cmd configured`);
+        continue;
+      }
+
+      const slug = pkg.name.replace(/[^\w.-]+/g, '_');
+      const pkgResult = await runSuiteWithRetry({
+        cmd: pkg.test.cmd,
+        framework: pkg.test.framework,
+        cwd: path.join(root, pkg.dir),
+        files: filesByPackage.get(pkg.name) || [],
+        reportPath: getCachePath(config, root, `.test-report.${slug}.json`)
+      }, retries);
+
+      for (const err of pkgResult.errors) {
+        testResult.errors.push({
+          ...err,
+          testFile: toProjectPath(root, pkg.dir, err.testFile),
+          package: pkg.name
+        });
+      }
+      for (const t of pkgResult.tests || []) {
+        testResult.tests.push({ ...t, testFile: toProjectPath(root, pkg.dir, t.testFile), package: pkg.name });
+      }
+      for (const f of pkgResult.flaky || []) {
+        (testResult.flaky || (testResult.flaky = [])).push({ ...f, testFile: toProjectPath(root, pkg.dir, f.testFile), package: pkg.name });
+      }
+      testResult.passed += pkgResult.passed;
+      testResult.failed += pkgResult.failed;
+      testResult.skipped += pkgResult.skipped;
+      testResult.duration += pkgResult.duration;
+      testResult.packages[pkg.name] = {
+        framework: pkg.test.framework,
+        passed: pkgResult.passed,
+        failed: pkgResult.failed,
+        skipped: pkgResult.skipped,
+        duration: pkgResult.duration
+      };
+    }
+  }
+
+  return testResult;
+}
+
+/**
+ * Run a suite, then rerun the files of failing tests up to `retries` times.
+ * A failed test that passes on a retry moves from `errors` to `flaky`.
+ *
+ * @param {{cmd: string, framework: string, cwd: string, files: string[], reportPath: string}} options
+ * @param {number} retries
+ * @returns {Promise<TestResult>}
+ */
+async function runSuiteWithRetry(options, retries) {
+  const result = await runSuite(options);
+  const keyOf = (/** @type {{testFile: string, test: string}} */ t) => `${t.testFile}\0${t.test}`;
+
+  for (let attempt = 1; attempt <= retries && result.errors.length > 0; attempt++) {
+    const files = [...new Set(result.errors
+      .map(e => e.testFile && (path.isAbsolute(e.testFile) ? path.relative(options.cwd, e.testFile) : e.testFile))
+      .filter(Boolean))];
+    if (files.length === 0) break;
+
+    console.error(`Retrying ${result.errors.length} failed tests in ${files.length} files (attempt ${attempt}/${retries})...`);
+    const retry = await runSuite({ ...options, files });
+
+    // Without per-test outcomes only a fully green retry proves anything
+    const passedAgain = Array.isArray(retry.tests)
+      ? new Set(retry.tests.filter(t => t.status === 'passed').map(keyOf))
+      : null;
+    const recovered = result.errors.filter(e => passedAgain
+      ? passedAgain.has(keyOf(e))
+      : retry.failed === 0 && retry.errors.length === 0 && retry.passed > 0);
+    if (recovered.length === 0) continue;
+
+    const recoveredKeys = new Set(recovered.map(keyOf));
+    result.errors = result.errors.filter(e => !recoveredKeys.has(keyOf(e)));
+    result.failed = Math.max(0, result.failed - recovered.length);
+    result.passed += recovered.length;
+    for (const t of result.tests || []) {
+      if (t.status === 'failed' && recoveredKeys.has(keyOf(t))) {
+        t.status = 'passed';
+        t.retried = true;
+      }
+    }
+    result.flaky = [
+      ...(result.flaky || []),
+      ...recovered.map(e => ({ testFile: e.testFile, test: e.test, message: e.message, attempts: attempt + 1 }))
+    ];
+  }
+
+  return result;
+}
+
+/**
+ * Run one test command and parse its results
+ * @param {{cmd: string, framework: string, cwd: string, files: string[], reportPath: string}} options
+ * @returns {Promise<TestResult>}
+ */
+async function runSuite({ cmd: testCmd, framework, cwd, files, reportPath }) {
+  // Build command
+  const [cmd, ...cmdArgs] = testCmd.split(/\s+/);
+
+  // Add reporter flags for machine-readable output if supported
+  const reportFile = getReportFile(framework, reportPath);
+  const reporterArgs = getReporterArgs(framework, reportFile);
+
+  // Add file filter if provided
+  const allArgs = [...cmdArgs, ...reporterArgs, ...files];
+
+  // Don't let a stale report from a previous run stand in for this one
+  await fs.rm(reportFile, { force: true });
+  await fs.mkdir(path.dirname(reportFile), { recursive: true });
+
+  console.error(`Running: ${cmd} ${allArgs.join(' ')}${cwd !== process.cwd() ? ` (in ${cwd})` : ''}`);
+
+  const result = await runCommand(cmd, allArgs, { cwd });
+
+  // Parse results based on framework
+  return parseTestResult(framework, result, reportFile);
+}
+
+/**
+ * Make a reported test file path project-relative
+ * @param {string} root
+ * @param {string} pkgDir - Package dir relative to root
+ * @param {string} file - Absolute or package-relative path
+ * @returns {string}
+ */
+function toProjectPath(root, pkgDir, file) {
+  if (!file) return file;
+  const abs = path.isAbsolute(file) ? file : path.join(root, pkgDir, file);
+  return path.relative(root, abs).replace(/\\/g, '/');
+}
+
+/**
+ * Report file for framework (JUnit reporters write XML)
+ * @param {string} framework
+ * @param {string} reportPath - `.json` report path
+ * @returns {string}
+ */
+function getReportFile(framework, reportPath) {
+  return framework === 'bun' ? reportPath.replace(/\.json$/, '.xml') : reportPath;
+}
+
 /**
  * Get reporter arguments for framework
  * @param {string} framework
- * @param {string} root
+ * @param {string} reportPath
  * @returns {string[]}
  */
-function getReporterArgs(framework, root) {
-  const reportPath = path.join(root, '.project-index', '.test-report.json');
-
+function getReporterArgs(framework, reportPath) {
   switch (framework) {
     case 'vitest':
       return ['--reporter=json', `--outputFile=${reportPath}`];
@@ -82,6 +290,12 @@ function getReporterArgs(framework, root) {
       return [`--json-report`, `--json-report-file=${reportPath}`];
     case 'go':
       return ['-json'];
+    case 'node':
+      return [`--test-reporter=${NODE_REPORTER}`];
+    case 'mocha':
+      return ['--reporter=json', `--reporter-option=output=${reportPath}`];
+    case 'bun':
+      return ['--reporter=junit', `--reporter-outfile=${reportPath}`];
     default:
       return [];
   }
@@ -91,12 +305,10 @@ function getReporterArgs(framework, root) {
  * Parse test results from command output or report file
  * @param {string} framework
  * @param {{code: number, stdout: string, stderr: string}} result
- * @param {string} root
+ * @param {string} reportPath
  * @returns {Promise<TestResult>}
  */
-async function parseTestResult(framework, result, root) {
-  const reportPath = path.join(root, '.project-index', '.test-report.json');
-
+async function parseTestResult(framework, result, reportPath) {
   switch (framework) {
     case 'vitest':
       return parseVitestResult(reportPath, result);
@@ -106,6 +318,12 @@ async function parseTestResult(framework, result, root) {
       return parsePytestResult(reportPath, result);
     case 'go':
       return parseGoResult(result);
+    case 'node':
+      return parseNodeResult(result);
+    case 'mocha':
+      return parseMochaResult(reportPath, result);
+    case 'bun':
+      return parseBunResult(reportPath, result);
     default:
       return parseGenericResult(result);
   }
@@ -125,23 +343,30 @@ async function parseVitestResult(reportPath, result) {
   }
 
   const errors = [];
+  const tests = [];
   let passed = 0;
   let failed = 0;
   let skipped = 0;
 
   for (const file of report.testResults || []) {
     for (const test of file.assertionResults || []) {
-      if (test.status === 'passed') passed++;
-      else if (test.status === 'failed') {
+      const name = test.title || test.fullName;
+      if (test.status === 'passed') {
+        passed++;
+        tests.push({ testFile: file.name, test: name, status: 'passed', duration: test.duration || 0 });
+      } else if (test.status === 'failed') {
         failed++;
+        tests.push({ testFile: file.name, test: name, status: 'failed', duration: test.duration || 0 });
         errors.push({
           testFile: file.name,
-          test: test.title || test.fullName,
+          test: name,
           message: test.failureMessages?.[0] || 'Unknown error',
-          stack: test.failureMessages?.[0] || ''
+          stack: test.failureMessages?.[0] || '',
+          duration: test.duration || 0
         });
       } else if (test.status === 'skipped' || test.status === 'pending') {
         skipped++;
+        tests.push({ testFile: file.name, test: name, status: 'skipped', duration: 0 });
       }
     }
   }
@@ -151,7 +376,8 @@ async function parseVitestResult(reportPath, result) {
     failed,
     skipped,
     errors,
-    duration: report.startTime ? Date.now() - report.startTime : 0
+    duration: report.startTime ? Date.now() - report.startTime : 0,
+    tests
   };
 }
 
@@ -169,15 +395,20 @@ async function parseJestResult(reportPath, result) {
   }
 
   const errors = [];
+  const tests = [];
 
   for (const file of report.testResults || []) {
     for (const test of file.assertionResults || []) {
+      const name = test.fullName || test.title;
+      const status = test.status === 'passed' ? 'passed' : test.status === 'failed' ? 'failed' : 'skipped';
+      tests.push({ testFile: file.name, test: name, status, duration: test.duration || 0 });
       if (test.status === 'failed') {
         errors.push({
           testFile: file.name,
-          test: test.fullName || test.title,
+          test: name,
           message: test.failureMessages?.[0] || 'Unknown error',
-          stack: test.failureMessages?.[0] || ''
+          stack: test.failureMessages?.[0] || '',
+          duration: test.duration || 0
         });
       }
     }
@@ -188,7 +419,8 @@ async function parseJestResult(reportPath, result) {
     failed: report.numFailedTests || 0,
     skipped: report.numPendingTests || 0,
     errors,
-    duration: (report.testResults || []).reduce((sum, t) => sum + (t.endTime - t.startTime), 0)
+    duration: (report.testResults || []).reduce((sum, t) => sum + (t.endTime - t.startTime), 0),
+    tests
   };
 }
 
@@ -206,14 +438,20 @@ async function parsePytestResult(reportPath, result) {
   }
 
   const errors = [];
+  const tests = [];
 
   for (const test of report.tests || []) {
+    const testFile = test.nodeid?.split('::')[0] || '';
+    const duration = Math.round(((test.setup?.duration || 0) + (test.call?.duration || 0) + (test.teardown?.duration || 0)) * 1000);
+    const status = test.outcome === 'passed' ? 'passed' : test.outcome === 'failed' ? 'failed' : 'skipped';
+    tests.push({ testFile, test: test.nodeid || '', status, duration });
     if (test.outcome === 'failed') {
       errors.push({
-        testFile: test.nodeid?.split('::')[0] || '',
+        testFile,
         test: test.nodeid || '',
         message: test.call?.longrepr || 'Unknown error',
-        stack: test.call?.longrepr || ''
+        stack: test.call?.longrepr || '',
+        duration
       });
     }
   }
@@ -223,7 +461,8 @@ async function parsePytestResult(reportPath, result) {
     failed: report.summary?.failed || 0,
     skipped: report.summary?.skipped || 0,
     errors,
-    duration: report.duration || 0
+    duration: report.duration || 0,
+    tests
   };
 }
 
@@ -235,28 +474,88 @@ async function parsePytestResult(reportPath, result) {
 function parseGoResult(result) {
   const lines = result.stdout.split('\n').filter(Boolean);
   const errors = [];
+  const tests = [];
   let passed = 0;
   let failed = 0;
+  let skipped = 0;
 
   for (const line of lines) {
     try {
       const event = JSON.parse(line);
-      if (event.Action === 'pass' && event.Test) passed++;
-      else if (event.Action === 'fail' && event.Test) {
+      if (!event.Test) continue;
+      const duration = Math.round((event.Elapsed || 0) * 1000);
+      if (event.Action === 'pass') {
+        passed++;
+        tests.push({ testFile: event.Package || '', test: event.Test, status: 'passed', duration });
+      } else if (event.Action === 'fail') {
         failed++;
+        tests.push({ testFile: event.Package || '', test: event.Test, status: 'failed', duration });
         errors.push({
           testFile: event.Package || '',
           test: event.Test,
           message: event.Output || 'Test failed',
-          stack: ''
+          stack: '',
+          duration
         });
+      } else if (event.Action === 'skip') {
+        skipped++;
+        tests.push({ testFile: event.Package || '', test: event.Test, status: 'skipped', duration });
       }
     } catch {
       // Not JSON, skip
     }
   }
 
-  return { passed, failed, skipped: 0, errors, duration: 0 };
+  return { passed, failed, skipped, errors, duration: 0, tests };
+}
+
+/**
+ * Parse node:test output (pi reporter events, or TAP when test.cmd sets its own reporter)
+ * @param {{code: number, stdout: string, stderr: string}} result
+ * @returns {TestResult}
+ */
+function parseNodeResult(result) {
+  const events = parseNodeEvents(result.stdout);
+  if (events.tests.length > 0) {
+    return events;
+  }
+  const tap = parseTap(result.stdout);
+  if (tap.tests.length === 0) {
+    return parseGenericResult(result);
+  }
+  return tap;
+}
+
+/**
+ * Parse mocha JSON result (report file, or stdout for mocha < 9.2)
+ * @param {string} reportPath
+ * @param {{code: number, stdout: string, stderr: string}} result
+ * @returns {Promise<TestResult>}
+ */
+async function parseMochaResult(reportPath, result) {
+  const report = await readJsonSafe(reportPath, null) || coerceMochaJson(result.stdout);
+
+  if (!report) {
+    return parseGenericResult(result);
+  }
+
+  return parseMochaReport(report);
+}
+
+/**
+ * Parse bun test JUnit result
+ * @param {string} reportPath
+ * @param {{code: number, stdout: string, stderr: string}} result
+ * @returns {Promise<TestResult>}
+ */
+async function parseBunResult(reportPath, result) {
+  const xml = await fs.readFile(reportPath, 'utf8').catch(() => null);
+
+  if (!xml) {
+    return parseGenericResult(result);
+  }
+
+  return parseJunitXml(xml);
 }
 
 /**
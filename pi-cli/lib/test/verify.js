@@ -0,0 +1,243 @@
+/**
+ * Fix verification - keep a test fix only when it measurably helps
+ *
+ * A candidate fix is written over a snapshot of the files it touches, then
+ * the affected tests are rerun: the changed test files plus the test files
+ * importing them (transitively, per .dep-graph.json). The fix is kept only
+ * when the scope has fewer failures and none that were passing before;
+ * otherwise the snapshot is restored.
+ *
+ * Verifications share the working tree, so they run one at a time. Verifiers
+ * of fix worktrees (--isolate-scope=task) queue behind the main one: the
+ * test reports are written to the shared cache dir.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonSafe, matchesPattern } from '../shared.js';
+import { getCachePath } from '../context.js';
+import { executeTests } from './runner.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} ScopeRun
+ * @property {Map<string, any>} failing - `testFile\0test` -> error (root-relative testFile)
+ * @property {number} total - passed + failed
+ */
+
+/**
+ * @typedef {object} Verification
+ * @property {boolean} accepted
+ * @property {boolean} retryable - false when another attempt cannot help (nothing failing, tests not runnable)
+ * @property {string} reason
+ * @property {string[]} scope - Test files rerun
+ * @property {number} before - Failures in scope before the fix
+ * @property {number} after - Failures in scope with the fix applied
+ * @property {string[]} fixed - `testFile > test` no longer failing
+ * @property {string[]} newFailures - `testFile > test` failing only with the fix
+ * @property {any[]} errors - Failures with the fix applied (feedback for a retry)
+ */
+
+/**
+ * Serializes verifications and caches each scope's baseline run
+ */
+export class FixVerifier {
+  /**
+   * @param {{root: string, config: ProjectConfig}} ctx
+   * @param {FixVerifier|null} [queue] - Verifier whose queue this one joins
+   */
+  constructor(ctx, queue = null) {
+    this.ctx = ctx;
+    this.queue = queue;
+    /** @type {Promise<any>} */
+    this.lock = Promise.resolve();
+    /** @type {Map<string, {scope: string[], run: ScopeRun}>} */
+    this.baselines = new Map();
+    /** @type {Promise<{graph: any, testMap: any}>|null} */
+    this.indexes = null;
+  }
+
+  /**
+   * Test files to rerun for a fix touching `testFiles`
+   * @param {string[]} testFiles
+   * @returns {Promise<string[]>} Root-relative
+   */
+  async scope(testFiles) {
+    testFiles = testFiles.map(f => relativeTestFile(f, this.ctx.root));
+    if (!this.indexes) {
+      const { root, config } = this.ctx;
+      this.indexes = Promise.all([
+        readJsonSafe(getCachePath(config, root, '.dep-graph.json')),
+        readJsonSafe(getCachePath(config, root, '.test-map.json'))
+      ]).then(([graph, testMap]) => ({ graph, testMap }));
+    }
+    const { graph, testMap } = await this.indexes;
+    const nodes = graph?.files || {};
+    const pattern = this.ctx.config.test?.pattern || '';
+    const isTest = (file) => Boolean(testMap?.testToSrc?.[file]) ||
+      (pattern && (matchesPattern(pattern, file) || matchesPattern(pattern, path.posix.basename(file))));
+
+    const scope = new Set(testFiles);
+    const queue = [...testFiles];
+    const seen = new Set(testFiles);
+    while (queue.length > 0) {
+      const file = queue.shift();
+      for (const dependent of nodes[file]?.importedBy || []) {
+        if (seen.has(dependent)) continue;
+        seen.add(dependent);
+        queue.push(dependent);
+        if (isTest(dependent)) scope.add(dependent);
+      }
+    }
+
+    return [...scope].sort();
+  }
+
+  /**
+   * Apply `codes`, rerun `scope`, keep the files on improvement, restore otherwise
+   * @param {string[]} scope
+   * @param {Map<string, string>} codes - Test file -> new content
+   * @returns {Promise<Verification>}
+   */
+  verify(scope, codes) {
+    const owner = this.queue || this;
+    const run = owner.lock.then(() => this.verifyNow(scope, codes));
+    owner.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @param {string[]} scope
+   * @param {Map<string, string>} codes
+   * @returns {Promise<Verification>}
+   */
+  async verifyNow(scope, codes) {
+    const scopeKey = scope.join('\n');
+    const base = { scope, before: 0, after: 0, fixed: [], newFailures: [], errors: [] };
+
+    let baseline = this.baselines.get(scopeKey)?.run;
+    if (!baseline) {
+      try {
+        baseline = await this.runScope(scope);
+      } catch (err) {
+        return { ...base, accepted: false, retryable: false, reason: `Cannot run tests: ${err.message}` };
+      }
+      this.baselines.set(scopeKey, { scope, run: baseline });
+    }
+
+    const before = baseline.failing.size;
+    if (before === 0) {
+      return { ...base, accepted: false, retryable: false, reason: 'Tests already pass, fix not applied' };
+    }
+
+    const snapshot = await this.snapshot([...codes.keys()]);
+    for (const [testFile, code] of codes) {
+      await fs.writeFile(path.resolve(this.ctx.root, testFile), code.endsWith('\n') ? code : code + '\n');
+    }
+
+    /** @type {ScopeRun} */
+    let after;
+    try {
+      after = await this.runScope(scope);
+    } catch (err) {
+      await this.restore(snapshot);
+      return { ...base, before, accepted: false, retryable: false, reason: `Cannot run tests: ${err.message}` };
+    }
+
+    const label = (key) => key.replace('\0', ' > ');
+    const fixed = [...baseline.failing.keys()].filter(k => !after.failing.has(k)).map(label);
+    const newFailures = [...after.failing.keys()].filter(k => !baseline.failing.has(k)).map(label);
+    const result = {
+      ...base,
+      before,
+      after: after.failing.size,
+      fixed,
+      newFailures,
+      errors: [...after.failing.values()]
+    };
+
+    let reason = '';
+    if (newFailures.length > 0) {
+      reason = `${newFailures.length} new failure${newFailures.length === 1 ? '' : 's'}`;
+    } else if (after.failing.size >= before) {
+      reason = `failures not reduced (${before} -> ${after.failing.size})`;
+    } else if (after.total < baseline.total) {
+      // Deleting failing tests also "reduces failures"
+      reason = `tests removed (${baseline.total} -> ${after.total} tests)`;
+    }
+
+    if (reason) {
+      await this.restore(snapshot);
+      return { ...result, accepted: false, retryable: true, reason };
+    }
+
+    // Other cached baselines overlapping this scope are stale now
+    for (const [key, entry] of this.baselines) {
+      if (entry.scope.some(f => scope.includes(f))) this.baselines.delete(key);
+    }
+    this.baselines.set(scopeKey, { scope, run: after });
+
+    return { ...result, accepted: true, retryable: false, reason: `failures ${before} -> ${after.failing.size}` };
+  }
+
+  /**
+   * @param {string[]} scope
+   * @returns {Promise<ScopeRun>}
+   */
+  async runScope(scope) {
+    const { root } = this.ctx;
+    const result = await executeTests(this.ctx, { files: scope });
+
+    /** @type {Map<string, any>} */
+    const failing = new Map();
+    for (const err of result.errors || []) {
+      const testFile = relativeTestFile(String(err?.testFile || ''), root);
+      failing.set(`${testFile}\0${String(err?.test || '(unknown)')}`, { ...err, testFile });
+    }
+
+    return { failing, total: (result.passed || 0) + (result.failed || 0) };
+  }
+
+  /**
+   * @param {string[]} files
+   * @returns {Promise<Map<string, string|null>>} absolute path -> content (null: did not exist)
+   */
+  async snapshot(files) {
+    /** @type {Map<string, string|null>} */
+    const snapshot = new Map();
+    for (const file of files) {
+      const abs = path.resolve(this.ctx.root, file);
+      try {
+        snapshot.set(abs, await fs.readFile(abs, 'utf8'));
+      } catch {
+        snapshot.set(abs, null);
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * @param {Map<string, string|null>} snapshot
+   */
+  async restore(snapshot) {
+    for (const [abs, content] of snapshot) {
+      if (content === null) {
+        await fs.rm(abs, { force: true });
+      } else {
+        await fs.writeFile(abs, content);
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} testFile
+ * @param {string} root
+ * @returns {string}
+ */
+function relativeTestFile(testFile, root) {
+  if (!path.isAbsolute(testFile)) return testFile.replace(/\\/g, '/');
+  const rel = path.relative(root, testFile).replace(/\\/g, '/');
+  return rel && !rel.startsWith('..') ? rel : testFile;
+}
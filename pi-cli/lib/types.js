@@ -28,11 +28,67 @@
 
 /**
  * @typedef {object} LLMConfig
- * @property {string} [provider] - LLM provider (anthropic, openai, etc.)
+ * @property {string} [provider] - LLM provider (anthropic, openai, etc.; replay/record serve or capture recorded responses)
  * @property {string} [model] - Model name
- * @property {string} [fixPrompt] - Custom prompt for test fixing
- * @property {string} [auditPrompt] - Custom prompt for code audit
- * @property {string} [docPrompt] - Custom prompt for doc generation
+ * @property {number} [timeout] - Per-call timeout in ms
+ * @property {string} [baseUrl] - OpenAI-compatible endpoint (default https://api.openai.com/v1; Ollama http://localhost:11434/v1)
+ * @property {string} [apiKeyEnv] - Env var holding the API key (default OPENAI_API_KEY; local endpoints need none)
+ * @property {Record<string, string>} [headers] - Extra request headers
+ * @property {boolean} [stream] - Stream the response (server-sent events)
+ * @property {number} [maxTokens] - Tokens reserved for the response (default 4096)
+ * @property {number} [temperature]
+ * @property {number} [contextWindow] - Model context window in tokens; longer prompts are truncated
+ * @property {Record<string, number>} [contextWindows] - Context window per model name
+ * @property {Record<string, string|object>} [models] - Per task type (test-fix, test-generator, module-analyzer, audit-fix, doc-check, doc-update): model name, or overrides of the fields above
+ * @property {{maxTokensPerRun?: number}} [budget] - Stop scheduling new LLM tasks once a run has used this many tokens
+ * @property {Record<string, {input: number, output: number}>} [pricing] - USD per million tokens, by model name or "default"
+ * @property {{enabled?: boolean, ttlHours?: number, maxSizeMB?: number}|false} [cache] - Response cache under <cache>/llm-cache (default on, 168h, 200 MB); see lib/llm/cache.js
+ * @property {string} [fixPrompt] - Prepended to the test-fix templates ({{custom}}); full templates go in .project-index/prompts/
+ * @property {string} [auditPrompt] - Prepended to the audit-fix template
+ * @property {string} [docPrompt] - Prepended to the module-analyze template
+ * @property {string} [fixtures] - Recorded responses for provider replay/record (default <cache>/llm-fixtures)
+ * @property {string} [recordProvider] - Real provider called by provider "record" (default claude-cli)
+ */
+
+/**
+ * @typedef {object} PackageConfig
+ * @property {string} name - Package name (package.json "name")
+ * @property {string} dir - Package directory, relative to project root
+ * @property {string} [language] - Package language (defaults to project language)
+ * @property {SourceConfig} src - Source config (dirs relative to package dir)
+ * @property {TestConfig} test - Test config (dirs relative to package dir, cmd runs in package dir)
+ * @property {Conventions} [conventions] - Overrides of project conventions
+ */
+
+/**
+ * @typedef {object} WorkspaceConfig
+ * @property {string|null} manager - Package manager (pnpm, yarn, npm, bun)
+ * @property {string[]} patterns - Workspace globs
+ */
+
+/**
+ * @typedef {object} ResolveConfig
+ * @property {string[]} [conditions] - package.json exports/imports conditions, in priority order
+ */
+
+/**
+ * @typedef {object} TasksConfig
+ * @property {number} [concurrency] - Max jobs running at once (default 2)
+ * @property {number|Record<string, number>} [perType] - Max running jobs per task type (default 1; object keys by type, "default")
+ * @property {Record<string, number>} [groups] - Max running jobs per group (default { llm: 1 })
+ * @property {number} [orphanRetries] - Requeues for a job whose runner vanished (default 1)
+ * @property {number} [keepFinished] - Finished jobs kept in the queue file (default 100)
+ */
+
+/**
+ * @typedef {object} GitHookConfig
+ * @property {string[]} [checks] - audit | docs | tests (default: pre-commit audit + docs, pre-push tests)
+ * @property {number} [timeout] - Seconds for all checks of the hook (default: pre-commit 120, pre-push 600)
+ */
+
+/**
+ * @typedef {object} HooksConfig
+ * @property {Record<string, GitHookConfig>} [git] - By hook name (pre-commit, pre-push); see lib/hooks/git.js
  */
 
 /**
@@ -44,6 +100,11 @@
  * @property {string} cache - Cache directory path
  * @property {Conventions} [conventions] - Project conventions (AI-fillable)
  * @property {LLMConfig} [llm] - LLM configuration
+ * @property {ResolveConfig} [resolve] - Module resolution options
+ * @property {WorkspaceConfig} [workspace] - Workspace info (monorepos)
+ * @property {PackageConfig[]} [packages] - Per-package configs (monorepos)
+ * @property {TasksConfig} [tasks] - Task queue limits
+ * @property {HooksConfig} [hooks] - Checks run by `pi hook install --git` hooks
  */
 
 /**
@@ -51,9 +112,18 @@
  * @property {string} file - File path
  * @property {string[]} imports - Files this file imports
  * @property {string[]} importedBy - Files that import this file
+ * @property {Record<string, SymbolEdge>} [symbols] - Imported names per target file (JS/TS only)
+ * @property {string[]} [exports] - Exported names (JS/TS only; '*' for `export *`)
+ * @property {string} [package] - Owning workspace package name
  * @property {number} [depth] - Depth in dependency tree
  */
 
+/**
+ * @typedef {object} SymbolEdge
+ * @property {string[]} names - Imported names ('default', '*' for namespace/unknown)
+ * @property {boolean} typeOnly - All imports of the target are type-only
+ */
+
 /**
  * @typedef {object} DependencyGraph
  * @property {Map<string, DependencyNode>} nodes - All nodes
@@ -69,6 +139,19 @@
  * @property {number} skipped - Number of skipped tests
  * @property {TestError[]} errors - Error details
  * @property {number} duration - Total duration in ms
+ * @property {TestCaseResult[]} [tests] - Per-test outcomes (when the reporter lists them)
+ * @property {Array<{testFile: string, test: string, message: string, attempts: number, package?: string}>} [flaky] - Failed, then passed on retry (`--retry-failed`)
+ * @property {Record<string, {framework: string, passed: number, failed: number, skipped: number, duration: number}>} [packages] - Per-package breakdown (workspaces)
+ */
+
+/**
+ * @typedef {object} TestCaseResult
+ * @property {string} testFile - Test file path
+ * @property {string} test - Test name
+ * @property {'passed'|'failed'|'skipped'} status
+ * @property {number} [duration] - Duration in ms
+ * @property {boolean} [retried] - Failed first, passed on retry
+ * @property {string} [package] - Workspace package that ran the test
  */
 
 /**
@@ -79,6 +162,8 @@
  * @property {string} [expected] - Expected value
  * @property {string} [actual] - Actual value
  * @property {string} [stack] - Stack trace
+ * @property {number} [duration] - Test duration in ms (when the reporter provides it)
+ * @property {string} [package] - Workspace package that ran the test
  */
 
 /**
@@ -97,6 +182,8 @@
  * @property {string} rule - Rule identifier
  * @property {string} message - Issue description
  * @property {string} [suggestion] - Suggested fix
+ * @property {string} [snippet] - Trimmed source line
+ * @property {string} [fingerprint] - Stable id (rule + file + normalized line + occurrence)
  */
 
 /**
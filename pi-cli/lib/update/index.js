@@ -463,11 +463,12 @@ export async function checkStale(ctx, args = {}) {
  *
  * - deps: build dependency graph
  * - test: build test map
- * - doc: generate CLAUDE.md docs
+ * - doc: generate CLAUDE.md docs (--llm: LLM review of stale CLAUDE.md, ./review.js)
  *
  * Supports:
  * - --only <deps|test|doc>
  * - --force (re-generate regardless of stale status)
+ * - --llm, --no-cache
  *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {Record<string, any>} args
@@ -523,6 +524,12 @@ export async function update(ctx, args = {}) {
       if (!Array.isArray(ctx.config.src?.dirs) || ctx.config.src.dirs.length === 0) {
         throw new Error('Config missing required field: src.dirs (needed for doc generate)');
       }
+      if (args.llm) {
+        // Stale CLAUDE.md: ask the LLM whether the change matters, touch or rewrite
+        const { reviewStaleDocs } = await import('./review.js');
+        await reviewStaleDocs(ctx, args);
+        continue;
+      }
       const { generate } = await import('../doc/index.js');
       await generate(ctx, { ...args, json: false });
       continue;
@@ -537,6 +544,7 @@ export async function update(ctx, args = {}) {
  *
  * Supports:
  * - --interval <ms> (default 60000)
+ * - --llm (passed on to update())
  *
  * @param {{root: string, config: ProjectConfig}} ctx
  * @param {Record<string, any>} args
@@ -565,6 +573,7 @@ export async function scheduleBackground(ctx, args = {}) {
 
     if (args.only) childArgs.push(`--only=${String(args.only)}`);
     if (args.force) childArgs.push('--force');
+    if (args.llm) childArgs.push('--llm');
 
     const child = spawn(process.execPath, childArgs, {
       cwd: ctx.root,
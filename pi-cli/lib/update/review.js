@@ -0,0 +1,242 @@
+/**
+ * LLM review of stale CLAUDE.md files (update-bg)
+ *
+ * For a module whose code changed after its CLAUDE.md, ask whether the change
+ * affects the doc: if not, the doc is touched, otherwise it is rewritten.
+ * Both prompts go through runPrompt, so llm.provider (record/replay
+ * included), token usage and the response cache apply as for the other LLM
+ * commands. The check runs as task type `doc-check` and the rewrite as
+ * `doc-update`, so llm.models can give the frequent yes/no check a cheap
+ * model. Used by `pi update --llm` and project-index/scripts/update-bg.js.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { runPrompt, createMeter } from '../llm/batch.js';
+
+/** @typedef {import('../types.js').ProjectConfig} ProjectConfig */
+
+/**
+ * @typedef {object} StaleDoc
+ * @property {string} path - Module dir relative to the root
+ * @property {Array<{path: string}>} changedFiles - Relative to the root, newest first
+ */
+
+/**
+ * @typedef {object} ReviewOptions
+ * @property {import('../llm/usage.js').UsageMeter} [meter]
+ * @property {boolean} [cache] - false: --no-cache
+ */
+
+/** Task type of the run (usage records) */
+const RUN_TYPE = 'update-bg';
+
+/**
+ * @param {string} filePath
+ * @param {number} [maxLines]
+ * @returns {Promise<string|null>}
+ */
+async function readHead(filePath, maxLines = 100) {
+  try {
+    const lines = (await fs.readFile(filePath, 'utf-8')).split('\n');
+    if (lines.length <= maxLines) return lines.join('\n');
+    return lines.slice(0, maxLines).join('\n') + `\n... (${lines.length - maxLines} more lines)`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * First changed files of a module as "--- path ---" sections
+ * @param {string} root
+ * @param {StaleDoc} item
+ * @param {number} count
+ * @param {number} maxLines
+ * @returns {Promise<{text: string, inputs: string[]}>}
+ */
+async function readChanged(root, item, count, maxLines) {
+  let text = '';
+  const inputs = [];
+  for (const f of (item.changedFiles || []).slice(0, count)) {
+    const content = await readHead(path.join(root, f.path), maxLines);
+    if (content === null) continue;
+    text += `\n--- ${f.path} ---\n${content}\n`;
+    inputs.push(f.path);
+  }
+  return { text, inputs };
+}
+
+/**
+ * Does the change affect the module's CLAUDE.md?
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @param {StaleDoc} item
+ * @param {ReviewOptions} [options]
+ * @returns {Promise<{needsUpdate: boolean, reason: string, error: string|null}>}
+ *   error: the LLM failed, keep the doc stale for a retry
+ */
+export async function checkDoc(config, root, item, options = {}) {
+  const docPath = path.join(root, item.path, 'CLAUDE.md');
+  const doc = await readHead(docPath);
+  if (!doc) return { needsUpdate: false, reason: 'Cannot read CLAUDE.md', error: null };
+
+  const changed = await readChanged(root, item, 3, 50);
+  if (!changed.text) return { needsUpdate: false, reason: 'Cannot read changed files', error: null };
+
+  const prompt = `你是一个代码文档审查助手。请判断以下代码变更是否需要更新 CLAUDE.md 文档。
+
+当前 CLAUDE.md 内容:
+\`\`\`markdown
+${doc.slice(0, 2000)}
+\`\`\`
+
+变更的代码文件:
+${changed.text.slice(0, 3000)}
+
+请判断：这些代码变更是否影响 CLAUDE.md 中描述的模块职责、接口、架构或重要功能？
+
+回答格式 (JSON):
+{"needsUpdate": true/false, "reason": "简要说明", "suggestedChanges": "如需更新，建议修改哪些部分"}`;
+
+  let output;
+  try {
+    output = await runPrompt(prompt, config, {
+      workdir: root,
+      timeout: 120000,
+      taskType: 'doc-check',
+      meter: options.meter,
+      taskId: `${item.path}:check`,
+      inputs: [path.join(item.path, 'CLAUDE.md'), ...changed.inputs],
+      cache: options.cache
+    });
+  } catch (err) {
+    return { needsUpdate: false, reason: `LLM failed: ${err.message}`, error: err.message };
+  }
+
+  const json = String(output || '').match(/\{[\s\S]*"needsUpdate"[\s\S]*\}/);
+  if (!json) return { needsUpdate: false, reason: 'LLM response unclear', error: null };
+  try {
+    const parsed = JSON.parse(json[0]);
+    return { needsUpdate: Boolean(parsed.needsUpdate), reason: String(parsed.reason || ''), error: null };
+  } catch {
+    return { needsUpdate: false, reason: 'JSON parse failed', error: 'invalid json' };
+  }
+}
+
+/**
+ * Updated CLAUDE.md for the module's changes
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @param {StaleDoc} item
+ * @param {ReviewOptions} [options]
+ * @returns {Promise<{content: string|null, error: string|null}>}
+ */
+export async function generateDoc(config, root, item, options = {}) {
+  const doc = await readHead(path.join(root, item.path, 'CLAUDE.md'));
+  if (!doc) return { content: null, error: 'Cannot read CLAUDE.md' };
+
+  const changed = await readChanged(root, item, 5, 80);
+
+  const prompt = `你是一个代码文档维护助手。请根据代码变更更新 CLAUDE.md 文档。
+
+模块路径: ${item.path}
+
+当前 CLAUDE.md 内容:
+\`\`\`markdown
+${doc.slice(0, 3000)}
+\`\`\`
+
+变更的代码文件:
+${changed.text.slice(0, 4000)}
+
+请生成更新后的 CLAUDE.md 内容。保持原有结构和风格，只更新与代码变更相关的部分。
+直接输出 markdown 内容，不要包含 \`\`\`markdown 标记。`;
+
+  try {
+    const output = String(await runPrompt(prompt, config, {
+      workdir: root,
+      timeout: 180000,
+      taskType: 'doc-update',
+      meter: options.meter,
+      taskId: `${item.path}:update`,
+      inputs: [path.join(item.path, 'CLAUDE.md'), ...changed.inputs],
+      cache: options.cache
+    }) || '').trim();
+    if (output.length > 50) return { content: output, error: null };
+    return { content: null, error: 'empty or too short' };
+  } catch (err) {
+    return { content: null, error: err.message };
+  }
+}
+
+/**
+ * Check one stale doc and touch or rewrite it
+ * @param {ProjectConfig} config
+ * @param {string} root
+ * @param {StaleDoc} item
+ * @param {ReviewOptions & {log?: (msg: string) => any}} [options]
+ * @returns {Promise<{status: 'touched'|'updated'|'llm_error'|'gen_error', path: string, reason?: string}>}
+ */
+export async function reviewDoc(config, root, item, options = {}) {
+  const log = options.log || (() => {});
+  const docPath = path.join(root, item.path, 'CLAUDE.md');
+
+  const check = await checkDoc(config, root, item, options);
+  if (check.error) {
+    await log(`  → LLM check failed: ${check.error}`);
+    return { status: 'llm_error', path: item.path, reason: check.error };
+  }
+
+  if (!check.needsUpdate) {
+    await log(`  → No update needed: ${check.reason}`);
+    const now = new Date();
+    await fs.utimes(docPath, now, now);
+    await log(`  → Touched: ${item.path}/CLAUDE.md`);
+    return { status: 'touched', path: item.path };
+  }
+
+  await log(`  → Needs update: ${check.reason}`);
+  const gen = await generateDoc(config, root, item, options);
+  if (!gen.content) {
+    await log(`  → Generation failed: ${gen.error}`);
+    return { status: 'gen_error', path: item.path, reason: gen.error || undefined };
+  }
+  await fs.writeFile(docPath, gen.content);
+  await log(`  → Updated: ${item.path}/CLAUDE.md`);
+  return { status: 'updated', path: item.path };
+}
+
+/**
+ * `pi update --llm`: review every stale CLAUDE.md under src.dirs
+ * @param {{root: string, config: ProjectConfig, staleConfig?: any}} ctx
+ * @param {Record<string, any>} args
+ * @returns {Promise<Array<{status: string, path: string, reason?: string}>>}
+ */
+export async function reviewStaleDocs(ctx, args = {}) {
+  const { root, config } = ctx;
+  const { findStaleDocs } = await import('../doc/index.js');
+  const stale = await findStaleDocs(ctx);
+  if (stale.length === 0) {
+    console.log('No stale CLAUDE.md.');
+    return [];
+  }
+
+  console.log(`Reviewing ${stale.length} stale CLAUDE.md...`);
+  const meter = createMeter(config, RUN_TYPE);
+  const results = [];
+  for (const item of stale) {
+    if (meter.exceeded()) {
+      meter.skipped++;
+      continue;
+    }
+    console.log(`Checking: ${item.path}`);
+    results.push(await reviewDoc(config, root, item, { meter, cache: !args['no-cache'], log: msg => console.log(msg) }));
+  }
+  await meter.save();
+
+  const count = (/** @type {string} */ status) => results.filter(r => r.status === status).length;
+  const failed = count('llm_error') + count('gen_error');
+  console.log(`Touched ${count('touched')}, updated ${count('updated')}, failed ${failed}${meter.skipped ? `, skipped ${meter.skipped} (token budget)` : ''}.`);
+  if (failed > 0) process.exitCode = 1;
+  return results;
+}
@@ -0,0 +1,170 @@
+/**
+ * Workspace discovery
+ * Finds npm/yarn/pnpm workspace packages from package.json and pnpm-workspace.yaml
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonSafe, matchesPattern } from './shared.js';
+
+/**
+ * @typedef {object} WorkspacePackage
+ * @property {string} name - Package name from package.json
+ * @property {string} dir - Project-relative package directory (posix)
+ * @property {any} packageJson - Parsed package.json
+ */
+
+/**
+ * @typedef {object} WorkspaceInfo
+ * @property {'pnpm'|'yarn'|'npm'|'bun'|null} manager - Detected package manager
+ * @property {string[]} patterns - Workspace globs (negations prefixed with "!")
+ * @property {WorkspacePackage[]} packages - Discovered packages, sorted by dir
+ */
+
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', '.project-index']);
+
+/**
+ * Parse the `packages:` list from pnpm-workspace.yaml (minimal YAML subset).
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function parsePnpmWorkspaceYaml(content) {
+  const out = [];
+  let inPackages = false;
+
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '');
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      const inline = line.match(/^packages\s*:\s*\[(.*)\]\s*$/);
+      if (inline) {
+        out.push(...inline[1].split(',').map(s => s.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean));
+        inPackages = false;
+      }
+      continue;
+    }
+
+    if (!inPackages) continue;
+    const m = line.match(/^\s*-\s*(.+?)\s*$/);
+    if (m) out.push(m[1].replace(/^['"]|['"]$/g, ''));
+  }
+
+  return out;
+}
+
+/**
+ * Expand one workspace glob ("packages/*", "apps/**") into directories.
+ * @param {string} root
+ * @param {string} pattern
+ * @returns {Promise<string[]>} Project-relative directories
+ */
+async function expandPattern(root, pattern) {
+  const clean = pattern.replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
+  if (!clean.includes('*')) return [clean];
+
+  const segments = clean.split('/');
+  const firstGlob = segments.findIndex(s => s.includes('*'));
+  const base = segments.slice(0, firstGlob).join('/');
+  const recursive = segments.includes('**');
+  const maxDepth = recursive ? 8 : segments.length - firstGlob;
+
+  /** @type {string[]} */
+  const out = [];
+
+  async function walk(relDir, depth) {
+    if (depth > maxDepth) return;
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, relDir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || SKIP_DIRS.has(entry.name) || entry.name.startsWith('.')) continue;
+      const rel = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (matchesPattern(clean, rel)) out.push(rel);
+      await walk(rel, depth + 1);
+    }
+  }
+
+  await walk(base, 1);
+  return out;
+}
+
+/**
+ * Detect package manager from lock files / packageManager field.
+ * @param {string} root
+ * @param {any} pkg
+ * @returns {Promise<WorkspaceInfo['manager']>}
+ */
+async function detectManager(root, pkg) {
+  const declared = typeof pkg?.packageManager === 'string' ? pkg.packageManager.split('@')[0] : '';
+  if (['pnpm', 'yarn', 'npm', 'bun'].includes(declared)) return /** @type {any} */ (declared);
+
+  const locks = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['pnpm-workspace.yaml', 'pnpm'],
+    ['yarn.lock', 'yarn'],
+    ['bun.lockb', 'bun'],
+    ['package-lock.json', 'npm']
+  ];
+  for (const [file, manager] of locks) {
+    try {
+      await fs.access(path.join(root, file));
+      return /** @type {any} */ (manager);
+    } catch {
+      // continue
+    }
+  }
+  return pkg ? 'npm' : null;
+}
+
+/**
+ * Discover workspace packages under root.
+ * Returns an empty package list for single-package repos.
+ *
+ * @param {string} root
+ * @returns {Promise<WorkspaceInfo>}
+ */
+export async function discoverWorkspaces(root) {
+  const pkg = await readJsonSafe(path.join(root, 'package.json'));
+
+  /** @type {string[]} */
+  let patterns = [];
+  if (Array.isArray(pkg?.workspaces)) {
+    patterns = pkg.workspaces;
+  } else if (Array.isArray(pkg?.workspaces?.packages)) {
+    patterns = pkg.workspaces.packages;
+  }
+
+  try {
+    const yaml = await fs.readFile(path.join(root, 'pnpm-workspace.yaml'), 'utf8');
+    patterns = [...patterns, ...parsePnpmWorkspaceYaml(yaml)];
+  } catch {
+    // not pnpm
+  }
+
+  patterns = [...new Set(patterns.filter(p => typeof p === 'string' && p.trim()))];
+  const include = patterns.filter(p => !p.startsWith('!'));
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => p.slice(1).replace(/^\.\/+/, '').replace(/\/+$/, ''));
+
+  /** @type {Map<string, WorkspacePackage>} */
+  const packages = new Map();
+  for (const pattern of include) {
+    for (const dir of await expandPattern(root, pattern)) {
+      if (packages.has(dir)) continue;
+      if (exclude.some(p => matchesPattern(p, dir))) continue;
+      const packageJson = await readJsonSafe(path.join(root, dir, 'package.json'));
+      if (!packageJson || typeof packageJson.name !== 'string') continue;
+      packages.set(dir, { name: packageJson.name, dir, packageJson });
+    }
+  }
+
+  return {
+    manager: await detectManager(root, pkg),
+    patterns,
+    packages: [...packages.values()].sort((a, b) => a.dir.localeCompare(b.dir))
+  };
+}
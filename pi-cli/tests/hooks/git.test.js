@@ -0,0 +1,114 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const CLI_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'cli.js');
+
+let repo;
+
+// The package's `node --test` must not think it is nested in this run
+const { NODE_TEST_CONTEXT, ...env } = process.env;
+
+const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf-8' }).trim();
+const pi = (args, input = '') => spawnSync(process.execPath, [CLI_PATH, ...args], {
+  cwd: repo,
+  input,
+  encoding: 'utf-8',
+  timeout: 60000,
+  env
+});
+
+const write = async (file, content) => {
+  await fs.mkdir(path.dirname(path.join(repo, file)), { recursive: true });
+  await fs.writeFile(path.join(repo, file), content);
+};
+
+// Workspace: the root has no test.cmd, the package runs its own from its dir
+beforeEach(async () => {
+  repo = await fs.mkdtemp(path.join(os.tmpdir(), 'pi-git-hooks-'));
+  git('init', '-q', '-b', 'main');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'user.name', 'test');
+  await write('.pi-config.json', JSON.stringify({
+    name: 'ws',
+    language: 'javascript',
+    src: { dirs: ['packages'], pattern: '**/*.js' },
+    test: { dirs: [], pattern: '**/*.test.js', cmd: '' },
+    packages: [{
+      name: 'core',
+      dir: 'packages/core',
+      src: { dirs: ['src'], pattern: '**/*.js' },
+      test: { dirs: ['test'], pattern: '**/*.test.js', cmd: 'node --test' }
+    }]
+  }, null, 2));
+  await write('.gitignore', '.project-index/\n');
+  await write('package.json', '{ "type": "module" }\n');
+  await write('packages/core/src/add.js', 'export const add = (a, b) => a + b;\n');
+  await write('packages/core/test/add.test.js', [
+    "import test from 'node:test';",
+    "import assert from 'node:assert';",
+    "import { add } from '../src/add.js';",
+    "test('add', () => assert.equal(add(1, 2), 3));",
+    ''
+  ].join('\n'));
+  git('add', '-A');
+  git('commit', '-q', '-m', 'init');
+  for (const args of [['deps', 'build'], ['test', 'map']]) {
+    const result = pi(args);
+    assert.equal(result.status, 0, result.stderr);
+  }
+});
+
+afterEach(async () => {
+  await fs.rm(repo, { recursive: true, force: true });
+});
+
+describe('pi hook run pre-push', () => {
+  it("runs a workspace package's own test.cmd from its directory", async () => {
+    const base = git('rev-parse', 'HEAD');
+    git('checkout', '-q', '-b', 'feature');
+    await write('packages/core/src/add.js', 'export const add = (a, b) => b + a;\n');
+    git('commit', '-q', '-am', 'swap operands');
+
+    const result = pi(['hook', 'run', 'pre-push'], `refs/heads/feature ${git('rev-parse', 'HEAD')} refs/heads/feature ${base}\n`);
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stderr, /Running in packages\/core: node --test test\/add\.test\.js/);
+    assert.match(result.stderr, /# pass 1/);
+    assert.doesNotMatch(result.stdout + result.stderr, /No test command configured/);
+  });
+
+  it("blocks the push when the package's tests fail", async () => {
+    const base = git('rev-parse', 'HEAD');
+    await write('packages/core/src/add.js', 'export const add = (a, b) => a - b;\n');
+    git('commit', '-q', '-am', 'break add');
+
+    const result = pi(['hook', 'run', 'pre-push'], `refs/heads/main ${git('rev-parse', 'HEAD')} refs/heads/main ${base}\n`);
+
+    assert.equal(result.status, 1, result.stdout + result.stderr);
+    assert.match(result.stderr, /tests failed/);
+  });
+});
+
+describe('pi hook run pre-commit', () => {
+  it('audits only the staged changes', async () => {
+    await write('packages/core/src/run.js', 'export const run = (s) => eval(s);\n');
+    await write('packages/core/src/scratch.js', 'export const scratch = (s) => eval(s);\n');
+    await write('packages/core/src/add.js', 'export const add = (a, b) => eval(`${a} + ${b}`);\n');
+
+    const clean = pi(['hook', 'run', 'pre-commit']);
+    assert.equal(clean.status, 0, clean.stdout + clean.stderr);
+    assert.match(clean.stderr, /audit skipped \(nothing staged\)/);
+
+    git('add', 'packages/core/src/run.js');
+    const result = pi(['hook', 'run', 'pre-commit']);
+
+    assert.equal(result.status, 1, result.stdout + result.stderr);
+    assert.match(result.stderr, /packages\/core\/src\/run\.js:1/);
+    assert.doesNotMatch(result.stderr, /scratch\.js|add\.js/);
+  });
+});
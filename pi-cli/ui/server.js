@@ -10,6 +10,7 @@ import { fileURLToPath } from 'url';
 import { matchesIgnoreInclude, readJsonSafe, writeJsonSafe } from '../lib/shared.js';
 import { getCachePath, loadStaleConfig } from '../lib/context.js';
 import { TaskManager, TASK_TYPES } from '../lib/task/manager.js';
+import { HEARTBEAT_MS } from '../lib/task/queue.js';
 import { checkStale as checkStaleStatus } from '../lib/update/index.js';
 
 /** @typedef {import('../lib/types.js').ProjectConfig} ProjectConfig */
@@ -490,6 +491,7 @@ async function apiTasks(ctx) {
   return {
     updatedAt: new Date().toISOString(),
     running,
+    queue: await manager.queueStatus(),
     types: TASK_TYPES,
     batch: {
       auditFix
@@ -945,7 +947,7 @@ function getDashboardHtml(ctx) {
       <div class="bd">
         <div class="grid2">
           <div>
-            <div class="muted" style="margin-bottom:8px">运行中（PID）</div>
+            <div class="muted" style="margin-bottom:8px">运行中 / 排队（任务队列）</div>
             <div id="runningTasks" class="mono" style="line-height:1.6">-</div>
           </div>
           <div>
@@ -954,6 +956,11 @@ function getDashboardHtml(ctx) {
           </div>
         </div>
 
+        <div style="margin-top:14px">
+          <div class="muted" style="margin-bottom:8px">LLM 用量（按任务类型）</div>
+          <div id="llmUsage" class="mono" style="line-height:1.6">-</div>
+        </div>
+
         <div style="margin-top:14px">
           <div class="muted" style="margin-bottom:8px">任务详情</div>
           <div class="row" id="taskTypeCards" style="margin-top:0"></div>
@@ -1221,9 +1228,21 @@ function getDashboardHtml(ctx) {
       const running = Array.isArray(data.running) ? data.running : [];
       $('tasksBadge').textContent = running.length + ' 运行中';
 
-      $('runningTasks').innerHTML = running.length === 0
+      const jobs = data.queue && Array.isArray(data.queue.jobs)
+        ? data.queue.jobs.filter(j => j.state === 'running' || j.state === 'queued')
+        : [];
+      const daemons = running.filter(t => !jobs.some(j => j.id === t.taskId));
+      const jobHtml = jobs.map(j => '<div>' +
+        escapeHtml(j.state === 'running' ? '运行中' : '排队') + ' · ' + escapeHtml(j.id) +
+        (j.pid ? '（PID ' + escapeHtml(j.pid) + '）' : '') +
+        (j.state === 'queued' && j.dependsOn && j.dependsOn.length ? ' · 等待 ' + escapeHtml(j.dependsOn.join(', ')) : '') +
+        (j.usage ? ' · ' + escapeHtml(formatTokenCount(j.usage.totalTokens)) + ' tokens' : '') +
+        ' <button class=\"btn\" data-action=\"job-cancel\" data-id=\"' + escapeHtml(j.id) + '\">取消</button>' +
+        '</div>');
+      const daemonHtml = daemons.map(t => '<div>' + escapeHtml(t.taskId) + '（PID ' + t.pid + '）</div>');
+      $('runningTasks').innerHTML = jobHtml.length + daemonHtml.length === 0
         ? '<div class=\"muted\">无</div>'
-        : running.map(t => '<div>' + escapeHtml(t.taskId) + '（PID ' + t.pid + '）</div>').join('');
+        : jobHtml.concat(daemonHtml).join('');
 
       const auditFix = data.batch && data.batch.auditFix ? data.batch.auditFix : null;
       if (!auditFix) {
@@ -1238,10 +1257,34 @@ function getDashboardHtml(ctx) {
           (last ? ('<div style=\"margin-top:8px\">last: ' + escapeHtml(last.completedAt || last.timestamp || '-') + ' · fixed ' + escapeHtml(last.fixed || 0) + '/' + escapeHtml(last.fixable || 0) + '</div>') : '');
       }
 
+      renderLlmUsage(data.queue && data.queue.usage ? data.queue.usage : null);
+
       ensureTaskTypeCards(data.types || {});
       renderLaunchRecent();
     }
 
+    function formatTokenCount(n){
+      const v = Number(n) || 0;
+      if (v >= 1e6) return (v / 1e6).toFixed(1) + 'M';
+      if (v >= 1e3) return (v / 1e3).toFixed(1) + 'k';
+      return String(v);
+    }
+
+    function renderLlmUsage(usage){
+      if (!usage || !usage.runs) {
+        $('llmUsage').innerHTML = '<div class=\"muted\">无记录</div>';
+        return;
+      }
+      const line = (label, u) => '<div>' + escapeHtml(label) + ': ' +
+        escapeHtml(formatTokenCount(u.totalTokens)) + ' tokens（prompt ' + escapeHtml(formatTokenCount(u.promptTokens)) +
+        ' / completion ' + escapeHtml(formatTokenCount(u.completionTokens)) + '）· ' + escapeHtml(u.runs) + ' 次' +
+        (typeof u.cost === 'number' ? ' · $' + escapeHtml(u.cost.toFixed(2)) : '') +
+        (u.estimated ? ' <span class=\"muted\">估算</span>' : '') + '</div>';
+      const types = Object.keys(usage.byTaskType || {})
+        .sort((a, b) => usage.byTaskType[b].totalTokens - usage.byTaskType[a].totalTokens);
+      $('llmUsage').innerHTML = line('合计', usage) + types.map(t => line(t, usage.byTaskType[t])).join('');
+    }
+
     function safeId(input){
       return String(input || '').replace(/[^a-zA-Z0-9_-]/g, '_');
     }
@@ -2041,6 +2084,15 @@ function getDashboardHtml(ctx) {
       $('moduleFilter').addEventListener('input', () => { if (state.modules) renderModules(state.modules); });
       $('btnBackModules').addEventListener('click', () => navigate('modules'));
       $('btnReloadTasks').addEventListener('click', async () => { try { await loadTasks(); } catch (e) { toast(e.message); } });
+      $('runningTasks').addEventListener('click', async (ev) => {
+        const btn = ev.target && ev.target.closest ? ev.target.closest('button[data-action=\"job-cancel\"]') : null;
+        if (!btn) return;
+        try {
+          await api('/jobs/' + encodeURIComponent(btn.dataset.id || '') + '/cancel', { method: 'POST' });
+          toast('已取消：' + btn.dataset.id);
+          await loadTasks();
+        } catch (e) { toast(e.message); }
+      });
       $('btnReloadLaunch').addEventListener('click', async () => { try { await loadTaskTypes(true); toast('已刷新'); } catch (e) { toast(e.message); } });
       $('btnResetConfig').addEventListener('click', async () => { try { await loadConfig(); toast('已重置'); } catch (e) { toast(e.message); } });
       $('btnSaveConfig').addEventListener('click', async () => { try { await saveConfig(); } catch (e) { toast(e.message); } });
@@ -2208,6 +2260,12 @@ export async function startServer(ctx, port = 3008) {
 
   let sseTimer = null;
 
+  // No queue daemon: the dashboard ticks so orphans recover and schedules fire
+  const queueTimer = setInterval(() => {
+    new TaskManager(normalizedCtx).queue.tick().catch(() => {});
+  }, HEARTBEAT_MS);
+  queueTimer.unref();
+
   const server = http.createServer(async (req, res) => {
     const url = new URL(req.url, `http://localhost:${port}`);
     const pathname = url.pathname;
@@ -2313,7 +2371,11 @@ export async function startServer(ctx, port = 3008) {
           : root;
 
         const manager = new TaskManager(normalizedCtx);
-        const result = await manager.launchTask(type, args, project);
+        const result = await manager.launchTask(type, args, project, {
+          priority: body?.priority,
+          after: Array.isArray(body?.after) ? body.after.map((a) => String(a)) : [],
+          withDeps: Boolean(body?.withDeps)
+        });
 
         // Best-effort cache invalidation; background refresh will fill in again.
         API_CACHE.delete(`tasks:${root}`);
@@ -2325,6 +2387,80 @@ export async function startServer(ctx, port = 3008) {
         return;
       }
 
+      // === Job queue APIs ===
+      if (req.method === 'POST' && pathname.match(/^\/api\/jobs\/[^/]+\/cancel$/)) {
+        const id = decodeURIComponent(pathname.split('/')[3] || '');
+        const manager = new TaskManager(normalizedCtx);
+        const job = await manager.queue.get(id);
+        if (!job) {
+          sendJson(res, 404, { error: `Job not found: ${id}` });
+          return;
+        }
+        const result = await manager.queue.cancel(id);
+
+        API_CACHE.delete(`tasks:${root}`);
+        API_CACHE.delete(`status:${root}`);
+
+        sendJson(res, 200, { success: true, job: result });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname.match(/^\/api\/jobs\/[^/]+\/log$/)) {
+        const id = decodeURIComponent(pathname.split('/')[3] || '');
+        const manager = new TaskManager(normalizedCtx);
+        const job = await manager.queue.get(id);
+        if (!job) {
+          sendJson(res, 404, { error: `Job not found: ${id}` });
+          return;
+        }
+        const log = await fs.readFile(job.log, 'utf-8').catch(() => '');
+        const tail = Number(url.searchParams.get('tail')) || 200;
+        sendJson(res, 200, { id, state: job.state, log: log.split('\n').slice(-tail).join('\n') });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === '/api/schedules') {
+        const manager = new TaskManager(normalizedCtx);
+        const { schedules } = await manager.queue.read();
+        sendJson(res, 200, { schedules });
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === '/api/schedules') {
+        let body = null;
+        try {
+          body = await parseBody(req);
+        } catch (err) {
+          sendJson(res, 400, { error: toErrorMessage(err) });
+          return;
+        }
+
+        const type = String(body?.type || '').trim();
+        const cron = String(body?.cron || '').trim();
+        if (!type || !cron) {
+          sendJson(res, 400, { error: 'Missing required fields: type, cron' });
+          return;
+        }
+
+        const manager = new TaskManager(normalizedCtx);
+        try {
+          const args = Array.isArray(body?.args) ? body.args.map((a) => String(a)) : [];
+          const schedule = await manager.queue.addSchedule(type, args, { cron, priority: body?.priority });
+          sendJson(res, 200, { success: true, schedule });
+        } catch (err) {
+          sendJson(res, 400, { error: toErrorMessage(err) });
+        }
+        return;
+      }
+
+      if (req.method === 'DELETE' && pathname.match(/^\/api\/schedules\/[^/]+$/)) {
+        const id = decodeURIComponent(pathname.split('/')[3] || '');
+        const manager = new TaskManager(normalizedCtx);
+        const removed = await manager.queue.removeSchedule(id);
+        sendJson(res, removed ? 200 : 404, removed ? { success: true } : { error: `Schedule not found: ${id}` });
+        return;
+      }
+
       if (req.method === 'POST' && pathname.match(/^\/api\/tasks\/[^/]+\/cancel\/[^/]+$/)) {
         const [, , , rawName, , rawId] = pathname.split('/');
         const name = decodeURIComponent(rawName || '');
@@ -2511,6 +2647,7 @@ export async function startServer(ctx, port = 3008) {
   });
 
   server.on('close', () => {
+    clearInterval(queueTimer);
     if (sseTimer) clearInterval(sseTimer);
     sseTimer = null;
     for (const res of sseClients) {
@@ -2541,6 +2678,9 @@ export function getServerInfo() {
       'api/tasks/:name/delete/:id',
       'api/tasks/:name/completed',
       'api/task-details/:name',
+      'api/jobs/:id/cancel',
+      'api/jobs/:id/log',
+      'api/schedules',
       'api/history/:name',
       'api/config',
       'api/cache/clear',
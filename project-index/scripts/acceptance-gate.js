@@ -12,6 +12,10 @@
  *   --dry-run        Preview only, no commits
  *   --concurrency=N  Override concurrency (default 8)
  *   --commit         Auto-commit validated files
+ *   --isolate=worktree  With --commit: commit on a pi-fix/<id> branch (via a
+ *                    temporary git worktree) instead of the current branch;
+ *                    review with `pi fixes review|apply|discard`
+ *   --isolate-scope=batch|task  One branch for all files (default) or per module
  *   --status         Show last result
  *   --help           Show help
  */
@@ -22,6 +26,7 @@ import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
 import { BatchRunner } from './batch-llm-runner.js';
 import { loadConfig, parseArgs, SAFETY_PROMPT_PREFIX, readJsonSafe } from './shared.js';
+import { resolveIsolation, commitToFixBranch } from './fix-worktree.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -148,6 +153,31 @@ async function safeCommit(cwd, files, message) {
   }
 }
 
+/**
+ * Commit validated files on fix branches (--isolate=worktree)
+ */
+async function commitToFixBranches(cwd, batches) {
+  console.log(`\nCommitting validated files on ${batches.length} fix branch(es)...`);
+  const stateDir = path.join(cwd, '.project-index');
+  let created = 0;
+  for (const { files, title } of batches) {
+    try {
+      const fix = await commitToFixBranch(cwd, { source: 'acceptance-gate', title, files, stateDir });
+      if (fix) {
+        created++;
+        console.log(`  ${fix.id}  ${fix.branch}  ${fix.files.length} file(s)`);
+      } else {
+        console.log(`  (no changes) ${title}`);
+      }
+    } catch (e) {
+      console.log(`  Commit failed: ${e.message}`);
+    }
+  }
+  if (created > 0) {
+    console.log('Review with `pi fixes review <id>`, then `pi fixes apply <id>` or `pi fixes discard <id>`.');
+  }
+}
+
 function printHelp() {
   console.log(`Usage:
   node acceptance-gate.js [options]
@@ -156,12 +186,18 @@ Options:
   --dry-run        Preview only, no commits
   --concurrency=N  Override concurrency (default 8)
   --commit         Auto-commit validated files
+  --isolate=worktree
+                   With --commit: commit on a pi-fix/<id> branch instead of
+                   the current one (review with \`pi fixes\`)
+  --isolate-scope=batch|task
+                   One fix branch for all files (default) or one per module
   --status         Show last result
   --help           Show help
 
 Examples:
   node acceptance-gate.js --dry-run
   node acceptance-gate.js --commit --concurrency=16
+  node acceptance-gate.js --commit --isolate=worktree --isolate-scope=task
 `);
 }
 
@@ -179,6 +215,7 @@ async function main() {
     commit: false,
     status: false
   });
+  const isolateScope = resolveIsolation(args);
 
   if (args.status) {
     const resultPath = path.join(cwd, '.project-index', '.acceptance-gate-result.json');
@@ -364,12 +401,15 @@ ${item.files.length > 20 ? `\n(还有 ${item.files.length - 20} 个文件未显
   }
 
   const allPassedFiles = [];
+  const passedByModule = new Map();
   const allFailedFiles = [];
 
   for (const task of savedResult.tasks || []) {
     const evaluation = task.result?.evaluation;
     if (evaluation?.passedFiles) {
       allPassedFiles.push(...evaluation.passedFiles);
+      const moduleName = task.item?.module || '.';
+      passedByModule.set(moduleName, [...(passedByModule.get(moduleName) || []), ...evaluation.passedFiles]);
     }
     if (evaluation?.failedFiles) {
       for (const f of evaluation.failedFiles) {
@@ -394,7 +434,11 @@ ${item.files.length > 20 ? `\n(还有 ${item.files.length - 20} 个文件未显
   }
 
   // Commit if requested
-  if (args.commit && allPassedFiles.length > 0) {
+  if (args.commit && allPassedFiles.length > 0 && isolateScope) {
+    await commitToFixBranches(cwd, isolateScope === 'task'
+      ? [...passedByModule].map(([moduleName, files]) => ({ files, title: `chore: validated ${files.length} files in ${moduleName} via acceptance-gate` }))
+      : [{ files: allPassedFiles, title: `chore: validated ${allPassedFiles.length} files via acceptance-gate` }]);
+  } else if (args.commit && allPassedFiles.length > 0) {
     console.log(`\nCommitting ${allPassedFiles.length} validated files...`);
     const commitResult = await safeCommit(
       cwd,
@@ -18,6 +18,7 @@
  *   --module=path    Only fix specific module
  *   --concurrency=N  Parallel fix attempts (default 3)
  *   --status         Show last result
+ *   --no-cache       Always call the LLM (skip the response cache)
  *   --help           Show help
  */
 
@@ -25,6 +26,7 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { runCodeagent } from './batch-llm-runner.js';
+import { openCache } from './llm-cache.js';
 import {
   readJsonSafe,
   writeJsonSafe,
@@ -181,9 +183,10 @@ async function findAuditFiles(dir) {
  * Generate fix for an issue using LLM
  * @param {object} issue - Issue object
  * @param {string} cwd - Working directory
+ * @param {import('./llm-cache.js').ResponseCache|null} [cache] - LLM response cache
  * @returns {Promise<{success: boolean, fix: object|null}>}
  */
-async function generateFix(issue, cwd) {
+async function generateFix(issue, cwd, cache = null) {
   const filePath = path.join(cwd, issue.file);
 
   // Read the source file
@@ -230,7 +233,7 @@ Provide the fix. Output JSON:
 }`;
 
   try {
-    const result = await runCodeagent(prompt, cwd, 90000);
+    const result = await runCodeagent(prompt, cwd, 90000, { cache, inputs: [issue.file], taskType: 'audit-fix' });
     if (result.success) {
       const json = JSON.parse(result.output);
       return { success: true, fix: json };
@@ -346,6 +349,7 @@ Options:
   --module=path    Only fix specific module
   --concurrency=N  Parallel fix attempts (default 3)
   --status         Show last result
+  --no-cache       Always call the LLM (skip the response cache)
   --help           Show this help
 `);
     return;
@@ -364,6 +368,8 @@ Options:
   const resultFile = path.join(stateDir, '.audit-fix-result.json');
 
   await fs.mkdir(stateDir, { recursive: true });
+  const config = await loadConfig(cwd);
+  const cache = openCache(stateDir, config.llm?.cache, { refresh: args.noCache });
 
   if (args.status) {
     const result = await readJsonSafe(resultFile, null);
@@ -451,7 +457,7 @@ Options:
 
         log.info(`Processing: [${issue.severity}] ${issue.title}`);
 
-        const { success, fix } = await generateFix(issue, cwd);
+        const { success, fix } = await generateFix(issue, cwd, cache);
 
         if (!success || !fix?.canFix) {
           log.info(`  Cannot auto-fix: ${fix?.analysis || 'LLM failed'}`);
@@ -8,6 +8,8 @@
  * - Checkpoint/resume for crash recovery
  * - Single task retry support
  * - Real-time progress updates for dashboard
+ * - Token accounting (estimated from prompt/output size) with a per-run budget
+ * - Response cache shared with pi-cli (./llm-cache.js): unchanged prompts and inputs are not resent
  *
  * Usage:
  *   import { BatchRunner } from './batch-llm-runner.js';
@@ -41,6 +43,7 @@ import {
   DEFAULT_CONCURRENCY,
   DEFAULT_TIMEOUT
 } from './shared.js';
+import { openCache } from './llm-cache.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -60,8 +63,32 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * @property {string} [sessionId] - LLM session ID for resume
  * @property {object} [result] - Task result
  * @property {number} [retryCount] - Number of retries
+ * @property {TokenUsage} [usage] - LLM tokens used by the task
+ * @property {boolean} [budgetExceeded] - Not started because maxTokensPerRun was reached
+ * @property {boolean} [cached] - Answered from the response cache (no tokens used)
  */
 
+/**
+ * codeagent-wrapper does not report usage, so counts are estimated from text length
+ * @typedef {{promptTokens: number, completionTokens: number, estimated: boolean}} TokenUsage
+ */
+
+/** Rough chars-per-token ratio for code-heavy text */
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * @param {string} prompt
+ * @param {string} output
+ * @returns {TokenUsage}
+ */
+export function estimateUsage(prompt, output) {
+  return {
+    promptTokens: Math.ceil(String(prompt || '').length / CHARS_PER_TOKEN),
+    completionTokens: Math.ceil(String(output || '').length / CHARS_PER_TOKEN),
+    estimated: true
+  };
+}
+
 /**
  * Task input for batch execution.
  *
@@ -81,13 +108,43 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * @param {string} prompt
  * @param {string} cwd
  * @param {number} timeout
- * @returns {Promise<{success: boolean, output: string, sessionId: string|null, error: string|null, isRateLimited: boolean}>}
+ * @param {{cache?: import('./llm-cache.js').ResponseCache|null, inputs?: string[], taskType?: string}} [options]
+ *   cache: serve/store the response; inputs (relative to `cwd`) are part of the key
+ * @returns {Promise<{success: boolean, output: string, sessionId: string|null, error: string|null, isRateLimited: boolean, cached?: boolean}>}
  */
 export async function runCodeagent(prompt, cwd, timeout = 120000, options = {}) {
-  return new Promise((resolve) => {
-    // Use "-" to read from stdin, configurable backend via env
-    const backend = process.env.CODEAGENT_BACKEND || 'codex';
+  // Use "-" to read from stdin, configurable backend via env
+  const backend = process.env.CODEAGENT_BACKEND || 'codex';
 
+  const lookup = options.cache
+    ? await options.cache.lookup({ provider: 'codeagent-wrapper', model: backend, prompt, inputs: options.inputs, root: cwd })
+    : null;
+  if (lookup?.entry) return cachedResult(lookup.entry);
+
+  const result = await spawnCodeagent(prompt, cwd, timeout, backend);
+  if (result.success) {
+    await options.cache?.store(lookup, result.output, { taskType: options.taskType, usage: estimateUsage(prompt, result.output) });
+  }
+  return result;
+}
+
+/**
+ * @param {{output: string}} entry
+ * @returns {{success: boolean, output: string, sessionId: null, error: null, isRateLimited: boolean, cached: boolean}}
+ */
+function cachedResult(entry) {
+  return { success: true, output: entry.output, sessionId: null, error: null, isRateLimited: false, cached: true };
+}
+
+/**
+ * @param {string} prompt
+ * @param {string} cwd
+ * @param {number} timeout
+ * @param {string} backend
+ * @returns {Promise<{success: boolean, output: string, sessionId: string|null, error: string|null, isRateLimited: boolean}>}
+ */
+function spawnCodeagent(prompt, cwd, timeout, backend) {
+  return new Promise((resolve) => {
     const args = ['--backend', backend, '-'];
 
     const child = spawn('codeagent-wrapper', args, {
@@ -228,9 +285,10 @@ export async function runWithRetry(prompt, cwd, timeout, maxRetries = 3, retryDe
  * @param {number} concurrency - Max concurrent tasks
  * @param {function} handler - Task handler
  * @param {function} [onStatusChange] - Status change callback
- * @returns {Promise<Array>} Results in input order
+ * @param {() => boolean} [budgetExceeded] - When true, pending tasks are not started
+ * @returns {Promise<Array>} Results in input order ({id, status: 'budget_exceeded'} for tasks not started)
  */
-async function runWithConcurrency(tasks, concurrency, handler, onStatusChange) {
+async function runWithConcurrency(tasks, concurrency, handler, onStatusChange, budgetExceeded) {
   const effectiveConcurrency = Math.max(1, Number(concurrency) || 1);
   const results = new Map(); // id -> result
   const completed = new Set(); // completed task IDs
@@ -246,6 +304,14 @@ async function runWithConcurrency(tasks, concurrency, handler, onStatusChange) {
   };
 
   while (pending.length > 0 || executing.size > 0) {
+    if (pending.length > 0 && budgetExceeded?.()) {
+      for (const task of pending.splice(0)) {
+        results.set(task.id, { id: task.id, status: 'budget_exceeded', reason: 'token budget exceeded' });
+        onStatusChange?.(task.id, 'cancelled');
+      }
+      continue;
+    }
+
     const capacity = effectiveConcurrency - executing.size;
 
     // Find ready tasks (dependencies satisfied, room in pool).
@@ -310,13 +376,17 @@ async function runWithConcurrency(tasks, concurrency, handler, onStatusChange) {
  * @property {number} [retryDelay=5000] - Base delay in ms for exponential backoff
  * @property {string} [stateDir] - Directory for state files (default: __dirname)
  * @property {boolean} [silent=false] - Suppress console output
+ * @property {number} [maxTokensPerRun] - Stop starting tasks once the run used this many tokens (llm.budget.maxTokensPerRun)
+ * @property {object|false} [cache] - llm.cache settings; false for agents that edit files themselves (a cached reply would skip the edits)
+ * @property {boolean} [noCache=false] - --no-cache: skip lookups, still store fresh responses
  */
 
 /**
  * @typedef {Object} TaskHandlers
  * @property {(cwd: string) => Promise<Array<{id: string, dependencies?: string[], [key: string]: any}>>} scan - Returns items to process
  * @property {(item: object) => string | Promise<string>} buildPrompt - Build LLM prompt for item
- * @property {(item: object, result: {success: boolean, output: string, sessionId: string|null, error: string|null, isRateLimited: boolean}) => Promise<{status: string, [key: string]: any}>} handleResult - Process LLM result
+ * @property {(item: object, result: {success: boolean, output: string, sessionId: string|null, error: string|null, isRateLimited: boolean, cached?: boolean}) => Promise<{status: string, [key: string]: any}>} handleResult - Process LLM result
+ * @property {(item: object) => string[] | Promise<string[]>} [inputs] - Files the prompt is built from (relative to cwd); part of the cache key
  */
 
 export class BatchRunner {
@@ -339,6 +409,11 @@ export class BatchRunner {
     this.progressFile = path.join(this.stateDir, `.${this.name}-progress.json`);
     this.resultFile = path.join(this.stateDir, `.${this.name}-result.json`);
     this.tasksFile = path.join(this.stateDir, `.${this.name}-tasks.json`);
+    // Same records as pi-cli's lib/llm/usage.js, so `pi task list` counts these runs
+    this.usageDir = path.join(this.stateDir, 'llm-usage');
+    this.maxTokensPerRun = Number(options.maxTokensPerRun) || null;
+    // Only completed tasks are stored, so a reply that failed handleResult is asked again
+    this.cache = openCache(this.stateDir, options.cache, { refresh: options.noCache });
 
     this.logger = createLogger(this.logFile, this.silent);
 
@@ -379,15 +454,64 @@ export class BatchRunner {
       failed: tasks.filter(t => t.status === 'failed').length,
       timeout: tasks.filter(t => t.status === 'timeout').length
     };
+    const usage = this.sumUsage(tasks);
 
     await writeJsonSafe(this.tasksFile, {
       name: this.name,
       updatedAt: new Date().toISOString(),
       summary,
+      ...(usage.totalTokens > 0 ? { usage } : {}),
       tasks
     });
   }
 
+  /**
+   * Token totals over task states
+   * @param {TaskState[]} tasks
+   * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+   */
+  sumUsage(tasks) {
+    let promptTokens = 0;
+    let completionTokens = 0;
+    for (const t of tasks) {
+      promptTokens += t.usage?.promptTokens || 0;
+      completionTokens += t.usage?.completionTokens || 0;
+    }
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+  }
+
+  /**
+   * Write this run's usage record (<stateDir>/llm-usage/<name>-<ms>-<pid>.json)
+   * @param {Date} startedAt
+   * @param {Map<string, TokenUsage>} byTask
+   * @param {number} skipped
+   */
+  async recordUsage(startedAt, byTask, skipped) {
+    if (byTask.size === 0 && skipped === 0) return null;
+    const totals = this.sumUsage(Array.from(byTask.values(), usage => ({ usage })));
+    const id = `${this.name}-${startedAt.getTime()}-${process.pid}`;
+    const run = {
+      id,
+      taskType: this.name,
+      jobId: process.env.PI_JOB_ID || null,
+      provider: 'codeagent-wrapper',
+      model: process.env.CODEAGENT_BACKEND || 'codex',
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      tasks: byTask.size,
+      skipped,
+      budget: this.maxTokensPerRun,
+      promptTokens: totals.promptTokens,
+      completionTokens: totals.completionTokens,
+      estimated: true,
+      cost: null,
+      byTask: Object.fromEntries(byTask)
+    };
+    await fs.mkdir(this.usageDir, { recursive: true });
+    await writeJsonSafe(path.join(this.usageDir, `${id}.json`), run);
+    return run;
+  }
+
   /**
    * Update a single task's state
    * @param {string} id
@@ -465,9 +589,12 @@ export class BatchRunner {
         this.retryDelay
       );
       const result = await handlers.handleResult(item, llmResult);
+      const usage = estimateUsage(prompt, llmResult.output);
+      await this.recordUsage(new Date(task.startedAt || Date.now()), new Map([[taskId, usage]]), 0);
 
       const completedAt = new Date().toISOString();
       await this.updateTaskState(taskId, {
+        usage,
         status: (result.status && result.status.includes('error')) || result.success === false ? 'failed' : 'completed',
         completedAt,
         duration: new Date(completedAt) - new Date(task.startedAt),
@@ -488,6 +615,26 @@ export class BatchRunner {
     }
   }
 
+  /**
+   * Response cache lookup for a task (null without a cache)
+   * @param {string} prompt
+   * @param {object} item
+   * @param {TaskHandlers} handlers
+   * @param {string} cwd
+   * @returns {Promise<import('./llm-cache.js').CacheLookup|null>}
+   */
+  async lookupCache(prompt, item, handlers, cwd) {
+    if (!this.cache) return null;
+    const inputs = handlers.inputs ? await handlers.inputs(item) : undefined;
+    return this.cache.lookup({
+      provider: 'codeagent-wrapper',
+      model: process.env.CODEAGENT_BACKEND || 'codex',
+      prompt,
+      inputs,
+      root: cwd
+    });
+  }
+
   /**
    * Run batch processing
    * @param {TaskHandlers} handlers
@@ -528,7 +675,7 @@ export class BatchRunner {
 
       // Find failed/timeout tasks
       const failedTasks = Array.from(this.taskStates.values())
-        .filter(t => t.status === 'failed' || t.status === 'timeout');
+        .filter(t => t.status === 'failed' || t.status === 'timeout' || t.budgetExceeded);
 
       if (failedTasks.length === 0) {
         await this.log(`No failed tasks to retry`);
@@ -542,6 +689,7 @@ export class BatchRunner {
         await this.updateTaskState(task.id, {
           status: 'pending',
           error: null,
+          budgetExceeded: false,
           retryCount: (task.retryCount || 0) + 1
         });
       }
@@ -576,6 +724,11 @@ export class BatchRunner {
 
     await this.log(`Processing ${itemsToProcess.length} items...`);
 
+    const runStartedAt = new Date();
+    /** @type {Map<string, TokenUsage>} */
+    const usageByTask = new Map();
+    let runTokens = 0;
+
     const results = await runWithConcurrency(
       itemsToProcess,
       this.concurrency,
@@ -589,24 +742,35 @@ export class BatchRunner {
         try {
           await this.log(`Processing: ${item.id}`);
           const prompt = await handlers.buildPrompt(item);
-          const llmResult = await runWithRetry(
+          const lookup = await this.lookupCache(prompt, item, handlers, cwd);
+          const llmResult = lookup?.entry ? cachedResult(lookup.entry) : await runWithRetry(
             prompt,
             cwd,
             this.timeout,
             this.maxRetries,
             this.retryDelay
           );
+          const usage = llmResult.cached ? undefined : estimateUsage(prompt, llmResult.output);
+          if (usage) {
+            usageByTask.set(item.id, usage);
+            runTokens += usage.promptTokens + usage.completionTokens;
+          }
           const result = await handlers.handleResult(item, llmResult);
 
           const completedAt = new Date();
           const status = llmResult.error === 'timeout' ? 'timeout' :
             (result.status && result.status.includes('error')) || result.success === false ? 'failed' : 'completed';
+          if (status === 'completed' && llmResult.success) {
+            await this.cache?.store(lookup, llmResult.output, { taskType: this.name, usage });
+          }
 
           await this.updateTaskState(item.id, {
             status,
             completedAt: completedAt.toISOString(),
             duration: completedAt - startedAt,
             sessionId: llmResult.sessionId,
+            usage,
+            cached: llmResult.cached || undefined,
             result,
             error: status !== 'completed' ? (llmResult.error || result.reason) : null
           });
@@ -615,7 +779,7 @@ export class BatchRunner {
           progress.results.push({ id: item.id, ...result });
           await this.saveProgress(progress);
 
-          await this.log(`  → ${result.status}: ${item.id}`);
+          await this.log(`  → ${result.status}: ${item.id}${llmResult.cached ? ' (cached)' : ''}`);
           return { id: item.id, ...result };
         } catch (e) {
           const completedAt = new Date();
@@ -638,9 +802,24 @@ export class BatchRunner {
       },
       (id, status) => {
         // Status change callback - could be used for real-time updates
-      }
+      },
+      () => this.maxTokensPerRun !== null && runTokens >= this.maxTokensPerRun
     );
 
+    // Tasks the budget kept from starting stay retryable (--retry-failed)
+    const skipped = results.filter(r => r?.status === 'budget_exceeded');
+    for (const r of skipped) {
+      await this.updateTaskState(r.id, {
+        status: 'cancelled',
+        budgetExceeded: true,
+        error: `token budget exceeded (${runTokens}/${this.maxTokensPerRun} tokens)`
+      });
+    }
+    if (skipped.length > 0) {
+      await this.log(`Token budget exceeded: ${skipped.length} tasks not started`);
+    }
+    const usageRun = await this.recordUsage(runStartedAt, usageByTask, skipped.length);
+
     const allResults = [...existingResults, ...results];
 
     // Summarize
@@ -653,6 +832,13 @@ export class BatchRunner {
     for (const [status, count] of Object.entries(byStatus)) {
       await this.log(`  ${status}: ${count}`);
     }
+    if (usageRun) {
+      await this.log(`  tokens: ${usageRun.promptTokens + usageRun.completionTokens} (${usageRun.promptTokens} prompt + ${usageRun.completionTokens} completion, estimated)`);
+    }
+    const cached = itemsToProcess.filter(item => this.taskStates.get(item.id)?.cached).length;
+    if (cached > 0) {
+      await this.log(`  cached: ${cached} (answered from the response cache)`);
+    }
 
     const errors = allResults.filter(r => (r.status && r.status.includes('error')) || r.success === false);
 
@@ -663,7 +849,18 @@ export class BatchRunner {
       processed: allResults.length,
       byStatus,
       failed: errors.length,
-      failedList: errors.map(e => ({ id: e.id, reason: e.reason }))
+      failedList: errors.map(e => ({ id: e.id, reason: e.reason })),
+      ...(cached > 0 ? { cached } : {}),
+      ...(usageRun ? {
+        usage: {
+          promptTokens: usageRun.promptTokens,
+          completionTokens: usageRun.completionTokens,
+          totalTokens: usageRun.promptTokens + usageRun.completionTokens,
+          estimated: true,
+          budget: usageRun.budget,
+          skipped: usageRun.skipped
+        }
+      } : {})
     };
 
     await fs.writeFile(this.resultFile, JSON.stringify(resultData, null, 2));
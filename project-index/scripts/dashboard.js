@@ -174,6 +174,7 @@ async function getTaskStatus(projectPath) {
         processed: result.processed,
         lastRun: result.completedAt || result.endTime,
         byStatus: result.byStatus,
+        usage: result.usage,
         history
       });
     } else if (history.length > 0) {
@@ -184,6 +185,7 @@ async function getTaskStatus(projectPath) {
         processed: lastRun.processed,
         lastRun: lastRun.completedAt || lastRun.archivedAt,
         byStatus: lastRun.byStatus,
+        usage: lastRun.usage,
         history
       });
     } else {
@@ -0,0 +1,131 @@
+/**
+ * Fix branches shared with pi-cli (lib/fixes/worktree.js)
+ *
+ * acceptance-gate.js --commit --isolate=worktree commits the validated files
+ * on a `pi-fix/<id>` branch instead of the current one: a temporary worktree
+ * (<git root>-worktrees/pi-fix-<id>, like the kanban `worktree` command) is
+ * created from HEAD, the files are copied in from the working tree and
+ * committed there, and the worktree is removed. The diff is saved as
+ * <stateDir>/fixes/<id>.patch and listed in <stateDir>/fixes/fixes.json,
+ * where `pi fixes review|apply|discard` pick it up.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { randomBytes } from 'crypto';
+
+export const FIXES_VERSION = 1;
+export const ISOLATE_SCOPES = ['batch', 'task'];
+
+/**
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {string}
+ */
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', timeout: 120000, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Scope requested by --isolate / --isolate-scope, null without --isolate
+ * @param {{isolate?: any, isolateScope?: any}} args - parseArgs output
+ * @returns {'batch'|'task'|null}
+ * @throws {Error} Unknown value
+ */
+export function resolveIsolation(args) {
+  if (args.isolate === undefined || args.isolate === false || args.isolate === 'none') return null;
+  if (args.isolate !== 'worktree') {
+    throw new Error(`Unknown --isolate=${args.isolate === true ? '' : args.isolate} (expected worktree)`);
+  }
+  const scope = args.isolateScope || 'batch';
+  if (!ISOLATE_SCOPES.includes(scope)) {
+    throw new Error(`Unknown --isolate-scope=${scope} (expected ${ISOLATE_SCOPES.join(' or ')})`);
+  }
+  return scope;
+}
+
+/**
+ * @param {string} stateDir - .project-index
+ * @returns {Promise<object[]>}
+ */
+export async function loadFixes(stateDir) {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(stateDir, 'fixes', 'fixes.json'), 'utf-8'));
+    return Array.isArray(data?.fixes) ? data.fixes : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Commit the working tree's version of `files` on a new fix branch
+ * @param {string} cwd
+ * @param {{source: string, title: string, summary?: string, files: string[], stateDir: string}} options
+ *   files: relative to the git root (as `git diff --name-only` prints them)
+ * @returns {Promise<object|null>} Fix record, null when the files match HEAD
+ */
+export async function commitToFixBranch(cwd, { source, title, summary, files, stateDir }) {
+  const gitRoot = path.resolve(git(['rev-parse', '--show-toplevel'], cwd).trim());
+  const base = git(['rev-parse', 'HEAD'], cwd).trim();
+  const id = `${source}-${randomBytes(3).toString('hex')}`;
+  const branch = `pi-fix/${id}`;
+  const dir = path.join(`${gitRoot}-worktrees`, `pi-fix-${id}`);
+
+  await fs.mkdir(path.dirname(dir), { recursive: true });
+  git(['worktree', 'add', '-q', '-b', branch, dir, base], gitRoot);
+
+  let record = null;
+  try {
+    for (const file of files) {
+      const target = path.join(dir, file);
+      try {
+        const content = await fs.readFile(path.join(gitRoot, file));
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, content);
+      } catch {
+        // Deleted in the working tree
+        git(['rm', '-q', '--ignore-unmatch', '--', file], dir);
+      }
+    }
+    git(['add', '-A'], dir);
+
+    const staged = git(['diff', '--cached', '--name-only'], dir).split('\n').filter(Boolean);
+    if (staged.length > 0) {
+      git(['commit', '-q', '--no-verify', '-m', title, ...(summary ? ['-m', summary] : [])], dir);
+      const commit = git(['rev-parse', 'HEAD'], dir).trim();
+
+      const fixesDir = path.join(stateDir, 'fixes');
+      await fs.mkdir(fixesDir, { recursive: true });
+      await fs.writeFile(path.join(fixesDir, `${id}.patch`), git(['diff', '--binary', base, commit], dir));
+
+      record = {
+        id,
+        source,
+        title,
+        ...(summary ? { summary } : {}),
+        branch,
+        base,
+        commit,
+        files: staged,
+        patch: `${id}.patch`,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+      };
+      const fixes = await loadFixes(stateDir);
+      fixes.push(record);
+      await fs.writeFile(path.join(fixesDir, 'fixes.json'), JSON.stringify({ version: FIXES_VERSION, fixes }, null, 2));
+    }
+  } finally {
+    git(['worktree', 'remove', '--force', dir], gitRoot);
+    if (!record) {
+      try {
+        git(['branch', '-D', branch], gitRoot);
+      } catch {
+        // Already gone
+      }
+    }
+  }
+
+  return record;
+}
@@ -9,19 +9,31 @@
  *   node hook.js status                Check hook status
  *   node hook.js list                  List all installed hooks
  *   node hook.js toggle <hook> [on|off] Toggle specific hook
+ *   node hook.js install --git [hook]  Install git pre-commit/pre-push hooks
+ *   node hook.js uninstall --git [hook] Remove them (restores the previous hooks)
  *
  * Hook types:
  *   - post-commit: Update CLAUDE.md after git commit (PostToolUse)
  *   - stale-notify: Notify stale modules on session start (UserPromptSubmit)
+ *
+ * Git hooks (run for every commit/push, not only the agent's):
+ *   - pre-commit: Report stale docs (check-stale.js, never blocks)
+ *   - pre-push: Run tests affected by the pushed commits (test-affected.js)
+ *   An existing hook is moved to <hooks>/.project-index-chained/ and run first.
+ *   Time budget: .stale-config.json hooks.git.<hook>.timeout (seconds).
+ *   Skip with --no-verify or PI_SKIP_HOOKS=1.
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { execFileSync, spawn } from 'child_process';
+import { fileURLToPath } from 'url';
 
 const CLAUDE_SETTINGS_PATH = path.join(os.homedir(), '.claude', 'settings.json');
 const PROJECT_SETTINGS_PATH = path.join(process.cwd(), '.claude', 'settings.json');
 const STALE_CONFIG_PATH = path.join(process.cwd(), '.stale-config.json');
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * Available hook definitions
@@ -46,6 +58,270 @@ const HOOKS = {
   }
 };
 
+/**
+ * Git hooks: checks and time budget (seconds)
+ */
+const GIT_HOOKS = {
+  'pre-commit': {
+    script: 'check-stale.js',
+    args: () => ['--stale-only'],
+    blocking: false,
+    timeout: 60,
+    description: 'Report stale docs before commit'
+  },
+  'pre-push': {
+    script: 'test-affected.js',
+    args: (base) => base ? ['--since', base] : null,
+    blocking: true,
+    timeout: 600,
+    requires: ['.dep-graph.json', '.test-map.json'],
+    description: 'Run tests affected by the pushed commits'
+  }
+};
+
+const GIT_HOOK_MARKER = '# project-index git hook';
+const GIT_CHAINED_DIR = '.project-index-chained';
+
+/**
+ * @param {string[]} args
+ * @returns {string|null} stdout, or null when git fails
+ */
+function gitOutput(args) {
+  try {
+    return execFileSync('git', args, { cwd: process.cwd(), encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hooks dir git uses (core.hooksPath or .git/hooks), null outside a repository
+ */
+function gitHooksDir() {
+  const out = gitOutput(['rev-parse', '--git-path', 'hooks']);
+  return out ? path.resolve(process.cwd(), out) : null;
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * sh script installed as <hooks>/<name>; runs the replaced hook first,
+ * then `node hook.js run-git <name>` from the project directory
+ * @param {string} name
+ * @param {string} projectDir - Relative to the work tree root
+ */
+function gitHookScript(name, projectDir) {
+  const feed = name === 'pre-push' ? 'printf \'%s\\n\' "$input" | ' : '';
+  return `#!/bin/sh
+${GIT_HOOK_MARKER}: ${name}
+# Installed by \`node hook.js install --git\`; \`node hook.js uninstall --git\` restores the previous hook.
+${feed ? 'input=$(cat)\n' : ''}chained="$(dirname "$0")/${GIT_CHAINED_DIR}/${name}"
+if [ -x "$chained" ]; then
+  ${feed}"$chained" "$@" || exit $?
+fi
+[ -n "$PI_SKIP_HOOKS" ] && exit 0
+${projectDir ? `cd ${shellQuote(projectDir)} || exit 0\n` : ''}script=${shellQuote(path.join(SCRIPTS_DIR, 'hook.js'))}
+[ -f "$script" ] || exit 0
+${feed}node "$script" run-git ${name} "$@"
+`;
+}
+
+/**
+ * @param {string} dir
+ * @param {string} name
+ */
+async function gitHookState(dir, name) {
+  let content = null;
+  try {
+    content = await fs.readFile(path.join(dir, name), 'utf-8');
+  } catch {
+    // Not present
+  }
+  return {
+    installed: Boolean(content?.includes(GIT_HOOK_MARKER)),
+    foreign: content !== null && !content.includes(GIT_HOOK_MARKER),
+    chained: await exists(path.join(dir, GIT_CHAINED_DIR, name))
+  };
+}
+
+/**
+ * Install git hooks (all, or one)
+ * @param {string} [hookName]
+ */
+async function installGitHooks(hookName) {
+  if (hookName && !GIT_HOOKS[hookName]) {
+    console.log(`Unknown git hook: ${hookName}`);
+    console.log(`Available: ${Object.keys(GIT_HOOKS).join(', ')}`);
+    return false;
+  }
+  const dir = gitHooksDir();
+  if (!dir) {
+    console.log('Not a git repository.');
+    return false;
+  }
+  const stat = await fs.stat(dir).catch(() => null);
+  if (stat && !stat.isDirectory()) {
+    console.log(`Git hooks are disabled here: core.hooksPath is ${dir}, not a directory.`);
+    return false;
+  }
+
+  const top = gitOutput(['rev-parse', '--show-toplevel']);
+  const projectDir = top ? path.relative(top, process.cwd()).split(path.sep).join('/') : '';
+
+  await fs.mkdir(dir, { recursive: true });
+  for (const name of hookName ? [hookName] : Object.keys(GIT_HOOKS)) {
+    const file = path.join(dir, name);
+    const state = await gitHookState(dir, name);
+    if (state.foreign) {
+      if (state.chained) {
+        console.log(`✗ ${name}: ${path.join(dir, GIT_CHAINED_DIR, name)} already exists; move one of the two hooks away first`);
+        continue;
+      }
+      await fs.mkdir(path.join(dir, GIT_CHAINED_DIR), { recursive: true });
+      await fs.rename(file, path.join(dir, GIT_CHAINED_DIR, name));
+    }
+    await fs.writeFile(file, gitHookScript(name, projectDir), { mode: 0o755 });
+    await fs.chmod(file, 0o755);
+    const chained = state.foreign || state.chained ? ' (runs the existing hook first)' : '';
+    console.log(`✓ Git hook '${name}' installed${chained} (${GIT_HOOKS[name].description})`);
+  }
+  return true;
+}
+
+/**
+ * Remove git hooks (all, or one) and restore the hooks they replaced
+ * @param {string} [hookName]
+ */
+async function uninstallGitHooks(hookName) {
+  const dir = gitHooksDir();
+  if (!dir) {
+    console.log('Not a git repository.');
+    return false;
+  }
+
+  let removed = 0;
+  for (const name of hookName ? [hookName] : Object.keys(GIT_HOOKS)) {
+    if (!GIT_HOOKS[name]) continue;
+    const state = await gitHookState(dir, name);
+    if (!state.installed) continue;
+    const file = path.join(dir, name);
+    await fs.unlink(file);
+    if (state.chained) {
+      await fs.rename(path.join(dir, GIT_CHAINED_DIR, name), file);
+    }
+    removed++;
+    console.log(`✓ Git hook '${name}' removed${state.chained ? ' (previous hook restored)' : ''}`);
+  }
+  await fs.rmdir(path.join(dir, GIT_CHAINED_DIR)).catch(() => {});
+
+  if (removed === 0) console.log('No git hooks found.');
+  return removed > 0;
+}
+
+/**
+ * Commit to compare the pushed refs with (pre-push stdin: "<local ref> <sha> <remote ref> <sha>")
+ * @param {string} input
+ * @returns {string|null}
+ */
+function pushBase(input) {
+  for (const line of String(input || '').split('\n')) {
+    const [, localSha, , remoteSha] = line.trim().split(/\s+/);
+    if (!localSha || /^0+$/.test(localSha)) continue;
+    if (remoteSha && !/^0+$/.test(remoteSha) && gitOutput(['cat-file', '-t', remoteSha]) === 'commit') {
+      return remoteSha;
+    }
+    for (const ref of ['@{upstream}', 'origin/HEAD']) {
+      const base = gitOutput(['merge-base', localSha, ref]);
+      if (base) return base;
+    }
+  }
+  return null;
+}
+
+/**
+ * Called by the installed script: run the hook's check within its time budget.
+ * A check that runs out of time is stopped (with its process group) and does not block.
+ * @param {string} name
+ * @returns {Promise<number>} exit code for git
+ */
+async function runGitHook(name) {
+  const hook = GIT_HOOKS[name];
+  if (!hook) {
+    console.error(`Unknown git hook: ${name}`);
+    return 1;
+  }
+
+  for (const file of hook.requires || []) {
+    if (!await exists(path.join(process.cwd(), file))) {
+      console.error(`project-index ${name}: no ${file}, skipped`);
+      return 0;
+    }
+  }
+
+  let input = '';
+  if (name === 'pre-push' && !process.stdin.isTTY) {
+    for await (const chunk of process.stdin) input += chunk;
+  }
+  const args = hook.args(pushBase(input));
+  if (!args) {
+    console.error(`project-index ${name}: nothing to compare the pushed commits with, skipped`);
+    return 0;
+  }
+
+  const config = await loadStaleConfig();
+  const timeout = Number(config.hooks?.git?.[name]?.timeout) > 0 ? Number(config.hooks.git[name].timeout) : hook.timeout;
+
+  const code = await new Promise((resolve) => {
+    const group = process.platform !== 'win32';
+    const child = spawn(process.execPath, [path.join(SCRIPTS_DIR, hook.script), ...args], {
+      cwd: process.cwd(),
+      stdio: ['ignore', process.stderr, process.stderr],
+      detached: group
+    });
+    const kill = (signal) => {
+      try {
+        if (group) process.kill(-child.pid, signal);
+        else child.kill(signal);
+      } catch {
+        // Already gone
+      }
+    };
+    const timer = setTimeout(() => {
+      console.error(`project-index ${name}: stopped after ${timeout}s (not blocking; raise hooks.git.${name}.timeout)`);
+      kill('SIGKILL');
+      resolve(0);
+    }, timeout * 1000);
+    child.on('close', (c) => {
+      clearTimeout(timer);
+      resolve(c ?? 1);
+    });
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve(1);
+    });
+  });
+
+  if (code !== 0 && !hook.blocking) return 0;
+  if (code !== 0) console.error(`\nproject-index ${name}: failed. Fix it, or skip with --no-verify.`);
+  return code;
+}
+
+/**
+ * Git hook status lines
+ */
+async function gitStatus() {
+  const dir = gitHooksDir();
+  if (!dir) return;
+  console.log(`\nGit hooks (${path.relative(process.cwd(), dir) || dir}):`);
+  for (const [name, def] of Object.entries(GIT_HOOKS)) {
+    const state = await gitHookState(dir, name);
+    const note = state.installed && state.chained ? ' (runs the previous hook first)' : '';
+    console.log(`  ${name}: ${state.installed ? '✓ installed' : '✗ not installed'}${note} - ${def.description}`);
+  }
+}
+
 async function exists(p) {
   try { await fs.access(p); return true; } catch { return false; }
 }
@@ -318,12 +594,17 @@ async function main() {
   const args = process.argv.slice(2);
   const command = args[0];
   const scope = args.includes('--global') ? 'global' : 'project';
+  const gitHook = args.includes('--git') ? args.slice(1).find(a => !a.startsWith('--')) : undefined;
 
   switch (command) {
     case 'init':
       await init(scope);
       break;
     case 'install':
+      if (args.includes('--git')) {
+        if (!await installGitHooks(gitHook)) process.exitCode = 1;
+        break;
+      }
       // If specific hook name provided, install just that
       const hookToInstall = args.find(a => HOOKS[a]);
       if (hookToInstall) {
@@ -333,6 +614,10 @@ async function main() {
       }
       break;
     case 'uninstall':
+      if (args.includes('--git')) {
+        await uninstallGitHooks(gitHook);
+        break;
+      }
       const hookToRemove = args.find(a => HOOKS[a]);
       if (hookToRemove) {
         await removeHook(hookToRemove, scope);
@@ -342,6 +627,10 @@ async function main() {
       break;
     case 'status':
       await status();
+      await gitStatus();
+      break;
+    case 'run-git':
+      process.exitCode = await runGitHook(args[1]);
       break;
     case 'list':
       await list();
@@ -359,10 +648,16 @@ async function main() {
       console.log('  node hook.js status                       Check hook status');
       console.log('  node hook.js list                         List all hooks');
       console.log('  node hook.js toggle <hook> [on|off]       Toggle specific hook');
+      console.log('  node hook.js install --git [hook]         Install git pre-commit/pre-push hooks');
+      console.log('  node hook.js uninstall --git [hook]       Remove git hooks (restores previous ones)');
       console.log('\nHooks:');
       for (const [name, def] of Object.entries(HOOKS)) {
         console.log(`  ${name.padEnd(15)} ${def.description}`);
       }
+      console.log('\nGit hooks (--git):');
+      for (const [name, def] of Object.entries(GIT_HOOKS)) {
+        console.log(`  ${name.padEnd(15)} ${def.description}`);
+      }
   }
 }
 
@@ -380,6 +675,11 @@ export {
   toggle,
   status,
   uninstall,
+  installGitHooks,
+  uninstallGitHooks,
+  runGitHook,
+  gitHookScript,
+  pushBase,
   main,
 };
 
@@ -0,0 +1,219 @@
+/**
+ * LLM response cache shared with pi-cli (lib/llm/cache.js)
+ *
+ * Same entries and keys: <stateDir>/llm-cache/<key>.json, keyed by provider,
+ * model, prompt hash and input file hashes, so a response cached by
+ * `pi module analyze` is also a hit for module-analyzer.js and the other way
+ * round. Entries expire ttlHours after they were written (mtime); past
+ * maxSizeMB the least recently used (atime) are removed. `pi cache stats`
+ * and `pi cache prune` manage them.
+ *
+ * --no-cache only skips lookups (fresh answers still replace entries);
+ * PI_LLM_CACHE=off or llm.cache.enabled: false turn the cache off.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * @typedef {object} CacheLookup
+ * @property {string} key
+ * @property {string} provider
+ * @property {string|null} model
+ * @property {string} promptHash
+ * @property {Record<string, string|null>} inputs - Path relative to root -> content hash (null: missing)
+ * @property {object|null} entry - Hit
+ */
+
+export const CACHE_VERSION = 1;
+export const DEFAULT_TTL_HOURS = 168;
+export const DEFAULT_MAX_SIZE_MB = 200;
+
+/** Size/TTL eviction runs on the first store, then at most this often */
+const PRUNE_INTERVAL_MS = 60_000;
+
+/**
+ * PI_LLM_CACHE=off|0|false|no disables the cache
+ * @returns {boolean}
+ */
+export function cacheDisabledByEnv() {
+  return /^(off|0|false|no)$/i.test(process.env.PI_LLM_CACHE || '');
+}
+
+/**
+ * Cache under a .project-index dir, or null when caching is off
+ * @param {string} stateDir - The .project-index dir
+ * @param {{enabled?: boolean, ttlHours?: number, maxSizeMB?: number}|false} [settings] - llm.cache
+ * @param {{refresh?: boolean}} [options] - refresh (--no-cache): never hit, only store
+ * @returns {ResponseCache|null}
+ */
+export function openCache(stateDir, settings, options = {}) {
+  if (settings === false || settings?.enabled === false || cacheDisabledByEnv()) return null;
+  return new ResponseCache(path.join(stateDir, 'llm-cache'), { ...(settings || {}), refresh: options.refresh });
+}
+
+/**
+ * Same as pi-cli's promptHash (fixture key): sha256 of the prompt, CRLF normalized
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function promptHash(prompt) {
+  return createHash('sha256').update(String(prompt).replace(/\r\n/g, '\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {string} provider
+ * @param {string|null} model
+ * @param {string} hash
+ * @param {Record<string, string|null>} inputs
+ * @returns {string}
+ */
+export function cacheKey(provider, model, hash, inputs) {
+  const files = Object.keys(inputs).sort().map(file => [file, inputs[file]]);
+  return createHash('sha256')
+    .update(JSON.stringify([CACHE_VERSION, provider, model || null, hash, files]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * @param {string[]|undefined} files - Absolute or relative to `root`
+ * @param {string} root
+ * @returns {Promise<Record<string, string|null>>}
+ */
+export async function hashInputs(files, root) {
+  /** @type {Record<string, string|null>} */
+  const inputs = {};
+  for (const file of files || []) {
+    const abs = path.resolve(root, file);
+    const rel = path.relative(root, abs).split(path.sep).join('/');
+    try {
+      inputs[rel] = createHash('sha256').update(await fs.readFile(abs)).digest('hex').slice(0, 16);
+    } catch {
+      inputs[rel] = null;
+    }
+  }
+  return inputs;
+}
+
+export class ResponseCache {
+  /**
+   * @param {string} dir
+   * @param {{ttlHours?: number, maxSizeMB?: number, refresh?: boolean}} [options]
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.ttlHours = Number(options.ttlHours) || DEFAULT_TTL_HOURS;
+    this.maxSizeMB = Number(options.maxSizeMB) || DEFAULT_MAX_SIZE_MB;
+    this.refresh = Boolean(options.refresh);
+    this.lastPrune = 0;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * @param {{provider: string, model?: string|null, prompt: string, inputs?: string[], root?: string}} request
+   * @returns {Promise<CacheLookup>}
+   */
+  async lookup(request) {
+    const hash = promptHash(request.prompt);
+    const inputs = await hashInputs(request.inputs, request.root || process.cwd());
+    const model = request.model || null;
+    const key = cacheKey(request.provider, model, hash, inputs);
+    /** @type {CacheLookup} */
+    const lookup = { key, provider: request.provider, model, promptHash: hash, inputs, entry: null };
+    if (this.refresh) return lookup;
+
+    const file = this.file(key);
+    try {
+      const stat = await fs.stat(file);
+      if (Date.now() - stat.mtimeMs > this.ttlHours * 3600_000) {
+        await fs.unlink(file).catch(() => {});
+      } else {
+        const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (entry?.key === key && typeof entry.output === 'string') {
+          // atime = last use (LRU), mtime = written (TTL)
+          await fs.utimes(file, new Date(), stat.mtime).catch(() => {});
+          lookup.entry = entry;
+        }
+      }
+    } catch {
+      // Miss
+    }
+    return lookup;
+  }
+
+  /**
+   * @param {CacheLookup|null} lookup
+   * @param {string} output
+   * @param {{taskType?: string, usage?: object|null}} [meta]
+   */
+  async store(lookup, output, meta = {}) {
+    if (!lookup || lookup.entry || !output) return;
+    const entry = {
+      version: CACHE_VERSION,
+      key: lookup.key,
+      provider: lookup.provider,
+      model: lookup.model,
+      promptHash: lookup.promptHash,
+      taskType: meta.taskType || null,
+      inputs: lookup.inputs,
+      createdAt: new Date().toISOString(),
+      output,
+      usage: meta.usage || null
+    };
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const tmp = `${this.file(lookup.key)}.${process.pid}-${Math.random().toString(36).slice(2)}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, this.file(lookup.key));
+    } catch {
+      return;
+    }
+
+    if (Date.now() - this.lastPrune > PRUNE_INTERVAL_MS) {
+      await this.prune();
+    }
+  }
+
+  /**
+   * Remove expired entries, then the least recently used until under maxSizeMB
+   * @returns {Promise<{expired: number, evicted: number}>}
+   */
+  async prune() {
+    this.lastPrune = Date.now();
+    const ttlMs = this.ttlHours * 3600_000;
+    const maxBytes = this.maxSizeMB * 1024 * 1024;
+
+    const names = (await fs.readdir(this.dir).catch(() => [])).filter(e => e.endsWith('.json'));
+    const kept = [];
+    let expired = 0;
+    let evicted = 0;
+    for (const name of names) {
+      const file = path.join(this.dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (!stat) continue;
+      if (Date.now() - stat.mtimeMs > ttlMs) {
+        await fs.unlink(file).then(() => expired++, () => {});
+      } else {
+        kept.push({ file, size: stat.size, atimeMs: Math.max(stat.atimeMs, stat.mtimeMs) });
+      }
+    }
+
+    let bytes = kept.reduce((sum, f) => sum + f.size, 0);
+    kept.sort((a, b) => a.atimeMs - b.atimeMs);
+    while (bytes > maxBytes && kept.length > 0) {
+      const f = kept.shift();
+      await fs.unlink(f.file).then(() => evicted++, () => {});
+      bytes -= f.size;
+    }
+    return { expired, evicted };
+  }
+}
@@ -25,6 +25,7 @@
  * Execution:
  *   --dry-run      Preview only (no LLM calls)
  *   --concurrency=N  Override concurrency (default 6)
+ *   --no-cache     Resend prompts even if a cached response exists
  *   --resume       Resume crashed task
  *   --daemon       Run in background
  *   --status       Show last result
@@ -368,6 +369,7 @@ Feature toggles:
 Execution:
   --dry-run        Preview only (no LLM calls)
   --concurrency=N  Override concurrency (default 6)
+  --no-cache       Resend prompts even if a cached response exists
   --resume         Resume interrupted task
   --retry-failed   Retry failed tasks only
   --daemon         Run in background
@@ -396,6 +398,27 @@ async function listCodeFiles(dir, maxFiles) {
     .slice(0, maxFiles);
 }
 
+/**
+ * Files readCodeFiles() reads: the changed files, else the first code files
+ * @param {string} dir - Module directory
+ * @param {Array} files - Changed files
+ * @param {number} maxFiles
+ * @returns {Promise<Array>}
+ */
+async function selectCodeFiles(dir, files, maxFiles) {
+  const toRead = files?.slice(0, maxFiles) || [];
+  return toRead.length > 0 ? toRead : listCodeFiles(dir, maxFiles);
+}
+
+/**
+ * @param {string} dir - Module directory
+ * @param {string|{path: string}} f - Module-relative name or {path} relative to the parent dir
+ * @returns {string}
+ */
+function codeFilePath(dir, f) {
+  return typeof f === 'string' ? path.join(dir, f) : path.join(dir, '..', f.path);
+}
+
 /**
  * Read code files from directory
  * @param {string} dir - Module directory
@@ -406,14 +429,8 @@ async function listCodeFiles(dir, maxFiles) {
  */
 async function readCodeFiles(dir, files, maxFiles = 5, maxLines = 60) {
   let content = '';
-  let toRead = files?.slice(0, maxFiles) || [];
-
-  if (toRead.length === 0) {
-    toRead = await listCodeFiles(dir, maxFiles);
-  }
-
-  for (const f of toRead) {
-    const filePath = typeof f === 'string' ? path.join(dir, f) : path.join(dir, '..', f.path);
+  for (const f of await selectCodeFiles(dir, files, maxFiles)) {
+    const filePath = codeFilePath(dir, f);
     const fileContent = await readFileSafe(filePath, maxLines);
     if (fileContent) {
       const relPath = typeof f === 'string' ? f : f.path;
@@ -447,7 +464,8 @@ async function main() {
     reindex: false,
     noDoc: false,
     noAudit: false,
-    noKanban: false
+    noKanban: false,
+    noCache: false
   });
 
   if (args.status) {
@@ -623,7 +641,10 @@ async function main() {
     concurrency,
     timeout: config.timeout || 180000,
     stateDir: cwd,  // Store state in project directory, not skills directory
-    silent: true
+    silent: true,
+    maxTokensPerRun: config.llm?.budget?.maxTokensPerRun,
+    cache: config.llm?.cache,
+    noCache: args.noCache
   });
 
   await runner.run({
@@ -664,6 +685,12 @@ async function main() {
       });
     },
 
+    // The prompt only holds the head of each file, so their full content keys the cache
+    inputs: async (item) => [
+      path.join(item.fullPath, 'CLAUDE.md'),
+      ...(await selectCodeFiles(item.fullPath, item.changedFiles, 5)).map(f => codeFilePath(item.fullPath, f))
+    ],
+
     buildPrompt: async function (item) {
       const claudeMdPath = path.join(item.fullPath, 'CLAUDE.md');
       const claudeContent = await readFileSafe(claudeMdPath, 80) || '(无现有文档)';
@@ -261,7 +261,8 @@ Filtering:
     name: 'test-fix',
     concurrency,
     timeout: 1800000, // 30 minutes
-    stateDir: cwd
+    stateDir: cwd,
+    cache: false // The agent edits the files; a cached reply would not
   });
 
   // Define handlers for BatchRunner
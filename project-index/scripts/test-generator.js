@@ -16,6 +16,7 @@
  * Execution:
  *   --dry-run        Preview only
  *   --concurrency=N  Override concurrency (default 3)
+ *   --no-cache       Resend prompts even if a cached response exists
  *   --resume         Resume from checkpoint
  *   --daemon         Run in background
  *   --status         Show last result
@@ -155,6 +156,7 @@ Modes:
 Execution:
   --dry-run        Preview only
   --concurrency=N  Override concurrency (default 3)
+  --no-cache       Resend prompts even if a cached response exists
   --resume         Resume from checkpoint
   --retry-failed   Retry failed tasks only
   --daemon         Run in background
@@ -184,7 +186,8 @@ async function main() {
     daemon: false,
     untested: false,
     stale: false,
-    all: false
+    all: false,
+    noCache: false
   });
 
   if (args.status) {
@@ -282,7 +285,9 @@ async function main() {
     concurrency,
     timeout: config.timeout || 300000,  // 5 min per file
     stateDir: cwd,
-    silent: true
+    silent: true,
+    cache: config.llm?.cache,
+    noCache: args.noCache
   });
 
   await runner.run({
@@ -297,6 +302,9 @@ async function main() {
       conventions
     })),
 
+    // The prompt holds at most 150/100 lines of the source and existing test
+    inputs: (item) => item.status === 'stale' ? [item.sourcePath, item.testPath] : [item.sourcePath],
+
     buildPrompt: async function (item) {
       const sourceContent = await readSourceFile(item.fullSourcePath, 150);
       const exports = extractExports(sourceContent);
@@ -8,6 +8,11 @@
  * 3. Ask LLM: does the change affect the doc?
  * 4. If no → touch; If yes → generate updated doc
  *
+ * LLM calls go through pi-cli's provider layer (pi-cli/lib/update/review.js,
+ * also behind `pi update --llm`): llm.provider and llm.models from
+ * .pi-config.json (codeagent-wrapper when none is set), PI_LLM_PROVIDER=
+ * record|replay for recorded runs, token usage and the response cache.
+ *
  * Usage:
  *   node update-bg.js [--all | path1 path2 ...]
  *   node update-bg.js --status
@@ -18,68 +23,9 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawn, execSync } from 'child_process';
-
-/**
- * Run codeagent-wrapper with spawn, capture session_id and validate output
- * @param {string} prompt
- * @param {string} cwd
- * @param {number} timeout
- * @returns {Promise<{success: boolean, output: string, sessionId: string|null, error: string|null}>}
- */
-async function runCodeagent(prompt, cwd, timeout = 120000) {
-  return new Promise((resolve) => {
-    const child = spawn('codeagent-wrapper', ['--backend', 'codex', prompt], {
-      cwd,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    let stdout = '';
-    let stderr = '';
-    let sessionId = null;
-    let resolved = false;
-
-    const timer = setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        child.kill('SIGTERM');
-        resolve({ success: false, output: stdout, sessionId, error: 'timeout' });
-      }
-    }, timeout);
-
-    child.stdout.on('data', (data) => { stdout += data.toString(); });
-    child.stderr.on('data', (data) => {
-      const chunk = data.toString();
-      stderr += chunk;
-      // Extract session ID from stderr
-      const match = chunk.match(/SESSION_ID:\s*([a-f0-9-]+)/i);
-      if (match) sessionId = match[1];
-    });
-
-    child.on('close', (code) => {
-      if (resolved) return;
-      resolved = true;
-      clearTimeout(timer);
-
-      if (code === 0 && stdout.trim()) {
-        resolve({ success: true, output: stdout.trim(), sessionId, error: null });
-      } else {
-        resolve({
-          success: false,
-          output: stdout.trim(),
-          sessionId,
-          error: code === 0 ? 'empty output' : `exit code ${code}`
-        });
-      }
-    });
-
-    child.on('error', (err) => {
-      if (resolved) return;
-      resolved = true;
-      clearTimeout(timer);
-      resolve({ success: false, output: '', sessionId, error: err.message });
-    });
-  });
-}
+import { loadContext } from '../../pi-cli/lib/context.js';
+import { createMeter } from '../../pi-cli/lib/llm/batch.js';
+import { reviewDoc } from '../../pi-cli/lib/update/review.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const LOG_FILE = path.join(__dirname, '.update-bg.log');
@@ -173,65 +119,6 @@ async function getStaleItems(cwd) {
   return JSON.parse(result).filter(r => r.status === 'stale');
 }
 
-/**
- * Read file content safely
- */
-async function readFileSafe(filePath, maxLines = 100) {
-  try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const lines = content.split('\n');
-    if (lines.length > maxLines) {
-      return lines.slice(0, maxLines).join('\n') + `\n... (${lines.length - maxLines} more lines)`;
-    }
-    return content;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Use codeagent-wrapper to generate updated CLAUDE.md content
- * @returns {Promise<{content: string|null, sessionId: string|null, error: string|null}>}
- */
-async function generateWithLLM(claudeMdPath, changedFiles, cwd, modulePath) {
-  const claudeContent = await readFileSafe(claudeMdPath);
-  if (!claudeContent) return { content: null, sessionId: null, error: 'Cannot read CLAUDE.md' };
-
-  // Read changed files
-  const filesToCheck = changedFiles.slice(0, 5);
-  let changedContent = '';
-
-  for (const f of filesToCheck) {
-    const fullPath = path.join(cwd, f.path);
-    const content = await readFileSafe(fullPath, 80);
-    if (content) {
-      changedContent += `\n--- ${f.path} ---\n${content}\n`;
-    }
-  }
-
-  const prompt = `你是一个代码文档维护助手。请根据代码变更更新 CLAUDE.md 文档。
-
-模块路径: ${modulePath}
-
-当前 CLAUDE.md 内容:
-\`\`\`markdown
-${claudeContent.slice(0, 3000)}
-\`\`\`
-
-变更的代码文件:
-${changedContent.slice(0, 4000)}
-
-请生成更新后的 CLAUDE.md 内容。保持原有结构和风格，只更新与代码变更相关的部分。
-直接输出 markdown 内容，不要包含 \`\`\`markdown 标记。`;
-
-  const result = await runCodeagent(prompt, cwd, 180000);
-
-  if (result.success && result.output.length > 50) {
-    return { content: result.output, sessionId: result.sessionId, error: null };
-  }
-  return { content: null, sessionId: result.sessionId, error: result.error || 'empty or too short' };
-}
-
 /**
  * Concurrency pool for parallel execution
  */
@@ -254,110 +141,25 @@ async function runWithConcurrency(tasks, concurrency, handler) {
 
   return Promise.all(results);
 }
-/**
- * Check if CLAUDE.md needs update using LLM
- * @returns {Promise<{needsUpdate: boolean, reason: string, sessionId: string|null, error: string|null}>}
- */
-async function checkWithLLM(claudeMdPath, changedFiles, cwd) {
-  const claudeContent = await readFileSafe(claudeMdPath);
-  if (!claudeContent) return { needsUpdate: false, reason: 'Cannot read CLAUDE.md', sessionId: null, error: null };
-
-  // Read changed files (limit to first 3)
-  const filesToCheck = changedFiles.slice(0, 3);
-  let changedContent = '';
-
-  for (const f of filesToCheck) {
-    const fullPath = path.join(cwd, f.path);
-    const content = await readFileSafe(fullPath, 50);
-    if (content) {
-      changedContent += `\n--- ${f.path} ---\n${content}\n`;
-    }
-  }
-
-  if (!changedContent) {
-    return { needsUpdate: false, reason: 'Cannot read changed files', sessionId: null, error: null };
-  }
-
-  // Build prompt for LLM
-  const prompt = `你是一个代码文档审查助手。请判断以下代码变更是否需要更新 CLAUDE.md 文档。
-
-当前 CLAUDE.md 内容:
-\`\`\`markdown
-${claudeContent.slice(0, 2000)}
-\`\`\`
-
-变更的代码文件:
-${changedContent.slice(0, 3000)}
-
-请判断：这些代码变更是否影响 CLAUDE.md 中描述的模块职责、接口、架构或重要功能？
-
-回答格式 (JSON):
-{"needsUpdate": true/false, "reason": "简要说明", "suggestedChanges": "如需更新，建议修改哪些部分"}`;
-
-  const result = await runCodeagent(prompt, cwd, 120000);
-
-  if (!result.success) {
-    // LLM failed - don't touch, mark as error for retry
-    return { needsUpdate: false, reason: `LLM failed: ${result.error}`, sessionId: result.sessionId, error: result.error };
-  }
-
-  // Parse JSON from response
-  const jsonMatch = result.output.match(/\{[\s\S]*"needsUpdate"[\s\S]*\}/);
-  if (jsonMatch) {
-    try {
-      const parsed = JSON.parse(jsonMatch[0]);
-      return { ...parsed, sessionId: result.sessionId, error: null };
-    } catch {
-      return { needsUpdate: false, reason: 'JSON parse failed', sessionId: result.sessionId, error: 'invalid json' };
-    }
-  }
-  return { needsUpdate: false, reason: 'LLM response unclear', sessionId: result.sessionId, error: null };
-}
 
 /**
- * Touch a CLAUDE.md file (update mtime only)
+ * pi-cli config for the LLM calls, codeagent-wrapper unless llm.provider is set
+ * @returns {Promise<{config: object, meter: object}>}
  */
-async function touchFile(filePath) {
-  const now = new Date();
-  await fs.utimes(filePath, now, now);
+async function loadLlm(cwd) {
+  const { config } = await loadContext(cwd);
+  const llmConfig = { ...config, llm: { provider: 'codeagent', ...config.llm } };
+  return { config: llmConfig, meter: createMeter(llmConfig, 'update-bg') };
 }
 
 /**
  * Process a single stale item
- * @returns {Promise<{status: string, path: string, sessionId?: string, reason?: string}>}
+ * @returns {Promise<{status: string, path: string, reason?: string}>}
  */
-async function processItem(item, cwd) {
-  const claudeMdPath = path.join(cwd, item.path, 'CLAUDE.md');
+async function processItem(item, cwd, llm) {
   await log(`Checking: ${item.path}`);
-
-  const checkResult = await checkWithLLM(claudeMdPath, item.changedFiles || [], cwd);
-
-  // If LLM check failed, don't touch - keep stale for retry
-  if (checkResult.error) {
-    await log(`  → LLM check failed: ${checkResult.error} (session: ${checkResult.sessionId || 'none'})`);
-    return { status: 'llm_error', path: item.path, sessionId: checkResult.sessionId, reason: checkResult.error };
-  }
-
-  if (checkResult.needsUpdate) {
-    await log(`  → Needs update: ${checkResult.reason}`);
-
-    // Generate new content
-    const genResult = await generateWithLLM(claudeMdPath, item.changedFiles || [], cwd, item.path);
-
-    if (genResult.content) {
-      await fs.writeFile(claudeMdPath, genResult.content);
-      await log(`  → Updated: ${item.path}/CLAUDE.md`);
-      return { status: 'updated', path: item.path, sessionId: genResult.sessionId };
-    } else {
-      await log(`  → Generation failed: ${genResult.error} (session: ${genResult.sessionId || 'none'})`);
-      return { status: 'gen_error', path: item.path, sessionId: genResult.sessionId, reason: genResult.error };
-    }
-  } else {
-    await log(`  → No update needed: ${checkResult.reason}`);
-    await touchFile(claudeMdPath);
-    await log(`  → Touched: ${item.path}/CLAUDE.md`);
-    return { status: 'touched', path: item.path };
-  }
+  // If the LLM check fails the doc is not touched - kept stale for retry
+  return reviewDoc(llm.config, cwd, item, { meter: llm.meter, log });
 }
 
 /**
@@ -441,11 +243,12 @@ async function runDaemon(args) {
     }
 
     await log(`Processing ${itemsToProcess.length} items`);
+    const llm = await loadLlm(cwd);
 
     // Process with concurrency, saving progress after each
     const results = await runWithConcurrency(itemsToProcess, concurrency, async (item) => {
       try {
-        const result = await processItem(item, cwd);
+        const result = await processItem(item, cwd, llm);
 
         // Checkpoint: save progress immediately
         progress.completed.push(item.path);
@@ -482,6 +285,8 @@ async function runDaemon(args) {
       await log(`  ✗ LLM errors: ${llmErrors.length} | Gen errors: ${genErrors.length} | Other: ${otherErrors.length}`);
     }
 
+    const usageRun = await llm.meter.save();
+
     // Write final result
     const resultData = {
       completedAt: new Date().toISOString(),
@@ -492,7 +297,15 @@ async function runDaemon(args) {
       failed: allErrors.length,
       llmErrors: llmErrors.length,
       genErrors: genErrors.length,
-      failedList: allErrors
+      failedList: allErrors,
+      ...(usageRun.tasks > 0 ? {
+        usage: {
+          promptTokens: usageRun.promptTokens,
+          completionTokens: usageRun.completionTokens,
+          totalTokens: usageRun.promptTokens + usageRun.completionTokens,
+          estimated: usageRun.estimated
+        }
+      } : {})
     };
     await fs.writeFile(RESULT_FILE, JSON.stringify(resultData, null, 2));
     await log(`Result written to ${RESULT_FILE}`);
@@ -36,6 +36,7 @@ const originalBackend = process.env.CODEAGENT_BACKEND;
 let runCodeagent;
 let runWithRetry;
 let BatchRunner;
+let estimateUsage;
 let spawn;
 let shared;
 
@@ -52,7 +53,7 @@ beforeEach(async () => {
 
   ({ spawn } = await import('child_process'));
   shared = await import('../../../scripts/shared.js');
-  ({ runCodeagent, runWithRetry, BatchRunner } = await import('../../../scripts/batch-llm-runner.js'));
+  ({ runCodeagent, runWithRetry, BatchRunner, estimateUsage } = await import('../../../scripts/batch-llm-runner.js'));
 });
 
 describe('runCodeagent', () => {
@@ -456,6 +457,45 @@ describe('BatchRunner', () => {
     });
   });
 
+  it('adds token usage totals when tasks recorded usage', async () => {
+    const runner = new BatchRunner({ name: 'usage', stateDir: '/tmp/state', silent: true, maxTokensPerRun: 500 });
+    runner.taskStates = new Map([
+      ['a', { id: 'a', status: 'completed', usage: { promptTokens: 100, completionTokens: 20, estimated: true } }],
+      ['b', { id: 'b', status: 'cancelled', budgetExceeded: true }],
+      ['c', { id: 'c', status: 'failed', usage: { promptTokens: 50, completionTokens: 0, estimated: true } }]
+    ]);
+
+    await runner.saveTaskStates();
+
+    const [, payload] = shared.writeJsonSafe.mock.calls[0];
+    expect(runner.maxTokensPerRun).toBe(500);
+    expect(payload.usage).toEqual({ promptTokens: 150, completionTokens: 20, totalTokens: 170, estimated: true });
+  });
+
+  it('writes a usage record per run under llm-usage', async () => {
+    process.env.PI_JOB_ID = 'job-1';
+    const runner = new BatchRunner({ name: 'module-analyzer', stateDir: '/tmp/state', silent: true });
+    const run = await runner.recordUsage(
+      new Date('2020-01-01T00:00:00.000Z'),
+      new Map([['src/a', estimateUsage('x'.repeat(35), 'y'.repeat(7))]]),
+      2
+    );
+    delete process.env.PI_JOB_ID;
+
+    const [file, payload] = shared.writeJsonSafe.mock.calls[0];
+    expect(file).toBe(path.join('/tmp/state', '.project-index', 'llm-usage', `module-analyzer-1577836800000-${process.pid}.json`));
+    expect(payload).toBe(run);
+    expect(payload).toMatchObject({
+      taskType: 'module-analyzer',
+      jobId: 'job-1',
+      tasks: 1,
+      skipped: 2,
+      promptTokens: 10,
+      completionTokens: 2,
+      byTask: { 'src/a': { promptTokens: 10, completionTokens: 2, estimated: true } }
+    });
+  });
+
   it('updates a task state by merging fields and persists changes', async () => {
     const runner = new BatchRunner({ name: 'update', stateDir: '/tmp/state', silent: true });
     runner.taskStates.set('t1', { id: 't1', status: 'pending', context: { x: 1 } });
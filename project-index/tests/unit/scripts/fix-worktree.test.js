@@ -0,0 +1,70 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { commitToFixBranch, resolveIsolation, loadFixes } from '../../../scripts/fix-worktree.js';
+
+let tmp;
+let repo;
+let stateDir;
+
+const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf-8' }).trim();
+
+beforeEach(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'fix-worktree-'));
+  repo = path.join(tmp, 'repo');
+  stateDir = path.join(repo, '.project-index');
+  await fs.mkdir(repo);
+  git('init', '-q');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'user.name', 'test');
+  await fs.writeFile(path.join(repo, '.gitignore'), '.project-index/\n');
+  await fs.writeFile(path.join(repo, 'a.js'), 'export const a = 1;\n');
+  await fs.writeFile(path.join(repo, 'b.js'), 'export const b = 1;\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'init');
+});
+
+afterEach(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+describe('resolveIsolation', () => {
+  it('defaults to batch scope and rejects unknown values', () => {
+    expect(resolveIsolation({})).toBeNull();
+    expect(resolveIsolation({ isolate: 'worktree' })).toBe('batch');
+    expect(resolveIsolation({ isolate: 'worktree', isolateScope: 'task' })).toBe('task');
+    expect(() => resolveIsolation({ isolate: 'copy' })).toThrow(/--isolate=copy/);
+    expect(() => resolveIsolation({ isolate: 'worktree', isolateScope: 'file' })).toThrow(/--isolate-scope=file/);
+  });
+});
+
+describe('commitToFixBranch', () => {
+  it('commits only the given files on a fix branch and leaves the current branch alone', async () => {
+    await fs.writeFile(path.join(repo, 'a.js'), 'export const a = 2;\n');
+    await fs.writeFile(path.join(repo, 'b.js'), 'export const b = 2;\n');
+    const head = git('rev-parse', 'HEAD');
+
+    const fix = await commitToFixBranch(repo, { source: 'acceptance-gate', title: 'validated a.js', files: ['a.js'], stateDir });
+
+    expect(fix).toMatchObject({ source: 'acceptance-gate', base: head, files: ['a.js'], status: 'pending' });
+    expect(git('rev-parse', 'HEAD')).toBe(head);
+    expect(git('show', `${fix.branch}:a.js`)).toBe('export const a = 2;');
+    expect(git('show', `${fix.branch}:b.js`)).toBe('export const b = 1;');
+    expect(git('worktree', 'list').split('\n')).toHaveLength(1);
+    expect(await fs.readFile(path.join(stateDir, 'fixes', fix.patch), 'utf-8')).toContain('+export const a = 2;');
+    expect((await loadFixes(stateDir)).map(f => f.id)).toEqual([fix.id]);
+  });
+
+  it('records deletions and returns null when nothing differs from HEAD', async () => {
+    await fs.unlink(path.join(repo, 'b.js'));
+    const fix = await commitToFixBranch(repo, { source: 'acceptance-gate', title: 'drop b.js', files: ['b.js'], stateDir });
+    expect(fix.files).toEqual(['b.js']);
+
+    const none = await commitToFixBranch(repo, { source: 'acceptance-gate', title: 'noop', files: ['a.js'], stateDir });
+    expect(none).toBeNull();
+    expect(git('branch', '--list', 'pi-fix/*').split('\n')).toHaveLength(1);
+  });
+});
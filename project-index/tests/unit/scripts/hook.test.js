@@ -33,6 +33,8 @@ import {
   toggle,
   status,
   uninstall,
+  gitHookScript,
+  pushBase,
   main,
 } from '../../../scripts/hook.js';
 
@@ -468,3 +470,28 @@ describe('main', () => {
     expect(settings.hooks.UserPromptSubmit).toHaveLength(1);
   });
 });
+
+describe('gitHookScript', () => {
+  it('runs the chained hook first, then hook.js run-git from the project dir', () => {
+    const script = gitHookScript('pre-commit', 'packages/app');
+    expect(script.startsWith('#!/bin/sh\n# project-index git hook: pre-commit')).toBe(true);
+    expect(script).toContain('chained="$(dirname "$0")/.project-index-chained/pre-commit"');
+    expect(script).toContain("cd 'packages/app' || exit 0");
+    expect(script.indexOf('"$chained"')).toBeLessThan(script.indexOf('run-git pre-commit'));
+    expect(script).not.toContain('input=$(cat)');
+  });
+
+  it('hands pre-push stdin to both the chained hook and hook.js', () => {
+    const script = gitHookScript('pre-push', '');
+    expect(script).toContain('input=$(cat)');
+    expect(script).not.toContain('cd ');
+    expect(script.match(/printf '%s\\n' "\$input" \|/g)).toHaveLength(2);
+  });
+});
+
+describe('pushBase', () => {
+  it('returns null without pushed refs or for branch deletions', () => {
+    expect(pushBase('')).toBeNull();
+    expect(pushBase(`(delete) ${'0'.repeat(40)} refs/heads/old ${'a'.repeat(40)}\n`)).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+import { openCache, cacheKey, promptHash, ResponseCache } from '../../../scripts/llm-cache.js';
+
+let root;
+let stateDir;
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+  stateDir = path.join(root, '.project-index');
+  await fs.writeFile(path.join(root, 'a.js'), 'export const a = 1;\n');
+  delete process.env.PI_LLM_CACHE;
+});
+
+afterEach(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+const request = (prompt = 'analyze a.js') => ({ provider: 'codeagent-wrapper', model: 'codex', prompt, inputs: ['a.js'], root });
+
+describe('cacheKey', () => {
+  it('does not depend on input order', () => {
+    const hash = promptHash('p');
+    expect(cacheKey('p', 'm', hash, { 'a.js': '1', 'b.js': '2' })).toBe(cacheKey('p', 'm', hash, { 'b.js': '2', 'a.js': '1' }));
+  });
+
+  it('treats CRLF and LF prompts alike', () => {
+    expect(promptHash('a\r\nb')).toBe(promptHash('a\nb'));
+  });
+});
+
+describe('openCache', () => {
+  it('returns null when disabled in config or env', () => {
+    expect(openCache(stateDir, false)).toBeNull();
+    expect(openCache(stateDir, { enabled: false })).toBeNull();
+    process.env.PI_LLM_CACHE = 'off';
+    expect(openCache(stateDir)).toBeNull();
+  });
+});
+
+describe('ResponseCache', () => {
+  it('serves a stored response until an input file changes', async () => {
+    const cache = openCache(stateDir);
+    const miss = await cache.lookup(request());
+    expect(miss.entry).toBeNull();
+    await cache.store(miss, 'OUTPUT', { taskType: 'module-analyze' });
+
+    const hit = await cache.lookup(request());
+    expect(hit.entry).toMatchObject({ output: 'OUTPUT', taskType: 'module-analyze', provider: 'codeagent-wrapper', model: 'codex' });
+
+    await fs.appendFile(path.join(root, 'a.js'), '// changed\n');
+    expect((await cache.lookup(request())).entry).toBeNull();
+  });
+
+  it('only stores in refresh mode', async () => {
+    const refresh = openCache(stateDir, undefined, { refresh: true });
+    const lookup = await refresh.lookup(request());
+    await refresh.store(lookup, 'FRESH');
+
+    expect((await refresh.lookup(request())).entry).toBeNull();
+    expect((await openCache(stateDir).lookup(request())).entry.output).toBe('FRESH');
+  });
+
+  it('drops entries older than the TTL', async () => {
+    const cache = openCache(stateDir, { ttlHours: 1 });
+    const lookup = await cache.lookup(request());
+    await cache.store(lookup, 'OLD');
+    const old = new Date(Date.now() - 2 * 3600_000);
+    await fs.utimes(cache.file(lookup.key), old, old);
+
+    expect((await cache.lookup(request())).entry).toBeNull();
+    await expect(fs.stat(cache.file(lookup.key))).rejects.toThrow();
+  });
+
+  it('evicts the least recently used entries over the size limit', async () => {
+    const cache = new ResponseCache(path.join(stateDir, 'llm-cache'), { maxSizeMB: 1 });
+    const keys = [];
+    for (const [i, prompt] of ['first', 'second', 'third'].entries()) {
+      const lookup = await cache.lookup(request(prompt));
+      await cache.store(lookup, 'x'.repeat(400 * 1024));
+      const used = new Date(Date.now() - (3 - i) * 60_000);
+      await fs.utimes(cache.file(lookup.key), used, used);
+      keys.push(lookup.key);
+    }
+
+    const result = await cache.prune();
+    expect(result).toEqual({ expired: 0, evicted: 1 });
+    await expect(fs.stat(cache.file(keys[0]))).rejects.toThrow();
+    await fs.stat(cache.file(keys[2]));
+  });
+});